@@ -0,0 +1,24 @@
+module.exports = {
+  root: true,
+  env: {
+    node: true,
+    es2022: true,
+  },
+  parserOptions: {
+    ecmaVersion: 2022,
+    sourceType: 'script',
+  },
+  extends: ['eslint:recommended'],
+  ignorePatterns: ['node_modules/', 'uploads/', 'coverage/'],
+  rules: {
+    'no-unused-vars': ['error', { ignoreRestSiblings: true }],
+  },
+  overrides: [
+    {
+      files: ['**/__tests__/**/*.js', '**/*.test.js'],
+      env: {
+        jest: true,
+      },
+    },
+  ],
+};
@@ -17,7 +17,7 @@ const storage = multer.diskStorage({
                file.fieldname === 'policeCheck' || file.fieldname === 'academicQualification' ||
                file.fieldname === 'additionalCredential') {
       folder += 'documents/compliance/';
-    } else if (file.fieldname === 'attachments') {
+    } else if (file.fieldname === 'attachments' || file.fieldname === 'practiceMedia') {
       folder += 'attachments/';
     } else if (file.fieldname === 'resource') {
       folder += 'resources/';
@@ -41,6 +41,8 @@ const fileFilter = (req, file, cb) => {
   const allowedDocTypes = /pdf|doc|docx|txt/;
   const allowedVideoTypes = /mp4|avi|mov|wmv/;
   const allowedAudioTypes = /mp3|wav|ogg/;
+  // Phones record practice clips in these formats
+  const allowedMobileRecordingTypes = /m4a|aac|webm|3gp/;
   
   const extname = path.extname(file.originalname).toLowerCase();
   const mimetype = file.mimetype;
@@ -86,6 +88,13 @@ const fileFilter = (req, file, cb) => {
     if (allowedVideoTypes.test(extname) && mimetype.startsWith('video/')) {
       return cb(null, true);
     }
+  } else if (file.fieldname === 'practiceMedia') {
+    // Home practice recordings: audio or video only
+    const isRecording = allowedAudioTypes.test(extname) || allowedVideoTypes.test(extname) ||
+      allowedMobileRecordingTypes.test(extname);
+    if (isRecording && (mimetype.startsWith('audio/') || mimetype.startsWith('video/'))) {
+      return cb(null, true);
+    }
   }
   
   cb(new Error(`Invalid file type for ${file.fieldname}. File: ${file.originalname}`));
@@ -5,6 +5,7 @@ const Payment = require('../models/Payment');
 const Subscription = require('../models/Subscription');
 const Session = require('../models/Session');
 const AdminActionLog = require('../models/AdminActionLog');
+const PhiRedactionLog = require('../models/PhiRedactionLog');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const { logAdminAction, getClientIp, getUserAgent } = require('../utils/adminLogger');
 
@@ -88,9 +89,10 @@ const getAllTherapists = asyncHandler(async (req, res) => {
 // @route   GET /api/admin/clients
 // @access  Private/Admin
 const getAllClients = asyncHandler(async (req, res) => {
-  const { search, page = 1, limit = 50 } = req.query;
+  const { search, status, page = 1, limit = 50 } = req.query;
   
   const query = {};
+  if (status) query.status = status;
   if (search) {
     query.$or = [
       { 'userId.email': { $regex: search, $options: 'i' } },
@@ -213,6 +215,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     totalUsers,
     totalTherapists,
     totalClients,
+    activeClients,
     totalSessions,
     totalPayments,
     activeSubscriptions,
@@ -222,6 +225,8 @@ const getDashboardStats = asyncHandler(async (req, res) => {
     User.countDocuments(),
     Therapist.countDocuments(),
     Client.countDocuments(),
+    // Discharged clients stay on record but aren't part of anyone's caseload
+    Client.countDocuments({ status: { $ne: 'discharged' } }),
     Session.countDocuments(),
     Payment.countDocuments({ status: 'completed' }),
     Subscription.countDocuments({ status: 'active' }),
@@ -249,6 +254,7 @@ const getDashboardStats = asyncHandler(async (req, res) => {
         total: totalUsers,
         therapists: totalTherapists,
         clients: totalClients,
+        activeClients,
       },
       sessions: {
         total: totalSessions,
@@ -324,11 +330,12 @@ const getReports = asyncHandler(async (req, res) => {
       startDate = new Date(now.getFullYear(), now.getMonth(), 1);
       endDate = now;
       break;
-    case 'quarter':
+    case 'quarter': {
       const quarter = Math.floor(now.getMonth() / 3);
       startDate = new Date(now.getFullYear(), quarter * 3, 1);
       endDate = now;
       break;
+    }
     case 'year':
       startDate = new Date(now.getFullYear(), 0, 1);
       endDate = now;
@@ -717,14 +724,6 @@ const getAllTherapistsEarnings = asyncHandler(async (req, res) => {
     if (endDate) sessionDateFilter.scheduledDate.$lte = new Date(endDate);
   }
 
-  // Build date filter for payments (use createdAt)
-  const paymentDateFilter = {};
-  if (startDate || endDate) {
-    paymentDateFilter.createdAt = {};
-    if (startDate) paymentDateFilter.createdAt.$gte = new Date(startDate);
-    if (endDate) paymentDateFilter.createdAt.$lte = new Date(endDate);
-  }
-
   // Build therapist filter
   const therapistFilter = {};
   if (credentialType) {
@@ -733,7 +732,6 @@ const getAllTherapistsEarnings = asyncHandler(async (req, res) => {
 
   const therapists = await Therapist.find(therapistFilter).populate('userId', 'firstName lastName email');
 
-  const { getPaymentSplitForUse } = require('./pricingController');
   const earningsData = await Promise.all(
     therapists.map(async (therapist) => {
       const sessions = await Session.find({
@@ -746,12 +744,6 @@ const getAllTherapistsEarnings = asyncHandler(async (req, res) => {
         return sum + (session.duration || 0) / 60;
       }, 0);
 
-      const payments = await Payment.find({
-        therapistId: therapist._id,
-        status: 'completed',
-        ...paymentDateFilter,
-      });
-
       // Calculate earnings based on hourly rate (NOT percentage splits)
       let totalEarnings = 0;
       for (const session of sessions) {
@@ -969,6 +961,17 @@ const updateTherapistSupervising = asyncHandler(async (req, res) => {
     });
   }
 
+  // Supervisors keep the designation while SLPAs are still assigned to them
+  if (canSupervise !== true) {
+    const superviseeCount = await Therapist.countDocuments({ supervisingTherapistId: therapist._id });
+    if (superviseeCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Reassign this therapist's ${superviseeCount} SLPA(s) to another supervisor first`,
+      });
+    }
+  }
+
   const oldSupervisingStatus = therapist.canSupervise || false;
   therapist.canSupervise = canSupervise === true;
   await therapist.save();
@@ -1002,6 +1005,90 @@ const updateTherapistSupervising = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Assign (or with supervisorId null, remove) an SLPA's supervising SLP
+// @route   PUT /api/admin/therapists/:id/supervisor
+// @access  Private/Admin
+const assignTherapistSupervisor = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { supervisorId } = req.body;
+
+  const therapist = await Therapist.findById(id).populate('userId', 'firstName lastName');
+  if (!therapist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Therapist not found',
+    });
+  }
+
+  if (therapist.credentials !== 'SLPA') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only SLPAs are assigned a supervisor',
+    });
+  }
+
+  let supervisor = null;
+  if (supervisorId) {
+    supervisor = await Therapist.findById(supervisorId).populate('userId', 'firstName lastName');
+    if (!supervisor || supervisor.credentials !== 'SLP' || !supervisor.canSupervise) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supervisor must be an SLP designated to supervise',
+      });
+    }
+
+    // State rules require the supervisor to be licensed where the SLPA practices
+    const sharedStates = therapist.licensedStates.filter(state => supervisor.licensedStates.includes(state));
+    if (therapist.licensedStates.length > 0 && sharedStates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supervisor must be licensed in a state where the SLPA practices',
+      });
+    }
+  }
+
+  const oldSupervisorId = therapist.supervisingTherapistId || null;
+  therapist.supervisingTherapistId = supervisor?._id;
+  // A new supervisor restarts the initial, more intensive supervision phase
+  if (supervisor && oldSupervisorId?.toString() !== supervisor._id.toString()) {
+    therapist.supervisionStartedAt = new Date();
+  } else if (!supervisor) {
+    therapist.supervisionStartedAt = undefined;
+  }
+  await therapist.save();
+
+  await logAdminAction({
+    adminId: req.user._id,
+    action: 'therapist_supervisor_assigned',
+    targetType: 'therapist',
+    targetId: id,
+    targetName: `${therapist.userId.firstName} ${therapist.userId.lastName}`,
+    details: {
+      oldSupervisorId,
+      newSupervisorId: supervisor?._id || null,
+    },
+    ipAddress: getClientIp(req),
+    userAgent: getUserAgent(req),
+  });
+
+  if (supervisor) {
+    const { notifyUser } = require('../utils/notificationService');
+    await notifyUser(supervisor.userId._id, {
+      type: 'general',
+      title: 'New SLPA Assigned',
+      message: `You are now the supervising SLP for ${therapist.userId.firstName} ${therapist.userId.lastName}.`,
+      link: '/supervision',
+      metadata: { superviseeId: therapist._id },
+    });
+  }
+
+  res.json({
+    success: true,
+    message: supervisor ? 'Supervisor assigned' : 'Supervisor removed',
+    data: therapist,
+  });
+});
+
 // @desc    Verify therapist compliance documents
 // @route   PUT /api/admin/therapists/:id/verify-compliance
 // @access  Private/Admin
@@ -1597,6 +1684,53 @@ const getAdminActionLogs = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get the audit trail of PHI redacted from AI requests
+// @route   GET /api/admin/ai-redactions
+// @access  Private/Admin
+const getAIRedactionLogs = asyncHandler(async (req, res) => {
+  const {
+    feature,
+    clientId,
+    outcome,
+    startDate,
+    endDate,
+    page = 1,
+    limit = 50,
+  } = req.query;
+
+  const query = {};
+
+  if (feature) query.feature = feature;
+  if (clientId) query.clientIds = clientId;
+  if (outcome) query.outcome = outcome;
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const logs = await PhiRedactionLog.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await PhiRedactionLog.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: logs,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
 // @desc    Get platform stats
 // @route   GET /api/admin/platform-stats
 // @access  Private/Admin
@@ -1654,6 +1788,7 @@ module.exports = {
   getPlatformStats,
   updatePlatformStats,
   updateTherapistSupervising,
+  assignTherapistSupervisor,
   verifyTherapistCompliance,
   getTherapistActivity,
   getIncompleteTherapistProfiles,
@@ -1661,5 +1796,6 @@ module.exports = {
   activateUser,
   bulkUserAction,
   getAdminActionLogs,
+  getAIRedactionLogs,
 };
 
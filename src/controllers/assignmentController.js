@@ -1,13 +1,14 @@
 const Assignment = require('../models/Assignment');
 const Client = require('../models/Client');
 const Therapist = require('../models/Therapist');
+const Goal = require('../models/Goal');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
 // @desc    Get all assignments for a client
 // @route   GET /api/assignments
 // @access  Private
 const getAssignments = asyncHandler(async (req, res) => {
-  const { clientId, therapistId, completed, overdue } = req.query;
+  const { clientId, therapistId, goalId, completed, overdue } = req.query;
   const userId = req.user._id;
 
   const filter = {};
@@ -40,6 +41,10 @@ const getAssignments = asyncHandler(async (req, res) => {
     filter.therapistId = therapistId;
   }
 
+  if (goalId) {
+    filter.goalId = goalId;
+  }
+
   if (completed !== undefined) {
     filter.completed = completed === 'true';
   }
@@ -125,7 +130,7 @@ const getAssignment = asyncHandler(async (req, res) => {
 // @route   POST /api/assignments
 // @access  Private (Therapist)
 const createAssignment = asyncHandler(async (req, res) => {
-  const { clientId, goalId, title, description, type, dueDate, instructions, attachments } = req.body;
+  const { clientId, goalId, title, description, type, dueDate, instructions, attachments, practiceDaysPerWeek } = req.body;
 
   // Handle file uploads if any
   let attachmentData = attachments || [];
@@ -158,13 +163,21 @@ const createAssignment = asyncHandler(async (req, res) => {
   }
 
   // Verify client is assigned to this therapist
-  if (client.assignedTherapist && client.assignedTherapist.toString() !== therapist._id.toString()) {
+  if (!client.assignedTherapist || client.assignedTherapist.toString() !== therapist._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Client is not assigned to you',
     });
   }
 
+  // A linked goal must belong to the same client
+  if (goalId && !(await Goal.exists({ _id: goalId, clientId: client._id }))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Goal not found for this client',
+    });
+  }
+
   const assignment = await Assignment.create({
     clientId,
     therapistId: therapist._id,
@@ -173,6 +186,7 @@ const createAssignment = asyncHandler(async (req, res) => {
     description,
     type: type || 'daily-practice',
     dueDate,
+    practiceDaysPerWeek,
     instructions,
     attachments: attachmentData,
   });
@@ -233,6 +247,13 @@ const updateAssignment = asyncHandler(async (req, res) => {
     }
   }
 
+  if (req.body.goalId && !(await Goal.exists({ _id: req.body.goalId, clientId: assignment.clientId }))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Goal not found for this client',
+    });
+  }
+
   // If marking as completed, set completedAt
   if (req.body.completed === true && !assignment.completed) {
     req.body.completedAt = new Date();
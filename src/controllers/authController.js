@@ -4,12 +4,20 @@ const Client = require('../models/Client');
 const { generateAccessToken, generateRefreshToken } = require('../config/jwt');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const { sendEmail, emailTemplates } = require('../utils/emailService');
+const { isValidTimezone } = require('../utils/timezoneService');
 
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 const register = asyncHandler(async (req, res) => {
-  const { email, password, role, firstName, lastName, phone, ...additionalData } = req.body;
+  const { email, password, role, firstName, lastName, phone, timezone, ...additionalData } = req.body;
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid timezone. Use an IANA timezone name such as "America/New_York"',
+    });
+  }
 
   // Check if user exists
   const userExists = await User.findOne({ email });
@@ -28,6 +36,7 @@ const register = asyncHandler(async (req, res) => {
     firstName,
     lastName,
     phone,
+    timezone,
   });
 
   // Create role-specific profile
@@ -274,6 +283,32 @@ const getMe = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Update current user's timezone
+// @route   PUT /api/auth/timezone
+// @access  Private
+const updateTimezone = asyncHandler(async (req, res) => {
+  const { timezone } = req.body;
+
+  if (!isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid timezone. Use an IANA timezone name such as "America/New_York"',
+    });
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { timezone },
+    { new: true, runValidators: true }
+  );
+
+  res.json({
+    success: true,
+    message: 'Timezone updated successfully',
+    data: user,
+  });
+});
+
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
@@ -407,6 +442,7 @@ module.exports = {
   register,
   login,
   getMe,
+  updateTimezone,
   logout,
   refreshAccessToken,
   forgotPassword,
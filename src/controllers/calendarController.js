@@ -8,17 +8,14 @@ const {
   generateAppleCalendarIcs,
   createGoogleCalendarEvent,
   createOutlookCalendarEvent,
-  deleteCalendarEvent,
-  updateCalendarEvent,
 } = require('../utils/calendarService');
 const {
-  createCalendarEventFromSession,
-  updateCalendarEventFromSession,
-  deleteCalendarEventsForSession,
   getUserCalendarEvents,
   getUpcomingEvents,
   generateCalendarUrls,
 } = require('../utils/internalCalendarService');
+const { getSessionStart } = require('../utils/schedulingService');
+const { resolveTimezone } = require('../utils/timezoneService');
 
 // @desc    Get user's calendar events
 // @route   GET /api/calendar/events
@@ -86,7 +83,7 @@ const getCalendarEvent = asyncHandler(async (req, res) => {
 // @route   GET /api/calendar/status
 // @access  Private
 const getCalendarStatus = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id).select('calendarIntegration');
+  const user = await User.findById(req.user._id).select('calendarIntegration timezone');
 
   res.json({
     success: true,
@@ -215,10 +212,7 @@ const getCalendarEventUrl = asyncHandler(async (req, res) => {
   }
 
   // Calculate session times
-  const sessionStart = new Date(session.scheduledDate);
-  const [hours, minutes] = session.scheduledTime.replace(/[APM]/gi, '').split(':').map(Number);
-  const isPM = session.scheduledTime.toUpperCase().includes('PM');
-  sessionStart.setHours(isPM && hours !== 12 ? hours + 12 : hours === 12 && !isPM ? 0 : hours, minutes || 0, 0, 0);
+  const sessionStart = getSessionStart(session);
   
   const sessionEnd = new Date(sessionStart);
   sessionEnd.setMinutes(sessionEnd.getMinutes() + session.duration);
@@ -278,7 +272,7 @@ const syncSessionToCalendar = asyncHandler(async (req, res) => {
     });
   }
 
-  const user = await User.findById(req.user._id).select('calendarIntegration');
+  const user = await User.findById(req.user._id).select('calendarIntegration timezone');
 
   if (!user.calendarIntegration?.syncEnabled || !user.calendarIntegration?.accessToken) {
     return res.status(400).json({
@@ -288,10 +282,7 @@ const syncSessionToCalendar = asyncHandler(async (req, res) => {
   }
 
   // Calculate session times
-  const sessionStart = new Date(session.scheduledDate);
-  const [hours, minutes] = session.scheduledTime.replace(/[APM]/gi, '').split(':').map(Number);
-  const isPM = session.scheduledTime.toUpperCase().includes('PM');
-  sessionStart.setHours(isPM && hours !== 12 ? hours + 12 : hours === 12 && !isPM ? 0 : hours, minutes || 0, 0, 0);
+  const sessionStart = getSessionStart(session);
   
   const sessionEnd = new Date(sessionStart);
   sessionEnd.setMinutes(sessionEnd.getMinutes() + session.duration);
@@ -303,6 +294,7 @@ const syncSessionToCalendar = asyncHandler(async (req, res) => {
     endDate: sessionEnd,
     location: 'Online',
     meetingLink: session.meetingLink || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/video-call?sessionId=${session._id}`,
+    timezone: resolveTimezone(user.timezone),
   };
 
   const provider = user.calendarIntegration.provider;
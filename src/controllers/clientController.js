@@ -1,5 +1,4 @@
 const Client = require('../models/Client');
-const User = require('../models/User');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
 // @desc    Get all clients (for therapist)
@@ -121,37 +120,78 @@ const createOrUpdateClient = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Submit client intake form
-// @route   POST /api/clients/intake
+// Find the client's intake in progress and the form version it was started on, or the
+// current published form if they have not started one. Drafts stay on their version even
+// if a newer one is published meanwhile.
+const loadIntakeDraft = async (client) => {
+  const IntakeForm = require('../models/IntakeForm');
+  const IntakeSubmission = require('../models/IntakeSubmission');
+  const { CLIENT_INTAKE_FORM_KEY, getPublishedForm } = require('../utils/intakeFormService');
+
+  const submission = await IntakeSubmission.findOne({
+    clientId: client._id,
+    formKey: CLIENT_INTAKE_FORM_KEY,
+    status: 'in-progress',
+  });
+  const form = submission
+    ? await IntakeForm.findById(submission.formId)
+    : await getPublishedForm(CLIENT_INTAKE_FORM_KEY);
+
+  return { form, submission };
+};
+
+// Merge newly saved answers into a draft's answers; null clears an answer
+const mergeAnswers = (saved = {}, incoming = {}) => {
+  const merged = { ...saved, ...incoming };
+  for (const [questionId, value] of Object.entries(merged)) {
+    if (value === null) delete merged[questionId];
+  }
+  return merged;
+};
+
+// @desc    Get the intake form to fill in, with any answers saved so far
+// @route   GET /api/clients/intake/form
 // @access  Private (Client)
-const submitIntake = asyncHandler(async (req, res) => {
-  const userId = req.user._id;
-  const {
-    clientType,
-    primaryConcerns,
-    communicationConcerns,
-    stateOfResidence,
-    telehealthConsent,
-    additionalNotes,
-  } = req.body;
-
-  // Validate required fields
-  if (!clientType || !primaryConcerns || !stateOfResidence) {
-    return res.status(400).json({
+const getIntakeForm = asyncHandler(async (req, res) => {
+  const { getVisibleQuestionIds } = require('../utils/intakeFormService');
+
+  const client = await Client.findOne({ userId: req.user._id });
+  if (!client) {
+    return res.status(404).json({
       success: false,
-      message: 'Client type, primary concerns, and state of residence are required',
+      message: 'Client profile not found. Please complete account setup first.',
     });
   }
 
-  if (!telehealthConsent || !telehealthConsent.consented) {
-    return res.status(400).json({
+  const { form, submission } = await loadIntakeDraft(client);
+  if (!form) {
+    return res.status(404).json({
       success: false,
-      message: 'Telehealth consent is required',
+      message: 'No intake form is available right now',
     });
   }
 
-  let client = await Client.findOne({ userId });
+  const answers = submission?.answers || {};
+
+  res.json({
+    success: true,
+    data: {
+      form,
+      submission,
+      visibleQuestionIds: getVisibleQuestionIds(form, answers),
+    },
+  });
+});
+
+// @desc    Save intake answers without submitting, to resume later
+// @route   PUT /api/clients/intake/draft
+// @access  Private (Client)
+const saveIntakeDraft = asyncHandler(async (req, res) => {
+  const IntakeSubmission = require('../models/IntakeSubmission');
+  const { validateAnswers, getVisibleQuestionIds } = require('../utils/intakeFormService');
+  const { answers = {}, currentSectionId } = req.body;
 
+  const client = await Client.findOne({ userId: req.user._id });
   if (!client) {
     return res.status(404).json({
       success: false,
@@ -159,31 +199,101 @@ const submitIntake = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update intake information
-  client.intake = {
-    clientType,
-    primaryConcerns,
-    communicationConcerns: communicationConcerns || '',
-    stateOfResidence,
-    telehealthConsent: {
-      ...telehealthConsent,
-      consentDate: new Date(),
+  let { form, submission } = await loadIntakeDraft(client);
+  if (!form) {
+    return res.status(404).json({
+      success: false,
+      message: 'No intake form is available right now',
+    });
+  }
+
+  const result = validateAnswers(form, mergeAnswers(submission?.answers, answers), { partial: true });
+  if (result.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some answers are not valid',
+      errors: result.errors,
+    });
+  }
+
+  if (!submission) {
+    submission = new IntakeSubmission({
+      clientId: client._id,
+      formId: form._id,
+      formKey: form.key,
+      formVersion: form.version,
+    });
+  }
+  submission.answers = result.answers;
+  submission.markModified('answers');
+  if (currentSectionId !== undefined) submission.currentSectionId = currentSectionId;
+  submission.lastSavedAt = new Date();
+  await submission.save();
+
+  res.json({
+    success: true,
+    message: 'Intake progress saved',
+    data: {
+      submission,
+      visibleQuestionIds: getVisibleQuestionIds(form, result.answers),
     },
-    additionalNotes: additionalNotes || '',
-    intakeCompleted: true,
-    completedAt: new Date(),
-  };
+  });
+});
 
-  // Also update address state if provided
-  if (stateOfResidence && !client.address?.state) {
-    if (!client.address) {
-      client.address = {};
-    }
-    client.address.state = stateOfResidence;
+// @desc    Submit client intake form
+// @route   POST /api/clients/intake
+// @access  Private (Client)
+const submitIntake = asyncHandler(async (req, res) => {
+  const IntakeSubmission = require('../models/IntakeSubmission');
+  const { validateAnswers, applyAnswersToClient } = require('../utils/intakeFormService');
+  const { answers = {} } = req.body;
+
+  const client = await Client.findOne({ userId: req.user._id });
+  if (!client) {
+    return res.status(404).json({
+      success: false,
+      message: 'Client profile not found. Please complete account setup first.',
+    });
+  }
+
+  let { form, submission } = await loadIntakeDraft(client);
+  if (!form) {
+    return res.status(404).json({
+      success: false,
+      message: 'No intake form is available right now',
+    });
   }
 
+  const result = validateAnswers(form, mergeAnswers(submission?.answers, answers));
+  if (result.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: result.errors[0].message,
+      errors: result.errors,
+    });
+  }
+
+  if (!submission) {
+    submission = new IntakeSubmission({
+      clientId: client._id,
+      formId: form._id,
+      formKey: form.key,
+      formVersion: form.version,
+    });
+  }
+
+  const submittedAt = new Date();
+  applyAnswersToClient(client, form, result.answers, submittedAt);
   await client.save();
 
+  submission.answers = result.answers;
+  submission.markModified('answers');
+  submission.status = 'submitted';
+  submission.submittedAt = submittedAt;
+  submission.submittedBy = req.user._id;
+  submission.lastSavedAt = submittedAt;
+  await submission.save();
+
   const updatedClient = await Client.findById(client._id)
     .populate('userId', 'firstName lastName email avatar phone');
 
@@ -198,6 +308,9 @@ const submitIntake = asyncHandler(async (req, res) => {
 // @route   GET /api/clients/intake/status
 // @access  Private (Client)
 const getIntakeStatus = asyncHandler(async (req, res) => {
+  const IntakeSubmission = require('../models/IntakeSubmission');
+  const { CLIENT_INTAKE_FORM_KEY } = require('../utils/intakeFormService');
+
   const userId = req.user._id;
   const client = await Client.findOne({ userId });
 
@@ -208,15 +321,51 @@ const getIntakeStatus = asyncHandler(async (req, res) => {
     });
   }
 
+  const [inProgress, lastSubmission] = await Promise.all([
+    IntakeSubmission.findOne({ clientId: client._id, formKey: CLIENT_INTAKE_FORM_KEY, status: 'in-progress' })
+      .select('formVersion currentSectionId lastSavedAt'),
+    IntakeSubmission.findOne({ clientId: client._id, formKey: CLIENT_INTAKE_FORM_KEY, status: 'submitted' })
+      .select('formVersion submittedAt')
+      .sort({ submittedAt: -1 }),
+  ]);
+
   res.json({
     success: true,
     data: {
       intakeCompleted: client.intake?.intakeCompleted || false,
       intake: client.intake || null,
+      inProgress,
+      lastSubmission,
     },
   });
 });
 
+// @desc    Get a client's intake submissions, each with the form version it was answered on
+// @route   GET /api/clients/:id/intake-submissions
+// @access  Private
+const getIntakeSubmissions = asyncHandler(async (req, res) => {
+  const IntakeSubmission = require('../models/IntakeSubmission');
+  const { loadClientRecord } = require('../utils/clientAccessService');
+
+  const { client, status, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const submissions = await IntakeSubmission.find({ clientId: client._id, status: 'submitted' })
+    .populate('formId', 'key version title sections')
+    .sort({ submittedAt: -1 });
+
+  res.json({
+    success: true,
+    count: submissions.length,
+    data: submissions,
+  });
+});
+
 // @desc    Upload client document
 // @route   POST /api/clients/:id/documents
 // @access  Private
@@ -275,143 +424,32 @@ const uploadDocument = asyncHandler(async (req, res) => {
     fileSize: fileSize || 0,
     mimeType: mimeType || 'application/octet-stream',
     ocrProcessed: false,
+    processingStatus: 'queued',
   };
 
-  // Add document to client first
   client.documents.push(newDocument);
   await client.save();
 
-  // Get the newly created document ID
+  // Searchable by file name and notes straight away; the job re-indexes it once processed
+  const { indexClientDocument } = require('../utils/documentSearchService');
   const savedDocument = client.documents[client.documents.length - 1];
-  const documentId = savedDocument._id;
-
-  // Process OCR and AI Analysis asynchronously
-  // This allows the response to return quickly while processing happens in background
-  const processDocumentAsync = async () => {
-    try {
-      const { processDocumentOCR } = require('../utils/ocrService');
-      const { analyzeDocument } = require('../utils/aiDocumentAnalysis');
-      const path = require('path');
-
-      // Get local file path (file is already saved by multer)
-      // Multer provides file.path which is the full path to the saved file
-      const localFilePath = file.path;
-
-      console.log(`Starting OCR processing for document: ${documentId}`);
-      console.log(`File path: ${localFilePath}`);
-      console.log(`File exists: ${require('fs').existsSync(localFilePath)}`);
-
-      // Process OCR with local file path
-      const ocrResult = await processDocumentOCR({
-        filePath: localFilePath,
-        mimeType: mimeType || 'application/octet-stream',
-        pdfType: pdfType, // 'text' or 'image' for PDFs
-      });
-
-      console.log(`OCR Result:`, {
-        success: ocrResult.success,
-        textLength: ocrResult.extractedText?.length || 0,
-        confidence: ocrResult.confidence,
-        error: ocrResult.error,
-      });
-
-      // Update the document in the database with OCR results
-      const updatedClient = await Client.findById(req.params.id);
-      const document = updatedClient.documents.id(documentId);
-
-      if (!document) {
-        console.error(`Document ${documentId} not found in client ${req.params.id}`);
-        return;
-      }
-
-      if (ocrResult.success && ocrResult.extractedText) {
-        document.extractedText = ocrResult.extractedText;
-        document.ocrProcessed = true;
-        document.ocrConfidence = ocrResult.confidence;
-        await updatedClient.save();
-        console.log(`OCR results saved for document: ${documentId}`);
-
-        // Process AI Analysis if OCR was successful and has text
-        if (ocrResult.extractedText.trim().length > 0) {
-          console.log(`Starting AI analysis for document: ${documentId}`);
-          try {
-            const analysisResult = await analyzeDocument(ocrResult.extractedText, type);
-            
-            console.log(`AI Analysis Result:`, {
-              success: analysisResult.success,
-              hasAnalysis: !!analysisResult.analysis,
-              error: analysisResult.error,
-            });
-
-            if (analysisResult.success && analysisResult.analysis) {
-              // Ensure dates are properly serialized
-              const analysisData = {
-                ...analysisResult.analysis,
-                importantDates: analysisResult.analysis.importantDates?.map(item => ({
-                  date: item.date instanceof Date ? item.date.toISOString() : item.date,
-                  description: item.description,
-                })) || [],
-                analyzedAt: new Date(),
-              };
-
-              document.aiAnalysis = analysisData;
-              await updatedClient.save();
-              console.log(`✅ AI analysis results saved for document: ${documentId}`);
-              console.log(`   Summary: ${(analysisData.summary || '').substring(0, 100)}...`);
-              console.log(`   Key points: ${analysisData.keyPoints.length}`);
-              console.log(`   Dates: ${analysisData.importantDates.length}`);
-              console.log(`   Diagnoses: ${analysisData.diagnoses.length}`);
-              console.log(`   Recommendations: ${analysisData.recommendations.length}`);
-            } else {
-              console.warn(`AI analysis failed for document ${documentId}:`, analysisResult.error);
-              // Mark OCR as processed even if AI fails
-              document.ocrProcessed = true;
-              await updatedClient.save();
-            }
-          } catch (aiError) {
-            console.error(`AI analysis error for document ${documentId}:`, aiError);
-            // Mark OCR as processed even if AI fails
-            document.ocrProcessed = true;
-            await updatedClient.save();
-          }
-        } else {
-          console.warn(`No text extracted from document ${documentId}, skipping AI analysis`);
-          document.ocrProcessed = true;
-          await updatedClient.save();
-        }
-      } else {
-        // OCR failed - mark as processed but log error
-        console.error(`OCR failed for document ${documentId}:`, ocrResult.error);
-        document.ocrProcessed = true; // Mark as processed to stop showing "processing"
-        document.ocrError = ocrResult.error;
-        await updatedClient.save();
-      }
-    } catch (error) {
-      console.error('Error processing document OCR/AI:', error);
-      // Try to mark document as processed to prevent infinite "processing" state
-      try {
-        const updatedClient = await Client.findById(req.params.id);
-        const document = updatedClient.documents.id(documentId);
-        if (document) {
-          document.ocrProcessed = true;
-          document.ocrError = error.message || 'Processing failed';
-          await updatedClient.save();
-        }
-      } catch (saveError) {
-        console.error('Failed to update document error status:', saveError);
-      }
-    }
-  };
-
-  // Start async processing (don't await - let it run in background)
-  processDocumentAsync();
+  await indexClientDocument(client._id, savedDocument);
+
+  // OCR and AI analysis run from the document queue so large files don't hold up the request
+  const { enqueueDocumentJob } = require('../utils/documentJobService');
+  await enqueueDocumentJob({
+    client,
+    document: savedDocument,
+    pdfType,
+    requestedBy: req.user._id,
+  });
 
   // Notify assigned therapist if document is uploaded
   if (client.assignedTherapist) {
     const Therapist = require('../models/Therapist');
     const therapist = await Therapist.findById(client.assignedTherapist).populate('userId');
     if (therapist && therapist.userId) {
-      const { sendEmail, emailTemplates } = require('../utils/emailService');
+      const { sendEmail } = require('../utils/emailService');
       await sendEmail({
         to: therapist.userId.email,
         subject: `New Document Uploaded - ${client.userId.firstName} ${client.userId.lastName}`,
@@ -430,7 +468,7 @@ const uploadDocument = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    message: 'Document uploaded successfully',
+    message: 'Document uploaded successfully. Processing has been queued.',
     data: client,
   });
 });
@@ -489,6 +527,16 @@ const deleteDocument = asyncHandler(async (req, res) => {
 
   await client.save();
 
+  // Nothing left to process; a job already running fails when it can't find the document
+  const DocumentJob = require('../models/DocumentJob');
+  await DocumentJob.updateMany(
+    { clientId: client._id, documentId: req.params.docId, status: 'queued' },
+    { $set: { status: 'failed', lastError: 'Document was deleted', completedAt: new Date() } }
+  );
+
+  const { removeDocumentFromIndex } = require('../utils/documentSearchService');
+  await removeDocumentFromIndex(req.params.docId);
+
   res.json({
     success: true,
     message: 'Document deleted successfully',
@@ -496,6 +544,177 @@ const deleteDocument = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Re-run OCR and/or AI analysis on an existing document
+// @route   POST /api/clients/:id/documents/:docId/reprocess
+// @access  Private (Therapist, Admin)
+const reprocessDocument = asyncHandler(async (req, res) => {
+  const { loadClientRecord } = require('../utils/clientAccessService');
+  const { enqueueDocumentJob } = require('../utils/documentJobService');
+
+  const { client, status, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const document = client.documents.id(req.params.docId);
+  if (!document) {
+    return res.status(404).json({
+      success: false,
+      message: 'Document not found',
+    });
+  }
+
+  // Re-analyze the text already extracted unless a fresh OCR pass is asked for
+  const mode = req.body.mode || (document.extractedText ? 'analysis' : 'full');
+  if (!['full', 'analysis'].includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      message: 'mode must be full (OCR and analysis) or analysis',
+    });
+  }
+  if (mode === 'analysis' && !document.extractedText?.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Document has no extracted text to analyze. Re-run with mode full.',
+    });
+  }
+
+  const { job, existing } = await enqueueDocumentJob({
+    client,
+    document,
+    mode,
+    pdfType: req.body.pdfType,
+    requestedBy: req.user._id,
+  });
+
+  res.status(existing ? 200 : 202).json({
+    success: true,
+    message: existing ? 'Document is already being processed' : 'Document queued for processing',
+    data: job,
+  });
+});
+
+// @desc    Get a document's processing jobs, newest first
+// @route   GET /api/clients/:id/documents/:docId/jobs
+// @access  Private
+const getDocumentJobs = asyncHandler(async (req, res) => {
+  const DocumentJob = require('../models/DocumentJob');
+  const { loadClientRecord } = require('../utils/clientAccessService');
+
+  const { client, status, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const jobs = await DocumentJob.find({ clientId: client._id, documentId: req.params.docId })
+    .select('-notifyUserIds')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: jobs.length,
+    data: jobs,
+  });
+});
+
+// @desc    Search documents across the therapist's caseload, most relevant first
+// @route   GET /api/clients/documents/search
+// @access  Private (Therapist, Admin)
+const searchCaseloadDocuments = asyncHandler(async (req, res) => {
+  const { q, type, dateFrom, dateTo, hasAnalysis, clientId, sort, page, limit } = req.query;
+  const { searchDocuments: runDocumentSearch } = require('../utils/documentSearchService');
+
+  if (!q || !q.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Search query (q) is required',
+    });
+  }
+
+  // Therapists search the clients assigned to them; admins search everyone
+  let clientIds = null;
+  if (req.user.role === 'therapist') {
+    const Therapist = require('../models/Therapist');
+    const therapist = await Therapist.findOne({ userId: req.user._id });
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist profile not found',
+      });
+    }
+    clientIds = (await Client.find({ assignedTherapist: therapist._id }).select('_id')).map(client => client._id);
+  }
+
+  if (clientId) {
+    const mongoose = require('mongoose');
+    if (!mongoose.Types.ObjectId.isValid(clientId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid clientId format',
+      });
+    }
+    if (clientIds && !clientIds.some(id => id.toString() === clientId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Client is not assigned to you',
+      });
+    }
+    clientIds = [clientId];
+  }
+
+  const documentTypes = Client.schema.path('documents').schema.path('type').enumValues;
+  const types = type ? type.split(',').map(value => value.trim()).filter(Boolean) : [];
+  const unknownTypes = types.filter(value => !documentTypes.includes(value));
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown document type: ${unknownTypes.join(', ')}. Expected one of: ${documentTypes.join(', ')}`,
+    });
+  }
+
+  const from = dateFrom ? new Date(dateFrom) : undefined;
+  const to = dateTo ? new Date(dateTo) : undefined;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return res.status(400).json({
+      success: false,
+      message: 'dateFrom and dateTo must be valid dates',
+    });
+  }
+  // A bare date for dateTo includes that whole day
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(dateTo)) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+
+  const result = await runDocumentSearch({
+    clientIds,
+    query: q,
+    types,
+    dateFrom: from,
+    dateTo: to,
+    hasAnalysis: hasAnalysis === 'true',
+    sort: sort === 'date' ? 'date' : 'relevance',
+    page,
+    limit,
+  });
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      message: result.error,
+    });
+  }
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
 // @desc    Get therapy history timeline
 // @route   GET /api/clients/:id/timeline
 // @access  Private
@@ -696,17 +915,57 @@ const searchDocuments = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get a client's standardized assessment history, ?testId= to follow one test over time
+// @route   GET /api/clients/:id/assessments
+// @access  Private
+const getClientAssessments = asyncHandler(async (req, res) => {
+  const AssessmentResult = require('../models/AssessmentResult');
+  const { loadClientRecord } = require('../utils/clientAccessService');
+
+  const { client, status, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const filter = { clientId: client._id };
+  if (req.query.testId) filter.testId = req.query.testId;
+
+  const assessments = await AssessmentResult.find(filter)
+    .populate({
+      path: 'therapistId',
+      select: 'userId credentials',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    })
+    .sort({ administeredAt: -1 });
+
+  res.json({
+    success: true,
+    count: assessments.length,
+    data: assessments,
+  });
+});
+
 module.exports = {
   getClients,
   getClient,
   getMyProfile,
   createOrUpdateClient,
+  getIntakeForm,
+  saveIntakeDraft,
   submitIntake,
   getIntakeStatus,
+  getIntakeSubmissions,
   uploadDocument,
+  reprocessDocument,
+  getDocumentJobs,
   getDocuments,
   deleteDocument,
   getTherapyTimeline,
   searchDocuments,
+  searchCaseloadDocuments,
+  getClientAssessments,
 };
 
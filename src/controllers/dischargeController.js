@@ -0,0 +1,297 @@
+const dayjs = require('dayjs');
+const Discharge = require('../models/Discharge');
+const Therapist = require('../models/Therapist');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { notifyUser } = require('../utils/notificationService');
+const { loadClientRecord } = require('../utils/clientAccessService');
+const {
+  getEpisodeStart,
+  closeOpenGoals,
+  cancelUpcomingSessions,
+  closeSchedulingRequests,
+  compileDischargeSummary,
+  renderDischargeSummaryHtml,
+  renderDischargeSummaryPdf,
+  fileDischargeDocument,
+} = require('../utils/dischargeService');
+
+const GOAL_OUTCOMES = ['completed', 'discontinued'];
+const EXPORT_FORMATS = ['html', 'pdf'];
+
+const populateTherapist = {
+  path: 'therapistId',
+  select: 'userId credentials',
+  populate: { path: 'userId', select: 'firstName lastName' }
+};
+
+// @desc    Discharge a client: close open goals, cancel upcoming sessions, take them off the
+//          waitlist, unassign the therapist and file a discharge summary
+// @route   POST /api/clients/:id/discharge
+// @access  Private (Therapist, Admin)
+const dischargeClient = asyncHandler(async (req, res) => {
+  const { reason, reasonNotes, clinicalSummary, recommendations, goals = [] } = req.body;
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (client.status === 'discharged') {
+    // The client was saved but the discharge record was not marked complete; finish it
+    const unfinished = await Discharge.findOne({ clientId: client._id, status: 'pending', documentId: { $exists: true } });
+    if (unfinished) {
+      unfinished.status = 'complete';
+      await unfinished.save();
+      return res.json({
+        success: true,
+        message: 'Client discharged',
+        data: unfinished,
+      });
+    }
+
+    return res.status(400).json({
+      success: false,
+      message: 'Client is already discharged',
+    });
+  }
+
+  if (!Array.isArray(goals) || goals.some(entry => !entry?.goalId || !GOAL_OUTCOMES.includes(entry.status))) {
+    return res.status(400).json({
+      success: false,
+      message: `goals must be a list of { goalId, status } with status ${GOAL_OUTCOMES.join(' or ')}`,
+    });
+  }
+
+  // The discharge is recorded before anything on the record changes. Every step below can run
+  // again, so a discharge interrupted part way is finished by asking again.
+  let discharge = await Discharge.findOne({ clientId: client._id, status: 'pending' });
+  if (discharge) {
+    discharge.reason = reason;
+    discharge.reasonNotes = reasonNotes;
+    discharge.dischargedBy = req.user._id;
+  } else {
+    discharge = new Discharge({
+      clientId: client._id,
+      therapistId: client.assignedTherapist,
+      reason,
+      reasonNotes,
+      episodeStart: await getEpisodeStart(client),
+      dischargedAt: new Date(),
+      dischargedBy: req.user._id,
+      status: 'pending',
+    });
+  }
+  await discharge.save();
+  const { dischargedAt } = discharge;
+
+  const statusReason = `Client discharged: ${reasonNotes || reason}`;
+  const outcomes = Object.fromEntries(goals.map(entry => [entry.goalId.toString(), entry.status]));
+  const closedGoals = await closeOpenGoals(client._id, outcomes, req.user, statusReason);
+  const cancelledSessions = await cancelUpcomingSessions(client._id, {
+    user: req.user,
+    role: req.user.role === 'admin' ? 'admin' : 'therapist',
+    reason: statusReason,
+  });
+  await closeSchedulingRequests(client._id);
+
+  discharge.summary = {
+    ...(await compileDischargeSummary(client, discharge.episodeStart, dischargedAt)),
+    clinicalSummary,
+    recommendations,
+  };
+  discharge.cancelledSessionIds = [
+    ...new Set([...discharge.cancelledSessionIds, ...cancelledSessions.map(session => session._id)].map(id => id.toString())),
+  ];
+
+  // Plans of care end with the episode
+  const PlanOfCare = require('../models/PlanOfCare');
+  await PlanOfCare.updateMany(
+    { clientId: client._id, status: { $in: ['draft', 'active'] } },
+    { $set: { status: 'discontinued', discontinuedAt: dischargedAt, discontinueReason: 'Client discharged' } }
+  );
+
+  await client.populate('userId', 'firstName lastName');
+  const therapist = discharge.therapistId && await Therapist.findById(discharge.therapistId).populate('userId', 'firstName lastName');
+  const document = fileDischargeDocument(
+    client,
+    renderDischargeSummaryPdf(discharge, client, therapist),
+    `${req.protocol}://${req.get('host')}`,
+    dischargedAt
+  );
+  discharge.documentId = document._id;
+  await discharge.save();
+
+  if (client.assignedTherapist) {
+    await Therapist.updateOne({ _id: client.assignedTherapist }, { $pull: { activeClients: client._id } });
+  }
+  client.assignedTherapist = undefined;
+  client.status = 'discharged';
+  client.dischargedAt = dischargedAt;
+  await client.save();
+
+  const { indexClientDocument } = require('../utils/documentSearchService');
+  await indexClientDocument(client._id, document);
+
+  discharge.status = 'complete';
+  await discharge.save();
+
+  await notifyUser(client.userId._id, {
+    type: 'general',
+    title: 'Discharged from Therapy',
+    message: 'Your episode of care has ended. Your discharge summary is available in your documents.',
+    link: `/documents/${document._id}`,
+    metadata: { dischargeId: discharge._id },
+  }, { email: true });
+
+  res.json({
+    success: true,
+    message: `Client discharged. ${closedGoals.length} goal(s) closed and ${cancelledSessions.length} upcoming session(s) cancelled.`,
+    data: discharge,
+  });
+});
+
+// @desc    Get a client's discharges (one per ended episode of care)
+// @route   GET /api/clients/:id/discharges
+// @access  Private
+const getDischarges = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const discharges = await Discharge.find({ clientId: client._id, status: { $ne: 'pending' } })
+    .populate(populateTherapist)
+    .sort({ dischargedAt: -1 });
+
+  res.json({
+    success: true,
+    count: discharges.length,
+    data: discharges,
+  });
+});
+
+// @desc    Export a discharge summary
+// @route   GET /api/clients/:id/discharges/:dischargeId/summary?format=html|pdf
+// @access  Private
+const exportDischargeSummary = asyncHandler(async (req, res) => {
+  const { format = 'pdf' } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+    });
+  }
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const discharge = await Discharge.findOne({
+    _id: req.params.dischargeId,
+    clientId: client._id,
+    status: { $ne: 'pending' },
+  }).populate(populateTherapist);
+  if (!discharge) {
+    return res.status(404).json({
+      success: false,
+      message: 'Discharge not found',
+    });
+  }
+
+  await client.populate('userId', 'firstName lastName');
+  const fileName = `discharge-summary-${dayjs(discharge.dischargedAt).format('YYYY-MM-DD')}.${format}`;
+
+  if (format === 'html') {
+    res.type('html');
+    res.set('Content-Disposition', `inline; filename="${fileName}"`);
+    return res.send(renderDischargeSummaryHtml(discharge, client, discharge.therapistId));
+  }
+
+  res.type('pdf');
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(renderDischargeSummaryPdf(discharge, client, discharge.therapistId));
+});
+
+// @desc    Readmit a discharged client, assigning a therapist. Their earlier history stays on the record.
+// @route   POST /api/clients/:id/readmit
+// @access  Private (Therapist, Admin)
+const readmitClient = asyncHandler(async (req, res) => {
+  if (!['therapist', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  // Discharged clients have no assigned therapist, so read access here means an admin or the
+  // therapist they were discharged from
+  const { client, therapist, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (client.status !== 'discharged') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only discharged clients can be readmitted',
+    });
+  }
+
+  // Therapists readmit clients to their own caseload; admins choose the therapist
+  const assignedTherapist = therapist || (req.body.therapistId && await Therapist.findById(req.body.therapistId));
+  if (req.body.therapistId && !assignedTherapist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Therapist not found',
+    });
+  }
+
+  const discharge = await Discharge.findOne({ clientId: client._id, status: { $ne: 'pending' } }).sort({ dischargedAt: -1 });
+  if (discharge) {
+    discharge.readmittedAt = new Date();
+    discharge.readmittedBy = req.user._id;
+    await discharge.save();
+  }
+
+  client.status = 'active';
+  client.dischargedAt = undefined;
+  if (assignedTherapist) {
+    client.assignedTherapist = assignedTherapist._id;
+    await Therapist.updateOne({ _id: assignedTherapist._id }, { $addToSet: { activeClients: client._id } });
+  }
+  await client.save();
+
+  await notifyUser(client.userId, {
+    type: 'general',
+    title: 'Welcome Back',
+    message: 'You have been readmitted for therapy services. Your therapist will be in touch to plan your sessions.',
+    link: '/dashboard',
+  });
+
+  res.json({
+    success: true,
+    message: assignedTherapist ? 'Client readmitted' : 'Client readmitted. Assign a therapist to start booking sessions.',
+    data: client,
+  });
+});
+
+module.exports = {
+  dischargeClient,
+  getDischarges,
+  exportDischargeSummary,
+  readmitClient,
+};
@@ -5,7 +5,6 @@ const User = require('../models/User');
 const Subscription = require('../models/Subscription');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const { generateJitsiRoomName } = require('../utils/jitsiService');
-const { createCalendarEventFromSession } = require('../utils/internalCalendarService');
 
 // @desc    Get all family coaching sessions for a user
 // @route   GET /api/family-coaching
@@ -186,7 +185,7 @@ const createFamilyCoachingSession = asyncHandler(async (req, res) => {
       });
     }
 
-    if (client.assignedTherapist && client.assignedTherapist.toString() !== therapist._id.toString()) {
+    if (!client.assignedTherapist || client.assignedTherapist.toString() !== therapist._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Client is not assigned to you',
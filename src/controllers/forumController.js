@@ -1,6 +1,5 @@
 const ForumPost = require('../models/ForumPost');
 const ForumReply = require('../models/ForumReply');
-const User = require('../models/User');
 const { asyncHandler } = require('../middlewares/errorHandler');
 
 // @desc    Get all forum posts
@@ -0,0 +1,418 @@
+const Goal = require('../models/Goal');
+const Assignment = require('../models/Assignment');
+const Session = require('../models/Session');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { notifyUser } = require('../utils/notificationService');
+const { loadClientRecord } = require('../utils/clientAccessService');
+const { buildGoalProgress } = require('../utils/goalProgressService');
+
+const GOAL_STATUSES = ['active', 'on-hold', 'discontinued', 'completed'];
+
+// Statuses that need a reason, so the record shows why therapy on the goal stopped
+const STATUSES_REQUIRING_REASON = ['on-hold', 'discontinued'];
+
+const UPDATABLE_GOAL_FIELDS = ['title', 'description', 'category', 'targetDate', 'progress', 'baseline', 'measurementCriteria', 'baselineAccuracy', 'masteryCriteria'];
+
+const populateGoal = (query) => {
+  return query
+    .populate({
+      path: 'therapistId',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    })
+    .populate('statusHistory.changedBy', 'firstName lastName role');
+};
+
+// @desc    Get a client's goals
+// @route   GET /api/clients/:id/goals
+// @access  Private
+const getGoals = asyncHandler(async (req, res) => {
+  const { status, category } = req.query;
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const filter = { clientId: client._id };
+  if (status) filter.status = status;
+  if (category) filter.category = category;
+
+  const goals = await populateGoal(Goal.find(filter))
+    .sort({ status: 1, targetDate: 1 });
+
+  res.json({
+    success: true,
+    data: goals.map(goal => goal.toObject({ virtuals: true })),
+  });
+});
+
+// @desc    Get a goal with the assignments and sessions linked to it
+// @route   GET /api/clients/:id/goals/:goalId
+// @access  Private
+const getGoal = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const goal = await populateGoal(Goal.findOne({ _id: req.params.goalId, clientId: client._id }));
+  if (!goal) {
+    return res.status(404).json({
+      success: false,
+      message: 'Goal not found',
+    });
+  }
+
+  const [assignments, sessions] = await Promise.all([
+    Assignment.find({ goalId: goal._id })
+      .select('title type dueDate completed completedAt')
+      .sort({ dueDate: -1 }),
+    Session.find({ goalIds: goal._id })
+      .select('scheduledDate scheduledTime startsAt status sessionType isGroup groupName')
+      .sort({ scheduledDate: -1 }),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...goal.toObject({ virtuals: true }),
+      assignments,
+      sessions,
+    },
+  });
+});
+
+// @desc    Get a goal's trial data over time, compared with the baseline, and its mastery status
+// @route   GET /api/clients/:id/goals/:goalId/progress
+// @access  Private
+const getGoalProgress = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const goal = await Goal.findOne({ _id: req.params.goalId, clientId: client._id });
+  if (!goal) {
+    return res.status(404).json({
+      success: false,
+      message: 'Goal not found',
+    });
+  }
+
+  const progress = await buildGoalProgress(goal);
+
+  res.json({
+    success: true,
+    data: {
+      goalId: goal._id,
+      title: goal.title,
+      status: goal.status,
+      masteredAt: goal.masteredAt,
+      ...progress,
+    },
+  });
+});
+
+// @desc    Create a goal for a client
+// @route   POST /api/clients/:id/goals
+// @access  Private (Therapist, Admin)
+const createGoal = asyncHandler(async (req, res) => {
+  const { title, description, category, targetDate, baseline, measurementCriteria, baselineAccuracy, masteryCriteria, milestones, therapistId } = req.body;
+
+  const { client, therapist, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  // Admins create goals on behalf of the client's therapist
+  const goalTherapistId = therapist?._id || therapistId || client.assignedTherapist;
+  if (!goalTherapistId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Client has no assigned therapist. Provide therapistId.',
+    });
+  }
+
+  const goal = await Goal.create({
+    clientId: client._id,
+    therapistId: goalTherapistId,
+    title,
+    description,
+    category,
+    targetDate,
+    baseline,
+    measurementCriteria,
+    baselineAccuracy,
+    masteryCriteria,
+    milestones: Array.isArray(milestones)
+      ? milestones.map(milestone => ({
+        description: milestone.description,
+        targetDate: milestone.targetDate,
+        notes: milestone.notes,
+      }))
+      : [],
+    statusHistory: [{
+      from: null,
+      to: 'active',
+      reason: 'Goal created',
+      changedBy: req.user._id,
+    }],
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Goal created successfully',
+    data: goal.toObject({ virtuals: true }),
+  });
+});
+
+// @desc    Update a goal's details and progress
+// @route   PUT /api/clients/:id/goals/:goalId
+// @access  Private (Therapist, Admin)
+const updateGoal = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (req.body.status !== undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Use POST /api/clients/:id/goals/:goalId/status to change a goal\'s status',
+    });
+  }
+
+  const blocked = Object.keys(req.body).filter(field => !UPDATABLE_GOAL_FIELDS.includes(field));
+  if (blocked.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot update: ${blocked.join(', ')}`,
+    });
+  }
+
+  const goal = await Goal.findOne({ _id: req.params.goalId, clientId: client._id });
+  if (!goal) {
+    return res.status(404).json({
+      success: false,
+      message: 'Goal not found',
+    });
+  }
+
+  goal.set(req.body);
+  await goal.save();
+
+  res.json({
+    success: true,
+    message: 'Goal updated successfully',
+    data: goal.toObject({ virtuals: true }),
+  });
+});
+
+// @desc    Change a goal's status (active / on-hold / discontinued / completed)
+// @route   POST /api/clients/:id/goals/:goalId/status
+// @access  Private (Therapist, Admin)
+const updateGoalStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (!GOAL_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Status must be one of: ${GOAL_STATUSES.join(', ')}`,
+    });
+  }
+
+  if (STATUSES_REQUIRING_REASON.includes(status) && !reason?.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: `A reason is required to mark a goal ${status}`,
+    });
+  }
+
+  const goal = await Goal.findOne({ _id: req.params.goalId, clientId: client._id });
+  if (!goal) {
+    return res.status(404).json({
+      success: false,
+      message: 'Goal not found',
+    });
+  }
+
+  if (goal.status === status) {
+    return res.status(400).json({
+      success: false,
+      message: `Goal is already ${status}`,
+    });
+  }
+
+  goal.statusHistory.push({
+    from: goal.status,
+    to: status,
+    reason,
+    changedBy: req.user._id,
+  });
+  goal.status = status;
+
+  if (status === 'completed') {
+    goal.completedAt = new Date();
+    goal.progress = 100;
+  } else {
+    goal.completedAt = undefined;
+  }
+  await goal.save();
+
+  if (status === 'completed') {
+    await notifyUser(client.userId, {
+      type: 'goal-completed',
+      title: 'Goal Achieved',
+      message: `Congratulations! Your goal "${goal.title}" has been marked as achieved.`,
+      link: `/goals/${goal._id}`,
+      metadata: { goalId: goal._id },
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Goal marked ${status}`,
+    data: goal.toObject({ virtuals: true }),
+  });
+});
+
+// @desc    Add a milestone to a goal
+// @route   POST /api/clients/:id/goals/:goalId/milestones
+// @access  Private (Therapist, Admin)
+const addMilestone = asyncHandler(async (req, res) => {
+  const { description, targetDate, notes } = req.body;
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const goal = await Goal.findOne({ _id: req.params.goalId, clientId: client._id });
+  if (!goal) {
+    return res.status(404).json({
+      success: false,
+      message: 'Goal not found',
+    });
+  }
+
+  goal.milestones.push({ description, targetDate, notes });
+  await goal.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Milestone added',
+    data: goal.toObject({ virtuals: true }),
+  });
+});
+
+// @desc    Update a milestone or mark it complete
+// @route   PUT /api/clients/:id/goals/:goalId/milestones/:milestoneId
+// @access  Private (Therapist, Admin)
+const updateMilestone = asyncHandler(async (req, res) => {
+  const { description, targetDate, notes, completed } = req.body;
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const goal = await Goal.findOne({ _id: req.params.goalId, clientId: client._id });
+  const milestone = goal?.milestones.id(req.params.milestoneId);
+  if (!milestone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Milestone not found',
+    });
+  }
+
+  if (description !== undefined) milestone.description = description;
+  if (targetDate !== undefined) milestone.targetDate = targetDate;
+  if (notes !== undefined) milestone.notes = notes;
+
+  if (completed === true && !milestone.completed) {
+    milestone.completed = true;
+    milestone.completedDate = new Date();
+  } else if (completed === false) {
+    milestone.completed = false;
+    milestone.completedDate = undefined;
+  }
+  await goal.save();
+
+  res.json({
+    success: true,
+    message: milestone.completed ? 'Milestone completed' : 'Milestone updated',
+    data: goal.toObject({ virtuals: true }),
+  });
+});
+
+// @desc    Delete a goal and unlink its assignments and sessions
+// @route   DELETE /api/clients/:id/goals/:goalId
+// @access  Private (Therapist, Admin)
+const deleteGoal = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const goal = await Goal.findOneAndDelete({ _id: req.params.goalId, clientId: client._id });
+  if (!goal) {
+    return res.status(404).json({
+      success: false,
+      message: 'Goal not found',
+    });
+  }
+
+  await Promise.all([
+    Assignment.updateMany({ goalId: goal._id }, { $unset: { goalId: 1 } }),
+    Session.updateMany({ goalIds: goal._id }, { $pull: { goalIds: goal._id } }),
+  ]);
+
+  res.json({
+    success: true,
+    message: 'Goal deleted successfully',
+  });
+});
+
+module.exports = {
+  getGoals,
+  getGoal,
+  getGoalProgress,
+  createGoal,
+  updateGoal,
+  updateGoalStatus,
+  addMilestone,
+  updateMilestone,
+  deleteGoal,
+};
@@ -0,0 +1,238 @@
+const IntakeForm = require('../models/IntakeForm');
+const IntakeSubmission = require('../models/IntakeSubmission');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { logAdminAction, getClientIp, getUserAgent } = require('../utils/adminLogger');
+const { validateFormDefinition, getPublishedForm } = require('../utils/intakeFormService');
+
+const EDITABLE_FIELDS = ['title', 'description', 'sections', 'changeNotes'];
+
+// @desc    List intake form versions, newest first, ?key= for one form
+// @route   GET /api/admin/intake-forms
+// @access  Private (Admin)
+const getIntakeForms = asyncHandler(async (req, res) => {
+  // Make sure the built-in intake shows up before anyone has opened it
+  await getPublishedForm();
+
+  const filter = {};
+  if (req.query.key) filter.key = req.query.key;
+  if (req.query.status) filter.status = req.query.status;
+
+  const forms = await IntakeForm.find(filter)
+    .select('-sections')
+    .populate('publishedBy', 'firstName lastName')
+    .sort({ key: 1, version: -1 });
+
+  res.json({
+    success: true,
+    count: forms.length,
+    data: forms,
+  });
+});
+
+// @desc    Get one intake form version with its questions and submission count
+// @route   GET /api/admin/intake-forms/:formId
+// @access  Private (Admin)
+const getIntakeForm = asyncHandler(async (req, res) => {
+  const form = await IntakeForm.findById(req.params.formId)
+    .populate('createdBy publishedBy', 'firstName lastName');
+
+  if (!form) {
+    return res.status(404).json({
+      success: false,
+      message: 'Intake form not found',
+    });
+  }
+
+  const submissionCount = await IntakeSubmission.countDocuments({ formId: form._id, status: 'submitted' });
+
+  res.json({
+    success: true,
+    data: {
+      ...form.toObject(),
+      submissionCount,
+    },
+  });
+});
+
+// @desc    Start a new draft version of an intake form. Without sections, the draft copies
+//          the latest version so admins only edit what changed.
+// @route   POST /api/admin/intake-forms
+// @access  Private (Admin)
+const createIntakeForm = asyncHandler(async (req, res) => {
+  const { key } = req.body;
+
+  if (!key) {
+    return res.status(400).json({
+      success: false,
+      message: 'Form key is required',
+    });
+  }
+
+  const existingDraft = await IntakeForm.findOne({ key, status: 'draft' });
+  if (existingDraft) {
+    return res.status(409).json({
+      success: false,
+      message: `Version ${existingDraft.version} of this form is already a draft. Edit or publish it first.`,
+      data: { formId: existingDraft._id },
+    });
+  }
+
+  const latest = await IntakeForm.findOne({ key }).sort({ version: -1 });
+
+  const form = new IntakeForm({
+    key,
+    version: latest ? latest.version + 1 : 1,
+    title: latest?.title,
+    description: latest?.description,
+    sections: latest?.toObject().sections,
+    createdBy: req.user._id,
+  });
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) form[field] = req.body[field];
+  }
+  await form.save();
+
+  res.status(201).json({
+    success: true,
+    message: `Draft version ${form.version} created`,
+    data: form,
+  });
+});
+
+// @desc    Edit a draft intake form version. Published versions are frozen.
+// @route   PUT /api/admin/intake-forms/:formId
+// @access  Private (Admin)
+const updateIntakeForm = asyncHandler(async (req, res) => {
+  const form = await IntakeForm.findById(req.params.formId);
+
+  if (!form) {
+    return res.status(404).json({
+      success: false,
+      message: 'Intake form not found',
+    });
+  }
+
+  if (form.status !== 'draft') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only draft versions can be edited. Create a new version to make changes.',
+    });
+  }
+
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) form[field] = req.body[field];
+  }
+  await form.save();
+
+  res.json({
+    success: true,
+    message: 'Intake form updated',
+    data: {
+      ...form.toObject(),
+      problems: validateFormDefinition(form),
+    },
+  });
+});
+
+// @desc    Delete a draft intake form version
+// @route   DELETE /api/admin/intake-forms/:formId
+// @access  Private (Admin)
+const deleteIntakeForm = asyncHandler(async (req, res) => {
+  const form = await IntakeForm.findById(req.params.formId);
+
+  if (!form) {
+    return res.status(404).json({
+      success: false,
+      message: 'Intake form not found',
+    });
+  }
+
+  if (form.status !== 'draft') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only draft versions can be deleted',
+    });
+  }
+
+  await form.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Draft deleted',
+  });
+});
+
+// @desc    Publish a draft version. New intakes use it from now on; the previous version is
+//          retired, and intakes already in progress finish on the version they started.
+// @route   POST /api/admin/intake-forms/:formId/publish
+// @access  Private (Admin)
+const publishIntakeForm = asyncHandler(async (req, res) => {
+  const form = await IntakeForm.findById(req.params.formId);
+
+  if (!form) {
+    return res.status(404).json({
+      success: false,
+      message: 'Intake form not found',
+    });
+  }
+
+  if (form.status !== 'draft') {
+    return res.status(400).json({
+      success: false,
+      message: `Version ${form.version} is already ${form.status}`,
+    });
+  }
+
+  const problems = validateFormDefinition(form);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: problems[0],
+      errors: problems,
+    });
+  }
+
+  const publishedAt = new Date();
+  const previous = await IntakeForm.findOne({ key: form.key, status: 'published' });
+  if (previous) {
+    previous.status = 'retired';
+    previous.retiredAt = publishedAt;
+    await previous.save();
+  }
+
+  form.status = 'published';
+  form.publishedAt = publishedAt;
+  form.publishedBy = req.user._id;
+  await form.save();
+
+  await logAdminAction({
+    adminId: req.user._id,
+    action: 'intake_form_published',
+    targetType: 'system',
+    targetId: form._id,
+    targetName: `${form.title} v${form.version}`,
+    details: {
+      key: form.key,
+      version: form.version,
+      previousVersion: previous?.version,
+      changeNotes: form.changeNotes,
+    },
+    ipAddress: getClientIp(req),
+    userAgent: getUserAgent(req),
+  });
+
+  res.json({
+    success: true,
+    message: `Version ${form.version} published`,
+    data: form,
+  });
+});
+
+module.exports = {
+  getIntakeForms,
+  getIntakeForm,
+  createIntakeForm,
+  updateIntakeForm,
+  deleteIntakeForm,
+  publishIntakeForm,
+};
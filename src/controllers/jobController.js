@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { asyncHandler } = require('../middlewares/errorHandler');
+
+const DEFAULT_CRON_BATCH_SIZE = 5;
+
+// Scheduled calls carry "Authorization: Bearer <CRON_SECRET>" (Vercel Cron sends it itself)
+const isCronRequest = (req) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.get('authorization') || '');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// @desc    Work off due document OCR and AI analysis jobs. For serverless deployments, where no
+//          long-running worker drains the queue; called by Vercel Cron (see vercel.json).
+// @route   GET /api/jobs/documents
+// @access  Cron (Bearer CRON_SECRET)
+const runDocumentJobs = asyncHandler(async (req, res) => {
+  if (!isCronRequest(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  const { processDocumentJobs } = require('../utils/documentJobService');
+  // A few jobs per call keeps each run inside the function's time limit
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_CRON_BATCH_SIZE, 25);
+  const processed = await processDocumentJobs({ limit });
+
+  res.json({
+    success: true,
+    message: `Processed ${processed} document job(s)`,
+    data: { processed },
+  });
+});
+
+// @desc    Mark sessions nobody started as no-shows (see detectNoShows). Group sessions are
+//          skipped; their attendance is recorded per client.
+// @route   GET /api/jobs/no-shows
+// @access  Cron (Bearer CRON_SECRET)
+const runNoShowJobs = asyncHandler(async (req, res) => {
+  if (!isCronRequest(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  const { detectNoShows } = require('../utils/noShowService');
+  const marked = await detectNoShows();
+
+  res.json({
+    success: true,
+    message: `Marked ${marked} session(s) as no-show`,
+    data: { marked },
+  });
+});
+
+// @desc    Expire unclaimed waitlist offers and pass their slots to the next clients
+// @route   GET /api/jobs/waitlist-offers
+// @access  Cron (Bearer CRON_SECRET)
+const runWaitlistJobs = asyncHandler(async (req, res) => {
+  if (!isCronRequest(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  const { processExpiredOffers } = require('../utils/waitlistService');
+  await processExpiredOffers();
+
+  res.json({
+    success: true,
+    message: 'Expired waitlist offers processed',
+  });
+});
+
+// @desc    Alert SLPAs and supervisors whose supervision hours are behind this month
+// @route   GET /api/jobs/supervision-alerts
+// @access  Cron (Bearer CRON_SECRET)
+const runSupervisionJobs = asyncHandler(async (req, res) => {
+  if (!isCronRequest(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  const { checkSupervisionCompliance } = require('../utils/supervisionService');
+  const alerted = await checkSupervisionCompliance();
+
+  res.json({
+    success: true,
+    message: `Alerted ${alerted} SLPA(s)`,
+    data: { alerted },
+  });
+});
+
+// @desc    Expire lapsed plans of care and warn before active ones end
+// @route   GET /api/jobs/plan-of-care
+// @access  Cron (Bearer CRON_SECRET)
+const runPlanOfCareJobs = asyncHandler(async (req, res) => {
+  if (!isCronRequest(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  const { processPlanOfCareExpiry } = require('../utils/planOfCareService');
+  const { expired, warned } = await processPlanOfCareExpiry();
+
+  res.json({
+    success: true,
+    message: `Expired ${expired} plan(s) of care and sent ${warned} renewal warning(s)`,
+    data: { expired, warned },
+  });
+});
+
+module.exports = {
+  runDocumentJobs,
+  runNoShowJobs,
+  runWaitlistJobs,
+  runSupervisionJobs,
+  runPlanOfCareJobs,
+};
@@ -112,12 +112,6 @@ const getConversations = asyncHandler(async (req, res) => {
   } else if (req.user.role === 'therapist') {
     const therapist = await Therapist.findOne({ userId });
     if (therapist) {
-      // Check for support chat first
-      const supportUser = await User.findOne({ 
-        role: 'admin',
-        email: { $regex: /support/i }
-      });
-      
       // Get all admin users (for support chat)
       const adminUsers = await User.find({ role: 'admin' }).select('_id');
       const adminIds = adminUsers.map(u => u._id);
@@ -482,8 +476,6 @@ const deleteMessage = asyncHandler(async (req, res) => {
 // @route   GET /api/messages/admin/support-conversations
 // @access  Private/Admin
 const getSupportConversations = asyncHandler(async (req, res) => {
-  const adminId = req.user._id; // Use current admin's ID
-  
   // Verify admin role
   if (req.user.role !== 'admin') {
     return res.status(403).json({
@@ -574,8 +566,7 @@ const getSupportConversations = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const getAdminConversation = asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  const adminId = req.user._id; // Use current admin's ID
-  
+
   // Verify admin role
   if (req.user.role !== 'admin') {
     return res.status(403).json({
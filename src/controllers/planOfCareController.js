@@ -0,0 +1,453 @@
+const PlanOfCare = require('../models/PlanOfCare');
+const Goal = require('../models/Goal');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { notifyUser } = require('../utils/notificationService');
+const { loadClientRecord } = require('../utils/clientAccessService');
+
+const UPDATABLE_PLAN_FIELDS = ['diagnoses', 'procedures', 'frequency', 'durationWeeks', 'sessionMinutes', 'startDate', 'renewalDate', 'goalIds'];
+
+// Picks an ICD-10 code out of a free-text diagnosis such as "F80.0 Phonological disorder"
+const ICD10_IN_TEXT = /\b([A-TV-Z][0-9][0-9A-Z](?:\.[0-9A-Z]{1,4})?)\b/;
+
+const populatePlan = (query) => {
+  return query
+    .populate({
+      path: 'therapistId',
+      select: 'userId credentials licenseNumber',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    })
+    .populate('goalIds', 'title category status targetDate');
+};
+
+// Prefill a new plan's diagnoses from the client's recorded diagnoses
+const diagnosesFromClient = (client) => {
+  return (client.currentDiagnoses || []).reduce((diagnoses, entry) => {
+    const match = entry.toUpperCase().match(ICD10_IN_TEXT);
+    if (match) {
+      diagnoses.push({
+        code: match[1],
+        description: entry.replace(match[0], '').replace(/^[\s:-]+/, '').trim() || undefined,
+        primary: diagnoses.length === 0,
+      });
+    }
+    return diagnoses;
+  }, []);
+};
+
+// Check every linked goal belongs to the client
+const validateGoalIds = async (client, goalIds) => {
+  if (!goalIds?.length) return true;
+  const count = await Goal.countDocuments({ _id: { $in: goalIds }, clientId: client._id });
+  return count === new Set(goalIds.map(String)).size;
+};
+
+// Activate a fully signed plan: it replaces the client's current plan and diagnoses
+const activatePlan = async (plan, client) => {
+  await PlanOfCare.updateMany(
+    { clientId: client._id, status: 'active', _id: { $ne: plan._id } },
+    { $set: { status: 'superseded' } }
+  );
+
+  plan.status = 'active';
+  plan.activatedAt = new Date();
+
+  client.currentDiagnoses = plan.diagnoses.map(diagnosis =>
+    diagnosis.description ? `${diagnosis.code} ${diagnosis.description}` : diagnosis.code
+  );
+  await client.save();
+};
+
+// @desc    Get a client's plans of care
+// @route   GET /api/clients/:id/plans-of-care
+// @access  Private
+const getPlansOfCare = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const filter = { clientId: client._id };
+  if (status) filter.status = status;
+
+  const plans = await populatePlan(PlanOfCare.find(filter)).sort({ startDate: -1 });
+
+  res.json({
+    success: true,
+    count: plans.length,
+    data: plans,
+  });
+});
+
+// @desc    Get a single plan of care with its linked goals
+// @route   GET /api/clients/:id/plans-of-care/:planId
+// @access  Private
+const getPlanOfCare = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const plan = await populatePlan(PlanOfCare.findOne({ _id: req.params.planId, clientId: client._id }));
+  if (!plan) {
+    return res.status(404).json({
+      success: false,
+      message: 'Plan of care not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: plan,
+  });
+});
+
+// @desc    Draft a plan of care (diagnoses default to the client's current diagnoses)
+// @route   POST /api/clients/:id/plans-of-care
+// @access  Private (Therapist, Admin)
+const createPlanOfCare = asyncHandler(async (req, res) => {
+  const { therapistId } = req.body;
+
+  const { client, therapist, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  // Admins draft plans on behalf of the client's therapist
+  const planTherapistId = therapist?._id || therapistId || client.assignedTherapist;
+  if (!planTherapistId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Client has no assigned therapist. Provide therapistId.',
+    });
+  }
+
+  if (!(await validateGoalIds(client, req.body.goalIds))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Linked goals must belong to this client',
+    });
+  }
+
+  const fields = Object.fromEntries(
+    UPDATABLE_PLAN_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+  );
+  if (!fields.diagnoses) {
+    fields.diagnoses = diagnosesFromClient(client);
+  }
+
+  const plan = await PlanOfCare.create({
+    ...fields,
+    clientId: client._id,
+    therapistId: planTherapistId,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Draft plan of care created',
+    data: plan,
+  });
+});
+
+// @desc    Update a draft plan of care (clears any signatures already given)
+// @route   PUT /api/clients/:id/plans-of-care/:planId
+// @access  Private (Therapist, Admin)
+const updatePlanOfCare = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const plan = await PlanOfCare.findOne({ _id: req.params.planId, clientId: client._id });
+  if (!plan) {
+    return res.status(404).json({
+      success: false,
+      message: 'Plan of care not found',
+    });
+  }
+
+  if (plan.status !== 'draft') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only draft plans can be edited. Renew the plan to change it.',
+    });
+  }
+
+  if (!(await validateGoalIds(client, req.body.goalIds))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Linked goals must belong to this client',
+    });
+  }
+
+  for (const field of UPDATABLE_PLAN_FIELDS) {
+    if (req.body[field] !== undefined) {
+      plan[field] = req.body[field];
+    }
+  }
+
+  // Signatures cover the plan as it was signed
+  plan.therapistSignature = undefined;
+  plan.guardianSignature = undefined;
+  await plan.save();
+
+  res.json({
+    success: true,
+    message: 'Plan of care updated',
+    data: plan,
+  });
+});
+
+// @desc    Sign a draft plan of care. The plan's therapist signs as therapist; the client's
+//          account signs as guardian (name and relation typed in). Fully signed plans become active.
+// @route   POST /api/clients/:id/plans-of-care/:planId/sign
+// @access  Private (Therapist, Client)
+const signPlanOfCare = asyncHandler(async (req, res) => {
+  const { name, relation } = req.body;
+
+  const { client, therapist, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const plan = await PlanOfCare.findOne({ _id: req.params.planId, clientId: client._id });
+  if (!plan) {
+    return res.status(404).json({
+      success: false,
+      message: 'Plan of care not found',
+    });
+  }
+
+  if (plan.status !== 'draft') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only draft plans can be signed',
+    });
+  }
+
+  if (plan.diagnoses.length === 0 || plan.procedures.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Add at least one diagnosis and one procedure code before signing',
+    });
+  }
+
+  if (req.user.role === 'therapist') {
+    if (plan.therapistId.toString() !== therapist._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the plan\'s therapist can sign it',
+      });
+    }
+    plan.therapistSignature = {
+      signedBy: req.user._id,
+      name: `${req.user.firstName} ${req.user.lastName}`,
+      credentials: therapist.credentials,
+      licenseNumber: therapist.licenseNumber,
+      signedAt: new Date(),
+    };
+  } else if (req.user.role === 'client') {
+    if (!name?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type your full name to sign',
+      });
+    }
+    plan.guardianSignature = {
+      signedBy: req.user._id,
+      name: name.trim(),
+      relation: relation || (client.guardianName ? 'guardian' : 'self'),
+      signedAt: new Date(),
+    };
+  } else {
+    return res.status(403).json({
+      success: false,
+      message: 'Plans of care are signed by the therapist and the client or guardian',
+    });
+  }
+
+  const fullySigned = plan.therapistSignature?.signedAt && plan.guardianSignature?.signedAt;
+  if (fullySigned) {
+    await activatePlan(plan, client);
+  }
+  await plan.save();
+
+  // Let the other party know their signature is needed, or that the plan is in effect
+  if (!fullySigned && req.user.role === 'therapist') {
+    notifyUser(client.userId, {
+      type: 'general',
+      title: 'Plan of Care Ready to Sign',
+      message: `Your therapist has signed your plan of care (${plan.frequencyLabel}). Please review and sign it.`,
+      link: `/plans-of-care/${plan._id}`,
+    }, { email: true });
+  } else if (req.user.role === 'client') {
+    const Therapist = require('../models/Therapist');
+    const planTherapist = await Therapist.findById(plan.therapistId).select('userId');
+    if (planTherapist) {
+      notifyUser(planTherapist.userId, {
+        type: 'general',
+        title: fullySigned ? 'Plan of Care Active' : 'Plan of Care Signed by Client',
+        message: fullySigned
+          ? `${plan.guardianSignature.name} signed the plan of care. It is now active.`
+          : `${plan.guardianSignature.name} signed the plan of care. Add your signature to activate it.`,
+        link: `/clients/${client._id}/plans-of-care/${plan._id}`,
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    message: fullySigned ? 'Plan of care signed and active' : 'Signature recorded',
+    data: plan,
+  });
+});
+
+// @desc    Start a renewal: a new draft copied from the plan, starting the day after it ends
+// @route   POST /api/clients/:id/plans-of-care/:planId/renew
+// @access  Private (Therapist, Admin)
+const renewPlanOfCare = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const plan = await PlanOfCare.findOne({ _id: req.params.planId, clientId: client._id });
+  if (!plan) {
+    return res.status(404).json({
+      success: false,
+      message: 'Plan of care not found',
+    });
+  }
+
+  if (!['active', 'expired'].includes(plan.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only active or expired plans can be renewed',
+    });
+  }
+
+  const pending = await PlanOfCare.findOne({ previousPlanId: plan._id, status: { $in: ['draft', 'active'] } });
+  if (pending) {
+    return res.status(409).json({
+      success: false,
+      message: 'A renewal of this plan already exists',
+      data: { planId: pending._id, status: pending.status },
+    });
+  }
+
+  const nextStart = new Date(plan.endDate.getTime() + 1);
+  nextStart.setHours(0, 0, 0, 0);
+  const defaults = {
+    diagnoses: plan.diagnoses.map(({ code, description, primary }) => ({ code, description, primary })),
+    procedures: plan.procedures.map(({ code, description, unitsPerSession }) => ({ code, description, unitsPerSession })),
+    frequency: { sessions: plan.frequency.sessions, per: plan.frequency.per },
+    durationWeeks: plan.durationWeeks,
+    sessionMinutes: plan.sessionMinutes,
+    startDate: nextStart > new Date() ? nextStart : new Date(),
+    goalIds: plan.goalIds,
+  };
+
+  if (!(await validateGoalIds(client, req.body.goalIds))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Linked goals must belong to this client',
+    });
+  }
+
+  const fields = Object.fromEntries(
+    UPDATABLE_PLAN_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+  );
+
+  const renewal = await PlanOfCare.create({
+    ...defaults,
+    ...fields,
+    clientId: client._id,
+    therapistId: plan.therapistId,
+    previousPlanId: plan._id,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Renewal drafted. It takes effect once signed by the therapist and client.',
+    data: renewal,
+  });
+});
+
+// @desc    Discontinue a plan of care
+// @route   POST /api/clients/:id/plans-of-care/:planId/discontinue
+// @access  Private (Therapist, Admin)
+const discontinuePlanOfCare = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason?.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A reason is required to discontinue a plan of care',
+    });
+  }
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const plan = await PlanOfCare.findOne({ _id: req.params.planId, clientId: client._id });
+  if (!plan) {
+    return res.status(404).json({
+      success: false,
+      message: 'Plan of care not found',
+    });
+  }
+
+  if (!['draft', 'active'].includes(plan.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Plan is already ${plan.status}`,
+    });
+  }
+
+  plan.status = 'discontinued';
+  plan.discontinuedAt = new Date();
+  plan.discontinueReason = reason;
+  await plan.save();
+
+  res.json({
+    success: true,
+    message: 'Plan of care discontinued',
+    data: plan,
+  });
+});
+
+module.exports = {
+  getPlansOfCare,
+  getPlanOfCare,
+  createPlanOfCare,
+  updatePlanOfCare,
+  signPlanOfCare,
+  renewPlanOfCare,
+  discontinuePlanOfCare,
+};
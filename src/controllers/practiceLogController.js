@@ -0,0 +1,249 @@
+const Assignment = require('../models/Assignment');
+const PracticeLog = require('../models/PracticeLog');
+const Client = require('../models/Client');
+const Therapist = require('../models/Therapist');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { loadClientRecord } = require('../utils/clientAccessService');
+const { toDateKey } = require('../utils/timezoneService');
+const {
+  toPracticeDate,
+  getTodayKey,
+  getPracticeWindow,
+  computePracticeStats,
+  buildCarryoverSummary,
+} = require('../utils/homePracticeService');
+
+const LOG_FIELDS = ['durationMinutes', 'trials', 'caregiverAccuracy', 'notes'];
+const MAX_CARRYOVER_SESSIONS = 20;
+
+// Load an assignment the requester may see: the client it was set for, the therapist who set it, or an admin.
+// Also returns the client's timezone, which practice days are counted in.
+const loadPracticeAssignment = async (req) => {
+  const assignment = await Assignment.findById(req.params.id);
+  if (!assignment) {
+    return { status: 404, message: 'Assignment not found' };
+  }
+
+  if (req.user.role === 'client') {
+    const client = await Client.findOne({ userId: req.user._id });
+    if (!client || assignment.clientId.toString() !== client._id.toString()) {
+      return { status: 403, message: 'Not authorized' };
+    }
+    return { assignment, timezone: req.user.timezone };
+  }
+
+  if (req.user.role === 'therapist') {
+    const therapist = await Therapist.findOne({ userId: req.user._id });
+    if (!therapist || assignment.therapistId.toString() !== therapist._id.toString()) {
+      return { status: 403, message: 'Not authorized' };
+    }
+  }
+
+  const client = await Client.findById(assignment.clientId).populate('userId', 'timezone');
+  return { assignment, timezone: client?.userId?.timezone };
+};
+
+const buildMedia = (req) => (req.file ? {
+  fileName: req.file.originalname,
+  fileUrl: `${req.protocol}://${req.get('host')}/uploads/attachments/${req.file.filename}`,
+  fileType: req.file.mimetype,
+  fileSize: req.file.size,
+} : undefined);
+
+// @desc    Get an assignment's practice logs with streaks and adherence
+// @route   GET /api/assignments/:id/practice-logs
+// @access  Private
+const getPracticeLogs = asyncHandler(async (req, res) => {
+  const { assignment, timezone, status, message } = await loadPracticeAssignment(req);
+  if (!assignment) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const logs = await PracticeLog.find({ assignmentId: assignment._id })
+    .populate('loggedBy', 'firstName lastName')
+    .sort({ practiceDate: -1 });
+
+  res.json({
+    success: true,
+    count: logs.length,
+    data: {
+      logs,
+      stats: computePracticeStats(assignment, logs, { tz: timezone }),
+    },
+  });
+});
+
+// @desc    Log a day of home practice, with an optional audio or video recording
+// @route   POST /api/assignments/:id/practice-logs
+// @access  Private (Client)
+const logPractice = asyncHandler(async (req, res) => {
+  const { assignment, timezone, status, message } = await loadPracticeAssignment(req);
+  if (!assignment) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  // Days are the family's calendar days; default to today where they are
+  const todayKey = getTodayKey(timezone);
+  const practiceDay = req.body.practiceDate ? toDateKey(req.body.practiceDate) : todayKey;
+  if (!practiceDay) {
+    return res.status(400).json({
+      success: false,
+      message: 'Practice date must be a date (YYYY-MM-DD)',
+    });
+  }
+
+  const { startKey } = getPracticeWindow(assignment, timezone, todayKey);
+  if (practiceDay > todayKey) {
+    return res.status(400).json({
+      success: false,
+      message: 'Practice cannot be logged for a future day',
+    });
+  }
+  if (practiceDay < startKey || practiceDay > toDateKey(assignment.dueDate)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Practice date must be between when the assignment was set and its due date',
+    });
+  }
+
+  if (await PracticeLog.exists({ assignmentId: assignment._id, practiceDate: toPracticeDate(practiceDay) })) {
+    return res.status(409).json({
+      success: false,
+      message: 'Practice is already logged for this day. Edit that entry instead.',
+    });
+  }
+
+  const log = new PracticeLog({
+    assignmentId: assignment._id,
+    clientId: assignment.clientId,
+    therapistId: assignment.therapistId,
+    goalId: assignment.goalId,
+    practiceDate: toPracticeDate(practiceDay),
+    media: buildMedia(req),
+    loggedBy: req.user._id,
+  });
+  for (const field of LOG_FIELDS) {
+    if (req.body[field] !== undefined && req.body[field] !== '') log[field] = req.body[field];
+  }
+  await log.save();
+
+  const logs = await PracticeLog.find({ assignmentId: assignment._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Practice logged',
+    data: {
+      log,
+      stats: computePracticeStats(assignment, logs, { tz: timezone, todayKey }),
+    },
+  });
+});
+
+// @desc    Edit a practice log; a new recording replaces the old one
+// @route   PUT /api/assignments/:id/practice-logs/:logId
+// @access  Private (Client)
+const updatePracticeLog = asyncHandler(async (req, res) => {
+  const { assignment, timezone, status, message } = await loadPracticeAssignment(req);
+  if (!assignment) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const log = await PracticeLog.findOne({ _id: req.params.logId, assignmentId: assignment._id });
+  if (!log) {
+    return res.status(404).json({
+      success: false,
+      message: 'Practice log not found',
+    });
+  }
+
+  for (const field of LOG_FIELDS) {
+    if (req.body[field] !== undefined) log[field] = req.body[field] === '' ? undefined : req.body[field];
+  }
+  if (req.file) {
+    log.media = buildMedia(req);
+  } else if (req.body.removeMedia === true || req.body.removeMedia === 'true') {
+    log.media = undefined;
+  }
+  await log.save();
+
+  const logs = await PracticeLog.find({ assignmentId: assignment._id });
+
+  res.json({
+    success: true,
+    message: 'Practice log updated',
+    data: {
+      log,
+      stats: computePracticeStats(assignment, logs, { tz: timezone }),
+    },
+  });
+});
+
+// @desc    Delete a practice log
+// @route   DELETE /api/assignments/:id/practice-logs/:logId
+// @access  Private (Client)
+const deletePracticeLog = asyncHandler(async (req, res) => {
+  const { assignment, status, message } = await loadPracticeAssignment(req);
+  if (!assignment) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const log = await PracticeLog.findOneAndDelete({ _id: req.params.logId, assignmentId: assignment._id });
+  if (!log) {
+    return res.status(404).json({
+      success: false,
+      message: 'Practice log not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Practice log deleted',
+  });
+});
+
+// @desc    Summarize home practice between the client's recent sessions, with streaks and
+//          adherence for each assignment, ?sessions= to cover more or fewer sessions
+// @route   GET /api/clients/:id/home-practice
+// @access  Private
+const getHomePracticeSummary = asyncHandler(async (req, res) => {
+  const { client, status, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const sessions = parseInt(req.query.sessions);
+  await client.populate('userId', 'timezone');
+
+  const summary = await buildCarryoverSummary(client, {
+    tz: client.userId?.timezone,
+    sessions: isNaN(sessions) || sessions < 1 ? undefined : Math.min(sessions, MAX_CARRYOVER_SESSIONS),
+  });
+
+  res.json({
+    success: true,
+    data: summary,
+  });
+});
+
+module.exports = {
+  getPracticeLogs,
+  logPractice,
+  updatePracticeLog,
+  deletePracticeLog,
+  getHomePracticeSummary,
+};
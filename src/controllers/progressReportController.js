@@ -0,0 +1,527 @@
+const dayjs = require('dayjs');
+const ProgressReport = require('../models/ProgressReport');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { loadClientRecord } = require('../utils/clientAccessService');
+const {
+  getDefaultReportPeriod,
+  compileReportContent,
+  renderReportHtml,
+  renderReportPdf,
+} = require('../utils/progressReportService');
+
+const EXPORT_FORMATS = ['html', 'pdf'];
+const SHARE_RECIPIENTS = ['client', 'guardian'];
+
+const populateReport = (query) => {
+  return query
+    .populate({
+      path: 'clientId',
+      select: 'userId guardianName guardianEmail',
+      populate: { path: 'userId', select: 'firstName lastName email' }
+    })
+    .populate({
+      path: 'therapistId',
+      select: 'userId credentials',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    });
+};
+
+// Clients only see finalized reports that have been shared with them or their guardian
+const isVisibleToClient = (report) => report.status === 'finalized' && report.sharedWith.length > 0;
+
+// Load the report from :reportId for the client loaded from :id
+const findClientReport = (client, reportId) => {
+  return populateReport(ProgressReport.findOne({ _id: reportId, clientId: client._id }));
+};
+
+// Swap in an earlier finalized version's content when ?version is given
+const withVersion = (report, version) => {
+  if (version === undefined || Number(version) === report.version) {
+    return report;
+  }
+
+  const snapshot = report.versions.find(entry => entry.version === Number(version));
+  if (!snapshot) return null;
+
+  const earlier = report.toObject();
+  earlier.clientId = report.clientId;
+  earlier.therapistId = report.therapistId;
+  earlier.version = snapshot.version;
+  earlier.status = 'finalized';
+  earlier.content = snapshot.content;
+  return earlier;
+};
+
+const getFileName = (report, format) => {
+  return `progress-report-${dayjs(report.periodStart).format('YYYY-MM-DD')}-v${report.version}.${format}`;
+};
+
+// @desc    Get a client's progress reports
+// @route   GET /api/clients/:id/progress-reports
+// @access  Private
+const getProgressReports = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const filter = { clientId: client._id };
+  if (req.user.role === 'client') {
+    filter.status = 'finalized';
+    filter['sharedWith.0'] = { $exists: true };
+  } else if (status) {
+    filter.status = status;
+  }
+
+  const reports = await ProgressReport.find(filter)
+    .select('-versions -content.sessions')
+    .sort({ periodStart: -1 });
+
+  res.json({
+    success: true,
+    data: reports,
+  });
+});
+
+// @desc    Get a progress report (staff can pass ?version= for an earlier finalized version)
+// @route   GET /api/clients/:id/progress-reports/:reportId
+// @access  Private
+const getProgressReport = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const report = await findClientReport(client, req.params.reportId);
+  if (!report || (req.user.role === 'client' && !isVisibleToClient(report))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Progress report not found',
+    });
+  }
+
+  const data = withVersion(report, req.user.role === 'client' ? undefined : req.query.version);
+  if (!data) {
+    return res.status(404).json({
+      success: false,
+      message: `Version ${req.query.version} not found`,
+    });
+  }
+
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+// @desc    Generate a draft progress report for a period (defaults to last month)
+// @route   POST /api/clients/:id/progress-reports
+// @access  Private (Therapist, Admin)
+const createProgressReport = asyncHandler(async (req, res) => {
+  const { therapistId } = req.body;
+
+  const { client, therapist, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const defaultPeriod = getDefaultReportPeriod();
+  const periodStart = req.body.periodStart ? dayjs(req.body.periodStart).startOf('day') : dayjs(defaultPeriod.periodStart);
+  const periodEnd = req.body.periodEnd ? dayjs(req.body.periodEnd).endOf('day') : dayjs(defaultPeriod.periodEnd);
+
+  if (!periodStart.isValid() || !periodEnd.isValid() || periodEnd.isBefore(periodStart)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide a valid periodStart and periodEnd, with the end on or after the start',
+    });
+  }
+
+  // Admins generate reports on behalf of the client's therapist
+  const reportTherapistId = therapist?._id || therapistId || client.assignedTherapist;
+  if (!reportTherapistId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Client has no assigned therapist. Provide therapistId.',
+    });
+  }
+
+  // One report per period; changes after finalizing go through a new version
+  const existing = await ProgressReport.findOne({
+    clientId: client._id,
+    periodStart: periodStart.toDate(),
+    periodEnd: periodEnd.toDate(),
+  });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: 'A report already exists for this period. Regenerate the draft or revise the finalized report instead.',
+      data: { reportId: existing._id, status: existing.status, version: existing.version },
+    });
+  }
+
+  const content = await compileReportContent(client._id, periodStart.toDate(), periodEnd.toDate());
+
+  const report = await ProgressReport.create({
+    clientId: client._id,
+    therapistId: reportTherapistId,
+    periodStart: periodStart.toDate(),
+    periodEnd: periodEnd.toDate(),
+    content,
+    generatedBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Draft progress report generated',
+    data: report,
+  });
+});
+
+// @desc    Edit a draft report's commentary and note summaries
+// @route   PUT /api/clients/:id/progress-reports/:reportId
+// @access  Private (Therapist, Admin)
+const updateProgressReport = asyncHandler(async (req, res) => {
+  const { summary, recommendations, goals, sessions } = req.body;
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const report = await ProgressReport.findOne({ _id: req.params.reportId, clientId: client._id });
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Progress report not found',
+    });
+  }
+
+  if (report.status !== 'draft') {
+    return res.status(400).json({
+      success: false,
+      message: 'Finalized reports cannot be edited. Revise the report to start a new version.',
+    });
+  }
+
+  if (summary !== undefined) report.content.summary = summary;
+  if (recommendations !== undefined) report.content.recommendations = recommendations;
+
+  // Per-goal commentary and per-session summaries are matched by ID
+  for (const { goalId, commentary } of Array.isArray(goals) ? goals : []) {
+    const goal = report.content.goals.find(entry => entry.goalId?.toString() === String(goalId));
+    if (goal && commentary !== undefined) goal.commentary = commentary;
+  }
+  for (const { sessionId, soapSummary } of Array.isArray(sessions) ? sessions : []) {
+    const session = report.content.sessions.find(entry => entry.sessionId?.toString() === String(sessionId));
+    if (session && soapSummary !== undefined) session.soapSummary = soapSummary;
+  }
+
+  await report.save();
+
+  res.json({
+    success: true,
+    message: 'Progress report updated',
+    data: report,
+  });
+});
+
+// @desc    Recompile a draft's data from the record, keeping the therapist's commentary
+// @route   POST /api/clients/:id/progress-reports/:reportId/regenerate
+// @access  Private (Therapist, Admin)
+const regenerateProgressReport = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const report = await ProgressReport.findOne({ _id: req.params.reportId, clientId: client._id });
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Progress report not found',
+    });
+  }
+
+  if (report.status !== 'draft') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only draft reports can be regenerated',
+    });
+  }
+
+  const content = await compileReportContent(client._id, report.periodStart, report.periodEnd);
+  const commentary = new Map(report.content.goals.map(goal => [goal.goalId?.toString(), goal.commentary]));
+
+  report.content = {
+    ...content,
+    goals: content.goals.map(goal => ({ ...goal, commentary: commentary.get(goal.goalId.toString()) })),
+    summary: report.content.summary,
+    recommendations: report.content.recommendations,
+  };
+  await report.save();
+
+  res.json({
+    success: true,
+    message: 'Progress report data refreshed',
+    data: report,
+  });
+});
+
+// @desc    Finalize a draft report so it can be exported and shared
+// @route   POST /api/clients/:id/progress-reports/:reportId/finalize
+// @access  Private (Therapist, Admin)
+const finalizeProgressReport = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const report = await ProgressReport.findOne({ _id: req.params.reportId, clientId: client._id });
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Progress report not found',
+    });
+  }
+
+  if (report.status !== 'draft') {
+    return res.status(400).json({
+      success: false,
+      message: 'Report is already finalized',
+    });
+  }
+
+  report.status = 'finalized';
+  report.finalizedAt = new Date();
+  report.finalizedBy = req.user._id;
+  report.versions.push({
+    version: report.version,
+    content: report.content.toObject(),
+    finalizedAt: report.finalizedAt,
+    finalizedBy: req.user._id,
+  });
+  await report.save();
+
+  res.json({
+    success: true,
+    message: `Progress report finalized (version ${report.version})`,
+    data: report,
+  });
+});
+
+// @desc    Reopen a finalized report as the draft of its next version
+// @route   POST /api/clients/:id/progress-reports/:reportId/revise
+// @access  Private (Therapist, Admin)
+const reviseProgressReport = asyncHandler(async (req, res) => {
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const report = await ProgressReport.findOne({ _id: req.params.reportId, clientId: client._id });
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Progress report not found',
+    });
+  }
+
+  if (report.status !== 'finalized') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only finalized reports can be revised',
+    });
+  }
+
+  // The finalized content stays in versions; the draft starts from a copy of it
+  report.status = 'draft';
+  report.version += 1;
+  report.finalizedAt = undefined;
+  report.finalizedBy = undefined;
+  await report.save();
+
+  res.json({
+    success: true,
+    message: `Version ${report.version} opened as a draft`,
+    data: report,
+  });
+});
+
+// @desc    Export a report as HTML or PDF
+// @route   GET /api/clients/:id/progress-reports/:reportId/export?format=html|pdf
+// @access  Private
+const exportProgressReport = asyncHandler(async (req, res) => {
+  const { format = 'pdf', version } = req.query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+    });
+  }
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req);
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const report = await findClientReport(client, req.params.reportId);
+  if (!report || (req.user.role === 'client' && !isVisibleToClient(report))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Progress report not found',
+    });
+  }
+
+  const exported = withVersion(report, req.user.role === 'client' ? undefined : version);
+  if (!exported) {
+    return res.status(404).json({
+      success: false,
+      message: `Version ${version} not found`,
+    });
+  }
+
+  if (format === 'html') {
+    res.type('html');
+    res.set('Content-Disposition', `inline; filename="${getFileName(exported, 'html')}"`);
+    return res.send(renderReportHtml(exported));
+  }
+
+  res.type('pdf');
+  res.set('Content-Disposition', `attachment; filename="${getFileName(exported, 'pdf')}"`);
+  res.send(renderReportPdf(exported));
+});
+
+// @desc    Share a finalized report with the client and/or guardian by email
+// @route   POST /api/clients/:id/progress-reports/:reportId/share
+// @access  Private (Therapist, Admin)
+const shareProgressReport = asyncHandler(async (req, res) => {
+  const { sendEmail } = require('../utils/emailService');
+  const { notifyUser } = require('../utils/notificationService');
+
+  const { client, status: errorStatus, message } = await loadClientRecord(req, { write: true });
+  if (!client) {
+    return res.status(errorStatus).json({
+      success: false,
+      message,
+    });
+  }
+
+  const recipients = req.body.recipients || (client.guardianEmail ? SHARE_RECIPIENTS : ['client']);
+  if (!Array.isArray(recipients) || recipients.length === 0 || recipients.some(recipient => !SHARE_RECIPIENTS.includes(recipient))) {
+    return res.status(400).json({
+      success: false,
+      message: `Recipients must be a list of: ${SHARE_RECIPIENTS.join(', ')}`,
+    });
+  }
+
+  if (recipients.includes('guardian') && !client.guardianEmail) {
+    return res.status(400).json({
+      success: false,
+      message: 'Client has no guardian email on file',
+    });
+  }
+
+  const report = await findClientReport(client, req.params.reportId);
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Progress report not found',
+    });
+  }
+
+  if (report.status !== 'finalized') {
+    return res.status(400).json({
+      success: false,
+      message: 'Finalize the report before sharing it',
+    });
+  }
+
+  const clientUser = report.clientId.userId;
+  const period = `${dayjs(report.periodStart).format('MMM D')} - ${dayjs(report.periodEnd).format('MMM D, YYYY')}`;
+  const attachments = [{
+    filename: getFileName(report, 'pdf'),
+    content: renderReportPdf(report),
+    contentType: 'application/pdf',
+  }];
+
+  const emails = {
+    client: clientUser.email,
+    guardian: client.guardianEmail,
+  };
+
+  for (const recipient of recipients) {
+    const greeting = recipient === 'guardian' ? (client.guardianName || 'there') : clientUser.firstName;
+    await sendEmail({
+      to: emails[recipient],
+      subject: `Progress Report (${period}) - Rooted Voices`,
+      html: `
+        <h2>Progress Report</h2>
+        <p>Hi ${greeting},</p>
+        <p>${recipient === 'guardian' ? `${clientUser.firstName}'s` : 'Your'} progress report for ${period} is attached as a PDF.</p>
+        <p>Please contact your therapist with any questions about the report.</p>
+      `,
+      attachments,
+    });
+
+    report.sharedWith.push({
+      recipient,
+      email: emails[recipient],
+      version: report.version,
+      sharedBy: req.user._id,
+    });
+  }
+  await report.save();
+
+  await notifyUser(clientUser._id, {
+    type: 'general',
+    title: 'Progress Report Available',
+    message: `Your progress report for ${period} is ready to view.`,
+    link: `/progress-reports/${report._id}`,
+    metadata: { reportId: report._id, version: report.version },
+  });
+
+  res.json({
+    success: true,
+    message: `Progress report shared with ${recipients.join(' and ')}`,
+    data: report,
+  });
+});
+
+module.exports = {
+  getProgressReports,
+  getProgressReport,
+  createProgressReport,
+  updateProgressReport,
+  regenerateProgressReport,
+  finalizeProgressReport,
+  reviseProgressReport,
+  exportProgressReport,
+  shareProgressReport,
+};
@@ -3,8 +3,400 @@ const Therapist = require('../models/Therapist');
 const Client = require('../models/Client');
 const Payment = require('../models/Payment');
 const { asyncHandler } = require('../middlewares/errorHandler');
-const { v4: uuidv4 } = require('uuid');
 const { getCancellationFee, getRateCapsForUse } = require('./pricingController');
+const {
+  formatMinutesAsTime,
+  combineDateAndTime,
+  getSessionStart,
+  toScheduledFields,
+  checkBookingAvailability,
+  validateRecurrence,
+  buildOccurrenceDates,
+} = require('../utils/schedulingService');
+const {
+  isValidTimezone,
+  resolveTimezone,
+  getZonedParts,
+  formatInTimezone,
+} = require('../utils/timezoneService');
+const { buildStatusEntry, transitionSession } = require('../utils/sessionLifecycle');
+const {
+  getSessionQuota,
+  checkBookingQuota,
+  getQuotaFields,
+  recordOverageCharge,
+  releaseOverageCharge,
+} = require('../utils/subscriptionQuotaService');
+const {
+  clientSessionFilter,
+  getEnrolledParticipants,
+  findParticipant,
+  getSessionClients,
+  isSessionClient,
+  getSessionClientIds,
+} = require('../utils/groupSessionService');
+const {
+  SOAP_SECTIONS,
+  getSoapNoteHolder,
+  isSoapNoteLocked,
+  saveSoapNoteDraft,
+  applySoapNoteSignature,
+  appendSoapNoteAddendum,
+} = require('../utils/soapNoteService');
+const { checkSessionsAgainstPlan } = require('../utils/planOfCareService');
+
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+const MAX_GROUP_CAPACITY = 12;
+
+const DISCHARGED_CLIENT_MESSAGE = 'Client has been discharged. Readmit them before booking sessions.';
+
+// Fields each side may change through updateSession. Status changes follow the
+// lifecycle rules in utils/sessionLifecycle.
+const UPDATABLE_SESSION_FIELDS = {
+  therapist: ['scheduledDate', 'scheduledTime', 'duration', 'sessionType', 'notes', 'goalIds', 'recording', 'translationEnabled', 'sourceLanguage', 'targetLanguage'],
+  client: ['recording', 'translationEnabled', 'sourceLanguage', 'targetLanguage'],
+  admin: ['scheduledDate', 'scheduledTime', 'duration', 'sessionType', 'notes', 'goalIds', 'recording', 'translationEnabled', 'sourceLanguage', 'targetLanguage', 'price', 'paymentStatus'],
+};
+
+// Statuses that have their own endpoint because they carry extra side effects
+const STATUS_ENDPOINTS = {
+  'in-progress': 'POST /api/sessions/:id/start',
+  completed: 'POST /api/sessions/:id/complete',
+  cancelled: 'DELETE /api/sessions/:id',
+  'no-show': 'POST /api/sessions/:id/no-show',
+  rescheduled: 'POST /api/sessions/:id/reschedule-proposals',
+};
+
+// Calculate a session price and ALWAYS enforce the rate cap for the therapist's credentials
+// (even if price comes from therapist.hourlyRate)
+const calculateSessionPrice = (therapist, sessionType, requestedPrice) => {
+  let sessionPrice = requestedPrice;
+  if (sessionType === 'initial') {
+    sessionPrice = 0; // Initial consultations are free
+  } else if (!sessionPrice && therapist.hourlyRate) {
+    sessionPrice = therapist.hourlyRate;
+  } else if (!sessionPrice) {
+    sessionPrice = 85; // Default price
+  }
+
+  const rateCaps = getRateCapsForUse();
+  const maxRate = rateCaps[therapist.credentials] || rateCaps.SLP;
+
+  // Validate and cap price against rate caps (only if not initial/free)
+  if (sessionPrice > 0 && sessionPrice > maxRate) {
+    // Instead of rejecting, cap the price to the maximum allowed
+    console.warn(`Session price ${sessionPrice} exceeds max rate ${maxRate} for ${therapist.credentials}. Capping to ${maxRate}.`);
+    sessionPrice = maxRate;
+  }
+
+  return sessionPrice;
+};
+
+// Create a session document and attach its own Jitsi room (shared by every client of a group).
+// actor ({ user, role, reason }) is recorded as the first status history entry.
+const createSessionOccurrence = async (fields, actor = {}) => {
+  const session = await Session.create({
+    ...fields,
+    status: 'scheduled',
+    statusHistory: [buildStatusEntry(null, 'scheduled', actor)],
+  });
+
+  // Generate Jitsi meeting link with actual session ID
+  const { generateJitsiRoomName } = require('../utils/jitsiService');
+  session.jitsiRoomName = generateJitsiRoomName(
+    session._id.toString(),
+    fields.therapistId.toString(),
+    fields.isGroup ? 'group' : fields.clientId.toString()
+  );
+  session.meetingLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/video-call?sessionId=${session._id}`;
+  await session.save();
+
+  return session;
+};
+
+// Rules every new one-to-one booking must pass besides the therapist's availability: the client
+// is not discharged, the client's plan allows the sessions (per the quota policy) and a plan of
+// care covers them. Admins can waive the quota and plan of care checks.
+const checkClientBookingRules = async (client, scheduledDates, { overrideQuota = false, overridePlanOfCare = false } = {}) => {
+  if (client.status === 'discharged') {
+    return { allowed: false, status: 400, message: DISCHARGED_CLIENT_MESSAGE };
+  }
+
+  const quotaCheck = await checkBookingQuota(client, scheduledDates);
+  const overageIndexes = overrideQuota ? [] : quotaCheck.overageIndexes;
+  const planCheck = await checkSessionsAgainstPlan(client._id, scheduledDates);
+  const planOfCareIssues = overridePlanOfCare ? [] : planCheck.issues;
+
+  return {
+    allowed: true,
+    quotaCheck,
+    overageIndexes,
+    quotaBlocked: overageIndexes.length > 0 && quotaCheck.policy === 'block',
+    planCheck,
+    planOfCareIssues,
+    planBlocked: planOfCareIssues.length > 0 && planCheck.policy === 'block',
+  };
+};
+
+// Work out which side of the session the requesting user is on:
+// 'therapist', 'client', 'admin' (can act on any session) or null
+const getSessionParty = async (session, user) => {
+  if (user.role === 'admin') return 'admin';
+
+  if (user.role === 'therapist') {
+    const therapist = await Therapist.findOne({ userId: user._id });
+    const isTherapist = !!therapist && therapist._id.toString() === (session.therapistId._id || session.therapistId).toString();
+    return isTherapist ? 'therapist' : null;
+  }
+
+  if (user.role === 'client') {
+    const client = await Client.findOne({ userId: user._id });
+    return client && isSessionClient(session, client._id) ? 'client' : null;
+  }
+
+  return null;
+};
+
+// Check the requesting user takes part in the session (admins can act on any session)
+const isSessionParticipant = async (session, user) => {
+  return !!(await getSessionParty(session, user));
+};
+
+// Attach the session start rendered in the viewer's timezone
+const withViewerTime = (session, viewerTimezone) => {
+  const start = getSessionStart(session);
+  return {
+    ...session.toObject(),
+    localTime: start ? formatInTimezone(start, viewerTimezone) : null,
+  };
+};
+
+const getViewerTimezone = (req) => resolveTimezone(req.query.timezone, req.user?.timezone);
+
+const MAX_RESCHEDULE_OPTIONS = 5;
+
+// Parse proposed reschedule times given as scheduledDate/scheduledTime in the requester's timezone
+const parseProposedTimes = (proposedTimes, timezone, defaultDuration) => {
+  if (!Array.isArray(proposedTimes) || proposedTimes.length === 0) {
+    return { error: 'Provide at least one proposed time' };
+  }
+
+  if (proposedTimes.length > MAX_RESCHEDULE_OPTIONS) {
+    return { error: `You can propose at most ${MAX_RESCHEDULE_OPTIONS} times` };
+  }
+
+  const times = [];
+  for (const option of proposedTimes) {
+    const startsAt = combineDateAndTime(option?.scheduledDate, option?.scheduledTime, timezone);
+    if (!startsAt) {
+      return { error: 'Invalid proposed time. Expected scheduledDate (YYYY-MM-DD) and scheduledTime (HH:mm or h:mm AM/PM)' };
+    }
+    if (startsAt <= new Date()) {
+      return { error: 'Proposed times must be in the future' };
+    }
+    times.push({ startsAt, duration: option.duration || defaultDuration });
+  }
+
+  return { times };
+};
+
+// Check every proposed time against the therapist's availability, ignoring the session being moved
+const findUnavailableProposedTimes = async (session, times) => {
+  const therapist = await Therapist.findById(session.therapistId._id || session.therapistId);
+  const unavailable = [];
+  for (const [optionIndex, option] of times.entries()) {
+    const bookingCheck = await checkBookingAvailability(therapist, option.startsAt, option.duration, {
+      excludeSessionIds: [session._id],
+    });
+    if (!bookingCheck.available) {
+      unavailable.push({ optionIndex, startsAt: option.startsAt, ...bookingCheck });
+    }
+  }
+  return unavailable;
+};
+
+const loadSessionForReschedule = (sessionId) => {
+  return Session.findById(sessionId)
+    .populate({
+      path: 'therapistId',
+      populate: { path: 'userId', select: 'firstName lastName timezone' }
+    })
+    .populate({
+      path: 'clientId',
+      populate: { path: 'userId', select: 'firstName lastName timezone' }
+    })
+    .populate({
+      path: 'participants.clientId',
+      populate: { path: 'userId', select: 'firstName lastName timezone' }
+    });
+};
+
+// Notify the therapist and every client on the session about a reschedule step. Each
+// message is built per recipient so times are rendered in their own timezone.
+const notifyRescheduleStep = async (session, proposal, actorUserId, title, buildMessage) => {
+  const participants = [
+    { user: session.therapistId.userId, timezone: session.therapistTimezone },
+    ...getSessionClients(session).map(({ client, timezone }) => ({ user: client.userId, timezone })),
+  ];
+
+  for (const { user, timezone } of participants) {
+    if (!user) continue;
+    const tz = resolveTimezone(timezone, user.timezone);
+    const formatTime = (date) => {
+      const local = formatInTimezone(date, tz);
+      return `${local.displayDate} at ${local.time} ${local.abbreviation}`;
+    };
+
+    const { notifyUser } = require('../utils/notificationService');
+    await notifyUser(user._id, {
+      type: 'session-rescheduled',
+      title,
+      message: buildMessage({ isActor: user._id.toString() === actorUserId.toString(), formatTime }),
+      link: `/sessions/${proposal.newSessionId || session._id}`,
+      metadata: {
+        sessionId: session._id,
+        proposalId: proposal._id,
+        status: proposal.status,
+        ...(proposal.newSessionId && { newSessionId: proposal.newSessionId }),
+      },
+    }, { email: true });
+  }
+};
+
+// Move the Google/Outlook event synced for a session onto its replacement session
+const moveExternalCalendarEvent = async (session, newSession) => {
+  if (!session.calendarEventId || !['google', 'outlook'].includes(session.calendarProvider)) return;
+
+  const User = require('../models/User');
+  const { updateCalendarEvent } = require('../utils/calendarService');
+  const start = getSessionStart(newSession);
+  const end = new Date(start.getTime() + newSession.duration * 60 * 1000);
+
+  // The event lives in the calendar of whichever participant synced it
+  const userIds = [session.therapistId.userId, ...getSessionClients(session).map(({ client }) => client.userId)]
+    .filter(Boolean)
+    .map(user => user._id || user);
+  const users = await User.find({
+    _id: { $in: userIds },
+    'calendarIntegration.provider': session.calendarProvider,
+    'calendarIntegration.syncEnabled': true,
+  }).select('+calendarIntegration.accessToken timezone');
+
+  for (const user of users) {
+    const timeZone = session.calendarProvider === 'google' ? resolveTimezone(user.timezone) : 'UTC';
+    const result = await updateCalendarEvent(session.calendarProvider, session.calendarEventId, {
+      start: { dateTime: start.toISOString(), timeZone },
+      end: { dateTime: end.toISOString(), timeZone },
+    }, user.calendarIntegration.accessToken);
+
+    if (result.success) {
+      newSession.calendarEventId = session.calendarEventId;
+      newSession.calendarProvider = session.calendarProvider;
+      await newSession.save();
+      return;
+    }
+  }
+};
+
+const describeBookingProblem = (bookingCheck) => {
+  if (bookingCheck.reason === 'conflict') {
+    return 'Therapist already has a session booked at this time. Please choose another slot.';
+  }
+  if (bookingCheck.reason === 'time-off') {
+    return 'Therapist is away at this time. Please choose another slot.';
+  }
+  return 'Requested time is outside the therapist\'s availability. Please choose another slot.';
+};
+
+// Find the occurrences a series edit applies to. Only occurrences that have not
+// started yet can be moved or cancelled.
+const getSeriesTargets = async (session, scope) => {
+  if (scope === 'this') {
+    return ['scheduled', 'confirmed'].includes(session.status) ? [session] : [];
+  }
+
+  const filter = {
+    seriesId: session.seriesId,
+    status: { $in: ['scheduled', 'confirmed'] },
+  };
+  if (scope === 'following') {
+    filter.occurrenceIndex = { $gte: session.occurrenceIndex };
+  }
+
+  return Session.find(filter).sort({ occurrenceIndex: 1 });
+};
+
+const updateSessionCalendarEvents = (sessions) => {
+  const updateCalendarEventsAsync = async () => {
+    try {
+      const { updateCalendarEventFromSession } = require('../utils/internalCalendarService');
+      for (const session of sessions) {
+        await updateCalendarEventFromSession(session);
+      }
+      console.log(`✅ Calendar events updated for ${sessions.length} session(s)`);
+    } catch (error) {
+      console.error('Error updating calendar events:', error);
+    }
+  };
+
+  // Start async calendar event update (don't await)
+  updateCalendarEventsAsync();
+};
+
+// Create internal calendar events for the given users (therapist and clients)
+const createCalendarEventsForUsers = (session, userIds) => {
+  const createCalendarEventsAsync = async () => {
+    try {
+      const { createCalendarEventFromSession } = require('../utils/internalCalendarService');
+      for (const userId of userIds.filter(Boolean)) {
+        await createCalendarEventFromSession(session, userId);
+      }
+      console.log(`✅ Calendar events created for session ${session._id}`);
+    } catch (error) {
+      console.error('Error creating calendar events:', error);
+    }
+  };
+
+  // Start async calendar event creation (don't await)
+  createCalendarEventsAsync();
+};
+
+// Notify group clients, rendering the session time in each client's timezone
+const notifyGroupClients = (session, clientIds, type, title, buildMessage) => {
+  const notifyAsync = async () => {
+    const { notifyUser } = require('../utils/notificationService');
+    const clients = await Client.find({ _id: { $in: clientIds } }).populate('userId', 'timezone');
+    for (const client of clients) {
+      if (!client.userId) continue;
+      const participant = findParticipant(session, client._id);
+      const local = formatInTimezone(getSessionStart(session), resolveTimezone(participant?.clientTimezone, client.userId.timezone));
+      await notifyUser(client.userId._id, {
+        type,
+        title,
+        message: buildMessage(local),
+        link: `/sessions/${session._id}`,
+        metadata: { sessionId: session._id },
+      }, { email: true });
+    }
+  };
+
+  // Start async notifications (don't await)
+  notifyAsync().catch(error => console.error('Error notifying group clients:', error));
+};
+
+// Offer slots freed by cancellations and reschedules to the therapist's waitlist
+const backfillFreedSlots = (sessions) => {
+  const backfillAsync = async () => {
+    const { offerFreedSlot } = require('../utils/waitlistService');
+    for (const session of sessions) {
+      await offerFreedSlot(session);
+    }
+  };
+
+  // Start async waitlist backfill (don't await)
+  backfillAsync().catch(error => console.error('Error offering freed slots to the waitlist:', error));
+};
 
 // @desc    Get all sessions
 // @route   GET /api/sessions
@@ -23,7 +415,7 @@ const getSessions = asyncHandler(async (req, res) => {
   } else if (req.user.role === 'client') {
     const client = await Client.findOne({ userId: req.user._id });
     if (client) {
-      filter.clientId = client._id;
+      filter.$and = [clientSessionFilter(client._id)];
     }
   }
 
@@ -49,16 +441,21 @@ const getSessions = asyncHandler(async (req, res) => {
       path: 'clientId',
       populate: { path: 'userId', select: 'firstName lastName avatar' }
     })
+    .populate({
+      path: 'participants.clientId',
+      populate: { path: 'userId', select: 'firstName lastName avatar' }
+    })
     .sort({ scheduledDate: -1 })
     .skip(skip)
     .limit(parseInt(limit));
 
   const total = await Session.countDocuments(filter);
+  const viewerTimezone = getViewerTimezone(req);
 
   res.json({
     success: true,
     data: {
-      sessions,
+      sessions: sessions.map(session => withViewerTime(session, viewerTimezone)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -73,9 +470,13 @@ const getSessions = asyncHandler(async (req, res) => {
 // @route   GET /api/sessions/upcoming
 // @access  Private
 const getUpcomingSessions = asyncHandler(async (req, res) => {
+  const now = new Date();
   const filter = {
     status: { $in: ['scheduled', 'confirmed'] },
-    scheduledDate: { $gte: new Date() },
+    $or: [
+      { startsAt: { $gte: now } },
+      { startsAt: { $exists: false }, scheduledDate: { $gte: now } },
+    ],
   };
 
   if (req.user.role === 'therapist') {
@@ -83,7 +484,7 @@ const getUpcomingSessions = asyncHandler(async (req, res) => {
     if (therapist) filter.therapistId = therapist._id;
   } else if (req.user.role === 'client') {
     const client = await Client.findOne({ userId: req.user._id });
-    if (client) filter.clientId = client._id;
+    if (client) filter.$and = [clientSessionFilter(client._id)];
   }
 
   const sessions = await Session.find(filter)
@@ -95,12 +496,18 @@ const getUpcomingSessions = asyncHandler(async (req, res) => {
       path: 'clientId',
       populate: { path: 'userId', select: 'firstName lastName avatar' }
     })
-    .sort({ scheduledDate: 1 })
+    .populate({
+      path: 'participants.clientId',
+      populate: { path: 'userId', select: 'firstName lastName avatar' }
+    })
+    .sort({ scheduledDate: 1, startsAt: 1 })
     .limit(10);
 
+  const viewerTimezone = getViewerTimezone(req);
+
   res.json({
     success: true,
-    data: sessions,
+    data: sessions.map(session => withViewerTime(session, viewerTimezone)),
   });
 });
 
@@ -108,7 +515,9 @@ const getUpcomingSessions = asyncHandler(async (req, res) => {
 // @route   GET /api/sessions/:id
 // @access  Private
 const getSession = asyncHandler(async (req, res) => {
+  // SOAP note version history is served by GET /api/sessions/:id/soap-note/versions
   const session = await Session.findById(req.params.id)
+    .select('-soapNote.versions -participants.soapNote.versions')
     .populate({
       path: 'therapistId',
       populate: { path: 'userId', select: 'firstName lastName avatar email phone' }
@@ -116,7 +525,13 @@ const getSession = asyncHandler(async (req, res) => {
     .populate({
       path: 'clientId',
       populate: { path: 'userId', select: 'firstName lastName avatar email phone' }
-    });
+    })
+    .populate({
+      path: 'participants.clientId',
+      populate: { path: 'userId', select: 'firstName lastName avatar email phone' }
+    })
+    .populate('goalIds', 'title category status progress')
+    .populate('statusHistory.changedBy', 'firstName lastName role');
 
   if (!session) {
     return res.status(404).json({
@@ -125,9 +540,21 @@ const getSession = asyncHandler(async (req, res) => {
     });
   }
 
+  const data = withViewerTime(session, getViewerTimezone(req));
+
+  // Group clients see who else is in the group, but only their own notes and billing
+  if (session.isGroup && req.user.role === 'client') {
+    const client = await Client.findOne({ userId: req.user._id });
+    data.participants = data.participants.map(participant =>
+      client && participant.clientId?._id.toString() === client._id.toString()
+        ? participant
+        : { clientId: participant.clientId, status: participant.status }
+    );
+  }
+
   res.json({
     success: true,
-    data: session,
+    data,
   });
 });
 
@@ -135,14 +562,7 @@ const getSession = asyncHandler(async (req, res) => {
 // @route   POST /api/sessions
 // @access  Private
 const createSession = asyncHandler(async (req, res) => {
-  const { clientId, therapistId, scheduledDate, scheduledTime, duration, sessionType, price } = req.body;
-
-  console.log('=== CREATE SESSION REQUEST ===');
-  console.log('Body:', req.body);
-  console.log('clientId:', clientId, 'type:', typeof clientId);
-  console.log('therapistId:', therapistId, 'type:', typeof therapistId);
-  console.log('scheduledDate:', scheduledDate, 'type:', typeof scheduledDate);
-  console.log('scheduledTime:', scheduledTime, 'type:', typeof scheduledTime);
+  const { clientId, therapistId, scheduledDate, scheduledTime, duration, sessionType, price, recurrence, timezone } = req.body;
 
   // Validate required fields
   if (!clientId || !therapistId || !scheduledDate || !scheduledTime) {
@@ -152,7 +572,6 @@ const createSession = asyncHandler(async (req, res) => {
     if (!scheduledDate) missing.push('scheduledDate');
     if (!scheduledTime) missing.push('scheduledTime');
     
-    console.log('Missing fields:', missing);
     return res.status(400).json({
       success: false,
       message: `Missing required fields: ${missing.join(', ')}`,
@@ -210,28 +629,112 @@ const createSession = asyncHandler(async (req, res) => {
     });
   }
 
-  // Calculate session price
-  let sessionPrice = price;
-  if (sessionType === 'initial') {
-    sessionPrice = 0; // Initial consultations are free
-  } else if (!sessionPrice && therapist.hourlyRate) {
-    sessionPrice = therapist.hourlyRate;
-  } else if (!sessionPrice) {
-    sessionPrice = 85; // Default price
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid timezone. Expected an IANA timezone name (e.g. America/Chicago)',
+    });
   }
 
-  // Get rate caps and ALWAYS enforce them (even if price comes from therapist.hourlyRate)
-  const rateCaps = getRateCapsForUse();
-  const maxRate = rateCaps[therapist.credentials] || rateCaps.SLP;
+  // Get user data for timezones and calendar integration
+  const User = require('../models/User');
+  const therapistUser = await User.findById(therapist.userId);
+  const clientUser = await User.findById(client.userId);
+  const therapistTimezone = resolveTimezone(therapistUser?.timezone);
+  const clientTimezone = resolveTimezone(clientUser?.timezone);
 
-  // Validate and cap price against rate caps (only if not initial/free)
-  if (sessionPrice > 0) {
-    if (sessionPrice > maxRate) {
-      // Instead of rejecting, cap the price to the maximum allowed
-      console.warn(`Session price ${sessionPrice} exceeds max rate ${maxRate} for ${therapist.credentials}. Capping to ${maxRate}.`);
-      sessionPrice = maxRate;
+  // scheduledDate/scheduledTime are read in the booking user's timezone
+  const bookingTimezone = resolveTimezone(timezone, req.user.timezone);
+  const sessionStart = combineDateAndTime(scheduledDate, scheduledTime, bookingTimezone);
+  if (!sessionStart) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid scheduledTime format. Expected HH:mm or h:mm AM/PM',
+    });
+  }
+
+  // Store the therapist's wall-clock date and time so recurrences keep the same local time across DST
+  const therapistLocal = toScheduledFields(sessionStart, therapistTimezone);
+
+  // Expand recurring bookings into one date per occurrence
+  if (recurrence) {
+    const recurrenceError = validateRecurrence(recurrence, therapistLocal.scheduledDate);
+    if (recurrenceError) {
+      return res.status(400).json({
+        success: false,
+        message: recurrenceError,
+      });
     }
   }
+  const occurrences = (recurrence
+    ? buildOccurrenceDates(therapistLocal.scheduledDate, recurrence)
+    : [therapistLocal.scheduledDate]
+  ).map(occurrenceDate => ({
+    scheduledDate: occurrenceDate,
+    startsAt: combineDateAndTime(occurrenceDate, therapistLocal.scheduledTime, therapistTimezone),
+  }));
+
+  // Reject bookings outside the therapist's availability or overlapping another booking
+  const unavailable = [];
+  for (const occurrence of occurrences) {
+    const bookingCheck = await checkBookingAvailability(therapist, occurrence.startsAt, duration || 45);
+    if (!bookingCheck.available) {
+      unavailable.push({ ...occurrence, ...bookingCheck });
+    }
+  }
+
+  if (unavailable.length > 0) {
+    const [firstProblem] = unavailable;
+    return res.status(409).json({
+      success: false,
+      message: recurrence
+        ? `${unavailable.length} of ${occurrences.length} occurrences cannot be booked. Please choose another time or shorten the series.`
+        : describeBookingProblem(firstProblem),
+      reason: firstProblem.reason,
+      ...(firstProblem.conflict && { conflict: firstProblem.conflict }),
+      ...(recurrence && { unavailableOccurrences: unavailable }),
+    });
+  }
+
+  // Check the client's plan allowance and plan of care for every occurrence; admins can waive them
+  const overrideQuota = req.user.role === 'admin' && req.body.overrideQuota === true;
+  const overridePlanOfCare = req.user.role === 'admin' && req.body.overridePlanOfCare === true;
+  const bookingRules = await checkClientBookingRules(
+    client,
+    occurrences.map(occurrence => occurrence.scheduledDate),
+    { overrideQuota, overridePlanOfCare }
+  );
+  if (!bookingRules.allowed) {
+    return res.status(bookingRules.status).json({
+      success: false,
+      message: bookingRules.message,
+    });
+  }
+
+  const { quotaCheck, planCheck, planOfCareIssues } = bookingRules;
+  const overageCount = bookingRules.overageIndexes.length;
+  if (bookingRules.quotaBlocked) {
+    return res.status(409).json({
+      success: false,
+      message: recurrence
+        ? `${overageCount} of ${occurrences.length} occurrences go beyond the sessions included in the client's plan. Shorten the series or upgrade the plan.`
+        : 'No sessions left in this billing period. Upgrade the plan or book in the next period.',
+      reason: 'quota-exceeded',
+      quota: quotaCheck.quota,
+      ...(recurrence && { overageOccurrences: quotaCheck.overageIndexes.map(index => occurrences[index]) }),
+    });
+  }
+
+  if (bookingRules.planBlocked) {
+    return res.status(409).json({
+      success: false,
+      message: recurrence
+        ? `${planOfCareIssues.length} of ${occurrences.length} occurrences are not covered by the client's plan of care.`
+        : planOfCareIssues[0].message,
+      reason: 'plan-of-care',
+      planOfCareIssues,
+    });
+  }
 
   // Auto-assign therapist to client if not already assigned
   if (!client.assignedTherapist) {
@@ -240,33 +743,54 @@ const createSession = asyncHandler(async (req, res) => {
     console.log(`Auto-assigned therapist ${therapistId} to client ${clientId}`);
   }
 
-  // Get user data for calendar integration
-  const User = require('../models/User');
-  const therapistUser = await User.findById(therapist.userId);
-  const clientUser = await User.findById(client.userId);
+  // Create the series record that links recurring occurrences together
+  let series = null;
+  if (recurrence) {
+    const SessionSeries = require('../models/SessionSeries');
+    series = await SessionSeries.create({
+      therapistId,
+      clientId,
+      createdBy: req.user._id,
+      recurrence: {
+        frequency: recurrence.frequency,
+        until: recurrence.until ? new Date(recurrence.until) : undefined,
+        count: recurrence.count ? parseInt(recurrence.count) : undefined,
+      },
+      startDate: therapistLocal.scheduledDate,
+      scheduledTime: therapistLocal.scheduledTime,
+      duration: duration || 45,
+      sessionType: sessionType || 'follow-up',
+    });
+  }
 
-  // Create session
-  const session = await Session.create({
-    therapistId,
-    clientId,
-    scheduledDate: sessionDate,
-    scheduledTime,
-    duration: duration || 45,
-    sessionType: sessionType || 'follow-up',
-    price: sessionPrice,
-    status: 'scheduled',
-  });
+  // Create one session per occurrence, each with its own price check and Jitsi room
+  const createdSessions = [];
+  for (const [occurrenceIndex, occurrence] of occurrences.entries()) {
+    createdSessions.push(await createSessionOccurrence({
+      therapistId,
+      clientId,
+      scheduledDate: occurrence.scheduledDate,
+      scheduledTime: therapistLocal.scheduledTime,
+      startsAt: occurrence.startsAt,
+      therapistTimezone,
+      clientTimezone,
+      duration: duration || 45,
+      sessionType: sessionType || 'follow-up',
+      price: calculateSessionPrice(therapist, sessionType, price),
+      ...getQuotaFields(quotaCheck, occurrenceIndex, overrideQuota),
+      ...(planCheck.plan && { planOfCareId: planCheck.plan._id }),
+      ...(series && { seriesId: series._id, occurrenceIndex }),
+    }, {
+      user: req.user,
+      reason: series ? 'Booked as part of a recurring series' : 'Booked',
+    }));
+  }
+  const [session] = createdSessions;
 
-  // Generate Jitsi meeting link with actual session ID
-  const { generateJitsiRoomName } = require('../utils/jitsiService');
-  const finalRoomName = generateJitsiRoomName(
-    session._id.toString(),
-    therapistId.toString(),
-    clientId.toString()
-  );
-  session.meetingLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/video-call?sessionId=${session._id}`;
-  session.jitsiRoomName = finalRoomName;
-  await session.save();
+  // Sessions beyond the allowance are charged at the pay-as-you-go price
+  for (const createdSession of createdSessions.filter(created => created.quotaStatus === 'overage')) {
+    await recordOverageCharge(createdSession, client._id, createdSession.overageFee);
+  }
 
   const populatedSession = await Session.findById(session._id)
     .populate({
@@ -280,62 +804,17 @@ const createSession = asyncHandler(async (req, res) => {
 
   // Get remaining sessions for client (if client is booking)
   let remainingSessions = null;
-  if (req.user.role === 'client') {
+  if (req.user.role === 'client' && quotaCheck.subscription) {
     try {
-      const Subscription = require('../models/Subscription');
-      const subscription = await Subscription.findOne({
-        userId: req.user._id,
-        status: 'active',
-      }).sort({ createdAt: -1 });
-
-      if (subscription) {
-        // Calculate billing period
-        const now = new Date();
-        let periodStart, periodEnd;
-        
-        if (subscription.startDate) {
-          if (subscription.billingCycle === 'every-4-weeks') {
-            const weeksSinceStart = Math.floor((now - subscription.startDate) / (7 * 24 * 60 * 60 * 1000));
-            const periodNumber = Math.floor(weeksSinceStart / 4);
-            periodStart = new Date(subscription.startDate);
-            periodStart.setDate(periodStart.getDate() + (periodNumber * 28));
-            periodEnd = new Date(periodStart);
-            periodEnd.setDate(periodEnd.getDate() + 28);
-          } else if (subscription.billingCycle === 'monthly') {
-            periodStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            periodEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-          } else {
-            periodStart = subscription.startDate;
-            periodEnd = subscription.nextBillingDate || new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-          }
-        } else {
-          periodStart = new Date(now.getFullYear(), now.getMonth(), 1);
-          periodEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-        }
-
-        // Count sessions used in current period (including the one just created)
-        const usedSessions = await Session.countDocuments({
-          clientId: client._id,
-          scheduledDate: {
-            $gte: periodStart,
-            $lte: periodEnd,
-          },
-          status: {
-            $in: ['scheduled', 'confirmed', 'in-progress', 'completed'],
-          },
-        });
-
-        const totalSessions = subscription.sessionsPerMonth || 0;
-        const hasUnlimited = totalSessions === 0 || totalSessions === -1;
-        const remaining = hasUnlimited ? -1 : Math.max(0, totalSessions - usedSessions);
-
-        remainingSessions = {
-          totalSessions,
-          usedSessions,
-          remainingSessions: remaining,
-          hasUnlimited,
-        };
-      }
+      // Usage for the current period, including the sessions just created
+      const quota = await getSessionQuota(quotaCheck.subscription, client._id);
+      remainingSessions = {
+        totalSessions: quota.totalSessions,
+        rolloverSessions: quota.rolloverSessions,
+        usedSessions: quota.usedSessions,
+        remainingSessions: quota.remainingSessions,
+        hasUnlimited: quota.hasUnlimited,
+      };
     } catch (error) {
       console.error('Error calculating remaining sessions:', error);
       // Don't fail session creation if this fails
@@ -349,13 +828,15 @@ const createSession = asyncHandler(async (req, res) => {
         createCalendarEventFromSession,
       } = require('../utils/internalCalendarService');
 
-      // Create calendar event for therapist
-      await createCalendarEventFromSession(session, therapistUser._id);
+      for (const createdSession of createdSessions) {
+        // Create calendar event for therapist
+        await createCalendarEventFromSession(createdSession, therapistUser._id);
 
-      // Create calendar event for client
-      await createCalendarEventFromSession(session, clientUser._id);
+        // Create calendar event for client
+        await createCalendarEventFromSession(createdSession, clientUser._id);
 
-      console.log(`✅ Calendar events created for session ${session._id}`);
+        console.log(`✅ Calendar events created for session ${createdSession._id}`);
+      }
     } catch (error) {
       console.error('Error creating calendar events:', error);
       // Don't fail session creation if calendar event creation fails
@@ -367,66 +848,468 @@ const createSession = asyncHandler(async (req, res) => {
 
   res.status(201).json({
     success: true,
-    message: 'Session created successfully',
-    data: populatedSession,
+    message: (series
+      ? `Session series created with ${createdSessions.length} sessions`
+      : 'Session created successfully')
+      + (overageCount > 0 ? `. ${overageCount} session(s) go beyond the plan and will be charged $${quotaCheck.overageFee} each.` : ''),
+    data: withViewerTime(populatedSession, getViewerTimezone(req)),
+    ...(series && { series, sessions: createdSessions }),
     ...(remainingSessions && { remainingSessions }),
+    ...(planOfCareIssues.length > 0 && { planOfCareWarnings: planOfCareIssues }),
   });
 });
 
-// @desc    Update session
-// @route   PUT /api/sessions/:id
-// @access  Private
-const updateSession = asyncHandler(async (req, res) => {
-  let session = await Session.findById(req.params.id);
+// @desc    Create a group session with a roster of clients
+// @route   POST /api/sessions/groups
+// @access  Private (Therapist, Admin)
+const createGroupSession = asyncHandler(async (req, res) => {
+  const { therapistId, clientIds = [], groupName, capacity, scheduledDate, scheduledTime, duration, sessionType, price, timezone } = req.body;
+  const mongoose = require('mongoose');
+  const User = require('../models/User');
 
-  if (!session) {
+  let therapist = null;
+  if (req.user.role === 'therapist') {
+    therapist = await Therapist.findOne({ userId: req.user._id });
+  } else if (req.user.role === 'admin' && mongoose.Types.ObjectId.isValid(therapistId)) {
+    therapist = await Therapist.findById(therapistId);
+  } else if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only therapists and admins can create group sessions',
+    });
+  }
+
+  if (!therapist) {
     return res.status(404).json({
       success: false,
-      message: 'Session not found',
+      message: 'Therapist not found',
     });
   }
 
-  session = await Session.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    { new: true, runValidators: true }
-  )
-    .populate({
-      path: 'therapistId',
-      populate: { path: 'userId', select: 'firstName lastName avatar' }
-    })
-    .populate({
-      path: 'clientId',
-      populate: { path: 'userId', select: 'firstName lastName avatar' }
+  if (therapist.status !== 'active') {
+    return res.status(403).json({
+      success: false,
+      message: `Therapist is ${therapist.status} and cannot provide services. Please contact support.`,
     });
+  }
 
-  // Update calendar events when session changes
-  const updateCalendarEventsAsync = async () => {
+  const groupCapacity = parseInt(capacity);
+  if (isNaN(groupCapacity) || groupCapacity < 2 || groupCapacity > MAX_GROUP_CAPACITY) {
+    return res.status(400).json({
+      success: false,
+      message: `capacity must be a number from 2 to ${MAX_GROUP_CAPACITY}`,
+    });
+  }
+
+  const uniqueClientIds = [...new Set((Array.isArray(clientIds) ? clientIds : []).map(String))];
+  if (uniqueClientIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid clientId format',
+    });
+  }
+  if (uniqueClientIds.length > groupCapacity) {
+    return res.status(400).json({
+      success: false,
+      message: `This group has room for ${groupCapacity} clients but ${uniqueClientIds.length} were given`,
+    });
+  }
+
+  const clients = await Client.find({ _id: { $in: uniqueClientIds } }).populate('userId', 'timezone');
+  if (clients.length !== uniqueClientIds.length) {
+    return res.status(404).json({
+      success: false,
+      message: 'One or more clients were not found',
+    });
+  }
+
+  if (clients.some(client => client.status === 'discharged')) {
+    return res.status(400).json({
+      success: false,
+      message: DISCHARGED_CLIENT_MESSAGE,
+    });
+  }
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid timezone. Expected an IANA timezone name (e.g. America/Chicago)',
+    });
+  }
+
+  const therapistUser = await User.findById(therapist.userId);
+  const therapistTimezone = resolveTimezone(therapistUser?.timezone);
+  const sessionStart = combineDateAndTime(scheduledDate, scheduledTime, resolveTimezone(timezone, req.user.timezone));
+  if (!sessionStart) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid scheduledDate or scheduledTime. Expected YYYY-MM-DD and HH:mm or h:mm AM/PM',
+    });
+  }
+
+  const bookingCheck = await checkBookingAvailability(therapist, sessionStart, duration || 45);
+  if (!bookingCheck.available) {
+    return res.status(409).json({
+      success: false,
+      message: describeBookingProblem(bookingCheck),
+      reason: bookingCheck.reason,
+      ...(bookingCheck.conflict && { conflict: bookingCheck.conflict }),
+    });
+  }
+
+  // Each place counts against that client's own plan allowance
+  const therapistLocal = toScheduledFields(sessionStart, therapistTimezone);
+  const overrideQuota = req.user.role === 'admin' && req.body.overrideQuota === true;
+  const quotaChecks = await Promise.all(clients.map(client => checkBookingQuota(client, [therapistLocal.scheduledDate])));
+  const overQuotaClients = clients.filter((client, index) => quotaChecks[index].overageIndexes.length > 0);
+  if (!overrideQuota && overQuotaClients.length > 0 && quotaChecks[0].policy === 'block') {
+    return res.status(409).json({
+      success: false,
+      message: `${overQuotaClients.length} client(s) have no sessions left in this billing period`,
+      reason: 'quota-exceeded',
+      clientIds: overQuotaClients.map(client => client._id),
+    });
+  }
+
+  // Each client is billed the same per-client price
+  const clientPrice = calculateSessionPrice(therapist, sessionType, price);
+  const session = await createSessionOccurrence({
+    therapistId: therapist._id,
+    isGroup: true,
+    groupName,
+    capacity: groupCapacity,
+    participants: clients.map((client, index) => ({
+      clientId: client._id,
+      clientTimezone: resolveTimezone(client.userId?.timezone),
+      price: clientPrice,
+      ...getQuotaFields(quotaChecks[index], 0, overrideQuota),
+    })),
+    ...therapistLocal,
+    startsAt: sessionStart,
+    therapistTimezone,
+    duration: duration || 45,
+    sessionType: sessionType || 'follow-up',
+    price: clientPrice,
+  }, {
+    user: req.user,
+    reason: 'Group session booked',
+  });
+
+  for (const participant of session.participants.filter(place => place.quotaStatus === 'overage')) {
+    await recordOverageCharge(session, participant.clientId, participant.overageFee);
+  }
+
+  createCalendarEventsForUsers(session, [therapist.userId, ...clients.map(client => client.userId?._id)]);
+  notifyGroupClients(session, clients.map(client => client._id), 'session-confirmed', 'Added to a Group Session',
+    (local) => `You have been added to ${session.groupName || 'a group session'} on ${local.displayDate} at ${local.time} ${local.abbreviation}.`);
+
+  const populatedSession = await Session.findById(session._id)
+    .populate({
+      path: 'therapistId',
+      populate: { path: 'userId', select: 'firstName lastName avatar' }
+    })
+    .populate({
+      path: 'participants.clientId',
+      populate: { path: 'userId', select: 'firstName lastName avatar' }
+    });
+
+  res.status(201).json({
+    success: true,
+    message: `Group session created with ${clients.length} of ${groupCapacity} places filled`,
+    data: withViewerTime(populatedSession, getViewerTimezone(req)),
+  });
+});
+
+// @desc    Add a client to a group session
+// @route   POST /api/sessions/:id/participants
+// @access  Private (Therapist, Admin)
+const addGroupParticipant = asyncHandler(async (req, res) => {
+  const { clientId } = req.body;
+
+  const session = await Session.findById(req.params.id);
+  if (!session || !session.isGroup) {
+    return res.status(404).json({
+      success: false,
+      message: 'Group session not found',
+    });
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!['therapist', 'admin'].includes(party)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the group\'s therapist or an admin can add clients',
+    });
+  }
+
+  if (!['scheduled', 'confirmed'].includes(session.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot add clients to a session that is ${session.status}`,
+    });
+  }
+
+  const client = await Client.findById(clientId).populate('userId', 'timezone');
+  if (!client) {
+    return res.status(404).json({
+      success: false,
+      message: 'Client not found',
+    });
+  }
+
+  if (client.status === 'discharged') {
+    return res.status(400).json({
+      success: false,
+      message: DISCHARGED_CLIENT_MESSAGE,
+    });
+  }
+
+  const existing = findParticipant(session, client._id);
+  if (existing?.status === 'enrolled') {
+    return res.status(400).json({
+      success: false,
+      message: 'Client is already in this group',
+    });
+  }
+
+  if (getEnrolledParticipants(session).length >= session.capacity) {
+    return res.status(409).json({
+      success: false,
+      message: `This group is full (${session.capacity} clients)`,
+    });
+  }
+
+  const overrideQuota = party === 'admin' && req.body.overrideQuota === true;
+  const quotaCheck = await checkBookingQuota(client, [session.scheduledDate]);
+  if (!overrideQuota && quotaCheck.overageIndexes.length > 0 && quotaCheck.policy === 'block') {
+    return res.status(409).json({
+      success: false,
+      message: 'Client has no sessions left in this billing period',
+      reason: 'quota-exceeded',
+      quota: quotaCheck.quota,
+    });
+  }
+  const quotaFields = getQuotaFields(quotaCheck, 0, overrideQuota);
+
+  if (existing) {
+    // Re-enrolling keeps the roster entry, so earlier notes and payments stay attached
+    existing.set({
+      status: 'enrolled',
+      removedAt: undefined,
+      enrolledAt: new Date(),
+      quotaStatus: quotaFields.quotaStatus,
+      overageFee: quotaFields.overageFee,
+    });
+  } else {
+    session.participants.push({
+      clientId: client._id,
+      clientTimezone: resolveTimezone(client.userId?.timezone),
+      price: session.price,
+      ...quotaFields,
+    });
+  }
+  await session.save();
+
+  if (quotaFields.quotaStatus === 'overage') {
+    await recordOverageCharge(session, client._id, quotaFields.overageFee);
+  }
+
+  createCalendarEventsForUsers(session, [client.userId?._id]);
+  notifyGroupClients(session, [client._id], 'session-confirmed', 'Added to a Group Session',
+    (local) => `You have been added to ${session.groupName || 'a group session'} on ${local.displayDate} at ${local.time} ${local.abbreviation}.`);
+
+  res.status(201).json({
+    success: true,
+    message: `Client added (${getEnrolledParticipants(session).length} of ${session.capacity} places filled)`,
+    data: session,
+  });
+});
+
+// @desc    Record a group client's attendance, note section or payment status
+// @route   PUT /api/sessions/:id/participants/:clientId
+// @access  Private (Therapist, Admin)
+const updateGroupParticipant = asyncHandler(async (req, res) => {
+  const { attendance, soapNote, paymentStatus } = req.body;
+
+  const session = await Session.findById(req.params.id).populate('therapistId', 'credentials userId');
+  if (!session || !session.isGroup) {
+    return res.status(404).json({
+      success: false,
+      message: 'Group session not found',
+    });
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!['therapist', 'admin'].includes(party)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the group\'s therapist or an admin can update a client\'s record',
+    });
+  }
+
+  const participant = findParticipant(session, req.params.clientId);
+  if (!participant || participant.status !== 'enrolled') {
+    return res.status(404).json({
+      success: false,
+      message: 'Client is not in this group',
+    });
+  }
+
+  if (paymentStatus && party !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only admins can change a client\'s payment status',
+    });
+  }
+
+  // Notes are written by the group's therapist and locked once signed
+  if (soapNote && party !== 'therapist') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the group\'s therapist can write SOAP notes',
+    });
+  }
+
+  if (soapNote && isSoapNoteLocked(participant.soapNote)) {
+    return res.status(400).json({
+      success: false,
+      message: 'This SOAP note is signed and locked. Add an addendum instead.',
+    });
+  }
+
+  let noShowFee = null;
+  if (attendance && attendance !== participant.attendance) {
+    if (getSessionStart(session) > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendance can only be recorded once the session has started',
+      });
+    }
+
+    // A client who misses the group is charged the no-show fee for their own place only
+    if (attendance === 'no-show') {
+      const credentialType = session.therapistId.credentials || 'SLPA';
+      noShowFee = getCancellationFee(credentialType);
+      participant.price = noShowFee;
+      participant.paymentStatus = 'pending';
+
+      await Payment.create({
+        sessionId: session._id,
+        clientId: participant.clientId,
+        therapistId: session.therapistId._id,
+        amount: noShowFee * 100, // Convert to cents
+        currency: 'USD',
+        paymentMethod: 'other',
+        status: 'pending',
+        metadata: {
+          type: 'no_show_fee',
+          credentialType,
+          reason: 'Did not attend group session',
+        },
+      });
+    }
+    participant.attendance = attendance;
+  }
+
+  if (soapNote) {
+    saveSoapNoteDraft(participant, soapNote, { userId: req.user._id });
+  }
+
+  if (paymentStatus) {
+    participant.paymentStatus = paymentStatus;
+  }
+
+  await session.save();
+
+  res.json({
+    success: true,
+    message: noShowFee !== null
+      ? `Client marked as a no-show. A $${noShowFee} no-show fee will be processed.`
+      : 'Client record updated',
+    data: participant,
+  });
+});
+
+// @desc    Remove a client from a group session (clients can remove themselves)
+// @route   DELETE /api/sessions/:id/participants/:clientId
+// @access  Private
+const removeGroupParticipant = asyncHandler(async (req, res) => {
+  const session = await Session.findById(req.params.id);
+  if (!session || !session.isGroup) {
+    return res.status(404).json({
+      success: false,
+      message: 'Group session not found',
+    });
+  }
+
+  const party = await getSessionParty(session, req.user);
+  const participant = findParticipant(session, req.params.clientId);
+  if (!participant || participant.status !== 'enrolled') {
+    return res.status(404).json({
+      success: false,
+      message: 'Client is not in this group',
+    });
+  }
+
+  let isOwnPlace = false;
+  if (party === 'client') {
+    const client = await Client.findOne({ userId: req.user._id });
+    isOwnPlace = client._id.toString() === req.params.clientId;
+  }
+  if (!party || (party === 'client' && !isOwnPlace)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to remove this client',
+    });
+  }
+
+  if (!['scheduled', 'confirmed'].includes(session.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot leave a session that is ${session.status}`,
+    });
+  }
+
+  participant.status = 'removed';
+  participant.removedAt = new Date();
+  await session.save();
+
+  if (participant.quotaStatus === 'overage') {
+    await releaseOverageCharge(session, participant.clientId);
+  }
+
+  // Drop the removed client's calendar event
+  const removeCalendarEventAsync = async () => {
     try {
-      const { updateCalendarEventFromSession } = require('../utils/internalCalendarService');
-      await updateCalendarEventFromSession(session);
-      console.log(`✅ Calendar events updated for session ${session._id}`);
+      const CalendarEvent = require('../models/CalendarEvent');
+      const client = await Client.findById(participant.clientId);
+      await CalendarEvent.updateMany(
+        { sessionId: session._id, userId: client.userId },
+        { status: 'cancelled' }
+      );
     } catch (error) {
       console.error('Error updating calendar events:', error);
     }
   };
+  removeCalendarEventAsync();
 
-  // Start async calendar event update (don't await)
-  updateCalendarEventsAsync();
+  if (!isOwnPlace) {
+    notifyGroupClients(session, [participant.clientId], 'session-cancelled', 'Removed from a Group Session',
+      (local) => `You are no longer booked into ${session.groupName || 'the group session'} on ${local.displayDate} at ${local.time} ${local.abbreviation}.`);
+  }
 
   res.json({
     success: true,
-    message: 'Session updated successfully',
+    message: isOwnPlace ? 'You have left the group session' : 'Client removed from the group session',
     data: session,
   });
 });
 
-// @desc    Cancel session
-// @route   DELETE /api/sessions/:id
+// @desc    Update session
+// @route   PUT /api/sessions/:id
 // @access  Private
-const cancelSession = asyncHandler(async (req, res) => {
-  const session = await Session.findById(req.params.id)
-    .populate('therapistId', 'credentials userId');
+const updateSession = asyncHandler(async (req, res) => {
+  const session = await Session.findById(req.params.id);
 
   if (!session) {
     return res.status(404).json({
@@ -435,356 +1318,2482 @@ const cancelSession = asyncHandler(async (req, res) => {
     });
   }
 
-  const { reason, loggedByTherapist } = req.body;
+  const party = await getSessionParty(session, req.user);
+  if (!party) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this session',
+    });
+  }
 
-  session.status = 'cancelled';
-  session.cancellationReason = reason;
-  session.cancelledAt = new Date();
-  session.cancelledBy = req.user._id;
+  const { status, reason, ...fields } = req.body;
 
-  // Handle cancellation fee by credential type
-  // If patient cancels AND therapist logs it, they get flat rate based on credentials
-  const therapist = session.therapistId;
-  const credentialType = therapist.credentials || 'SLPA';
-  const isTherapistLogging = req.user.role === 'therapist' && loggedByTherapist === true;
+  // Group settings are shared, so only the therapist or an admin can change them
+  const updatableFields = session.isGroup && party === 'client' ? [] : UPDATABLE_SESSION_FIELDS[party];
+  const blocked = Object.keys(fields).filter(field => !updatableFields.includes(field));
+  if (blocked.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `You cannot change: ${blocked.join(', ')}`,
+    });
+  }
 
-  if (isTherapistLogging && ['SLP', 'SLPA'].includes(credentialType)) {
-    // Therapist logged the cancellation - create payment record for cancellation fee
-    const cancellationFee = getCancellationFee(credentialType);
-    
-    // Update session price to cancellation fee
-    session.price = cancellationFee;
-    session.paymentStatus = 'pending'; // Will be processed separately
+  if (status && status !== session.status) {
+    if (STATUS_ENDPOINTS[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Use ${STATUS_ENDPOINTS[status]} to change a session to ${status}`,
+      });
+    }
 
-    // Create payment record for cancellation fee
-    await Payment.create({
-      sessionId: session._id,
-      clientId: session.clientId,
-      therapistId: session.therapistId._id,
-      amount: cancellationFee * 100, // Convert to cents
-      currency: 'USD',
-      paymentMethod: 'other',
-      status: 'pending',
-      metadata: {
-        type: 'cancellation_fee',
-        credentialType: credentialType,
-        reason: reason || `Patient cancellation - ${credentialType} logged`,
-      },
+    const transitionError = transitionSession(session, status, { user: req.user, role: party, reason });
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError,
+      });
+    }
+  }
+
+  // Sessions can only be linked to goals of the clients taking part
+  if (fields.goalIds !== undefined) {
+    const Goal = require('../models/Goal');
+    const goalIds = Array.isArray(fields.goalIds) ? [...new Set(fields.goalIds.map(String))] : [];
+    const clientIds = getSessionClients(session).map(({ client }) => client._id || client);
+    const matchingGoals = await Goal.countDocuments({ _id: { $in: goalIds }, clientId: { $in: clientIds } });
+    if (!Array.isArray(fields.goalIds) || matchingGoals !== goalIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'goalIds must be goals of the clients in this session',
+      });
+    }
+    fields.goalIds = goalIds;
+  }
+
+  // Keep the UTC instant in step when the therapist-local date or time changes
+  if (fields.scheduledDate || fields.scheduledTime) {
+    if (!['scheduled', 'confirmed'].includes(session.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot move a session that is ${session.status}`,
+      });
+    }
+
+    const startsAt = combineDateAndTime(
+      fields.scheduledDate || session.scheduledDate,
+      fields.scheduledTime || session.scheduledTime,
+      session.therapistTimezone
+    );
+    if (!startsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scheduledDate or scheduledTime',
+      });
+    }
+    fields.startsAt = startsAt;
+  }
+
+  // A moved or lengthened session must still fit the therapist's availability and calendar
+  if ((fields.startsAt || fields.duration !== undefined) && ['scheduled', 'confirmed'].includes(session.status)) {
+    const duration = parseInt(fields.duration ?? session.duration) || 45;
+    const therapist = await Therapist.findById(session.therapistId);
+    const bookingCheck = await checkBookingAvailability(therapist, fields.startsAt || getSessionStart(session), duration, {
+      excludeSessionIds: [session._id],
+    });
+
+    if (!bookingCheck.available) {
+      return res.status(409).json({
+        success: false,
+        message: describeBookingProblem(bookingCheck),
+        reason: bookingCheck.reason,
+        ...(bookingCheck.conflict && { conflict: bookingCheck.conflict }),
+      });
+    }
+  }
+
+  session.set(fields);
+  await session.save();
+  await session.populate([
+    {
+      path: 'therapistId',
+      populate: { path: 'userId', select: 'firstName lastName avatar' }
+    },
+    {
+      path: 'clientId',
+      populate: { path: 'userId', select: 'firstName lastName avatar' }
+    },
+  ]);
+
+  // Update calendar events when session changes
+  const updateCalendarEventsAsync = async () => {
+    try {
+      const { updateCalendarEventFromSession } = require('../utils/internalCalendarService');
+      await updateCalendarEventFromSession(session);
+      console.log(`✅ Calendar events updated for session ${session._id}`);
+    } catch (error) {
+      console.error('Error updating calendar events:', error);
+    }
+  };
+
+  // Start async calendar event update (don't await)
+  updateCalendarEventsAsync();
+
+  res.json({
+    success: true,
+    message: 'Session updated successfully',
+    data: session,
+  });
+});
+
+// @desc    Cancel session
+// @route   DELETE /api/sessions/:id
+// @access  Private
+const cancelSession = asyncHandler(async (req, res) => {
+  const session = await Session.findById(req.params.id)
+    .populate('therapistId', 'credentials userId');
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  const { reason, loggedByTherapist } = req.body;
+
+  const party = await getSessionParty(session, req.user);
+  if (!party) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to cancel this session',
+    });
+  }
+
+  if (session.isGroup && party === 'client') {
+    return res.status(400).json({
+      success: false,
+      message: 'Use DELETE /api/sessions/:id/participants/:clientId to leave a group session',
+    });
+  }
+
+  const transitionError = transitionSession(session, 'cancelled', { user: req.user, role: party, reason });
+  if (transitionError) {
+    return res.status(400).json({
+      success: false,
+      message: transitionError,
+    });
+  }
+
+  session.cancellationReason = reason;
+  session.cancelledAt = new Date();
+  session.cancelledBy = req.user._id;
+
+  // Handle cancellation fee by credential type
+  // If patient cancels AND therapist logs it, they get flat rate based on credentials
+  const therapist = session.therapistId;
+  const credentialType = therapist.credentials || 'SLPA';
+  const isTherapistLogging = req.user.role === 'therapist' && loggedByTherapist === true && !session.isGroup;
+
+  if (isTherapistLogging && ['SLP', 'SLPA'].includes(credentialType)) {
+    // Therapist logged the cancellation - create payment record for cancellation fee
+    const cancellationFee = getCancellationFee(credentialType);
+    
+    // Update session price to cancellation fee
+    session.price = cancellationFee;
+    session.paymentStatus = 'pending'; // Will be processed separately
+
+    // Create payment record for cancellation fee
+    await Payment.create({
+      sessionId: session._id,
+      clientId: session.clientId,
+      therapistId: session.therapistId._id,
+      amount: cancellationFee * 100, // Convert to cents
+      currency: 'USD',
+      paymentMethod: 'other',
+      status: 'pending',
+      metadata: {
+        type: 'cancellation_fee',
+        credentialType: credentialType,
+        reason: reason || `Patient cancellation - ${credentialType} logged`,
+      },
+    });
+  }
+
+  await session.save();
+
+  // The freed session no longer counts against the plan, so drop any overage charge
+  await releaseOverageCharge(session);
+
+  // A cancelled session can no longer be moved
+  const RescheduleProposal = require('../models/RescheduleProposal');
+  await RescheduleProposal.updateMany(
+    { sessionId: session._id, status: 'pending' },
+    { status: 'cancelled' }
+  );
+
+  // Update calendar events to cancelled status
+  const updateCalendarEventsAsync = async () => {
+    try {
+      const { updateCalendarEventFromSession } = require('../utils/internalCalendarService');
+      await updateCalendarEventFromSession(session);
+      console.log(`✅ Calendar events updated to cancelled for session ${session._id}`);
+    } catch (error) {
+      console.error('Error updating calendar events:', error);
+    }
+  };
+
+  updateCalendarEventsAsync();
+  backfillFreedSlots([session]);
+
+  if (session.isGroup) {
+    notifyGroupClients(session, getEnrolledParticipants(session).map(participant => participant.clientId), 'session-cancelled', 'Group Session Cancelled',
+      (local) => `${session.groupName || 'Your group session'} on ${local.displayDate} at ${local.time} ${local.abbreviation} has been cancelled.`);
+  }
+
+  res.json({
+    success: true,
+    message: 'Session cancelled successfully',
+    data: session,
+    ...(isTherapistLogging && ['SLP', 'SLPA'].includes(credentialType) && {
+      cancellationFee: getCancellationFee(credentialType),
+      message: `Session cancelled. ${credentialType} cancellation fee of $${getCancellationFee(credentialType)} will be processed.`,
+    }),
+  });
+});
+
+// @desc    Mark a session that never started as a no-show
+// @route   POST /api/sessions/:id/no-show
+// @access  Private (Therapist, Admin)
+const markNoShow = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const { validateTransition } = require('../utils/sessionLifecycle');
+  const { markSessionNoShow } = require('../utils/noShowService');
+
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!party) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this session',
+    });
+  }
+
+  if (session.isGroup) {
+    return res.status(400).json({
+      success: false,
+      message: 'Record group attendance per client with PUT /api/sessions/:id/participants/:clientId',
+    });
+  }
+
+  const transitionError = validateTransition(session.status, 'no-show', party);
+  if (transitionError) {
+    return res.status(400).json({
+      success: false,
+      message: transitionError,
+    });
+  }
+
+  if (getSessionStart(session) > new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A session cannot be marked as a no-show before its start time',
+    });
+  }
+
+  const updated = await markSessionNoShow(session, { user: req.user, role: party, reason });
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      message: 'Session status changed while marking it as a no-show. Please refresh and try again.',
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Session marked as a no-show. A $${updated.price} no-show fee will be processed.`,
+    data: updated,
+  });
+});
+
+// @desc    Start session (generate meeting link)
+// @route   POST /api/sessions/:id/start
+// @access  Private
+const startSession = asyncHandler(async (req, res) => {
+  const session = await Session.findById(req.params.id)
+    .populate('therapistId', 'userId')
+    .populate({
+      path: 'therapistId',
+      populate: { path: 'userId', select: 'firstName lastName avatar preferredLanguage' }
+    })
+    .populate('clientId', 'userId')
+    .populate({
+      path: 'clientId',
+      populate: { path: 'userId', select: 'firstName lastName avatar preferredLanguage' }
+    });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!party) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to start this session',
+    });
+  }
+
+  // The second participant joining an in-progress session does not restart it
+  if (session.status !== 'in-progress') {
+    const transitionError = transitionSession(session, 'in-progress', {
+      user: req.user,
+      role: party,
+      reason: 'Session started',
+    });
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError,
+      });
+    }
+    session.actualStartTime = new Date();
+  }
+
+  // Generate improved Jitsi meeting link if not already generated
+  if (!session.jitsiRoomName || !session.meetingLink) {
+    const { generateSessionMeetingLink } = require('../utils/jitsiService');
+    const user = req.user;
+    const meetingInfo = generateSessionMeetingLink(session, user);
+    
+    session.meetingLink = meetingInfo.meetingLink;
+    session.jitsiRoomName = meetingInfo.roomName;
+  }
+
+  await session.save();
+
+  res.json({
+    success: true,
+    message: 'Session started',
+    data: session,
+  });
+});
+
+// @desc    Complete session
+// @route   POST /api/sessions/:id/complete
+// @access  Private (Therapist)
+const completeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findById(req.params.id)
+    .populate('therapistId', 'credentials')
+    .populate('clientId', 'userId');
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!party) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to complete this session',
+    });
+  }
+
+  const transitionError = transitionSession(session, 'completed', {
+    user: req.user,
+    role: party,
+    reason: req.body.reason || 'Session completed',
+  });
+  if (transitionError) {
+    return res.status(400).json({
+      success: false,
+      message: transitionError,
+    });
+  }
+  session.actualEndTime = new Date();
+  
+  if (req.body.notes) {
+    session.notes = req.body.notes;
+  }
+
+  await session.save();
+
+  // Update therapist session count
+  await Therapist.findByIdAndUpdate(session.therapistId, {
+    $inc: { totalSessions: 1 }
+  });
+
+  // NOTE: Goals and progress are NEVER auto-generated after session completion
+  // Goals must be created by therapist AFTER diagnostic evaluation
+  // Progress is updated manually by therapist based on clinical assessment
+
+  // Auto-generate SOAP note using AI (async, don't block response)
+  const generateSoapNoteAsync = async () => {
+    try {
+      const { generateSoapNoteWithAI } = require('../utils/aiSoapNoteService');
+      const Client = require('../models/Client');
+
+      // Group notes are kept per participant; absent clients get no draft
+      const noteClientIds = session.isGroup
+        ? getEnrolledParticipants(session)
+          .filter(participant => !['absent', 'excused', 'no-show'].includes(participant.attendance))
+          .map(participant => participant.clientId._id || participant.clientId)
+        : [session.clientId._id || session.clientId];
+
+      for (const clientId of noteClientIds) {
+        const client = await Client.findById(clientId)
+          .populate('userId', 'firstName lastName');
+
+        const clientInfo = {
+          age: client?.age || null,
+          goals: client?.currentDiagnoses || [],
+        };
+
+        const soapResult = await generateSoapNoteWithAI({
+          notes: session.notes || '',
+          transcript: session.transcript || null,
+          sessionType: session.sessionType,
+          duration: session.duration,
+          // A group transcript can name any participant
+          clientIds: getSessionClientIds(session),
+          clientInfo,
+          therapistInfo: {
+            credentials: session.therapistId?.credentials,
+          },
+        });
+        if (!soapResult.success) continue;
+
+        // The AI draft never replaces a note the therapist has already started
+        const updatedSession = await Session.findById(session._id);
+        const { holder } = getSoapNoteHolder(updatedSession, clientId);
+        if (holder && !holder.soapNote) {
+          saveSoapNoteDraft(holder, soapResult.soapNote, { aiGenerated: true });
+          await updatedSession.save();
+          console.log(`AI SOAP note generated for session ${session._id}${session.isGroup ? ` (client ${clientId})` : ''}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error generating AI SOAP note:', error);
+      // Don't fail the session completion if SOAP note generation fails
+    }
+  };
+
+  // Start async SOAP note generation (don't await)
+  generateSoapNoteAsync();
+
+  // Payment will be processed separately via /api/stripe/process-session-payment
+  // or automatically when client confirms payment
+
+  res.json({
+    success: true,
+    message: 'Session completed. Payment processing required. SOAP note generation in progress.',
+    data: session,
+    requiresPayment: true,
+    soapNoteGenerating: true,
+  });
+});
+
+// @desc    Save session transcript
+// @route   POST /api/sessions/:id/transcript
+// @access  Private
+const saveTranscript = asyncHandler(async (req, res) => {
+  const { text, originalLanguage, translatedText } = req.body;
+  const session = await Session.findById(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  // Get client's preferred language for automatic translation
+  const Client = require('../models/Client');
+  const client = await Client.findById(session.clientId).populate('userId');
+  const clientPreferredLanguage = client?.preferences?.preferredLanguage || 'en';
+
+  // Auto-translate transcript to client's preferred language if different
+  let autoTranslatedText = new Map();
+  if (originalLanguage !== clientPreferredLanguage && text) {
+    try {
+      const { generateTranslatedTranscript } = require('../utils/geminiService');
+      const translated = await generateTranslatedTranscript(text, originalLanguage || 'en', clientPreferredLanguage, {
+        clientIds: getSessionClientIds(session),
+      });
+      autoTranslatedText.set(clientPreferredLanguage, translated);
+    } catch (error) {
+      console.error('Auto-translation error:', error);
+    }
+  }
+
+  // Merge with provided translations
+  if (translatedText && typeof translatedText === 'object') {
+    Object.entries(translatedText).forEach(([lang, trans]) => {
+      autoTranslatedText.set(lang, trans);
+    });
+  }
+
+  // Save transcript
+  session.transcript = {
+    originalLanguage: originalLanguage || 'en',
+    text: text,
+    translatedText: autoTranslatedText,
+    createdAt: new Date(),
+  };
+
+  await session.save();
+
+  res.json({
+    success: true,
+    message: 'Transcript saved successfully',
+    data: session.transcript,
+  });
+});
+
+// @desc    Get translated transcript
+// @route   GET /api/sessions/:id/transcript/:language
+// @access  Private
+const getTranscriptTranslation = asyncHandler(async (req, res) => {
+  const { id, language } = req.params;
+  const session = await Session.findById(id);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  if (!session.transcript || !session.transcript.text) {
+    return res.status(404).json({
+      success: false,
+      message: 'Transcript not found for this session',
+    });
+  }
+
+  // If requesting original language, return original text
+  if (language === session.transcript.originalLanguage) {
+    return res.json({
+      success: true,
+      data: {
+        text: session.transcript.text,
+        language: session.transcript.originalLanguage,
+        isOriginal: true,
+      },
+    });
+  }
+
+  // Check if translation already exists
+  const translatedText = session.transcript.translatedText?.get?.(language);
+  if (translatedText) {
+    return res.json({
+      success: true,
+      data: {
+        text: translatedText,
+        language: language,
+        isOriginal: false,
+      },
+    });
+  }
+
+  // Translate on-the-fly if not cached
+  const { translateText } = require('../utils/translationService');
+  const translated = await translateText(
+    session.transcript.text,
+    session.transcript.originalLanguage,
+    language,
+    { clientIds: getSessionClientIds(session) }
+  );
+
+  // Save translation to session
+  if (!session.transcript.translatedText) {
+    session.transcript.translatedText = new Map();
+  }
+  session.transcript.translatedText.set(language, translated);
+  await session.save();
+
+  res.json({
+    success: true,
+    data: {
+      text: translated,
+      language: language,
+      isOriginal: false,
+    },
+  });
+});
+
+// Load the session from :id and the note holder for ?clientId / body.clientId (group sessions),
+// checking the user may read the note, or with write, is the session therapist
+const loadSoapNoteContext = async (req, { write = false } = {}) => {
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return { status: 404, message: 'Session not found' };
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!party || (write && party !== 'therapist')) {
+    return { status: 403, message: write ? 'Only the session therapist can write this SOAP note' : 'Not authorized to view this session' };
+  }
+
+  // Clients read the note about them, including their own part of a group session
+  let clientId = req.body?.clientId || req.query.clientId;
+  if (party === 'client' && session.isGroup) {
+    const client = await Client.findOne({ userId: req.user._id });
+    clientId = client._id;
+  }
+
+  const { holder, status, error } = getSoapNoteHolder(session, clientId);
+  if (!holder) {
+    return { status, message: error };
+  }
+
+  return { session, holder, party };
+};
+
+// Hide the version trail from the everyday view of a note
+const withoutVersions = (soapNote) => {
+  if (!soapNote) return null;
+  const { versions, ...note } = soapNote.toObject();
+  return note;
+};
+
+// @desc    Get a session's SOAP note with its signature and addenda
+// @route   GET /api/sessions/:id/soap-note
+// @access  Private
+const getSoapNote = asyncHandler(async (req, res) => {
+  const { holder, status, message } = await loadSoapNoteContext(req);
+  if (!holder) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  res.json({
+    success: true,
+    data: withoutVersions(holder.soapNote),
+  });
+});
+
+// @desc    Save a draft SOAP note (signed notes are locked)
+// @route   POST /api/sessions/:id/soap-note
+// @access  Private (Therapist)
+const saveSoapNote = asyncHandler(async (req, res) => {
+  const { session, holder, status, message } = await loadSoapNoteContext(req, { write: true });
+  if (!holder) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const { error } = saveSoapNoteDraft(holder, req.body, { userId: req.user._id });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  await session.save();
+
+  res.json({
+    success: true,
+    message: 'SOAP note draft saved',
+    data: withoutVersions(holder.soapNote),
+  });
+});
+
+// @desc    Sign a SOAP note, locking it
+// @route   POST /api/sessions/:id/soap-note/sign
+// @access  Private (Therapist)
+const signSoapNote = asyncHandler(async (req, res) => {
+  const { session, holder, status, message } = await loadSoapNoteContext(req, { write: true });
+  if (!holder) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const therapist = await Therapist.findOne({ userId: req.user._id });
+
+  // SLPA notes go to the supervising SLP's co-sign queue, so there has to be one to take them
+  let supervisor = null;
+  if (therapist?.credentials === 'SLPA') {
+    supervisor = therapist.supervisingTherapistId && await Therapist.findById(therapist.supervisingTherapistId);
+    if (!supervisor) {
+      return res.status(400).json({
+        success: false,
+        message: 'SLPA notes need a supervising SLP to co-sign them. Ask an admin to assign your supervisor before signing.',
+      });
+    }
+  }
+
+  const { error } = applySoapNoteSignature(holder, req.user, therapist);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  await session.save();
+
+  const awaitingCoSign = holder.soapNote.coSignStatus === 'pending';
+  if (awaitingCoSign && supervisor) {
+    const { notifyUser } = require('../utils/notificationService');
+    await notifyUser(supervisor.userId, {
+      type: 'general',
+      title: 'SOAP Note Awaiting Co-signature',
+      message: `${req.user.firstName} ${req.user.lastName} signed a SOAP note that needs your co-signature.`,
+      link: '/supervision/queue',
+      metadata: { sessionId: session._id },
+    });
+  }
+
+  res.json({
+    success: true,
+    message: awaitingCoSign ? 'SOAP note signed and sent for co-signature' : 'SOAP note signed and locked',
+    data: withoutVersions(holder.soapNote),
+  });
+});
+
+// @desc    Add a signed addendum to a locked SOAP note
+// @route   POST /api/sessions/:id/soap-note/addenda
+// @access  Private (Therapist)
+const addSoapNoteAddendum = asyncHandler(async (req, res) => {
+  const { text, reason } = req.body;
+
+  const { session, holder, status, message } = await loadSoapNoteContext(req, { write: true });
+  if (!holder) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const therapist = await Therapist.findOne({ userId: req.user._id });
+  const { error } = appendSoapNoteAddendum(holder, { text, reason }, req.user, therapist);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  await session.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Addendum added',
+    data: withoutVersions(holder.soapNote),
+  });
+});
+
+// @desc    Get every saved version of a SOAP note, or one version with ?version=
+// @route   GET /api/sessions/:id/soap-note/versions
+// @access  Private (Therapist, Admin)
+const getSoapNoteVersions = asyncHandler(async (req, res) => {
+  const { version } = req.query;
+
+  const { holder, party, status, message } = await loadSoapNoteContext(req);
+  if (!holder) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (party === 'client') {
+    return res.status(403).json({
+      success: false,
+      message: 'Version history is available to the therapist and admins',
+    });
+  }
+
+  const versions = holder.soapNote?.versions || [];
+  if (version !== undefined) {
+    const entry = versions.find(saved => saved.version === Number(version));
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found`,
+      });
+    }
+    return res.json({
+      success: true,
+      data: entry,
+    });
+  }
+
+  res.json({
+    success: true,
+    data: versions,
+  });
+});
+
+// @desc    Suggest a SOAP note grounded in the transcript, trial data and active goals
+// @route   POST /api/sessions/:id/soap-note/suggestion
+// @access  Private (Therapist)
+const generateSoapNoteSuggestion = asyncHandler(async (req, res) => {
+  const { session, holder, status, message } = await loadSoapNoteContext(req, { write: true });
+  if (!holder) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (isSoapNoteLocked(holder.soapNote)) {
+    return res.status(400).json({
+      success: false,
+      message: 'This SOAP note is signed and locked. Add an addendum instead.',
+    });
+  }
+
+  const Goal = require('../models/Goal');
+  const TrialData = require('../models/TrialData');
+  const { generateGroundedSoapNote } = require('../utils/aiSoapNoteService');
+
+  const clientId = session.isGroup ? holder.clientId : session.clientId;
+  const [goals, trialData] = await Promise.all([
+    Goal.find({ clientId, status: 'active' }).sort({ createdAt: 1 }),
+    TrialData.find({ sessionId: session._id, clientId })
+      .populate('goalId', 'title')
+      .sort({ createdAt: 1 }),
+  ]);
+
+  const result = await generateGroundedSoapNote({
+    transcript: session.transcript?.text,
+    trialData,
+    goals,
+    sessionType: session.sessionType,
+    duration: session.duration,
+    // A group transcript can name any participant
+    clientIds: getSessionClientIds(session),
+  });
+  if (!result.success) {
+    return res.status(400).json({
+      success: false,
+      message: result.error,
+    });
+  }
+
+  holder.soapNoteSuggestion = { ...result.suggestion, generatedBy: req.user._id };
+  await session.save();
+
+  const { unsupportedCount } = holder.soapNoteSuggestion;
+  res.status(201).json({
+    success: true,
+    message: unsupportedCount > 0
+      ? `SOAP note suggested. ${unsupportedCount} statement(s) have no supporting evidence and are flagged.`
+      : 'SOAP note suggested',
+    data: holder.soapNoteSuggestion,
+  });
+});
+
+// @desc    Get the grounded SOAP note suggestion with its evidence
+// @route   GET /api/sessions/:id/soap-note/suggestion
+// @access  Private (Therapist, Admin)
+const getSoapNoteSuggestion = asyncHandler(async (req, res) => {
+  const { holder, party, status, message } = await loadSoapNoteContext(req);
+  if (!holder) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  if (party === 'client') {
+    return res.status(403).json({
+      success: false,
+      message: 'Suggested notes are available to the therapist and admins',
+    });
+  }
+
+  if (!holder.soapNoteSuggestion) {
+    return res.status(404).json({
+      success: false,
+      message: 'No SOAP note suggestion for this session',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: holder.soapNoteSuggestion,
+  });
+});
+
+const SUGGESTION_REVIEW_ACTIONS = ['accept', 'edit', 'reject'];
+
+// @desc    Accept, edit or reject suggested sections, saving accepted and edited ones to the draft
+// @route   POST /api/sessions/:id/soap-note/suggestion/review
+// @access  Private (Therapist)
+const reviewSoapNoteSuggestion = asyncHandler(async (req, res) => {
+  const { sections } = req.body;
+
+  const { session, holder, status, message } = await loadSoapNoteContext(req, { write: true });
+  if (!holder) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const suggestion = holder.soapNoteSuggestion;
+  if (!suggestion) {
+    return res.status(404).json({
+      success: false,
+      message: 'No SOAP note suggestion for this session. Generate one first.',
+    });
+  }
+
+  const reviews = Object.entries(sections && typeof sections === 'object' ? sections : {});
+  if (reviews.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Provide sections, e.g. { "subjective": { "action": "accept" } }, with an action of ${SUGGESTION_REVIEW_ACTIONS.join(', ')}`,
+    });
+  }
+
+  // Accepting a section takes its supported statements; flagged text only reaches the note
+  // when the therapist writes it in with an edit
+  const updates = {};
+  for (const [section, review] of reviews) {
+    if (!SOAP_SECTIONS.includes(section)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown section "${section}". Expected one of: ${SOAP_SECTIONS.join(', ')}`,
+      });
+    }
+    if (!SUGGESTION_REVIEW_ACTIONS.includes(review?.action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action for ${section} must be one of: ${SUGGESTION_REVIEW_ACTIONS.join(', ')}`,
+      });
+    }
+
+    if (review.action === 'edit') {
+      if (typeof review.text !== 'string' || !review.text.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: `Edited ${section} needs text`,
+        });
+      }
+      updates[section] = review.text.trim();
+    } else if (review.action === 'accept') {
+      const suggested = suggestion.sections.find(entry => entry.section === section);
+      const supported = (suggested?.statements || []).filter(statement => !statement.unsupported);
+      if (supported.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `The suggested ${section} has no supported statements to accept. Edit it instead.`,
+        });
+      }
+      updates[section] = supported.map(statement => statement.text).join(' ');
+    }
+  }
+
+  if (Object.keys(updates).length > 0) {
+    const accepted = reviews.some(([, review]) => review.action === 'accept');
+    const { error } = saveSoapNoteDraft(holder, updates, { userId: req.user._id, aiGenerated: accepted });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+  }
+
+  const reviewedAt = new Date();
+  for (const [section, review] of reviews) {
+    const entry = suggestion.sections.find(suggested => suggested.section === section);
+    if (!entry) continue;
+    entry.status = review.action === 'accept' ? 'accepted' : review.action === 'edit' ? 'edited' : 'rejected';
+    entry.savedText = updates[section];
+    entry.reviewedAt = reviewedAt;
+    entry.reviewedBy = req.user._id;
+  }
+
+  await session.save();
+
+  res.json({
+    success: true,
+    message: Object.keys(updates).length > 0 ? 'Reviewed sections saved to the SOAP note draft' : 'Suggestion review saved',
+    data: {
+      soapNote: withoutVersions(holder.soapNote),
+      suggestion,
+    },
+  });
+});
+
+// Trial data is recorded live during the session and corrected once it has ended
+const TRIAL_DATA_SESSION_STATUSES = ['in-progress', 'completed'];
+
+const TRIAL_CUE_LEVELS = ['independent', 'minimal', 'moderate', 'maximal'];
+
+// Load the session from :id and check the user is its therapist (or an admin) and it has started
+const loadSessionForTrialData = async (req) => {
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return { status: 404, message: 'Session not found' };
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (party !== 'therapist' && party !== 'admin') {
+    return { status: 403, message: 'Only the session therapist can record trial data' };
+  }
+
+  if (!TRIAL_DATA_SESSION_STATUSES.includes(session.status)) {
+    return { status: 400, message: `Trial data can only be recorded for sessions that are ${TRIAL_DATA_SESSION_STATUSES.join(' or ')}` };
+  }
+
+  return { session };
+};
+
+// Check logged trials are { correct: boolean, cueLevel?, note? }
+const parseTrials = (trials) => {
+  if (!Array.isArray(trials)) {
+    return { error: 'trials must be an array' };
+  }
+
+  const invalid = trials.some(trial =>
+    typeof trial?.correct !== 'boolean' || (trial.cueLevel && !TRIAL_CUE_LEVELS.includes(trial.cueLevel))
+  );
+  if (invalid) {
+    return { error: `Each trial needs correct (true or false) and an optional cueLevel (${TRIAL_CUE_LEVELS.join(', ')})` };
+  }
+
+  return {
+    trials: trials.map(trial => ({ correct: trial.correct, cueLevel: trial.cueLevel, note: trial.note })),
+  };
+};
+
+// Recheck mastery for a goal after its trial data changed and tell the therapist the first time it is met
+const checkGoalMastery = async (goalId) => {
+  const Goal = require('../models/Goal');
+  const { refreshGoalMastery } = require('../utils/goalProgressService');
+
+  const goal = await Goal.findById(goalId);
+  if (!goal || !(await refreshGoalMastery(goal))) return false;
+
+  const therapist = await Therapist.findById(goal.therapistId);
+  if (therapist) {
+    const { notifyUser } = require('../utils/notificationService');
+    await notifyUser(therapist.userId, {
+      type: 'general',
+      title: 'Goal Mastery Reached',
+      message: `"${goal.title}" has met its mastery criteria. Review the data and mark the goal completed if appropriate.`,
+      link: `/clients/${goal.clientId}/goals/${goal._id}`,
+      metadata: { goalId: goal._id },
+    });
+  }
+
+  return true;
+};
+
+// @desc    Get the trial data recorded in a session
+// @route   GET /api/sessions/:id/trial-data
+// @access  Private
+const getSessionTrialData = asyncHandler(async (req, res) => {
+  const TrialData = require('../models/TrialData');
+
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!party) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this session',
+    });
+  }
+
+  // Clients only see their own data, including in group sessions
+  const filter = { sessionId: session._id };
+  if (party === 'client') {
+    const client = await Client.findOne({ userId: req.user._id });
+    filter.clientId = client._id;
+  }
+
+  const trialData = await TrialData.find(filter)
+    .populate('goalId', 'title category status')
+    .sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: trialData,
+  });
+});
+
+// @desc    Record trial data for a goal target, as logged trials or session totals
+// @route   POST /api/sessions/:id/trial-data
+// @access  Private (Therapist, Admin)
+const recordTrialData = asyncHandler(async (req, res) => {
+  const { goalId, target, trials, correct, total, cueLevel, notes } = req.body;
+  const Goal = require('../models/Goal');
+  const TrialData = require('../models/TrialData');
+
+  const { session, status, message } = await loadSessionForTrialData(req);
+  if (!session) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const goal = goalId && await Goal.findById(goalId);
+  if (!goal || !isSessionClient(session, goal.clientId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'goalId must be a goal of a client in this session',
+    });
+  }
+
+  if (goal.status !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot record data for a goal that is ${goal.status}`,
+    });
+  }
+
+  let parsedTrials = [];
+  if (trials !== undefined) {
+    const parsed = parseTrials(trials);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
+    parsedTrials = parsed.trials;
+  }
+
+  const trialData = await TrialData.create({
+    sessionId: session._id,
+    goalId: goal._id,
+    clientId: goal.clientId,
+    therapistId: session.therapistId,
+    target,
+    trials: parsedTrials,
+    ...(parsedTrials.length === 0 && { correct, total }),
+    cueLevel,
+    notes,
+    recordedBy: req.user._id,
+  });
+
+  // Working on a goal in a session links the two
+  await Session.updateOne({ _id: session._id }, { $addToSet: { goalIds: goal._id } });
+
+  const goalMastered = await checkGoalMastery(goal._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Trial data recorded',
+    data: trialData,
+    goalMastered,
+  });
+});
+
+// @desc    Log one more trial against a target during the session
+// @route   POST /api/sessions/:id/trial-data/:dataId/trials
+// @access  Private (Therapist, Admin)
+const addTrial = asyncHandler(async (req, res) => {
+  const TrialData = require('../models/TrialData');
+
+  const { session, status, message } = await loadSessionForTrialData(req);
+  if (!session) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const parsed = parseTrials([req.body]);
+  if (parsed.error) {
+    return res.status(400).json({
+      success: false,
+      message: parsed.error,
+    });
+  }
+
+  const trialData = await TrialData.findOne({ _id: req.params.dataId, sessionId: session._id });
+  if (!trialData) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trial data not found',
+    });
+  }
+
+  // Logging a trial would overwrite totals that were entered directly
+  if (trialData.trials.length === 0 && trialData.total > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'This entry holds session totals. Update correct and total instead.',
+    });
+  }
+
+  trialData.trials.push(parsed.trials[0]);
+  await trialData.save();
+
+  const goalMastered = await checkGoalMastery(trialData.goalId);
+
+  res.status(201).json({
+    success: true,
+    message: 'Trial logged',
+    data: trialData,
+    goalMastered,
+  });
+});
+
+// @desc    Correct recorded trial data
+// @route   PUT /api/sessions/:id/trial-data/:dataId
+// @access  Private (Therapist, Admin)
+const updateTrialData = asyncHandler(async (req, res) => {
+  const { target, trials, correct, total, cueLevel, notes } = req.body;
+  const TrialData = require('../models/TrialData');
+
+  const { session, status, message } = await loadSessionForTrialData(req);
+  if (!session) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const trialData = await TrialData.findOne({ _id: req.params.dataId, sessionId: session._id });
+  if (!trialData) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trial data not found',
+    });
+  }
+
+  if (trials !== undefined) {
+    const parsed = parseTrials(trials);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
+    trialData.trials = parsed.trials;
+  }
+
+  // Totals come from the logged trials when there are any
+  if ((correct !== undefined || total !== undefined) && trialData.trials.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Totals are counted from the logged trials. Update trials instead.',
+    });
+  }
+
+  if (target !== undefined) trialData.target = target;
+  if (correct !== undefined) trialData.correct = correct;
+  if (total !== undefined) trialData.total = total;
+  if (cueLevel !== undefined) trialData.cueLevel = cueLevel;
+  if (notes !== undefined) trialData.notes = notes;
+  await trialData.save();
+
+  const goalMastered = await checkGoalMastery(trialData.goalId);
+
+  res.json({
+    success: true,
+    message: 'Trial data updated',
+    data: trialData,
+    goalMastered,
+  });
+});
+
+// @desc    Delete recorded trial data
+// @route   DELETE /api/sessions/:id/trial-data/:dataId
+// @access  Private (Therapist, Admin)
+const deleteTrialData = asyncHandler(async (req, res) => {
+  const TrialData = require('../models/TrialData');
+
+  const { session, status, message } = await loadSessionForTrialData(req);
+  if (!session) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const trialData = await TrialData.findOneAndDelete({ _id: req.params.dataId, sessionId: session._id });
+  if (!trialData) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trial data not found',
+    });
+  }
+
+  await checkGoalMastery(trialData.goalId);
+
+  res.json({
+    success: true,
+    message: 'Trial data deleted',
+  });
+});
+
+// Standardized tests are scored once the evaluation is under way
+const ASSESSMENT_SESSION_STATUSES = ['in-progress', 'completed'];
+
+const ASSESSMENT_REPORT_FORMATS = ['html', 'pdf'];
+
+// Load the evaluation session from :id and check the user is its therapist (or an admin)
+const loadSessionForAssessment = async (req) => {
+  const { isEvaluationSession } = require('../utils/evaluationReportService');
+
+  const session = await Session.findById(req.params.id)
+    .populate('clientId', 'userId dateOfBirth');
+  if (!session) {
+    return { status: 404, message: 'Session not found' };
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (party !== 'therapist' && party !== 'admin') {
+    return { status: 403, message: 'Only the session therapist can score assessments' };
+  }
+
+  // Administering and interpreting standardized tests is outside an SLPA's scope
+  const therapist = await Therapist.findById(session.therapistId).select('credentials');
+  if (therapist?.credentials === 'SLPA') {
+    return { status: 403, message: 'Standardized assessments must be administered and scored by an SLP' };
+  }
+
+  if (!(await isEvaluationSession(session))) {
+    return { status: 400, message: 'Standardized scores are recorded for evaluation sessions (assessment sessions or the evaluation tier)' };
+  }
+
+  if (!ASSESSMENT_SESSION_STATUSES.includes(session.status)) {
+    return { status: 400, message: `Scores can only be recorded for sessions that are ${ASSESSMENT_SESSION_STATUSES.join(' or ')}` };
+  }
+
+  if (!session.clientId.dateOfBirth) {
+    return { status: 400, message: 'Add the client\'s date of birth before scoring, so scores use the right age norms' };
+  }
+
+  return { session };
+};
+
+// Convert raw scores with the test's norms for the client's age on the session date
+const scoreSessionAssessment = (session, testId, rawScores) => {
+  const { getNormTable, getAgeAtTesting, scoreAssessment } = require('../utils/assessmentScoringService');
+
+  const table = getNormTable(testId);
+  if (!table) {
+    return { error: `Unknown test "${testId}". See GET /api/sessions/assessment-tests.` };
+  }
+
+  const administeredAt = session.startsAt || session.scheduledDate;
+  const ageAtTesting = getAgeAtTesting(session.clientId.dateOfBirth, administeredAt);
+  const { scores, error } = scoreAssessment(table, rawScores, ageAtTesting.totalMonths);
+  if (error) return { error };
+
+  return {
+    fields: {
+      testId: table.id,
+      testName: table.name,
+      normEdition: table.edition,
+      administeredAt,
+      ageAtTesting,
+      scores,
+    },
+  };
+};
+
+// @desc    List the standardized tests that have norm tables loaded
+// @route   GET /api/sessions/assessment-tests
+// @access  Private (Therapist, Admin)
+const getAssessmentTests = asyncHandler(async (req, res) => {
+  const { listAssessmentTests } = require('../utils/assessmentScoringService');
+
+  if (!['therapist', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  const tests = listAssessmentTests();
+
+  res.json({
+    success: true,
+    count: tests.length,
+    data: tests,
+  });
+});
+
+// @desc    Get the standardized test scores recorded for a session
+// @route   GET /api/sessions/:id/assessments
+// @access  Private
+const getSessionAssessments = asyncHandler(async (req, res) => {
+  const AssessmentResult = require('../models/AssessmentResult');
+
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!party) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this session',
+    });
+  }
+
+  const assessments = await AssessmentResult.find({ sessionId: session._id })
+    .sort({ administeredAt: 1, createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: assessments,
+  });
+});
+
+// @desc    Score a standardized test given in an evaluation session
+// @route   POST /api/sessions/:id/assessments
+// @access  Private (Therapist, Admin)
+const recordAssessment = asyncHandler(async (req, res) => {
+  const { testId, scores, interpretation } = req.body;
+  const AssessmentResult = require('../models/AssessmentResult');
+
+  const { session, status, message } = await loadSessionForAssessment(req);
+  if (!session) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const existing = await AssessmentResult.findOne({ sessionId: session._id, testId });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: 'This test is already scored for the session. Update the existing result instead.',
+      data: { assessmentId: existing._id },
+    });
+  }
+
+  const { fields, error } = scoreSessionAssessment(session, testId, scores);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  const assessment = await AssessmentResult.create({
+    ...fields,
+    sessionId: session._id,
+    clientId: session.clientId._id,
+    therapistId: session.therapistId,
+    interpretation,
+    enteredBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Assessment scored',
+    data: assessment,
+  });
+});
+
+// @desc    Correct raw scores (rescored with the current norms) or the interpretation
+// @route   PUT /api/sessions/:id/assessments/:assessmentId
+// @access  Private (Therapist, Admin)
+const updateAssessment = asyncHandler(async (req, res) => {
+  const { scores, interpretation } = req.body;
+  const AssessmentResult = require('../models/AssessmentResult');
+
+  const { session, status, message } = await loadSessionForAssessment(req);
+  if (!session) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const assessment = await AssessmentResult.findOne({ _id: req.params.assessmentId, sessionId: session._id });
+  if (!assessment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Assessment not found',
+    });
+  }
+
+  if (scores !== undefined) {
+    const { fields, error } = scoreSessionAssessment(session, assessment.testId, scores);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    Object.assign(assessment, fields);
+  }
+
+  if (interpretation !== undefined) assessment.interpretation = interpretation;
+  assessment.updatedBy = req.user._id;
+  await assessment.save();
+
+  res.json({
+    success: true,
+    message: 'Assessment updated',
+    data: assessment,
+  });
+});
+
+// @desc    Delete a scored assessment
+// @route   DELETE /api/sessions/:id/assessments/:assessmentId
+// @access  Private (Therapist, Admin)
+const deleteAssessment = asyncHandler(async (req, res) => {
+  const AssessmentResult = require('../models/AssessmentResult');
+
+  const { session, status, message } = await loadSessionForAssessment(req);
+  if (!session) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const assessment = await AssessmentResult.findOneAndDelete({ _id: req.params.assessmentId, sessionId: session._id });
+  if (!assessment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Assessment not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Assessment deleted',
+  });
+});
+
+// @desc    Export the evaluation report (scores, SOAP note and diagnoses) for an evaluation session
+// @route   GET /api/sessions/:id/evaluation-report?format=html|pdf
+// @access  Private
+const exportEvaluationReport = asyncHandler(async (req, res) => {
+  const { format = 'pdf' } = req.query;
+  const {
+    isEvaluationSession,
+    compileEvaluationReport,
+    renderEvaluationReportHtml,
+    renderEvaluationReportPdf,
+  } = require('../utils/evaluationReportService');
+
+  if (!ASSESSMENT_REPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${ASSESSMENT_REPORT_FORMATS.join(', ')}`,
+    });
+  }
+
+  const session = await Session.findById(req.params.id)
+    .populate({
+      path: 'clientId',
+      select: 'userId dateOfBirth guardianName currentDiagnoses',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    })
+    .populate({
+      path: 'therapistId',
+      select: 'userId credentials',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    });
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!party) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this session',
+    });
+  }
+
+  if (!(await isEvaluationSession(session))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Evaluation reports are for evaluation sessions',
+    });
+  }
+
+  // Clients get the report once the evaluator has signed the note
+  if (party === 'client' && session.soapNote?.status !== 'signed') {
+    return res.status(404).json({
+      success: false,
+      message: 'The evaluation report is not ready yet',
+    });
+  }
+
+  const report = await compileEvaluationReport(session);
+  const fileName = `evaluation-report-${new Date(report.evaluationDate).toISOString().split('T')[0]}.${format}`;
+
+  if (format === 'html') {
+    res.type('html');
+    res.set('Content-Disposition', `inline; filename="${fileName}"`);
+    return res.send(renderEvaluationReportHtml(report));
+  }
+
+  res.type('pdf');
+  res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(renderEvaluationReportPdf(report));
+});
+
+// @desc    Move occurrences of a recurring session series
+// @route   PUT /api/sessions/:id/series
+// @access  Private
+const updateSessionSeries = asyncHandler(async (req, res) => {
+  const { scope = 'this', scheduledDate, scheduledTime, duration, timezone } = req.body;
+  const SessionSeries = require('../models/SessionSeries');
+
+  if (!SERIES_SCOPES.includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      message: `Scope must be one of: ${SERIES_SCOPES.join(', ')}`,
+    });
+  }
+
+  if (!scheduledDate && !scheduledTime && !duration) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide a new scheduledDate, scheduledTime or duration',
+    });
+  }
+
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  if (!session.seriesId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Session is not part of a recurring series',
+    });
+  }
+
+  if (!(await isSessionParticipant(session, req.user))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this session',
+    });
+  }
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid timezone. Expected an IANA timezone name (e.g. America/Chicago)',
+    });
+  }
+
+  // Work out this occurrence's new start from the values given in the requester's timezone
+  const bookingTimezone = resolveTimezone(timezone, req.user.timezone);
+  const therapistTimezone = resolveTimezone(session.therapistTimezone);
+  const current = getZonedParts(getSessionStart(session), bookingTimezone);
+  const newStart = combineDateAndTime(
+    scheduledDate || current.dateKey,
+    scheduledTime || formatMinutesAsTime(current.minutes),
+    bookingTimezone
+  );
+
+  if (!newStart) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid scheduledDate or scheduledTime. Expected YYYY-MM-DD and HH:mm or h:mm AM/PM',
+    });
+  }
+
+  // Shift every targeted occurrence by the same number of therapist-local days as this one
+  const newLocal = toScheduledFields(newStart, therapistTimezone);
+  const dayOffset = Math.round((newLocal.scheduledDate - new Date(session.scheduledDate)) / (24 * 60 * 60 * 1000));
+
+  const targets = await getSeriesTargets(session, scope);
+  if (targets.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No upcoming occurrences to update',
+    });
+  }
+
+  const therapist = await Therapist.findById(session.therapistId);
+  const targetIds = targets.map(target => target._id);
+
+  const moves = targets.map(target => {
+    const newDate = new Date(target.scheduledDate);
+    newDate.setUTCDate(newDate.getUTCDate() + dayOffset);
+    const newTime = scheduledTime ? newLocal.scheduledTime : target.scheduledTime;
+    return {
+      session: target,
+      scheduledDate: newDate,
+      scheduledTime: newTime,
+      startsAt: combineDateAndTime(newDate, newTime, target.therapistTimezone || therapistTimezone),
+      duration: duration || target.duration,
+    };
+  });
+
+  // Validate every move before touching anything so the series is never half-moved
+  const unavailable = [];
+  for (const move of moves) {
+    const bookingCheck = await checkBookingAvailability(therapist, move.startsAt, move.duration, {
+      excludeSessionIds: targetIds,
+    });
+    if (!bookingCheck.available) {
+      unavailable.push({ sessionId: move.session._id, scheduledDate: move.scheduledDate, ...bookingCheck });
+    }
+  }
+
+  if (unavailable.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: unavailable.length === 1 && moves.length === 1
+        ? describeBookingProblem(unavailable[0])
+        : `${unavailable.length} of ${moves.length} occurrences cannot be moved. Please choose another time.`,
+      unavailableOccurrences: unavailable,
+    });
+  }
+
+  const series = await SessionSeries.findById(session.seriesId);
+
+  // "This and following" from a later occurrence splits off a new series
+  let targetSeries = series;
+  if (scope === 'following' && series) {
+    const earlierOccurrences = await Session.countDocuments({
+      seriesId: series._id,
+      occurrenceIndex: { $lt: session.occurrenceIndex },
+    });
+
+    if (earlierOccurrences > 0) {
+      const lastKeptDate = new Date(session.scheduledDate);
+      lastKeptDate.setUTCDate(lastKeptDate.getUTCDate() - 1);
+
+      targetSeries = await SessionSeries.create({
+        therapistId: series.therapistId,
+        clientId: series.clientId,
+        createdBy: req.user._id,
+        recurrence: {
+          frequency: series.recurrence.frequency,
+          until: series.recurrence.until,
+          count: series.recurrence.count
+            ? Math.max(1, series.recurrence.count - session.occurrenceIndex)
+            : undefined,
+        },
+        startDate: moves[0].scheduledDate,
+        scheduledTime: moves[0].scheduledTime,
+        duration: moves[0].duration,
+        sessionType: series.sessionType,
+        splitFromSeriesId: series._id,
+      });
+
+      series.recurrence.until = lastKeptDate;
+      series.recurrence.count = series.recurrence.count ? session.occurrenceIndex : undefined;
+      await series.save();
+    }
+  }
+
+  if (scope !== 'this' && targetSeries) {
+    if (targetSeries === series) {
+      const newSeriesStart = new Date(series.startDate);
+      newSeriesStart.setUTCDate(newSeriesStart.getUTCDate() + dayOffset);
+      series.startDate = newSeriesStart;
+      if (series.recurrence.until) {
+        const newUntil = new Date(series.recurrence.until);
+        newUntil.setUTCDate(newUntil.getUTCDate() + dayOffset);
+        series.recurrence.until = newUntil;
+      }
+    }
+    targetSeries.scheduledTime = scheduledTime ? newLocal.scheduledTime : targetSeries.scheduledTime;
+    targetSeries.duration = duration || targetSeries.duration;
+    await targetSeries.save();
+  }
+
+  const updatedSessions = [];
+  for (const [index, move] of moves.entries()) {
+    const target = move.session;
+    target.scheduledDate = move.scheduledDate;
+    target.scheduledTime = move.scheduledTime;
+    target.startsAt = move.startsAt;
+    target.duration = move.duration;
+    target.reminder24hSent = false;
+    target.reminder45mSent = false;
+
+    if (scope === 'this') {
+      target.isSeriesException = true;
+    } else if (targetSeries && !targetSeries._id.equals(target.seriesId)) {
+      target.seriesId = targetSeries._id;
+      target.occurrenceIndex = index;
+    }
+
+    updatedSessions.push(await target.save());
+  }
+
+  updateSessionCalendarEvents(updatedSessions);
+
+  res.json({
+    success: true,
+    message: `${updatedSessions.length} session(s) updated`,
+    data: updatedSessions,
+    ...(targetSeries && { series: targetSeries }),
+  });
+});
+
+// @desc    Cancel occurrences of a recurring session series
+// @route   DELETE /api/sessions/:id/series
+// @access  Private
+const cancelSessionSeries = asyncHandler(async (req, res) => {
+  const { scope = 'this', reason } = req.body;
+  const SessionSeries = require('../models/SessionSeries');
+
+  if (!SERIES_SCOPES.includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      message: `Scope must be one of: ${SERIES_SCOPES.join(', ')}`,
+    });
+  }
+
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  if (!session.seriesId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Session is not part of a recurring series',
+    });
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!party) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to cancel this session',
+    });
+  }
+
+  const targets = await getSeriesTargets(session, scope);
+  if (targets.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No upcoming occurrences to cancel',
+    });
+  }
+
+  const cancelledSessions = [];
+  const skippedSessions = [];
+  for (const target of targets) {
+    const transitionError = transitionSession(target, 'cancelled', { user: req.user, role: party, reason });
+    if (transitionError) {
+      skippedSessions.push({ sessionId: target._id, reason: transitionError });
+      continue;
+    }
+    target.cancellationReason = reason;
+    target.cancelledAt = new Date();
+    target.cancelledBy = req.user._id;
+    cancelledSessions.push(await target.save());
+    await releaseOverageCharge(target);
+  }
+
+  if (cancelledSessions.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: skippedSessions[0].reason,
+      skipped: skippedSessions,
+    });
+  }
+
+  // Cancelled occurrences can no longer be moved
+  const RescheduleProposal = require('../models/RescheduleProposal');
+  await RescheduleProposal.updateMany(
+    { sessionId: { $in: cancelledSessions.map(cancelled => cancelled._id) }, status: 'pending' },
+    { status: 'cancelled' }
+  );
+
+  const series = await SessionSeries.findById(session.seriesId);
+  if (series && scope !== 'this') {
+    const remaining = await Session.countDocuments({
+      seriesId: series._id,
+      status: { $in: ['scheduled', 'confirmed'] },
+    });
+
+    if (scope === 'following') {
+      const lastKeptDate = new Date(session.scheduledDate);
+      lastKeptDate.setUTCDate(lastKeptDate.getUTCDate() - 1);
+      series.recurrence.until = lastKeptDate;
+      series.recurrence.count = series.recurrence.count ? session.occurrenceIndex : undefined;
+    }
+
+    if (scope === 'all' || remaining === 0) {
+      series.status = scope === 'all' ? 'cancelled' : 'ended';
+      series.cancelledAt = new Date();
+      series.cancelledBy = req.user._id;
+      series.cancellationReason = reason;
+    }
+    await series.save();
+  }
+
+  updateSessionCalendarEvents(cancelledSessions);
+
+  // Single occurrences go to the waitlist; whole runs of a series are usually rebooked as a new series
+  if (scope === 'this') {
+    backfillFreedSlots(cancelledSessions);
+  }
+
+  res.json({
+    success: true,
+    message: `${cancelledSessions.length} session(s) cancelled`
+      + (skippedSessions.length > 0 ? `, ${skippedSessions.length} could not be cancelled` : ''),
+    data: cancelledSessions,
+    ...(skippedSessions.length > 0 && { skipped: skippedSessions }),
+    ...(series && { series }),
+  });
+});
+
+// Load the session, requester's party and pending proposal for a reschedule response
+const getPendingProposalContext = async (req) => {
+  const RescheduleProposal = require('../models/RescheduleProposal');
+
+  const session = await loadSessionForReschedule(req.params.id);
+  if (!session) {
+    return { status: 404, message: 'Session not found' };
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!party) {
+    return { status: 403, message: 'Not authorized to reschedule this session' };
+  }
+
+  const proposal = await RescheduleProposal.findOne({
+    _id: req.params.proposalId,
+    sessionId: session._id,
+  });
+  if (!proposal) {
+    return { status: 404, message: 'Reschedule proposal not found' };
+  }
+
+  if (proposal.status !== 'pending') {
+    return { status: 400, message: `Reschedule proposal is already ${proposal.status}` };
+  }
+
+  return { session, party, proposal };
+};
+
+// @desc    Get reschedule proposals for a session
+// @route   GET /api/sessions/:id/reschedule-proposals
+// @access  Private
+const getRescheduleProposals = asyncHandler(async (req, res) => {
+  const RescheduleProposal = require('../models/RescheduleProposal');
+
+  const session = await Session.findById(req.params.id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  if (!(await isSessionParticipant(session, req.user))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this session',
+    });
+  }
+
+  // Include proposals made on the session this one replaced, so the full history is visible
+  const sessionIds = [session._id, session.rescheduledFrom].filter(Boolean);
+  const proposals = await RescheduleProposal.find({ sessionId: { $in: sessionIds } })
+    .populate('proposedBy', 'firstName lastName role')
+    .populate('respondedBy', 'firstName lastName role')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: proposals.length,
+    data: proposals,
+  });
+});
+
+// @desc    Propose new times for a session
+// @route   POST /api/sessions/:id/reschedule-proposals
+// @access  Private
+const proposeReschedule = asyncHandler(async (req, res) => {
+  const { proposedTimes, message, timezone, recipient = 'client' } = req.body;
+  const RescheduleProposal = require('../models/RescheduleProposal');
+
+  const session = await loadSessionForReschedule(req.params.id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  const party = await getSessionParty(session, req.user);
+  if (!party) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to reschedule this session',
+    });
+  }
+
+  if (session.isGroup) {
+    return res.status(400).json({
+      success: false,
+      message: 'Group sessions are moved by the therapist with PUT /api/sessions/:id',
+    });
+  }
+
+  if (!['scheduled', 'confirmed'].includes(session.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot reschedule a session that is ${session.status}`,
+    });
+  }
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid timezone. Expected an IANA timezone name (e.g. America/Chicago)',
+    });
+  }
+
+  // Admins (coordinators) choose which side has to respond
+  const recipientRole = party === 'admin' ? recipient : (party === 'therapist' ? 'client' : 'therapist');
+  if (!['therapist', 'client'].includes(recipientRole)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Recipient must be therapist or client',
+    });
+  }
+
+  const pending = await RescheduleProposal.findOne({ sessionId: session._id, status: 'pending' });
+  if (pending) {
+    return res.status(409).json({
+      success: false,
+      message: 'A reschedule proposal is already pending for this session. Accept, decline or counter it instead.',
+      data: pending,
+    });
+  }
+
+  const bookingTimezone = resolveTimezone(timezone, req.user.timezone);
+  const { times, error } = parseProposedTimes(proposedTimes, bookingTimezone, session.duration);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  const unavailable = await findUnavailableProposedTimes(session, times);
+  if (unavailable.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `${unavailable.length} of ${times.length} proposed times cannot be booked. Please choose other times.`,
+      unavailableTimes: unavailable,
     });
   }
 
-  await session.save();
-
-  // Update calendar events to cancelled status
-  const updateCalendarEventsAsync = async () => {
-    try {
-      const { updateCalendarEventFromSession } = require('../utils/internalCalendarService');
-      await updateCalendarEventFromSession(session);
-      console.log(`✅ Calendar events updated to cancelled for session ${session._id}`);
-    } catch (error) {
-      console.error('Error updating calendar events:', error);
-    }
-  };
+  const proposal = await RescheduleProposal.create({
+    sessionId: session._id,
+    proposedBy: req.user._id,
+    proposerRole: party,
+    recipientRole,
+    proposedTimes: times,
+    message,
+  });
 
-  updateCalendarEventsAsync();
+  await notifyRescheduleStep(session, proposal, req.user._id, 'Reschedule Proposed', ({ isActor, formatTime }) => {
+    const options = times.map(option => formatTime(option.startsAt)).join('; ');
+    return isActor
+      ? `You proposed moving the session on ${formatTime(getSessionStart(session))} to: ${options}`
+      : `${req.user.firstName} ${req.user.lastName} proposed moving the session on ${formatTime(getSessionStart(session))} to: ${options}`;
+  });
 
-  res.json({
+  res.status(201).json({
     success: true,
-    message: 'Session cancelled successfully',
-    data: session,
-    ...(isTherapistLogging && ['SLP', 'SLPA'].includes(credentialType) && {
-      cancellationFee: getCancellationFee(credentialType),
-      message: `Session cancelled. ${credentialType} cancellation fee of $${getCancellationFee(credentialType)} will be processed.`,
-    }),
+    message: 'Reschedule proposal sent',
+    data: proposal,
   });
 });
 
-// @desc    Start session (generate meeting link)
-// @route   POST /api/sessions/:id/start
+// @desc    Accept a reschedule proposal and book the replacement session
+// @route   POST /api/sessions/:id/reschedule-proposals/:proposalId/accept
 // @access  Private
-const startSession = asyncHandler(async (req, res) => {
-  const session = await Session.findById(req.params.id)
-    .populate('therapistId', 'userId')
-    .populate({
-      path: 'therapistId',
-      populate: { path: 'userId', select: 'firstName lastName avatar preferredLanguage' }
-    })
-    .populate('clientId', 'userId')
-    .populate({
-      path: 'clientId',
-      populate: { path: 'userId', select: 'firstName lastName avatar preferredLanguage' }
+const acceptRescheduleProposal = asyncHandler(async (req, res) => {
+  const { optionIndex = 0, message } = req.body;
+  const RescheduleProposal = require('../models/RescheduleProposal');
+
+  const context = await getPendingProposalContext(req);
+  if (context.status) {
+    return res.status(context.status).json({
+      success: false,
+      message: context.message,
     });
+  }
+  const { session, party } = context;
+  let { proposal } = context;
 
-  if (!session) {
-    return res.status(404).json({
+  if (party !== 'admin' && party !== proposal.recipientRole) {
+    return res.status(403).json({
       success: false,
-      message: 'Session not found',
+      message: 'Only the other party can accept this proposal',
     });
   }
 
-  // Generate improved Jitsi meeting link if not already generated
-  if (!session.jitsiRoomName || !session.meetingLink) {
-    const { generateSessionMeetingLink } = require('../utils/jitsiService');
-    const user = req.user;
-    const meetingInfo = generateSessionMeetingLink(session, user);
-    
-    session.meetingLink = meetingInfo.meetingLink;
-    session.jitsiRoomName = meetingInfo.roomName;
+  // Proposals left on group sessions can still be declined or withdrawn, but not acted on
+  if (session.isGroup) {
+    return res.status(400).json({
+      success: false,
+      message: 'Group sessions are moved by the therapist with PUT /api/sessions/:id',
+    });
   }
 
-  session.status = 'in-progress';
-  session.actualStartTime = new Date();
+  if (!['scheduled', 'confirmed'].includes(session.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot reschedule a session that is ${session.status}`,
+    });
+  }
 
-  await session.save();
+  const option = proposal.proposedTimes[optionIndex];
+  if (!option) {
+    return res.status(400).json({
+      success: false,
+      message: `optionIndex must be between 0 and ${proposal.proposedTimes.length - 1}`,
+    });
+  }
 
-  res.json({
-    success: true,
-    message: 'Session started',
-    data: session,
-  });
-});
+  if (option.startsAt <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'This proposed time has already passed. Please counter with a new time.',
+    });
+  }
 
-// @desc    Complete session
-// @route   POST /api/sessions/:id/complete
-// @access  Private (Therapist)
-const completeSession = asyncHandler(async (req, res) => {
-  const session = await Session.findById(req.params.id)
-    .populate('therapistId', 'credentials')
-    .populate('clientId', 'userId');
+  // The slot may have been taken since the proposal was made
+  const [unavailable] = await findUnavailableProposedTimes(session, [option]);
+  if (unavailable) {
+    return res.status(409).json({
+      success: false,
+      message: describeBookingProblem(unavailable),
+      reason: unavailable.reason,
+      ...(unavailable.conflict && { conflict: unavailable.conflict }),
+    });
+  }
 
-  if (!session) {
-    return res.status(404).json({
+  const transitionError = transitionSession(session, 'rescheduled', {
+    user: req.user,
+    role: party,
+    reason: `Reschedule proposal accepted; moved to ${option.startsAt.toISOString()}`,
+  });
+  if (transitionError) {
+    return res.status(400).json({
       success: false,
-      message: 'Session not found',
+      message: transitionError,
     });
   }
 
-  session.status = 'completed';
-  session.actualEndTime = new Date();
-  
-  if (req.body.notes) {
-    session.notes = req.body.notes;
+  // Only one response can move the proposal out of 'pending'
+  proposal = await RescheduleProposal.findOneAndUpdate(
+    { _id: proposal._id, status: 'pending' },
+    {
+      status: 'accepted',
+      respondedBy: req.user._id,
+      respondedAt: new Date(),
+      responseMessage: message,
+      acceptedTime: option.startsAt,
+    },
+    { new: true }
+  );
+  if (!proposal) {
+    return res.status(409).json({
+      success: false,
+      message: 'This reschedule proposal has already been answered',
+    });
   }
 
-  await session.save();
+  const therapistTimezone = resolveTimezone(session.therapistTimezone, session.therapistId.userId?.timezone);
+  const therapistLocal = toScheduledFields(option.startsAt, therapistTimezone);
+  let newSession;
+  try {
+    newSession = await createSessionOccurrence({
+      therapistId: session.therapistId._id,
+      clientId: session.clientId._id,
+      scheduledDate: therapistLocal.scheduledDate,
+      scheduledTime: therapistLocal.scheduledTime,
+      startsAt: option.startsAt,
+      therapistTimezone: session.therapistTimezone,
+      clientTimezone: session.clientTimezone,
+      duration: option.duration || session.duration,
+      sessionType: session.sessionType,
+      // Keep the agreed price and any payment already taken; no cancellation fee applies
+      price: session.price,
+      paymentStatus: session.paymentStatus,
+      translationEnabled: session.translationEnabled,
+      sourceLanguage: session.sourceLanguage,
+      targetLanguage: session.targetLanguage,
+      rescheduledFrom: session._id,
+      ...(session.seriesId && {
+        seriesId: session.seriesId,
+        occurrenceIndex: session.occurrenceIndex,
+        isSeriesException: true,
+      }),
+    }, {
+      user: req.user,
+      role: party,
+      reason: `Rescheduled from session ${session._id}`,
+    });
+  } catch (error) {
+    // Put the proposal back so it can still be answered after a failed booking
+    await RescheduleProposal.updateOne(
+      { _id: proposal._id, status: 'accepted', newSessionId: { $exists: false } },
+      { $set: { status: 'pending' }, $unset: { respondedBy: '', respondedAt: '', responseMessage: '', acceptedTime: '' } }
+    );
+    throw error;
+  }
 
-  // Update therapist session count
-  await Therapist.findByIdAndUpdate(session.therapistId, {
-    $inc: { totalSessions: 1 }
-  });
+  session.rescheduledTo = newSession._id;
+  await session.save();
 
-  // NOTE: Goals and progress are NEVER auto-generated after session completion
-  // Goals must be created by therapist AFTER diagnostic evaluation
-  // Progress is updated manually by therapist based on clinical assessment
+  proposal.newSessionId = newSession._id;
+  await proposal.save();
 
-  // Auto-generate SOAP note using AI (async, don't block response)
-  const generateSoapNoteAsync = async () => {
+  // Move both users' calendar entries to the new session
+  const moveCalendarEventsAsync = async () => {
     try {
-      const { generateSoapNote } = require('../utils/aiSoapNoteService');
-      const Client = require('../models/Client');
-      
-      const client = await Client.findById(session.clientId)
-        .populate('userId', 'firstName lastName');
-
-      const clientInfo = {
-        age: client?.age || null,
-        goals: client?.currentDiagnoses || [],
-      };
-
-      const soapResult = await generateSoapNote({
-        notes: session.notes || '',
-        transcript: session.transcript || null,
-        sessionType: session.sessionType,
-        duration: session.duration,
-        clientInfo,
-        therapistInfo: {
-          credentials: session.therapistId?.credentials,
-        },
-      });
+      const {
+        createCalendarEventFromSession,
+        updateCalendarEventFromSession,
+      } = require('../utils/internalCalendarService');
 
-      if (soapResult.success) {
-        const updatedSession = await Session.findById(session._id);
-        updatedSession.soapNote = soapResult.soapNote;
-        await updatedSession.save();
-        console.log(`AI SOAP note generated for session ${session._id}`);
-      }
+      await updateCalendarEventFromSession(session);
+      await createCalendarEventFromSession(newSession, session.therapistId.userId._id);
+      await createCalendarEventFromSession(newSession, session.clientId.userId._id);
+      await moveExternalCalendarEvent(session, newSession);
+      console.log(`✅ Calendar events moved from session ${session._id} to ${newSession._id}`);
     } catch (error) {
-      console.error('Error generating AI SOAP note:', error);
-      // Don't fail the session completion if SOAP note generation fails
+      console.error('Error moving calendar events:', error);
     }
   };
 
-  // Start async SOAP note generation (don't await)
-  generateSoapNoteAsync();
+  moveCalendarEventsAsync();
+  backfillFreedSlots([session]);
 
-  // Payment will be processed separately via /api/stripe/process-session-payment
-  // or automatically when client confirms payment
+  await notifyRescheduleStep(session, proposal, req.user._id, 'Session Rescheduled', ({ isActor, formatTime }) => {
+    return isActor
+      ? `You accepted the new time. Your session is now on ${formatTime(option.startsAt)}.`
+      : `${req.user.firstName} ${req.user.lastName} accepted the new time. Your session is now on ${formatTime(option.startsAt)}.`;
+  });
+
+  const populatedSession = await loadSessionForReschedule(newSession._id);
 
   res.json({
     success: true,
-    message: 'Session completed. Payment processing required. SOAP note generation in progress.',
-    data: session,
-    requiresPayment: true,
-    soapNoteGenerating: true,
+    message: 'Session rescheduled successfully',
+    data: withViewerTime(populatedSession, getViewerTimezone(req)),
+    proposal,
   });
 });
 
-// @desc    Save SOAP note
-// @route   POST /api/sessions/:id/soap-note
-// @access  Private (Therapist)
-// @desc    Save session transcript
-// @route   POST /api/sessions/:id/transcript
+// @desc    Decline a reschedule proposal
+// @route   POST /api/sessions/:id/reschedule-proposals/:proposalId/decline
 // @access  Private
-const saveTranscript = asyncHandler(async (req, res) => {
-  const { text, originalLanguage, translatedText } = req.body;
-  const session = await Session.findById(req.params.id);
+const declineRescheduleProposal = asyncHandler(async (req, res) => {
+  const { message } = req.body;
 
-  if (!session) {
-    return res.status(404).json({
+  const context = await getPendingProposalContext(req);
+  if (context.status) {
+    return res.status(context.status).json({
       success: false,
-      message: 'Session not found',
+      message: context.message,
     });
   }
+  const { session, party, proposal } = context;
 
-  // Get client's preferred language for automatic translation
-  const Client = require('../models/Client');
-  const client = await Client.findById(session.clientId).populate('userId');
-  const clientPreferredLanguage = client?.preferences?.preferredLanguage || 'en';
-
-  // Auto-translate transcript to client's preferred language if different
-  let autoTranslatedText = new Map();
-  if (originalLanguage !== clientPreferredLanguage && text) {
-    try {
-      const { generateTranslatedTranscript } = require('../utils/geminiService');
-      const translated = await generateTranslatedTranscript(text, originalLanguage || 'en', clientPreferredLanguage);
-      autoTranslatedText.set(clientPreferredLanguage, translated);
-    } catch (error) {
-      console.error('Auto-translation error:', error);
-    }
-  }
-
-  // Merge with provided translations
-  if (translatedText && typeof translatedText === 'object') {
-    Object.entries(translatedText).forEach(([lang, trans]) => {
-      autoTranslatedText.set(lang, trans);
+  if (party !== 'admin' && party !== proposal.recipientRole) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the other party can decline this proposal',
     });
   }
 
-  // Save transcript
-  session.transcript = {
-    originalLanguage: originalLanguage || 'en',
-    text: text,
-    translatedText: autoTranslatedText,
-    createdAt: new Date(),
-  };
-
-  await session.save();
+  proposal.status = 'declined';
+  proposal.respondedBy = req.user._id;
+  proposal.respondedAt = new Date();
+  proposal.responseMessage = message;
+  await proposal.save();
+
+  await notifyRescheduleStep(session, proposal, req.user._id, 'Reschedule Declined', ({ isActor, formatTime }) => {
+    const sessionTime = formatTime(getSessionStart(session));
+    return isActor
+      ? `You declined the proposed new times. The session stays on ${sessionTime}.`
+      : `${req.user.firstName} ${req.user.lastName} declined the proposed new times. The session stays on ${sessionTime}.`;
+  });
 
   res.json({
     success: true,
-    message: 'Transcript saved successfully',
-    data: session.transcript,
+    message: 'Reschedule proposal declined',
+    data: proposal,
   });
 });
 
-// @desc    Get translated transcript
-// @route   GET /api/sessions/:id/transcript/:language
+// @desc    Answer a reschedule proposal with different times
+// @route   POST /api/sessions/:id/reschedule-proposals/:proposalId/counter
 // @access  Private
-const getTranscriptTranslation = asyncHandler(async (req, res) => {
-  const { id, language } = req.params;
-  const session = await Session.findById(id);
+const counterRescheduleProposal = asyncHandler(async (req, res) => {
+  const { proposedTimes, message, timezone } = req.body;
+  const RescheduleProposal = require('../models/RescheduleProposal');
 
-  if (!session) {
-    return res.status(404).json({
+  const context = await getPendingProposalContext(req);
+  if (context.status) {
+    return res.status(context.status).json({
       success: false,
-      message: 'Session not found',
+      message: context.message,
     });
   }
+  const { session, party, proposal } = context;
 
-  if (!session.transcript || !session.transcript.text) {
-    return res.status(404).json({
+  if (party !== 'admin' && party !== proposal.recipientRole) {
+    return res.status(403).json({
       success: false,
-      message: 'Transcript not found for this session',
+      message: 'Only the other party can counter this proposal',
     });
   }
 
-  // If requesting original language, return original text
-  if (language === session.transcript.originalLanguage) {
-    return res.json({
-      success: true,
-      data: {
-        text: session.transcript.text,
-        language: session.transcript.originalLanguage,
-        isOriginal: true,
-      },
+  // Proposals left on group sessions can still be declined or withdrawn, but not acted on
+  if (session.isGroup) {
+    return res.status(400).json({
+      success: false,
+      message: 'Group sessions are moved by the therapist with PUT /api/sessions/:id',
     });
   }
 
-  // Check if translation already exists
-  const translatedText = session.transcript.translatedText?.get?.(language);
-  if (translatedText) {
-    return res.json({
-      success: true,
-      data: {
-        text: translatedText,
-        language: language,
-        isOriginal: false,
-      },
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid timezone. Expected an IANA timezone name (e.g. America/Chicago)',
     });
   }
 
-  // Translate on-the-fly if not cached
-  const { translateText } = require('../utils/translationService');
-  const translated = await translateText(
-    session.transcript.text,
-    session.transcript.originalLanguage,
-    language
-  );
+  const bookingTimezone = resolveTimezone(timezone, req.user.timezone);
+  const { times, error } = parseProposedTimes(proposedTimes, bookingTimezone, session.duration);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
 
-  // Save translation to session
-  if (!session.transcript.translatedText) {
-    session.transcript.translatedText = new Map();
+  const unavailable = await findUnavailableProposedTimes(session, times);
+  if (unavailable.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `${unavailable.length} of ${times.length} proposed times cannot be booked. Please choose other times.`,
+      unavailableTimes: unavailable,
+    });
   }
-  session.transcript.translatedText.set(language, translated);
-  await session.save();
 
-  res.json({
+  proposal.status = 'countered';
+  proposal.respondedBy = req.user._id;
+  proposal.respondedAt = new Date();
+  proposal.responseMessage = message;
+  await proposal.save();
+
+  // The counter goes back to the side that made the original proposal
+  const counterProposal = await RescheduleProposal.create({
+    sessionId: session._id,
+    proposedBy: req.user._id,
+    proposerRole: party,
+    recipientRole: proposal.recipientRole === 'therapist' ? 'client' : 'therapist',
+    proposedTimes: times,
+    message,
+    previousProposalId: proposal._id,
+  });
+
+  await notifyRescheduleStep(session, counterProposal, req.user._id, 'Reschedule Counter-Proposal', ({ isActor, formatTime }) => {
+    const options = times.map(option => formatTime(option.startsAt)).join('; ');
+    return isActor
+      ? `You suggested different times for the session: ${options}`
+      : `${req.user.firstName} ${req.user.lastName} suggested different times for the session: ${options}`;
+  });
+
+  res.status(201).json({
     success: true,
-    data: {
-      text: translated,
-      language: language,
-      isOriginal: false,
-    },
+    message: 'Counter-proposal sent',
+    data: counterProposal,
   });
 });
 
-const saveSoapNote = asyncHandler(async (req, res) => {
-  const session = await Session.findById(req.params.id);
-
-  if (!session) {
-    return res.status(404).json({
+// @desc    Withdraw your own pending reschedule proposal
+// @route   POST /api/sessions/:id/reschedule-proposals/:proposalId/withdraw
+// @access  Private
+const withdrawRescheduleProposal = asyncHandler(async (req, res) => {
+  const context = await getPendingProposalContext(req);
+  if (context.status) {
+    return res.status(context.status).json({
       success: false,
-      message: 'Session not found',
+      message: context.message,
     });
   }
+  const { session, party, proposal } = context;
 
-  const { subjective, objective, assessment, plan } = req.body;
+  if (party !== 'admin' && proposal.proposedBy.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the user who made this proposal can withdraw it',
+    });
+  }
 
-  session.soapNote = {
-    subjective,
-    objective,
-    assessment,
-    plan,
-    generatedAt: new Date(),
-    aiGenerated: false,
-  };
+  proposal.status = 'withdrawn';
+  proposal.respondedBy = req.user._id;
+  proposal.respondedAt = new Date();
+  await proposal.save();
 
-  await session.save();
+  await notifyRescheduleStep(session, proposal, req.user._id, 'Reschedule Withdrawn', ({ isActor, formatTime }) => {
+    const sessionTime = formatTime(getSessionStart(session));
+    return isActor
+      ? `You withdrew your reschedule proposal. The session stays on ${sessionTime}.`
+      : `${req.user.firstName} ${req.user.lastName} withdrew their reschedule proposal. The session stays on ${sessionTime}.`;
+  });
 
   res.json({
     success: true,
-    message: 'SOAP note saved successfully',
-    data: session,
+    message: 'Reschedule proposal withdrawn',
+    data: proposal,
   });
 });
 
@@ -793,12 +3802,46 @@ module.exports = {
   getUpcomingSessions,
   getSession,
   createSession,
+  createGroupSession,
+  addGroupParticipant,
+  updateGroupParticipant,
+  removeGroupParticipant,
   updateSession,
   cancelSession,
+  markNoShow,
   startSession,
   completeSession,
+  getSoapNote,
   saveSoapNote,
+  signSoapNote,
+  addSoapNoteAddendum,
+  getSoapNoteVersions,
+  generateSoapNoteSuggestion,
+  getSoapNoteSuggestion,
+  reviewSoapNoteSuggestion,
+  getSessionTrialData,
+  recordTrialData,
+  addTrial,
+  updateTrialData,
+  deleteTrialData,
+  getAssessmentTests,
+  getSessionAssessments,
+  recordAssessment,
+  updateAssessment,
+  deleteAssessment,
+  exportEvaluationReport,
   saveTranscript,
   getTranscriptTranslation,
+  updateSessionSeries,
+  cancelSessionSeries,
+  getRescheduleProposals,
+  proposeReschedule,
+  acceptRescheduleProposal,
+  declineRescheduleProposal,
+  counterRescheduleProposal,
+  withdrawRescheduleProposal,
+  createSessionOccurrence,
+  calculateSessionPrice,
+  checkClientBookingRules,
 };
 
@@ -3,9 +3,11 @@ const Subscription = require('../models/Subscription');
 const Payment = require('../models/Payment');
 const Session = require('../models/Session');
 const Client = require('../models/Client');
-const Therapist = require('../models/Therapist');
+const PlanOfCare = require('../models/PlanOfCare');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const { getPricingTiersForSubscription, getPaymentSplitForUse, getCancellationFee } = require('./pricingController');
+const { findParticipant } = require('../utils/groupSessionService');
+const { getActivePlan, getPlanBillingCodes } = require('../utils/planOfCareService');
 
 // @desc    Create Stripe checkout session
 // @route   POST /api/stripe/create-checkout-session
@@ -105,9 +107,26 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
     });
   }
 
+  // Group clients pay for their own place in the group
+  let payingClientId = session.clientId?._id;
+  let amount = session.price || session.therapistId.hourlyRate || 100;
+  if (session.isGroup) {
+    const payingClient = await Client.findOne({ userId });
+    const participant = payingClient && findParticipant(session, payingClient._id);
+    if (!participant || participant.status !== 'enrolled') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only clients in this group can pay for a place',
+      });
+    }
+    payingClientId = payingClient._id;
+    amount = participant.price;
+  }
+
   // Check if payment already exists
   const existingPayment = await Payment.findOne({
     sessionId: session._id,
+    clientId: payingClientId,
     status: { $in: ['completed', 'processing'] },
   });
 
@@ -118,8 +137,6 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
     });
   }
 
-  // Calculate amount (use session price or therapist's hourly rate)
-  const amount = session.price || session.therapistId.hourlyRate || 100;
   const amountInCents = Math.round(amount * 100);
 
   // Get payment split based on therapist credentials
@@ -131,7 +148,7 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
   // Get or create Stripe customer for client
   let customerId = null;
   try {
-    const client = await Client.findById(session.clientId._id).populate('userId');
+    const client = await Client.findById(payingClientId).populate('userId');
     // In production, store stripeCustomerId in User or Client model
     // For now, create customer on-the-fly
     const customer = await stripe.customers.create({
@@ -147,6 +164,12 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
     console.error('Error creating Stripe customer:', error);
   }
 
+  // Bill under the plan of care the session was booked under (or the one covering its date)
+  const plan = !session.isGroup && session.planOfCareId
+    ? await PlanOfCare.findById(session.planOfCareId)
+    : await getActivePlan(payingClientId, session.scheduledDate);
+  const billingCodes = plan ? getPlanBillingCodes(plan) : null;
+
   // Create payment intent
   const paymentIntent = await stripe.paymentIntents.create({
     amount: amountInCents,
@@ -155,7 +178,7 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
     payment_method_types: ['card'],
     metadata: {
       sessionId: sessionId.toString(),
-      clientId: session.clientId._id.toString(),
+      clientId: payingClientId.toString(),
       therapistId: session.therapistId._id.toString(),
       platformFee: platformFee.toString(),
       therapistFee: therapistFee.toString(),
@@ -166,7 +189,7 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
   // Create pending payment record
   await Payment.create({
     sessionId: session._id,
-    clientId: session.clientId._id,
+    clientId: payingClientId,
     therapistId: session.therapistId._id,
     amount: amountInCents,
     currency: 'USD',
@@ -177,6 +200,11 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
       platformFee,
       therapistFee,
       type: 'session_payment',
+      ...(plan && {
+        planOfCareId: plan._id,
+        diagnosisCodes: billingCodes.diagnosisCodes,
+        procedureCodes: billingCodes.procedureCodes,
+      }),
     },
   });
 
@@ -197,7 +225,6 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
 // @access  Private
 const createCancellationPayment = asyncHandler(async (req, res) => {
   const { sessionId } = req.body;
-  const userId = req.user._id;
 
   // Get session details
   const session = await Session.findById(sessionId)
@@ -355,7 +382,6 @@ const confirmPayment = asyncHandler(async (req, res) => {
 // @access  Private
 const processSessionPayment = asyncHandler(async (req, res) => {
   const { sessionId } = req.body;
-  const userId = req.user._id;
 
   // Get session details
   const session = await Session.findById(sessionId)
@@ -493,28 +519,23 @@ const handleWebhook = asyncHandler(async (req, res) => {
   // Handle the event
   switch (event.type) {
     case 'checkout.session.completed':
-      const session = event.data.object;
-      await handleCheckoutCompleted(session);
+      await handleCheckoutCompleted(event.data.object);
       break;
 
     case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      await handlePaymentSucceeded(paymentIntent);
+      await handlePaymentSucceeded(event.data.object);
       break;
 
     case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      await handlePaymentFailed(failedPayment);
+      await handlePaymentFailed(event.data.object);
       break;
 
     case 'payment_intent.canceled':
-      const canceledPayment = event.data.object;
-      await handlePaymentCanceled(canceledPayment);
+      await handlePaymentCanceled(event.data.object);
       break;
 
     case 'charge.refunded':
-      const refundedCharge = event.data.object;
-      await handleChargeRefunded(refundedCharge);
+      await handleChargeRefunded(event.data.object);
       break;
 
     default:
@@ -604,10 +625,18 @@ async function handlePaymentSucceeded(paymentIntent) {
     await payment.save();
   }
 
-  // Update session payment status
-  await Session.findByIdAndUpdate(sessionId, {
-    paymentStatus: 'paid',
-  });
+  // Update session payment status (group sessions track it per client)
+  const session = await Session.findById(sessionId).select('isGroup');
+  if (session?.isGroup) {
+    await Session.updateOne(
+      { _id: sessionId, 'participants.clientId': clientId },
+      { 'participants.$.paymentStatus': 'completed' }
+    );
+  } else {
+    await Session.findByIdAndUpdate(sessionId, {
+      paymentStatus: 'paid',
+    });
+  }
 }
 
 // Helper: Handle payment failed
@@ -1,5 +1,4 @@
 const Subscription = require('../models/Subscription');
-const User = require('../models/User');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const { getPricingTiersForSubscription } = require('./pricingController');
 
@@ -161,14 +160,16 @@ const getSubscriptionHistory = asyncHandler(async (req, res) => {
 // @access  Private
 const getRemainingSessions = asyncHandler(async (req, res) => {
   const userId = req.user._id;
-  const Session = require('../models/Session');
   const Client = require('../models/Client');
+  const {
+    getActiveSubscription,
+    getSessionQuota,
+    getQuotaPolicy,
+    getOverageFee,
+  } = require('../utils/subscriptionQuotaService');
 
   // Get active subscription
-  const subscription = await Subscription.findOne({
-    userId,
-    status: 'active',
-  }).sort({ createdAt: -1 });
+  const subscription = await getActiveSubscription(userId);
 
   if (!subscription) {
     return res.json({
@@ -202,61 +203,28 @@ const getRemainingSessions = asyncHandler(async (req, res) => {
     });
   }
 
-  // Calculate billing period (from subscription start date or current month)
-  const now = new Date();
-  let periodStart, periodEnd;
-  
-  if (subscription.startDate) {
-    // Calculate based on billing cycle
-    if (subscription.billingCycle === 'every-4-weeks') {
-      // Find which 4-week period we're in
-      const weeksSinceStart = Math.floor((now - subscription.startDate) / (7 * 24 * 60 * 60 * 1000));
-      const periodNumber = Math.floor(weeksSinceStart / 4);
-      periodStart = new Date(subscription.startDate);
-      periodStart.setDate(periodStart.getDate() + (periodNumber * 28));
-      periodEnd = new Date(periodStart);
-      periodEnd.setDate(periodEnd.getDate() + 28);
-    } else if (subscription.billingCycle === 'monthly') {
-      // Monthly billing - use calendar month
-      periodStart = new Date(now.getFullYear(), now.getMonth(), 1);
-      periodEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-    } else {
-      // Pay-as-you-go or other - use subscription start date
-      periodStart = subscription.startDate;
-      periodEnd = subscription.nextBillingDate || new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-    }
-  } else {
-    // Fallback to current month
-    periodStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    periodEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-  }
-
-  // Count sessions used in current billing period
-  // Count scheduled, confirmed, in-progress, and completed sessions
-  const usedSessions = await Session.countDocuments({
-    clientId: client._id,
-    scheduledDate: {
-      $gte: periodStart,
-      $lte: periodEnd,
-    },
-    status: {
-      $in: ['scheduled', 'confirmed', 'in-progress', 'completed'],
-    },
-  });
-
-  const totalSessions = subscription.sessionsPerMonth || 0;
-  const hasUnlimited = totalSessions === 0 || totalSessions === -1;
-  const remainingSessions = hasUnlimited ? -1 : Math.max(0, totalSessions - usedSessions);
+  const {
+    totalSessions,
+    rolloverSessions,
+    usedSessions,
+    remainingSessions,
+    hasUnlimited,
+    periodStart,
+    periodEnd,
+  } = await getSessionQuota(subscription, client._id);
 
   res.json({
     success: true,
     data: {
       totalSessions,
+      rolloverSessions,
       usedSessions,
       remainingSessions,
       hasUnlimited,
       periodStart,
       periodEnd,
+      quotaPolicy: getQuotaPolicy(),
+      overageFee: getOverageFee(),
       subscription: {
         tier: subscription.tier,
         tierName: subscription.tierName,
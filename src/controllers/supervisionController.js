@@ -0,0 +1,407 @@
+const dayjs = require('dayjs');
+const Therapist = require('../models/Therapist');
+const Session = require('../models/Session');
+const SupervisionLog = require('../models/SupervisionLog');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { notifyUser } = require('../utils/notificationService');
+const { getSupervisionSummary } = require('../utils/supervisionService');
+const {
+  getSoapNoteHolder,
+  applySoapNoteCoSignature,
+  returnSoapNoteForRevision,
+} = require('../utils/soapNoteService');
+
+// Therapist profile of the requesting user (admins have none)
+const getRequesterTherapist = (user) => {
+  return user.role === 'therapist' ? Therapist.findOne({ userId: user._id }) : null;
+};
+
+// The SLPA, their supervising SLP and admins can see an SLPA's supervision;
+// only the supervisor and admins can change it
+const canAccessSupervisee = (supervisee, user, therapist, { manage = false } = {}) => {
+  if (user.role === 'admin') return true;
+  if (!therapist) return false;
+  if (supervisee.supervisingTherapistId?.toString() === therapist._id.toString()) return true;
+  return !manage && supervisee._id.toString() === therapist._id.toString();
+};
+
+// Load the session from :sessionId and check the user supervises its SLPA
+const loadSessionForReview = async (req) => {
+  const session = await Session.findById(req.params.sessionId)
+    .populate({
+      path: 'therapistId',
+      select: 'userId credentials supervisingTherapistId',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    });
+  if (!session) {
+    return { status: 404, message: 'Session not found' };
+  }
+
+  const supervisor = await getRequesterTherapist(req.user);
+  if (!supervisor || session.therapistId.supervisingTherapistId?.toString() !== supervisor._id.toString()) {
+    return { status: 403, message: 'Only the supervising SLP can review this note' };
+  }
+
+  const { holder, status, error } = getSoapNoteHolder(session, req.body.clientId);
+  if (!holder) {
+    return { status, message: error };
+  }
+
+  return { session, holder, supervisor };
+};
+
+// @desc    Get the SLPAs supervised by the current SLP (admins: all, or ?supervisorId=) with this month's hours
+// @route   GET /api/supervision/supervisees
+// @access  Private (Therapist, Admin)
+const getSupervisees = asyncHandler(async (req, res) => {
+  const filter = { credentials: 'SLPA' };
+
+  if (req.user.role === 'admin') {
+    filter.supervisingTherapistId = req.query.supervisorId || { $exists: true, $ne: null };
+  } else {
+    const therapist = await getRequesterTherapist(req.user);
+    if (!therapist) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+    filter.supervisingTherapistId = therapist._id;
+  }
+
+  const supervisees = await Therapist.find(filter)
+    .select('userId credentials licensedStates status supervisingTherapistId supervisionStartedAt complianceDocuments.supervision')
+    .populate('userId', 'firstName lastName email');
+
+  const data = await Promise.all(supervisees.map(async (supervisee) => ({
+    ...supervisee.toObject(),
+    supervision: await getSupervisionSummary(supervisee),
+  })));
+
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+// @desc    Get SLPA notes waiting for the current SLP's co-signature (admins see every pending note)
+// @route   GET /api/supervision/queue
+// @access  Private (Therapist, Admin)
+const getCoSignQueue = asyncHandler(async (req, res) => {
+  const pending = {
+    $or: [
+      { 'soapNote.coSignStatus': 'pending' },
+      { 'participants.soapNote.coSignStatus': 'pending' },
+    ],
+  };
+
+  if (req.user.role !== 'admin') {
+    const therapist = await getRequesterTherapist(req.user);
+    const supervisees = therapist
+      ? await Therapist.find({ supervisingTherapistId: therapist._id }).select('_id')
+      : [];
+    pending.therapistId = { $in: supervisees.map(supervisee => supervisee._id) };
+  }
+
+  const sessions = await Session.find(pending)
+    .select('therapistId clientId isGroup groupName scheduledDate scheduledTime startsAt soapNote participants')
+    .populate({
+      path: 'therapistId',
+      select: 'userId',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    })
+    .populate({
+      path: 'clientId participants.clientId',
+      select: 'userId',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    })
+    .sort({ scheduledDate: 1 });
+
+  // One queue item per note: the session's own, or each group client's
+  const queue = sessions.flatMap(session => {
+    const holders = session.isGroup
+      ? session.participants.map(participant => ({ clientId: participant.clientId, soapNote: participant.soapNote }))
+      : [{ clientId: session.clientId, soapNote: session.soapNote }];
+
+    return holders
+      .filter(({ soapNote }) => soapNote?.coSignStatus === 'pending')
+      .map(({ clientId, soapNote }) => ({
+        sessionId: session._id,
+        isGroup: !!session.isGroup,
+        groupName: session.groupName,
+        sessionDate: session.startsAt || session.scheduledDate,
+        therapist: session.therapistId,
+        client: clientId,
+        signedAt: soapNote.signature?.signedAt,
+        soapNote: {
+          subjective: soapNote.subjective,
+          objective: soapNote.objective,
+          assessment: soapNote.assessment,
+          plan: soapNote.plan,
+          signature: soapNote.signature,
+        },
+      }));
+  });
+
+  res.json({
+    success: true,
+    count: queue.length,
+    data: queue,
+  });
+});
+
+// @desc    Co-sign an SLPA's signed SOAP note
+// @route   POST /api/supervision/sessions/:sessionId/cosign
+// @access  Private (Supervising SLP)
+const coSignSoapNote = asyncHandler(async (req, res) => {
+  const { session, holder, supervisor, status, message } = await loadSessionForReview(req);
+  if (!holder) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const { error } = applySoapNoteCoSignature(holder, req.user, supervisor);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  await session.save();
+
+  await notifyUser(session.therapistId.userId._id, {
+    type: 'general',
+    title: 'SOAP Note Co-signed',
+    message: `Your SOAP note for the session on ${dayjs(session.scheduledDate).format('MMM D, YYYY')} was co-signed by your supervisor.`,
+    link: `/sessions/${session._id}`,
+    metadata: { sessionId: session._id },
+  });
+
+  res.json({
+    success: true,
+    message: 'SOAP note co-signed',
+    data: holder.soapNote,
+  });
+});
+
+// @desc    Return an SLPA's signed SOAP note to draft with feedback
+// @route   POST /api/supervision/sessions/:sessionId/return
+// @access  Private (Supervising SLP)
+const returnSoapNote = asyncHandler(async (req, res) => {
+  const { feedback } = req.body;
+
+  const { session, holder, status, message } = await loadSessionForReview(req);
+  if (!holder) {
+    return res.status(status).json({
+      success: false,
+      message,
+    });
+  }
+
+  const { error } = returnSoapNoteForRevision(holder, feedback, req.user);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  await session.save();
+
+  await notifyUser(session.therapistId.userId._id, {
+    type: 'general',
+    title: 'SOAP Note Returned',
+    message: `Your supervisor returned your SOAP note for the session on ${dayjs(session.scheduledDate).format('MMM D, YYYY')}: ${feedback}`,
+    link: `/sessions/${session._id}`,
+    metadata: { sessionId: session._id },
+  });
+
+  res.json({
+    success: true,
+    message: 'SOAP note returned to the SLPA for revision',
+    data: holder.soapNote,
+  });
+});
+
+// @desc    Get supervision log entries for an SLPA (?superviseeId, ?from, ?to)
+// @route   GET /api/supervision/logs
+// @access  Private (SLPA, Supervising SLP, Admin)
+const getSupervisionLogs = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const therapist = await getRequesterTherapist(req.user);
+  const superviseeId = req.query.superviseeId || therapist?._id;
+  const supervisee = superviseeId && await Therapist.findById(superviseeId);
+  if (!supervisee) {
+    return res.status(404).json({
+      success: false,
+      message: 'SLPA not found',
+    });
+  }
+
+  if (!canAccessSupervisee(supervisee, req.user, therapist)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this SLPA\'s supervision',
+    });
+  }
+
+  const filter = { superviseeId: supervisee._id };
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = dayjs(from).startOf('day').toDate();
+    if (to) filter.date.$lte = dayjs(to).endOf('day').toDate();
+  }
+
+  const logs = await SupervisionLog.find(filter)
+    .populate({
+      path: 'supervisorId',
+      select: 'userId',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    })
+    .sort({ date: -1 });
+
+  res.json({
+    success: true,
+    data: logs,
+  });
+});
+
+// @desc    Log direct or indirect supervision time for an SLPA
+// @route   POST /api/supervision/logs
+// @access  Private (Supervising SLP, Admin)
+const createSupervisionLog = asyncHandler(async (req, res) => {
+  const { superviseeId, type, minutes, date, sessionId, activity, notes } = req.body;
+
+  const supervisee = superviseeId && await Therapist.findById(superviseeId);
+  if (!supervisee || supervisee.credentials !== 'SLPA') {
+    return res.status(404).json({
+      success: false,
+      message: 'SLPA not found',
+    });
+  }
+
+  if (!supervisee.supervisingTherapistId) {
+    return res.status(400).json({
+      success: false,
+      message: 'This SLPA has no supervising SLP assigned',
+    });
+  }
+
+  const therapist = await getRequesterTherapist(req.user);
+  if (!canAccessSupervisee(supervisee, req.user, therapist, { manage: true })) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the SLPA\'s supervising SLP can log supervision',
+    });
+  }
+
+  // Direct supervision can point at the session that was observed
+  if (sessionId) {
+    const session = await Session.findById(sessionId).select('therapistId');
+    if (!session || session.therapistId.toString() !== supervisee._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'sessionId must be one of the SLPA\'s sessions',
+      });
+    }
+  }
+
+  const log = await SupervisionLog.create({
+    supervisorId: supervisee.supervisingTherapistId,
+    superviseeId: supervisee._id,
+    type,
+    minutes,
+    date: date || new Date(),
+    sessionId,
+    activity,
+    notes,
+    loggedBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Supervision logged',
+    data: log,
+  });
+});
+
+// @desc    Delete a supervision log entry
+// @route   DELETE /api/supervision/logs/:id
+// @access  Private (Supervising SLP, Admin)
+const deleteSupervisionLog = asyncHandler(async (req, res) => {
+  const log = await SupervisionLog.findById(req.params.id);
+  if (!log) {
+    return res.status(404).json({
+      success: false,
+      message: 'Supervision log not found',
+    });
+  }
+
+  const therapist = await getRequesterTherapist(req.user);
+  const isSupervisor = therapist && log.supervisorId.toString() === therapist._id.toString();
+  if (req.user.role !== 'admin' && !isSupervisor) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the supervisor who logged this entry can delete it',
+    });
+  }
+
+  await log.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Supervision log deleted',
+  });
+});
+
+// @desc    Compare an SLPA's logged supervision with the required minimums for a month (?superviseeId, ?month=YYYY-MM)
+// @route   GET /api/supervision/summary
+// @access  Private (SLPA, Supervising SLP, Admin)
+const getSupervisionSummaryForMonth = asyncHandler(async (req, res) => {
+  const { month } = req.query;
+
+  const at = month ? dayjs(`${month}-01`) : dayjs();
+  if (!at.isValid()) {
+    return res.status(400).json({
+      success: false,
+      message: 'month must be in YYYY-MM format',
+    });
+  }
+
+  const therapist = await getRequesterTherapist(req.user);
+  const superviseeId = req.query.superviseeId || therapist?._id;
+  const supervisee = superviseeId && await Therapist.findById(superviseeId);
+  if (!supervisee || supervisee.credentials !== 'SLPA') {
+    return res.status(404).json({
+      success: false,
+      message: 'SLPA not found',
+    });
+  }
+
+  if (!canAccessSupervisee(supervisee, req.user, therapist)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this SLPA\'s supervision',
+    });
+  }
+
+  res.json({
+    success: true,
+    data: await getSupervisionSummary(supervisee, at.toDate()),
+  });
+});
+
+module.exports = {
+  getSupervisees,
+  getCoSignQueue,
+  coSignSoapNote,
+  returnSoapNote,
+  getSupervisionLogs,
+  createSupervisionLog,
+  deleteSupervisionLog,
+  getSupervisionSummaryForMonth,
+};
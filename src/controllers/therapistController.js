@@ -3,9 +3,16 @@ const User = require('../models/User');
 const Review = require('../models/Review');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const { getRateCapsForUse } = require('./pricingController');
-const upload = require('../config/multer');
-const path = require('path');
-const fs = require('fs').promises;
+const {
+  combineDateAndTime,
+  getTherapistTimezone,
+  addDaysToKey,
+  findSessionsInRange,
+  getSessionStart,
+  getBookableSlots,
+} = require('../utils/schedulingService');
+const { isValidTimezone, resolveTimezone, toDateKey, formatInTimezone } = require('../utils/timezoneService');
+const { getSessionClients, isSessionClient } = require('../utils/groupSessionService');
 
 // @desc    Get all therapists
 // @route   GET /api/therapists
@@ -370,6 +377,418 @@ const updateAvailability = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get bookable slots for a therapist
+// @route   GET /api/therapists/:id/slots
+// @access  Public
+const getTherapistSlots = asyncHandler(async (req, res) => {
+  const therapist = await Therapist.findById(req.params.id);
+
+  if (!therapist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Therapist not found',
+    });
+  }
+
+  if (therapist.status !== 'active') {
+    return res.status(403).json({
+      success: false,
+      message: `Therapist is ${therapist.status} and cannot provide services. Please contact support.`,
+    });
+  }
+
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  let to;
+  if (req.query.to) {
+    to = new Date(req.query.to);
+  } else {
+    to = new Date(from);
+    to.setDate(to.getDate() + 14);
+  }
+  const duration = parseInt(req.query.duration) || 45;
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid date range. Expected ISO dates with from before to',
+    });
+  }
+
+  if (to - from > 62 * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Date range cannot exceed 62 days',
+    });
+  }
+
+  if (duration < 15 || duration > 120) {
+    return res.status(400).json({
+      success: false,
+      message: 'Duration must be between 15 and 120 minutes',
+    });
+  }
+
+  const viewerTimezone = resolveTimezone(req.query.timezone, req.user?.timezone);
+  const slots = await getBookableSlots(therapist, { from, to, duration, viewerTimezone });
+
+  res.json({
+    success: true,
+    data: {
+      therapistId: therapist._id,
+      from,
+      to,
+      duration,
+      timezone: viewerTimezone,
+      slots,
+    },
+  });
+});
+
+// Check the requesting user owns the therapist profile or is an admin
+const canManageTherapist = (therapist, user) => {
+  return therapist.userId.toString() === user._id.toString() || user.role === 'admin';
+};
+
+// Pick up to three alternative start times on different days for a session moved by time off
+const findAlternativeTimes = async (therapist, session, after) => {
+  const from = new Date(Math.max(after.getTime(), Date.now()));
+  const to = new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
+  const slots = await getBookableSlots(therapist, { from, to, duration: session.duration });
+
+  const picked = [];
+  for (const slot of slots) {
+    if (picked.some(p => p.scheduledDate === slot.scheduledDate)) continue;
+    picked.push(slot);
+    if (picked.length === 3) break;
+  }
+  return picked.map(slot => ({ startsAt: slot.start, duration: session.duration }));
+};
+
+// @desc    Get time off and extra hours for a therapist
+// @route   GET /api/therapists/:id/availability-exceptions
+// @access  Private (Therapist - own profile, Admin)
+const getAvailabilityExceptions = asyncHandler(async (req, res) => {
+  const AvailabilityException = require('../models/AvailabilityException');
+  const therapist = await Therapist.findById(req.params.id);
+
+  if (!therapist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Therapist not found',
+    });
+  }
+
+  if (!canManageTherapist(therapist, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  // Default to exceptions that have not ended yet
+  const filter = { therapistId: therapist._id, endsAt: { $gt: req.query.from ? new Date(req.query.from) : new Date() } };
+  if (req.query.to) {
+    filter.startsAt = { $lt: new Date(req.query.to) };
+  }
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  const exceptions = await AvailabilityException.find(filter).sort({ startsAt: 1 });
+
+  res.json({
+    success: true,
+    count: exceptions.length,
+    data: exceptions,
+  });
+});
+
+// @desc    Add time off or extra hours for a therapist
+// @route   POST /api/therapists/:id/availability-exceptions
+// @access  Private (Therapist - own profile, Admin)
+const createAvailabilityException = asyncHandler(async (req, res) => {
+  const {
+    type,
+    reason,
+    note,
+    startDate,
+    endDate,
+    startTime,
+    endTime,
+    timezone,
+    proposeAlternatives = true,
+  } = req.body;
+  const AvailabilityException = require('../models/AvailabilityException');
+  const RescheduleProposal = require('../models/RescheduleProposal');
+  const Client = require('../models/Client');
+  const { notifyUser } = require('../utils/notificationService');
+
+  const therapist = await Therapist.findById(req.params.id).populate('userId', 'firstName lastName timezone');
+
+  if (!therapist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Therapist not found',
+    });
+  }
+
+  if (therapist.userId._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  if (!['time-off', 'extra-hours'].includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Type must be time-off or extra-hours',
+    });
+  }
+
+  if (!startDate || !toDateKey(startDate) || (endDate && !toDateKey(endDate))) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid startDate is required. Expected ISO date strings (YYYY-MM-DD)',
+    });
+  }
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid timezone. Expected an IANA timezone name (e.g. America/Chicago)',
+    });
+  }
+
+  const allDay = !startTime && !endTime;
+  if (type === 'extra-hours' && allDay) {
+    return res.status(400).json({
+      success: false,
+      message: 'Extra hours need a startTime and endTime',
+    });
+  }
+
+  // Dates and times are read in the given timezone, or the therapist's own
+  const tz = resolveTimezone(timezone, await getTherapistTimezone(therapist));
+  const lastDate = toDateKey(endDate || startDate);
+  const startsAt = combineDateAndTime(startDate, startTime || '00:00', tz);
+  const endsAt = endTime
+    ? combineDateAndTime(lastDate, endTime, tz)
+    : combineDateAndTime(addDaysToKey(lastDate, 1), '00:00', tz);
+
+  if (!startsAt || !endsAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid startTime or endTime. Expected HH:mm or h:mm AM/PM',
+    });
+  }
+
+  if (endsAt <= startsAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'The exception must end after it starts',
+    });
+  }
+
+  if (endsAt - startsAt > 366 * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({
+      success: false,
+      message: 'An exception cannot be longer than a year',
+    });
+  }
+
+  const exception = await AvailabilityException.create({
+    therapistId: therapist._id,
+    type,
+    reason: type === 'time-off' ? reason : undefined,
+    note,
+    startsAt,
+    endsAt,
+    allDay,
+    timezone: tz,
+    createdBy: req.user._id,
+  });
+
+  // Sessions already booked inside the time off stay booked until their clients pick a new time
+  const affectedSessions = [];
+  if (type === 'time-off') {
+    const sessions = await findSessionsInRange(therapist._id, startsAt, endsAt);
+    exception.affectedSessionIds = sessions.map(session => session._id);
+    await exception.save();
+
+    const therapistName = `${therapist.userId.firstName} ${therapist.userId.lastName}`;
+    for (const session of sessions) {
+      // Group sessions can't be rescheduled by proposal; the therapist moves them for the whole group
+      let proposal = session.isGroup
+        ? null
+        : await RescheduleProposal.findOne({ sessionId: session._id, status: 'pending' });
+      if (!proposal && !session.isGroup && proposeAlternatives) {
+        const proposedTimes = await findAlternativeTimes(therapist, session, endsAt);
+        if (proposedTimes.length > 0) {
+          proposal = await RescheduleProposal.create({
+            sessionId: session._id,
+            proposedBy: req.user._id,
+            proposerRole: req.user.role === 'admin' ? 'admin' : 'therapist',
+            recipientRole: 'client',
+            proposedTimes,
+            message: `${therapistName} is unavailable at the original time. Please choose one of these times or suggest another.`,
+          });
+        }
+      }
+
+      affectedSessions.push({
+        sessionId: session._id,
+        clientId: session.clientId || null,
+        isGroup: !!session.isGroup,
+        clientIds: getSessionClients(session).map(({ client }) => client._id || client),
+        startsAt: getSessionStart(session),
+        proposalId: proposal?._id || null,
+      });
+    }
+
+    // Send each client one notification listing all of their affected sessions
+    const clientIds = [...new Set(affectedSessions.flatMap(a => a.clientIds.map(id => id.toString())))];
+    for (const clientId of clientIds) {
+      const client = await Client.findById(clientId).populate('userId', 'timezone');
+      if (!client?.userId) continue;
+
+      const clientSessions = affectedSessions.filter(a => a.clientIds.some(id => id.toString() === clientId));
+      const clientTz = resolveTimezone(client.userId.timezone);
+      const sessionList = clientSessions.map(a => {
+        const local = formatInTimezone(a.startsAt, clientTz);
+        return `${local.displayDate} at ${local.time} ${local.abbreviation}${a.isGroup ? ' (group)' : ''}`;
+      }).join('; ');
+      const guidance = [];
+      if (clientSessions.some(a => a.proposalId)) {
+        guidance.push('New times have been proposed - open each session to accept one, suggest another time or cancel.');
+      } else if (clientSessions.some(a => !a.isGroup)) {
+        guidance.push('Open each session to propose a new time or cancel.');
+      }
+      if (clientSessions.some(a => a.isGroup)) {
+        guidance.push('Group sessions will be moved by your therapist for the whole group.');
+      }
+
+      await notifyUser(client.userId._id, {
+        type: 'session-rescheduled',
+        title: 'Your Therapist Will Be Away',
+        message: `${therapistName} will be unavailable during ${clientSessions.length} of your sessions: ${sessionList}. ${guidance.join(' ')}`,
+        link: `/sessions?availabilityException=${exception._id}`,
+        metadata: {
+          availabilityExceptionId: exception._id,
+          sessions: clientSessions.map(a => ({ sessionId: a.sessionId, proposalId: a.proposalId })),
+        },
+      }, { email: true });
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    message: affectedSessions.length > 0
+      ? `Time off added. ${affectedSessions.length} booked session(s) are affected and their clients have been notified.`
+      : `${type === 'time-off' ? 'Time off' : 'Extra hours'} added`,
+    data: exception,
+    affectedSessions,
+  });
+});
+
+// @desc    Remove time off or extra hours
+// @route   DELETE /api/therapists/:id/availability-exceptions/:exceptionId
+// @access  Private (Therapist - own profile, Admin)
+const deleteAvailabilityException = asyncHandler(async (req, res) => {
+  const AvailabilityException = require('../models/AvailabilityException');
+  const therapist = await Therapist.findById(req.params.id);
+
+  if (!therapist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Therapist not found',
+    });
+  }
+
+  if (!canManageTherapist(therapist, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  const exception = await AvailabilityException.findOneAndDelete({
+    _id: req.params.exceptionId,
+    therapistId: therapist._id,
+  });
+
+  if (!exception) {
+    return res.status(404).json({
+      success: false,
+      message: 'Availability exception not found',
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Availability exception removed',
+  });
+});
+
+// @desc    Get booked sessions that fall inside a therapist's time off
+// @route   GET /api/therapists/:id/availability-exceptions/:exceptionId/affected-sessions
+// @access  Private (Therapist - own profile, Admin, or affected Client)
+const getAffectedSessions = asyncHandler(async (req, res) => {
+  const AvailabilityException = require('../models/AvailabilityException');
+  const RescheduleProposal = require('../models/RescheduleProposal');
+  const Client = require('../models/Client');
+
+  const exception = await AvailabilityException.findOne({
+    _id: req.params.exceptionId,
+    therapistId: req.params.id,
+  });
+
+  if (!exception) {
+    return res.status(404).json({
+      success: false,
+      message: 'Availability exception not found',
+    });
+  }
+
+  // Clients only see their own sessions
+  let clientFilter = null;
+  if (req.user.role === 'client') {
+    const client = await Client.findOne({ userId: req.user._id });
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client profile not found',
+      });
+    }
+    clientFilter = client._id.toString();
+  } else {
+    const therapist = await Therapist.findById(req.params.id);
+    if (!therapist || !canManageTherapist(therapist, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized',
+      });
+    }
+  }
+
+  const sessions = (await findSessionsInRange(exception.therapistId, exception.startsAt, exception.endsAt))
+    .filter(session => !clientFilter || isSessionClient(session, clientFilter));
+
+  const proposals = await RescheduleProposal.find({
+    sessionId: { $in: sessions.map(session => session._id) },
+    status: 'pending',
+  });
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      session,
+      pendingProposal: proposals.find(p => p.sessionId.toString() === session._id.toString()) || null,
+    })),
+  });
+});
+
 // @desc    Get therapist stats
 // @route   GET /api/therapists/:id/stats
 // @access  Private (Therapist - own profile)
@@ -399,6 +818,10 @@ const getTherapistStats = asyncHandler(async (req, res) => {
     therapistId: therapist._id, 
     status: 'completed' 
   });
+  const noShowSessions = await Session.countDocuments({
+    therapistId: therapist._id,
+    status: 'no-show'
+  });
   const upcomingSessions = await Session.countDocuments({ 
     therapistId: therapist._id, 
     status: { $in: ['scheduled', 'confirmed'] },
@@ -428,6 +851,10 @@ const getTherapistStats = asyncHandler(async (req, res) => {
     data: {
       totalSessions,
       completedSessions,
+      noShowSessions,
+      noShowRate: completedSessions + noShowSessions > 0
+        ? Math.round((noShowSessions / (completedSessions + noShowSessions)) * 100)
+        : 0,
       upcomingSessions,
       totalRevenue,
       activeClients: therapist.activeClients.length,
@@ -586,7 +1013,12 @@ module.exports = {
   getMyProfile,
   createOrUpdateTherapist,
   updateAvailability,
+  getTherapistSlots,
   getTherapistStats,
+  getAvailabilityExceptions,
+  createAvailabilityException,
+  deleteAvailabilityException,
+  getAffectedSessions,
   uploadDocuments,
   getMyPayments,
 };
@@ -1,15 +1,40 @@
 const { asyncHandler } = require('../middlewares/errorHandler');
 const {
   translateText,
-  detectLanguage,
   getSupportedLanguages,
   translateRealTimeText,
   interpretText,
   translateTranscript,
 } = require('../utils/translationService');
+const mongoose = require('mongoose');
 const Client = require('../models/Client');
 const Therapist = require('../models/Therapist');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { getSessionClientIds, isSessionClient } = require('../utils/groupSessionService');
+
+// Clients whose details are redacted before text goes to the AI provider: the requesting client,
+// and everyone on the session the text comes from (optional sessionId in the body)
+const getRedactionContext = async (req) => {
+  const clientIds = [];
+  const ownClient = req.user.role === 'client' && await Client.findOne({ userId: req.user._id }).select('_id');
+  if (ownClient) clientIds.push(ownClient._id);
+
+  const { sessionId } = req.body;
+  if (sessionId && mongoose.Types.ObjectId.isValid(sessionId)) {
+    const session = await Session.findById(sessionId).select('therapistId clientId isGroup participants');
+    let canUse = req.user.role === 'admin';
+    if (session && req.user.role === 'therapist') {
+      const therapist = await Therapist.findOne({ userId: req.user._id }).select('_id');
+      canUse = !!therapist && session.therapistId.toString() === therapist._id.toString();
+    } else if (session && ownClient) {
+      canUse = isSessionClient(session, ownClient._id);
+    }
+    if (session && canUse) clientIds.push(...getSessionClientIds(session));
+  }
+
+  return { clientIds };
+};
 
 // @desc    Translate text
 // @route   POST /api/translation/translate
@@ -24,7 +49,7 @@ const translateTextEndpoint = asyncHandler(async (req, res) => {
     });
   }
 
-  const translated = await translateText(text, sourceLanguage || 'en', targetLanguage);
+  const translated = await translateText(text, sourceLanguage || 'en', targetLanguage, await getRedactionContext(req));
 
   res.json({
     success: true,
@@ -50,7 +75,6 @@ const detectLanguageEndpoint = asyncHandler(async (req, res) => {
     });
   }
 
-  const detectedLanguage = await detectLanguage(text);
   const { detectLanguageWithGemini } = require('../utils/geminiService');
   const detectionResult = await detectLanguageWithGemini(text);
 
@@ -189,7 +213,7 @@ const realtimeTranslation = asyncHandler(async (req, res) => {
     });
   }
 
-  const translated = await translateRealTimeText(text, sourceLanguage || 'auto', targetLanguage);
+  const translated = await translateRealTimeText(text, sourceLanguage || 'auto', targetLanguage, await getRedactionContext(req));
 
   res.json({
     success: true,
@@ -216,7 +240,13 @@ const interpretTranslation = asyncHandler(async (req, res) => {
     });
   }
 
-  const result = await interpretText(text, sourceLanguage || 'auto', targetLanguage, context || 'general');
+  const result = await interpretText(
+    text,
+    sourceLanguage || 'auto',
+    targetLanguage,
+    context || 'general',
+    await getRedactionContext(req)
+  );
 
   res.json({
     success: true,
@@ -244,7 +274,7 @@ const translateSessionTranscript = asyncHandler(async (req, res) => {
     });
   }
 
-  const translated = await translateTranscript(transcript, originalLanguage || 'en', targetLanguage);
+  const translated = await translateTranscript(transcript, originalLanguage || 'en', targetLanguage, await getRedactionContext(req));
 
   res.json({
     success: true,
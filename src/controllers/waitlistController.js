@@ -0,0 +1,575 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const Therapist = require('../models/Therapist');
+const Client = require('../models/Client');
+const User = require('../models/User');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { notifyUser } = require('../utils/notificationService');
+const { sendOffersToNextBatch } = require('../utils/waitlistService');
+const {
+  parseTimeToMinutes,
+  getTherapistTimezone,
+  toScheduledFields,
+  checkBookingAvailability,
+} = require('../utils/schedulingService');
+const { isValidTimezone, resolveTimezone, formatInTimezone } = require('../utils/timezoneService');
+const { getQuotaFields, recordOverageCharge } = require('../utils/subscriptionQuotaService');
+
+// Validate preferred days and time windows sent when joining or updating the waitlist
+const validatePreferences = ({ preferredDays, timeWindows, timezone }) => {
+  if (preferredDays !== undefined) {
+    if (!Array.isArray(preferredDays) || preferredDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return 'preferredDays must be an array of weekday numbers from 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+
+  if (timeWindows !== undefined) {
+    if (!Array.isArray(timeWindows)) {
+      return 'timeWindows must be an array of { start, end } times';
+    }
+    for (const window of timeWindows) {
+      const start = parseTimeToMinutes(window?.start);
+      const end = parseTimeToMinutes(window?.end);
+      if (start === null || end === null || start >= end) {
+        return 'Each time window needs a start before its end (HH:mm or h:mm AM/PM)';
+      }
+    }
+  }
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return 'Invalid timezone. Expected an IANA timezone name (e.g. America/Chicago)';
+  }
+
+  return null;
+};
+
+// Check the requesting user can manage a waitlist entry
+const canManageEntry = async (entry, user) => {
+  if (user.role === 'admin') return true;
+
+  if (user.role === 'client') {
+    const client = await Client.findOne({ userId: user._id });
+    return !!client && entry.clientId.toString() === client._id.toString();
+  }
+
+  if (user.role === 'therapist') {
+    const therapist = await Therapist.findOne({ userId: user._id });
+    return !!therapist && entry.therapistId.toString() === therapist._id.toString();
+  }
+
+  return false;
+};
+
+// Find the offer and recipient a claim link token belongs to
+const findOfferByToken = async (token) => {
+  const offer = await WaitlistOffer.findOne({ 'recipients.token': token })
+    .populate({
+      path: 'therapistId',
+      populate: { path: 'userId', select: 'firstName lastName timezone' }
+    });
+  if (!offer) return {};
+
+  const recipient = offer.recipients.find(r => r.token === token);
+  return { offer, recipient };
+};
+
+// @desc    Get waitlist entries
+// @route   GET /api/waitlist
+// @access  Private
+const getWaitlist = asyncHandler(async (req, res) => {
+  const { therapistId, status = 'active' } = req.query;
+
+  const filter = {};
+  if (status !== 'all') {
+    filter.status = status;
+  }
+
+  // Clients only see their own entries, therapists only their own waitlist
+  if (req.user.role === 'client') {
+    const client = await Client.findOne({ userId: req.user._id });
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client profile not found',
+      });
+    }
+    filter.clientId = client._id;
+  } else if (req.user.role === 'therapist') {
+    const therapist = await Therapist.findOne({ userId: req.user._id });
+    if (!therapist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Therapist profile not found',
+      });
+    }
+    filter.therapistId = therapist._id;
+  } else if (therapistId) {
+    filter.therapistId = therapistId;
+  }
+
+  const entries = await WaitlistEntry.find(filter)
+    .populate({
+      path: 'clientId',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    })
+    .populate({
+      path: 'therapistId',
+      populate: { path: 'userId', select: 'firstName lastName' }
+    })
+    .sort({ priority: -1, createdAt: 1 });
+
+  res.json({
+    success: true,
+    count: entries.length,
+    data: entries,
+  });
+});
+
+// @desc    Join a therapist's waitlist
+// @route   POST /api/waitlist
+// @access  Private
+const joinWaitlist = asyncHandler(async (req, res) => {
+  const { therapistId, clientId, preferredDays, timeWindows, timezone, sessionType, priority, notes } = req.body;
+
+  const validationError = validatePreferences({ preferredDays, timeWindows, timezone });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError,
+    });
+  }
+
+  // Clients join for themselves; therapists and admins can add a client
+  let client;
+  let therapist;
+  if (req.user.role === 'client') {
+    client = await Client.findOne({ userId: req.user._id });
+    therapist = therapistId ? await Therapist.findById(therapistId) : null;
+  } else if (req.user.role === 'therapist') {
+    client = clientId ? await Client.findById(clientId) : null;
+    therapist = await Therapist.findOne({ userId: req.user._id });
+  } else {
+    client = clientId ? await Client.findById(clientId) : null;
+    therapist = therapistId ? await Therapist.findById(therapistId) : null;
+  }
+
+  if (!client) {
+    return res.status(404).json({
+      success: false,
+      message: 'Client not found',
+    });
+  }
+
+  if (!therapist) {
+    return res.status(404).json({
+      success: false,
+      message: 'Therapist not found',
+    });
+  }
+
+  if (therapist.status !== 'active') {
+    return res.status(403).json({
+      success: false,
+      message: `Therapist is ${therapist.status} and cannot provide services. Please contact support.`,
+    });
+  }
+
+  const existing = await WaitlistEntry.findOne({
+    therapistId: therapist._id,
+    clientId: client._id,
+    status: 'active',
+  });
+  if (existing) {
+    return res.status(400).json({
+      success: false,
+      message: 'Client is already on this therapist\'s waitlist',
+      data: existing,
+    });
+  }
+
+  const clientUser = await User.findById(client.userId);
+  const entry = await WaitlistEntry.create({
+    therapistId: therapist._id,
+    clientId: client._id,
+    createdBy: req.user._id,
+    preferredDays: preferredDays || [],
+    timeWindows: timeWindows || [],
+    timezone: resolveTimezone(timezone, clientUser?.timezone),
+    sessionType,
+    notes,
+    // Only the therapist or an admin can move a client up the list
+    ...(req.user.role !== 'client' && priority !== undefined && { priority }),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Added to waitlist',
+    data: entry,
+  });
+});
+
+// @desc    Update waitlist preferences
+// @route   PUT /api/waitlist/:id
+// @access  Private
+const updateWaitlistEntry = asyncHandler(async (req, res) => {
+  const { preferredDays, timeWindows, timezone, sessionType, priority, notes } = req.body;
+
+  const entry = await WaitlistEntry.findById(req.params.id);
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Waitlist entry not found',
+    });
+  }
+
+  if (!(await canManageEntry(entry, req.user))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  if (entry.status !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: `Waitlist entry is ${entry.status}`,
+    });
+  }
+
+  const validationError = validatePreferences({ preferredDays, timeWindows, timezone });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError,
+    });
+  }
+
+  if (priority !== undefined && req.user.role === 'client') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the therapist or an admin can change waitlist priority',
+    });
+  }
+
+  if (preferredDays !== undefined) entry.preferredDays = preferredDays;
+  if (timeWindows !== undefined) entry.timeWindows = timeWindows;
+  if (timezone !== undefined) entry.timezone = timezone;
+  if (sessionType !== undefined) entry.sessionType = sessionType;
+  if (notes !== undefined) entry.notes = notes;
+  if (priority !== undefined) entry.priority = priority;
+  await entry.save();
+
+  res.json({
+    success: true,
+    message: 'Waitlist entry updated',
+    data: entry,
+  });
+});
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private
+const leaveWaitlist = asyncHandler(async (req, res) => {
+  const entry = await WaitlistEntry.findById(req.params.id);
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Waitlist entry not found',
+    });
+  }
+
+  if (!(await canManageEntry(entry, req.user))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized',
+    });
+  }
+
+  entry.status = 'removed';
+  await entry.save();
+
+  res.json({
+    success: true,
+    message: 'Removed from waitlist',
+    data: entry,
+  });
+});
+
+// @desc    View a slot offered through a claim link
+// @route   GET /api/waitlist/offers/:token
+// @access  Private (Client)
+const getWaitlistOffer = asyncHandler(async (req, res) => {
+  const { offer, recipient } = await findOfferByToken(req.params.token);
+  const client = await Client.findOne({ userId: req.user._id });
+
+  if (!offer || !client || recipient.clientId.toString() !== client._id.toString()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Offer not found',
+    });
+  }
+
+  const isClaimable = offer.status === 'open'
+    && recipient.status === 'offered'
+    && recipient.expiresAt > new Date();
+
+  res.json({
+    success: true,
+    data: {
+      offerId: offer._id,
+      therapist: offer.therapistId?.userId
+        ? { firstName: offer.therapistId.userId.firstName, lastName: offer.therapistId.userId.lastName }
+        : null,
+      startsAt: offer.startsAt,
+      duration: offer.duration,
+      localTime: formatInTimezone(offer.startsAt, resolveTimezone(req.query.timezone, req.user.timezone)),
+      expiresAt: recipient.expiresAt,
+      status: offer.status === 'claimed' && recipient.status !== 'claimed' ? 'taken' : recipient.status,
+      isClaimable,
+    },
+  });
+});
+
+// @desc    Claim an offered slot - the first client to claim gets the booking
+// @route   POST /api/waitlist/offers/:token/claim
+// @access  Private (Client)
+const claimWaitlistOffer = asyncHandler(async (req, res) => {
+  const { createSessionOccurrence, calculateSessionPrice, checkClientBookingRules } = require('./sessionController');
+
+  const { offer, recipient } = await findOfferByToken(req.params.token);
+  const client = await Client.findOne({ userId: req.user._id });
+
+  if (!offer || !client || recipient.clientId.toString() !== client._id.toString()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Offer not found',
+    });
+  }
+
+  if (offer.status === 'claimed') {
+    return res.status(409).json({
+      success: false,
+      message: 'Sorry, another client has already claimed this slot',
+    });
+  }
+
+  if (offer.status !== 'open' || recipient.status !== 'offered' || recipient.expiresAt <= new Date()) {
+    return res.status(410).json({
+      success: false,
+      message: 'This offer has expired',
+    });
+  }
+
+  const therapist = offer.therapistId;
+  const bookingCheck = await checkBookingAvailability(therapist, offer.startsAt, offer.duration);
+  if (!bookingCheck.available) {
+    offer.status = 'cancelled';
+    await offer.save();
+    return res.status(409).json({
+      success: false,
+      message: 'This slot is no longer available',
+    });
+  }
+
+  const therapistTimezone = await getTherapistTimezone(therapist);
+  const therapistLocal = toScheduledFields(offer.startsAt, therapistTimezone);
+
+  // Run the same booking rules as a regular booking before taking the offer, so a client who
+  // cannot book leaves it open for others
+  const bookingRules = await checkClientBookingRules(client, [therapistLocal.scheduledDate]);
+  if (!bookingRules.allowed) {
+    return res.status(bookingRules.status).json({
+      success: false,
+      message: bookingRules.message,
+    });
+  }
+
+  const { quotaCheck, planCheck } = bookingRules;
+  if (bookingRules.quotaBlocked) {
+    return res.status(409).json({
+      success: false,
+      message: 'You have no sessions left in this billing period. Upgrade your plan to claim this slot.',
+      reason: 'quota-exceeded',
+      quota: quotaCheck.quota,
+    });
+  }
+
+  if (bookingRules.planBlocked) {
+    return res.status(409).json({
+      success: false,
+      message: bookingRules.planOfCareIssues[0].message,
+      reason: 'plan-of-care',
+      planOfCareIssues: bookingRules.planOfCareIssues,
+    });
+  }
+
+  // Only one claim can move the offer out of 'open'
+  const claimedOffer = await WaitlistOffer.findOneAndUpdate(
+    { _id: offer._id, status: 'open' },
+    { status: 'claimed', claimedBy: client._id, claimedAt: new Date() },
+    { new: true }
+  );
+  if (!claimedOffer) {
+    return res.status(409).json({
+      success: false,
+      message: 'Sorry, another client has already claimed this slot',
+    });
+  }
+
+  const entry = await WaitlistEntry.findById(recipient.waitlistEntryId);
+  const clientUser = await User.findById(client.userId);
+  const sessionType = entry?.sessionType || 'follow-up';
+
+  let session;
+  try {
+    session = await createSessionOccurrence({
+      therapistId: therapist._id,
+      clientId: client._id,
+      scheduledDate: therapistLocal.scheduledDate,
+      scheduledTime: therapistLocal.scheduledTime,
+      startsAt: offer.startsAt,
+      therapistTimezone,
+      clientTimezone: resolveTimezone(clientUser?.timezone),
+      duration: offer.duration,
+      sessionType,
+      price: calculateSessionPrice(therapist, sessionType),
+      ...getQuotaFields(quotaCheck, 0, false),
+      ...(planCheck.plan && { planOfCareId: planCheck.plan._id }),
+    }, {
+      user: req.user,
+      reason: 'Claimed from the waitlist',
+    });
+  } catch (error) {
+    // Give the slot back so the offer isn't lost to a failed booking
+    await WaitlistOffer.updateOne(
+      { _id: offer._id, status: 'claimed', claimedBy: client._id, claimedSessionId: { $exists: false } },
+      { $set: { status: 'open' }, $unset: { claimedBy: '', claimedAt: '' } }
+    );
+    throw error;
+  }
+
+  if (session.quotaStatus === 'overage') {
+    await recordOverageCharge(session, client._id, session.overageFee);
+  }
+
+  const supersededRecipients = [];
+  for (const r of claimedOffer.recipients) {
+    if (r.token === recipient.token) {
+      r.status = 'claimed';
+    } else if (r.status === 'offered') {
+      r.status = 'expired';
+      supersededRecipients.push(r);
+    }
+  }
+  claimedOffer.claimedSessionId = session._id;
+  await claimedOffer.save();
+
+  if (entry) {
+    entry.status = 'fulfilled';
+    entry.fulfilledSessionId = session._id;
+    entry.fulfilledAt = new Date();
+    await entry.save();
+  }
+
+  if (!client.assignedTherapist) {
+    client.assignedTherapist = therapist._id;
+    await client.save();
+  }
+
+  // Create internal calendar events for both therapist and client
+  const createCalendarEventsAsync = async () => {
+    try {
+      const { createCalendarEventFromSession } = require('../utils/internalCalendarService');
+      await createCalendarEventFromSession(session, therapist.userId._id);
+      await createCalendarEventFromSession(session, client.userId);
+      console.log(`✅ Calendar events created for waitlist session ${session._id}`);
+    } catch (error) {
+      console.error('Error creating calendar events:', error);
+    }
+  };
+
+  createCalendarEventsAsync();
+
+  const therapistLocalTime = formatInTimezone(offer.startsAt, therapistTimezone);
+  await notifyUser(therapist.userId._id, {
+    type: 'session-confirmed',
+    title: 'Waitlist Slot Filled',
+    message: `${clientUser.firstName} ${clientUser.lastName} claimed your open slot on ${therapistLocalTime.displayDate} at ${therapistLocalTime.time} ${therapistLocalTime.abbreviation}.`,
+    link: `/sessions/${session._id}`,
+    metadata: { sessionId: session._id, offerId: offer._id },
+  }, { email: true });
+
+  const clientLocalTime = formatInTimezone(offer.startsAt, session.clientTimezone);
+  await notifyUser(clientUser._id, {
+    type: 'session-confirmed',
+    title: 'Session Booked',
+    message: `You're booked with ${therapist.userId.firstName} ${therapist.userId.lastName} on ${clientLocalTime.displayDate} at ${clientLocalTime.time} ${clientLocalTime.abbreviation}.`,
+    link: `/sessions/${session._id}`,
+    metadata: { sessionId: session._id, offerId: offer._id },
+  }, { email: true });
+
+  // Let the other clients in the batch know their link is no longer valid
+  for (const r of supersededRecipients) {
+    const otherClient = await Client.findById(r.clientId);
+    if (!otherClient) continue;
+    await notifyUser(otherClient.userId, {
+      type: 'waitlist-offer',
+      title: 'Slot Already Taken',
+      message: 'The session slot you were offered has been claimed by another client. You are still on the waitlist.',
+      link: '/waitlist',
+      metadata: { offerId: offer._id },
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Slot claimed and session booked',
+    data: session,
+  });
+});
+
+// @desc    Decline an offered slot so it moves on to the next client
+// @route   POST /api/waitlist/offers/:token/decline
+// @access  Private (Client)
+const declineWaitlistOffer = asyncHandler(async (req, res) => {
+  const { offer, recipient } = await findOfferByToken(req.params.token);
+  const client = await Client.findOne({ userId: req.user._id });
+
+  if (!offer || !client || recipient.clientId.toString() !== client._id.toString()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Offer not found',
+    });
+  }
+
+  if (recipient.status !== 'offered') {
+    return res.status(400).json({
+      success: false,
+      message: `Offer is already ${recipient.status}`,
+    });
+  }
+
+  recipient.status = 'declined';
+  await offer.save();
+
+  // Offer the slot straight away once nobody in the current batch can still claim it
+  const stillOffered = offer.recipients.some(r => r.status === 'offered' && r.expiresAt > new Date());
+  if (offer.status === 'open' && !stillOffered && offer.startsAt > new Date()) {
+    await sendOffersToNextBatch(offer);
+  }
+
+  res.json({
+    success: true,
+    message: 'Offer declined',
+  });
+});
+
+module.exports = {
+  getWaitlist,
+  joinWaitlist,
+  updateWaitlistEntry,
+  leaveWaitlist,
+  getWaitlistOffer,
+  claimWaitlistOffer,
+  declineWaitlistOffer,
+};
@@ -1,4 +1,6 @@
 // Error handler middleware
+// Express only treats four-argument middleware as an error handler, so `next` stays
+// eslint-disable-next-line no-unused-vars
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
@@ -21,6 +21,7 @@ const adminActionLogSchema = new mongoose.Schema({
       'therapist_document_rejected',
       'therapist_credentials_updated',
       'therapist_supervising_updated',
+      'therapist_supervisor_assigned',
       // User actions
       'user_suspended',
       'user_activated',
@@ -30,6 +31,7 @@ const adminActionLogSchema = new mongoose.Schema({
       'pricing_updated',
       'payment_split_updated',
       'rate_caps_updated',
+      'intake_form_published',
     ],
     index: true,
   },
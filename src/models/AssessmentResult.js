@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Scores from one standardized test given in an evaluation session. Converted scores are
+// stored as calculated, so a later change to the norm files doesn't rewrite past results.
+const assessmentResultSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+    required: true,
+  },
+  testId: {
+    type: String,
+    required: [true, 'Test is required'],
+  },
+  testName: String,
+  // Edition of the norm table the scores were converted with
+  normEdition: String,
+  administeredAt: {
+    type: Date,
+    required: true,
+  },
+  ageAtTesting: {
+    years: Number,
+    months: Number,
+    totalMonths: Number,
+  },
+  scores: [{
+    subtestId: {
+      type: String,
+      required: true,
+    },
+    subtestName: String,
+    rawScore: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    scale: {
+      type: String,
+      enum: ['standard', 'scaled'],
+    },
+    standardScore: Number,
+    percentile: Number,
+    ageEquivalentMonths: Number,
+    ageEquivalent: String,
+    classification: String,
+  }],
+  // Examiner's interpretation for the evaluation report
+  interpretation: {
+    type: String,
+    maxlength: 3000,
+  },
+  enteredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+assessmentResultSchema.index({ sessionId: 1 });
+assessmentResultSchema.index({ clientId: 1, administeredAt: -1 });
+
+const AssessmentResult = mongoose.model('AssessmentResult', assessmentResultSchema);
+
+module.exports = AssessmentResult;
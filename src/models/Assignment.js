@@ -35,6 +35,15 @@ const assignmentSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Due date is required'],
   },
+  // Days per week the family is asked to practice; adherence is measured against it
+  practiceDaysPerWeek: {
+    type: Number,
+    min: [1, 'Practice days per week must be between 1 and 7'],
+    max: [7, 'Practice days per week must be between 1 and 7'],
+    default: function() {
+      return this.type === 'daily-practice' ? 7 : undefined;
+    },
+  },
   completed: {
     type: Boolean,
     default: false,
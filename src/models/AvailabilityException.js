@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const availabilityExceptionSchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+    required: true,
+  },
+  // time-off blocks bookings; extra-hours opens time outside the weekly template
+  type: {
+    type: String,
+    enum: ['time-off', 'extra-hours'],
+    required: [true, 'Exception type is required'],
+  },
+  reason: {
+    type: String,
+    enum: ['vacation', 'sick', 'holiday', 'personal', 'training', 'other'],
+    default: 'other',
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+  },
+  allDay: {
+    type: Boolean,
+    default: false,
+  },
+  // Timezone the dates and times were entered in
+  timezone: {
+    type: String,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Sessions that were already booked inside the time off when it was added
+  affectedSessionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  }],
+}, {
+  timestamps: true,
+});
+
+// Indexes
+availabilityExceptionSchema.index({ therapistId: 1, startsAt: 1, endsAt: 1 });
+
+const AvailabilityException = mongoose.model('AvailabilityException', availabilityExceptionSchema);
+
+module.exports = AvailabilityException;
@@ -19,6 +19,13 @@ const clientSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Where shared documents such as progress reports are sent for the guardian
+  guardianEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid guardian email'],
+  },
   address: {
     street: String,
     city: String,
@@ -42,6 +49,13 @@ const clientSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Therapist',
   },
+  // Discharged clients keep their record but drop out of caseloads until readmitted
+  status: {
+    type: String,
+    enum: ['active', 'discharged'],
+    default: 'active',
+  },
+  dischargedAt: Date,
   insuranceInfo: {
     provider: String,
     policyNumber: String,
@@ -95,6 +109,11 @@ const clientSchema = new mongoose.Schema({
     },
     ocrConfidence: Number,
     ocrError: String,
+    // Background processing state, see DocumentJob
+    processingStatus: {
+      type: String,
+      enum: ['queued', 'processing', 'done', 'failed'],
+    },
     fileSize: Number,
     mimeType: String,
   }],
@@ -217,6 +236,7 @@ const clientSchema = new mongoose.Schema({
 // Indexes
 clientSchema.index({ userId: 1 });
 clientSchema.index({ assignedTherapist: 1 });
+clientSchema.index({ status: 1 });
 clientSchema.index({ dateOfBirth: 1 });
 
 // Virtual for age
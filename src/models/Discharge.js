@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const DISCHARGE_REASONS = [
+  'goals-met',
+  'plateau',
+  'family-request',
+  'transferred',
+  'moved',
+  'financial',
+  'non-attendance',
+  'medical',
+  'other',
+];
+
+// End of one episode of care. The summary is compiled when the client is discharged and kept
+// as written; the client's sessions, goals and notes stay on their record for a later readmission.
+const dischargeSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+  },
+  // Therapist the client was discharged from
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+  },
+  reason: {
+    type: String,
+    enum: DISCHARGE_REASONS,
+    required: [true, 'Discharge reason is required'],
+  },
+  reasonNotes: {
+    type: String,
+    maxlength: 1000,
+  },
+  episodeStart: Date,
+  dischargedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  dischargedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // pending while the discharge steps run, so an interrupted discharge can be resumed.
+  // Records written before this field existed are complete.
+  status: {
+    type: String,
+    enum: ['pending', 'complete'],
+  },
+  summary: {
+    diagnoses: [String],
+    attendance: {
+      scheduled: Number,
+      attended: Number,
+      cancelled: Number,
+      noShow: Number,
+      attendanceRate: Number,
+    },
+    // Outcome of each goal worked on during the episode
+    goals: [{
+      goalId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Goal',
+      },
+      title: String,
+      category: String,
+      outcome: String,
+      baselineAccuracy: Number,
+      latestAccuracy: Number,
+      changeFromBaseline: Number,
+      masteredAt: Date,
+    }],
+    assignments: {
+      assigned: Number,
+      completed: Number,
+      completionRate: Number,
+    },
+    clinicalSummary: {
+      type: String,
+      maxlength: 5000,
+    },
+    recommendations: {
+      type: String,
+      maxlength: 3000,
+    },
+  },
+  // Upcoming sessions cancelled (or group places released) at discharge
+  cancelledSessionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  }],
+  // Summary PDF filed in Client.documents as a 'discharge' document
+  documentId: mongoose.Schema.Types.ObjectId,
+  readmittedAt: Date,
+  readmittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+dischargeSchema.index({ clientId: 1, dischargedAt: -1 });
+
+const Discharge = mongoose.model('Discharge', dischargeSchema);
+
+module.exports = Discharge;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Background OCR and AI analysis of one client document. Jobs are picked up by the document
+// worker in runAt order; failed attempts go back in the queue with a growing delay until
+// maxAttempts is reached.
+const documentJobSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+  },
+  // _id of the entry in client.documents
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // full: OCR then AI analysis; analysis: re-analyze the text already extracted
+  mode: {
+    type: String,
+    enum: ['full', 'analysis'],
+    default: 'full',
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'done', 'failed'],
+    default: 'queued',
+  },
+  stage: {
+    type: String,
+    enum: ['ocr', 'analysis'],
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0,
+  },
+  // URL of the uploaded file. Any instance can resolve it, unlike the uploading instance's disk path.
+  fileUrl: String,
+  pdfType: {
+    type: String,
+    enum: ['text', 'image'],
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    min: 1,
+    default: 3,
+  },
+  // Earliest time the worker may pick the job up; pushed back after a failed attempt
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  lastError: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Users who get progress events over Socket.io
+  notifyUserIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+}, {
+  timestamps: true,
+});
+
+// Indexes
+documentJobSchema.index({ status: 1, runAt: 1 });
+documentJobSchema.index({ clientId: 1, documentId: 1, createdAt: -1 });
+
+const DocumentJob = mongoose.model('DocumentJob', documentJobSchema);
+
+module.exports = DocumentJob;
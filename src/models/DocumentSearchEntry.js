@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Search index entry for one client document: its searchable text by field plus the unique
+// terms, so caseload searches narrow candidates on an index instead of scanning every client.
+// Kept in step with client.documents by documentSearchService.
+const documentSearchEntrySchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+  },
+  // _id of the entry in client.documents
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  type: String,
+  fileName: String,
+  fileUrl: String,
+  uploadedAt: Date,
+  hasAnalysis: {
+    type: Boolean,
+    default: false,
+  },
+  fields: {
+    fileName: String,
+    notes: String,
+    summary: String,
+    keyPoints: String,
+    diagnoses: String,
+    recommendations: String,
+    extractedText: String,
+  },
+  // Every distinct lowercase term in fields
+  terms: [String],
+  indexedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+documentSearchEntrySchema.index({ documentId: 1 }, { unique: true });
+documentSearchEntrySchema.index({ clientId: 1, uploadedAt: -1 });
+documentSearchEntrySchema.index({ terms: 1 });
+
+const DocumentSearchEntry = mongoose.model('DocumentSearchEntry', documentSearchEntrySchema);
+
+module.exports = DocumentSearchEntry;
@@ -36,6 +36,26 @@ const goalSchema = new mongoose.Schema({
     enum: ['active', 'completed', 'discontinued', 'on-hold'],
     default: 'active',
   },
+  // Every status change with the therapist's reason
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true,
+    },
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  completedAt: {
+    type: Date,
+  },
   progress: {
     type: Number,
     default: 0, // Goals start at 0% - progress is updated by therapist based on clinical assessment
@@ -63,6 +83,29 @@ const goalSchema = new mongoose.Schema({
     type: String,
     maxlength: 500,
   },
+  // Accuracy (%) before treatment, compared against trial data; defaults to the first session's data
+  baselineAccuracy: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+  // Mastered once accuracy reaches the target in this many consecutive sessions
+  masteryCriteria: {
+    accuracy: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: 80,
+    },
+    consecutiveSessions: {
+      type: Number,
+      min: 1,
+      default: 3,
+    },
+  },
+  masteredAt: {
+    type: Date,
+  },
 }, {
   timestamps: true,
 });
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['text', 'textarea', 'number', 'date', 'email', 'phone', 'select', 'multiselect', 'boolean', 'consent'];
+
+// Show a section or question only when an earlier answer matches, e.g.
+// { questionId: 'clientType', equals: 'child' } or { questionId: 'concerns', includes: 'stuttering' }
+const conditionSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true,
+  },
+  equals: mongoose.Schema.Types.Mixed,
+  notEquals: mongoose.Schema.Types.Mixed,
+  in: [mongoose.Schema.Types.Mixed],
+  includes: mongoose.Schema.Types.Mixed,
+}, { _id: false });
+
+const questionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: [true, 'Question id is required'],
+    match: [/^[A-Za-z][A-Za-z0-9_]*$/, 'Question ids must start with a letter and use letters, numbers and underscores'],
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: [true, 'Question type is required'],
+  },
+  label: {
+    type: String,
+    required: [true, 'Question label is required'],
+    maxlength: 500,
+  },
+  helpText: {
+    type: String,
+    maxlength: 1000,
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  options: [{
+    value: {
+      type: String,
+      required: true,
+    },
+    label: String,
+  }],
+  min: Number,
+  max: Number,
+  maxLength: Number,
+  // All conditions must match for the question to be asked
+  showIf: [conditionSchema],
+  // Client profile field the answer is copied to on submission, e.g. 'intake.clientType'
+  mapsTo: String,
+}, { _id: false });
+
+const sectionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: [true, 'Section id is required'],
+  },
+  title: {
+    type: String,
+    required: [true, 'Section title is required'],
+    maxlength: 200,
+  },
+  description: {
+    type: String,
+    maxlength: 1000,
+  },
+  showIf: [conditionSchema],
+  questions: [questionSchema],
+}, { _id: false });
+
+// A version of an intake form. Published versions are frozen; changes go into a new draft version,
+// and submissions keep pointing at the version they were filled in against.
+const intakeFormSchema = new mongoose.Schema({
+  // Stable name shared by every version of a form, e.g. 'client-intake'
+  key: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Form keys use lowercase letters, numbers and dashes'],
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  title: {
+    type: String,
+    required: [true, 'Form title is required'],
+    maxlength: 200,
+  },
+  description: {
+    type: String,
+    maxlength: 2000,
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'retired'],
+    default: 'draft',
+  },
+  sections: [sectionSchema],
+  changeNotes: {
+    type: String,
+    maxlength: 2000,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  publishedAt: Date,
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  retiredAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Indexes
+intakeFormSchema.index({ key: 1, version: 1 }, { unique: true });
+intakeFormSchema.index({ key: 1, status: 1 });
+
+const IntakeForm = mongoose.model('IntakeForm', intakeFormSchema);
+
+module.exports = IntakeForm;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A client's answers to one version of an intake form. Saved as in-progress while the
+// client works through it, so they can leave and resume, then locked once submitted.
+const intakeSubmissionSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+  },
+  formId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IntakeForm',
+    required: true,
+  },
+  formKey: {
+    type: String,
+    required: true,
+  },
+  formVersion: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['in-progress', 'submitted'],
+    default: 'in-progress',
+  },
+  // Answers keyed by question id
+  answers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({}),
+  },
+  // Where the client left off
+  currentSectionId: String,
+  lastSavedAt: Date,
+  submittedAt: Date,
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  minimize: false,
+});
+
+// Indexes
+intakeSubmissionSchema.index({ clientId: 1, formKey: 1, status: 1 });
+
+const IntakeSubmission = mongoose.model('IntakeSubmission', intakeSubmissionSchema);
+
+module.exports = IntakeSubmission;
@@ -13,6 +13,8 @@ const notificationSchema = new mongoose.Schema({
       'session-confirmed',
       'session-cancelled',
       'session-rescheduled',
+      'session-no-show',
+      'waitlist-offer',
       'payment',
       'message',
       'review',
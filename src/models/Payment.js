@@ -33,7 +33,7 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'disputed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'disputed', 'cancelled'],
     default: 'pending',
   },
   stripePaymentId: {
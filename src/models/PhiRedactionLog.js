@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Audit record of the PHI replaced with placeholders before a request went to an external AI
+// provider. Only placeholders and categories are kept, never the original values.
+const phiRedactionLogSchema = new mongoose.Schema({
+  feature: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  template: String,
+  provider: String,
+  model: String,
+  clientIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+  }],
+  redactions: [{
+    _id: false,
+    placeholder: String,
+    category: String,
+    // rule: matched a PHI pattern; client-record: a known value from the client's profile
+    source: {
+      type: String,
+      enum: ['rule', 'client-record'],
+    },
+  }],
+  // Redactions per category, e.g. { name: 2, phone: 1 }
+  counts: {
+    type: Map,
+    of: Number,
+  },
+  total: {
+    type: Number,
+    default: 0,
+  },
+  // Placeholders found in the response and put back
+  restored: {
+    type: Number,
+    default: 0,
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'error'],
+    default: 'success',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+phiRedactionLogSchema.index({ createdAt: -1 });
+phiRedactionLogSchema.index({ clientIds: 1, createdAt: -1 });
+
+const PhiRedactionLog = mongoose.model('PhiRedactionLog', phiRedactionLogSchema);
+
+module.exports = PhiRedactionLog;
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+// ICD-10-CM codes, e.g. F80.0 or R47.01
+const ICD10_PATTERN = /^[A-TV-Z][0-9][0-9A-Z](\.[0-9A-Z]{1,4})?$/;
+// CPT codes, e.g. 92507 (Category II/III codes end in F or T)
+const CPT_PATTERN = /^[0-9]{4}[0-9FT]$/;
+
+const planOfCareSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'expired', 'discontinued', 'superseded'],
+    default: 'draft',
+  },
+  diagnoses: [{
+    code: {
+      type: String,
+      required: [true, 'Diagnosis code is required'],
+      uppercase: true,
+      trim: true,
+      match: [ICD10_PATTERN, 'Diagnosis codes must be ICD-10 codes (e.g. F80.0)'],
+    },
+    description: {
+      type: String,
+      maxlength: 200,
+    },
+    primary: {
+      type: Boolean,
+      default: false,
+    },
+  }],
+  procedures: [{
+    code: {
+      type: String,
+      required: [true, 'Procedure code is required'],
+      uppercase: true,
+      trim: true,
+      match: [CPT_PATTERN, 'Procedure codes must be CPT codes (e.g. 92507)'],
+    },
+    description: {
+      type: String,
+      maxlength: 200,
+    },
+    unitsPerSession: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+  }],
+  // e.g. 2 sessions per week
+  frequency: {
+    sessions: {
+      type: Number,
+      required: [true, 'Session frequency is required'],
+      min: [1, 'Frequency must be at least 1 session'],
+      max: [14, 'Frequency cannot exceed 14 sessions'],
+    },
+    per: {
+      type: String,
+      enum: ['week', 'month'],
+      default: 'week',
+    },
+  },
+  // e.g. for 12 weeks
+  durationWeeks: {
+    type: Number,
+    required: [true, 'Plan duration is required'],
+    min: [1, 'Duration must be at least 1 week'],
+    max: [104, 'Duration cannot exceed 104 weeks'],
+  },
+  sessionMinutes: {
+    type: Number,
+    min: 15,
+    max: 180,
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+  },
+  // Last day covered, worked out from startDate and durationWeeks
+  endDate: Date,
+  // When the plan is due for recertification (defaults to endDate)
+  renewalDate: Date,
+  goalIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+  }],
+  therapistSignature: {
+    signedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    name: String,
+    credentials: String,
+    licenseNumber: String,
+    signedAt: Date,
+  },
+  // Signed from the client's account by the guardian (or an adult client)
+  guardianSignature: {
+    signedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    name: String,
+    relation: String,
+    signedAt: Date,
+  },
+  activatedAt: Date,
+  discontinuedAt: Date,
+  discontinueReason: {
+    type: String,
+    maxlength: 500,
+  },
+  previousPlanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PlanOfCare',
+  },
+  expiryWarningSentAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+planOfCareSchema.index({ clientId: 1, status: 1 });
+planOfCareSchema.index({ status: 1, endDate: 1 });
+
+// Virtual for the frequency and duration as written on the plan, e.g. "2x/week for 12 weeks"
+planOfCareSchema.virtual('frequencyLabel').get(function() {
+  if (!this.frequency?.sessions) return null;
+  return `${this.frequency.sessions}x/${this.frequency.per} for ${this.durationWeeks} weeks`;
+});
+
+// Keep the end and renewal dates in step with the start date and duration
+planOfCareSchema.pre('validate', function(next) {
+  if (this.startDate && this.durationWeeks && (this.isModified('startDate') || this.isModified('durationWeeks') || !this.endDate)) {
+    const endDate = new Date(this.startDate);
+    endDate.setDate(endDate.getDate() + this.durationWeeks * 7 - 1);
+    endDate.setHours(23, 59, 59, 999);
+    this.endDate = endDate;
+    // An explicitly set renewal date (e.g. an earlier re-evaluation) is kept
+    if (!this.renewalDate || !this.isModified('renewalDate')) {
+      this.renewalDate = endDate;
+    }
+  }
+
+  if (this.diagnoses.filter(diagnosis => diagnosis.primary).length > 1) {
+    this.invalidate('diagnoses', 'Only one diagnosis can be primary');
+  }
+  next();
+});
+
+const PlanOfCare = mongoose.model('PlanOfCare', planOfCareSchema);
+
+module.exports = PlanOfCare;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One day of home practice on an assignment, logged by the client or their family
+const practiceLogSchema = new mongoose.Schema({
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true,
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+    required: true,
+  },
+  // Copied from the assignment so practice can be rolled up by goal
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+  },
+  // The family's calendar day, stored as UTC midnight like session dates
+  practiceDate: {
+    type: Date,
+    required: [true, 'Practice date is required'],
+  },
+  durationMinutes: {
+    type: Number,
+    required: [true, 'Practice duration is required'],
+    min: [1, 'Duration must be at least 1 minute'],
+    max: [480, 'Duration cannot exceed 480 minutes'],
+  },
+  trials: {
+    type: Number,
+    min: 0,
+    max: 10000,
+  },
+  // Caregiver's estimate of how many attempts were correct, 0-100
+  caregiverAccuracy: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+  notes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters'],
+  },
+  media: {
+    fileName: String,
+    fileUrl: String,
+    fileType: String,
+    fileSize: Number,
+  },
+  loggedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+practiceLogSchema.index({ assignmentId: 1, practiceDate: 1 }, { unique: true });
+practiceLogSchema.index({ clientId: 1, practiceDate: 1 });
+
+const PracticeLog = mongoose.model('PracticeLog', practiceLogSchema);
+
+module.exports = PracticeLog;
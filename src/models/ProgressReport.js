@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+// Compiled report body. Data sections are filled in from the record; the therapist
+// edits the draft (summary, recommendations, per-goal commentary) before finalizing.
+const reportContentSchema = new mongoose.Schema({
+  attendance: {
+    scheduled: { type: Number, default: 0 },
+    attended: { type: Number, default: 0 },
+    cancelled: { type: Number, default: 0 },
+    noShow: { type: Number, default: 0 },
+    attendanceRate: Number,
+  },
+  sessions: [{
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+    },
+    date: Date,
+    isGroup: Boolean,
+    status: String,
+    // Short summary taken from the session's SOAP note, editable in the draft
+    soapSummary: {
+      type: String,
+      maxlength: 1000,
+    },
+  }],
+  goals: [{
+    goalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Goal',
+    },
+    title: String,
+    category: String,
+    status: String,
+    progress: Number,
+    baselineAccuracy: Number,
+    periodAccuracy: Number,
+    latestAccuracy: Number,
+    changeFromBaseline: Number,
+    sessionsWithData: Number,
+    masteredAt: Date,
+    commentary: {
+      type: String,
+      maxlength: 2000,
+    },
+  }],
+  assignments: {
+    assigned: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    completionRate: Number,
+  },
+  summary: {
+    type: String,
+    maxlength: 5000,
+  },
+  recommendations: {
+    type: String,
+    maxlength: 3000,
+  },
+}, { _id: false });
+
+const progressReportSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+    required: true,
+  },
+  periodStart: {
+    type: Date,
+    required: [true, 'Report period start is required'],
+  },
+  periodEnd: {
+    type: Date,
+    required: [true, 'Report period end is required'],
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'finalized'],
+    default: 'draft',
+  },
+  // Bumped each time a finalized report is reopened for revision
+  version: {
+    type: Number,
+    default: 1,
+  },
+  content: {
+    type: reportContentSchema,
+    default: () => ({}),
+  },
+  // Snapshots of every finalized version, oldest first
+  versions: [{
+    version: Number,
+    content: Object,
+    finalizedAt: Date,
+    finalizedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  finalizedAt: Date,
+  finalizedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  sharedWith: [{
+    recipient: {
+      type: String,
+      enum: ['client', 'guardian'],
+    },
+    email: String,
+    version: Number,
+    sharedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    sharedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+}, {
+  timestamps: true,
+});
+
+// Indexes
+progressReportSchema.index({ clientId: 1, periodStart: -1 });
+progressReportSchema.index({ therapistId: 1, status: 1 });
+
+const ProgressReport = mongoose.model('ProgressReport', progressReportSchema);
+
+module.exports = ProgressReport;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const rescheduleProposalSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  proposerRole: {
+    type: String,
+    enum: ['therapist', 'client', 'admin'],
+    required: true,
+  },
+  // The party that has to accept, decline or counter the proposal
+  recipientRole: {
+    type: String,
+    enum: ['therapist', 'client'],
+    required: true,
+  },
+  proposedTimes: [{
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    duration: {
+      type: Number,
+      min: [15, 'Duration must be at least 15 minutes'],
+      max: [120, 'Duration cannot exceed 120 minutes'],
+    },
+  }],
+  message: {
+    type: String,
+    maxlength: 1000,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'countered', 'withdrawn', 'cancelled'],
+    default: 'pending',
+  },
+  // Set on counter-proposals to link back to the proposal they answer
+  previousProposalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RescheduleProposal',
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  respondedAt: {
+    type: Date,
+  },
+  responseMessage: {
+    type: String,
+    maxlength: 1000,
+  },
+  acceptedTime: {
+    type: Date,
+  },
+  newSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+rescheduleProposalSchema.index({ sessionId: 1, createdAt: -1 });
+rescheduleProposalSchema.index({ sessionId: 1, status: 1 });
+
+const RescheduleProposal = mongoose.model('RescheduleProposal', rescheduleProposalSchema);
+
+module.exports = RescheduleProposal;
@@ -1,16 +1,225 @@
 const mongoose = require('mongoose');
 
+const SOAP_NOTE_SECTIONS = {
+  subjective: String,
+  objective: String,
+  assessment: String,
+  plan: String,
+};
+
+// Electronic signature: who signed, with the credentials they held at the time
+const signatureFields = {
+  signedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  name: String,
+  credentials: String,
+  licenseNumber: String,
+  signedAt: Date,
+};
+
+// SOAP note lifecycle: drafts can be edited, signing locks the note, and any
+// later change is an addendum. Every saved state is kept in versions for audits.
+const soapNoteSchema = new mongoose.Schema({
+  ...SOAP_NOTE_SECTIONS,
+  status: {
+    type: String,
+    enum: ['draft', 'signed'],
+    default: 'draft',
+  },
+  version: {
+    type: Number,
+    default: 0,
+  },
+  generatedAt: Date,
+  aiGenerated: {
+    type: Boolean,
+    default: false,
+  },
+  updatedAt: Date,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  signature: signatureFields,
+  lockedAt: Date,
+  // Notes signed by an SLPA wait for their supervising SLP to co-sign or return them
+  coSignStatus: {
+    type: String,
+    enum: ['pending', 'co-signed', 'returned'],
+  },
+  coSignature: signatureFields,
+  reviewFeedback: {
+    type: String,
+    maxlength: 2000,
+  },
+  addenda: [{
+    text: {
+      type: String,
+      required: true,
+      maxlength: 5000,
+    },
+    reason: {
+      type: String,
+      maxlength: 500,
+    },
+    signature: signatureFields,
+  }],
+  versions: [{
+    version: Number,
+    event: {
+      type: String,
+      enum: ['draft-saved', 'signed', 'co-signed', 'returned', 'addendum'],
+    },
+    ...SOAP_NOTE_SECTIONS,
+    aiGenerated: Boolean,
+    addendumCount: Number,
+    savedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    savedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+}, { _id: false });
+
+// Suggested SOAP note grounded in the session's evidence: numbered transcript segments (T1...),
+// trial data points (D1...) and active goals (G1...). Every statement cites the evidence it came
+// from; statements with no valid citation are flagged. The therapist accepts, edits or rejects
+// each section before it is written into the note.
+const soapNoteSuggestionSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['ai', 'rule-based'],
+  },
+  provider: String,
+  evidence: [{
+    _id: false,
+    id: String,
+    kind: {
+      type: String,
+      enum: ['transcript', 'trial-data', 'goal'],
+    },
+    text: String,
+    goalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Goal',
+    },
+    trialDataId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrialData',
+    },
+  }],
+  sections: [{
+    _id: false,
+    section: {
+      type: String,
+      enum: Object.keys(SOAP_NOTE_SECTIONS),
+    },
+    statements: [{
+      _id: false,
+      text: String,
+      citations: [String],
+      unsupported: {
+        type: Boolean,
+        default: false,
+      },
+    }],
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'edited', 'rejected'],
+      default: 'pending',
+    },
+    // Text written into the note when the section was accepted or edited
+    savedText: String,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  }],
+  unsupportedCount: {
+    type: Number,
+    default: 0,
+  },
+  generatedAt: Date,
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { _id: false });
+
 const sessionSchema = new mongoose.Schema({
   therapistId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Therapist',
     required: true,
   },
+  // Client of a one-to-one session; group sessions keep their clients in participants
   clientId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Client',
-    required: true,
+    required: function() {
+      return !this.isGroup;
+    },
   },
+  isGroup: {
+    type: Boolean,
+    default: false,
+  },
+  groupName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  capacity: {
+    type: Number,
+    min: [2, 'A group needs room for at least 2 clients'],
+    max: [12, 'A group cannot have more than 12 clients'],
+  },
+  // Group roster with each client's attendance, note section and billing
+  participants: [{
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['enrolled', 'removed'],
+      default: 'enrolled',
+    },
+    clientTimezone: String,
+    attendance: {
+      type: String,
+      enum: ['pending', 'present', 'late', 'absent', 'excused', 'no-show'],
+      default: 'pending',
+    },
+    soapNote: soapNoteSchema,
+    soapNoteSuggestion: soapNoteSuggestionSchema,
+    price: {
+      type: Number,
+      required: true,
+    },
+    paymentStatus: {
+      type: String,
+      enum: ['pending', 'completed', 'refunded', 'failed'],
+      default: 'pending',
+    },
+    quotaStatus: {
+      type: String,
+      enum: ['included', 'overage', 'override'],
+    },
+    overageFee: Number,
+    enrolledAt: {
+      type: Date,
+      default: Date.now,
+    },
+    removedAt: Date,
+  }],
   scheduledDate: {
     type: Date,
     required: [true, 'Scheduled date is required'],
@@ -19,6 +228,16 @@ const sessionSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Scheduled time is required'],
   },
+  // UTC start instant; scheduledDate/scheduledTime are the therapist's wall-clock time
+  startsAt: {
+    type: Date,
+  },
+  therapistTimezone: {
+    type: String,
+  },
+  clientTimezone: {
+    type: String,
+  },
   duration: {
     type: Number,
     required: [true, 'Duration is required'],
@@ -36,6 +255,27 @@ const sessionSchema = new mongoose.Schema({
     enum: ['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show', 'rescheduled'],
     default: 'scheduled',
   },
+  // Every status change, with who made it and why (see utils/sessionLifecycle)
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    actorRole: {
+      type: String,
+      enum: ['therapist', 'client', 'admin', 'system'],
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   meetingLink: {
     type: String,
   },
@@ -54,17 +294,13 @@ const sessionSchema = new mongoose.Schema({
     type: String,
     maxlength: 5000,
   },
-  soapNote: {
-    subjective: String,
-    objective: String,
-    assessment: String,
-    plan: String,
-    generatedAt: Date,
-    aiGenerated: {
-      type: Boolean,
-      default: false,
-    },
-  },
+  // Treatment goals worked on in this session
+  goalIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+  }],
+  soapNote: soapNoteSchema,
+  soapNoteSuggestion: soapNoteSuggestionSchema,
   recording: {
     url: String,
     duration: Number,
@@ -106,6 +342,20 @@ const sessionSchema = new mongoose.Schema({
     enum: ['pending', 'completed', 'refunded', 'failed'],
     default: 'pending',
   },
+  // How the session counts against the client's subscription allowance (unset without one):
+  // within the allowance, charged as overage, or waived by an admin
+  quotaStatus: {
+    type: String,
+    enum: ['included', 'overage', 'override'],
+  },
+  overageFee: {
+    type: Number,
+  },
+  // Plan of care the session was booked under, for its diagnosis and procedure codes
+  planOfCareId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PlanOfCare',
+  },
   cancellationReason: {
     type: String,
   },
@@ -130,6 +380,28 @@ const sessionSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Recurring series this occurrence belongs to
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionSeries',
+  },
+  occurrenceIndex: {
+    type: Number,
+  },
+  // True when this occurrence was moved on its own and no longer follows the series rule
+  isSeriesException: {
+    type: Boolean,
+    default: false,
+  },
+  // Links between a session moved through an accepted reschedule proposal and its replacement
+  rescheduledFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  },
+  rescheduledTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  },
 }, {
   timestamps: true,
 });
@@ -139,11 +411,16 @@ sessionSchema.index({ therapistId: 1, scheduledDate: -1 });
 sessionSchema.index({ clientId: 1, scheduledDate: -1 });
 sessionSchema.index({ status: 1 });
 sessionSchema.index({ scheduledDate: 1 });
+sessionSchema.index({ startsAt: 1 });
 sessionSchema.index({ paymentStatus: 1 });
 
 // Compound index for upcoming sessions
 sessionSchema.index({ therapistId: 1, status: 1, scheduledDate: 1 });
 sessionSchema.index({ clientId: 1, status: 1, scheduledDate: 1 });
+sessionSchema.index({ 'participants.clientId': 1, scheduledDate: -1 });
+sessionSchema.index({ seriesId: 1, occurrenceIndex: 1 });
+sessionSchema.index({ goalIds: 1 });
+sessionSchema.index({ therapistId: 1, 'soapNote.coSignStatus': 1 });
 
 // Virtual for actual duration
 sessionSchema.virtual('actualDuration').get(function() {
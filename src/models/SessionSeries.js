@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const sessionSeriesSchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+    required: true,
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'biweekly', 'every-4-weeks'],
+      required: [true, 'Recurrence frequency is required'],
+    },
+    until: {
+      type: Date,
+    },
+    count: {
+      type: Number,
+      min: [1, 'Recurrence count must be at least 1'],
+    },
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  scheduledTime: {
+    type: String,
+    required: true,
+  },
+  duration: {
+    type: Number,
+    default: 45,
+  },
+  sessionType: {
+    type: String,
+    enum: ['initial', 'follow-up', 'assessment', 'maintenance', 'consultation'],
+    default: 'follow-up',
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended', 'cancelled'],
+    default: 'active',
+  },
+  // Set when "this and following" splits a series into a new one
+  splitFromSeriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionSeries',
+  },
+  cancelledAt: {
+    type: Date,
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  cancellationReason: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+sessionSeriesSchema.index({ therapistId: 1, status: 1 });
+sessionSeriesSchema.index({ clientId: 1, status: 1 });
+
+const SessionSeries = mongoose.model('SessionSeries', sessionSeriesSchema);
+
+module.exports = SessionSeries;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Time a supervising SLP spent supervising an SLPA. Direct supervision is live
+// observation of the SLPA's sessions; indirect covers record review, planning and meetings.
+const supervisionLogSchema = new mongoose.Schema({
+  supervisorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+    required: true,
+  },
+  superviseeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['direct', 'indirect'],
+    required: [true, 'Supervision type is required'],
+  },
+  minutes: {
+    type: Number,
+    required: [true, 'Minutes are required'],
+    min: [1, 'Minutes must be at least 1'],
+    max: [720, 'A single entry cannot exceed 12 hours'],
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+  },
+  // Session observed, for direct supervision
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  },
+  activity: {
+    type: String,
+    maxlength: 200,
+  },
+  notes: {
+    type: String,
+    maxlength: 2000,
+  },
+  loggedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+supervisionLogSchema.index({ superviseeId: 1, date: -1 });
+supervisionLogSchema.index({ supervisorId: 1, date: -1 });
+
+const SupervisionLog = mongoose.model('SupervisionLog', supervisionLogSchema);
+
+module.exports = SupervisionLog;
@@ -110,6 +110,10 @@ const therapistSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  noShowSessions: {
+    type: Number,
+    default: 0,
+  },
   activeClients: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Client',
@@ -136,6 +140,12 @@ const therapistSchema = new mongoose.Schema({
     default: false,
     comment: 'Indicates if this SLP can supervise SLPA assistants',
   },
+  // SLPA only: the SLP who co-signs their notes and logs their supervision hours
+  supervisingTherapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+  },
+  supervisionStartedAt: Date,
   // Compliance documents
   complianceDocuments: {
     // ASHA Certification (SLP only) - US-based
@@ -311,6 +321,7 @@ therapistSchema.index({ rating: -1 });
 therapistSchema.index({ isVerified: 1 });
 therapistSchema.index({ status: 1 });
 therapistSchema.index({ credentials: 1 });
+therapistSchema.index({ supervisingTherapistId: 1 });
 
 // Virtual for active client count
 therapistSchema.virtual('activeClientCount').get(function() {
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const CUE_LEVELS = ['independent', 'minimal', 'moderate', 'maximal'];
+
+// Trial data recorded for one goal target during a session, e.g. "/s/ initial: 7/10 with moderate cues".
+// Either log each trial as it happens, or enter the session totals (correct / total) directly.
+const trialDataSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+  },
+  goalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal',
+    required: true,
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+    required: true,
+  },
+  // What was practised, e.g. "/s/ in initial position"
+  target: {
+    type: String,
+    required: [true, 'Target is required'],
+    trim: true,
+    maxlength: [200, 'Target cannot exceed 200 characters'],
+  },
+  trials: [{
+    correct: {
+      type: Boolean,
+      required: true,
+    },
+    cueLevel: {
+      type: String,
+      enum: CUE_LEVELS,
+    },
+    note: {
+      type: String,
+      maxlength: 500,
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  correct: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  total: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // Percentage correct, kept in step with correct / total
+  accuracy: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+  // Overall cue level for the block when totals are entered directly
+  cueLevel: {
+    type: String,
+    enum: CUE_LEVELS,
+  },
+  notes: {
+    type: String,
+    maxlength: 2000,
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+trialDataSchema.index({ sessionId: 1 });
+trialDataSchema.index({ goalId: 1, createdAt: 1 });
+trialDataSchema.index({ clientId: 1 });
+
+// Derive the totals from logged trials, then the accuracy from the totals
+trialDataSchema.pre('validate', function(next) {
+  if (this.trials.length > 0) {
+    this.total = this.trials.length;
+    this.correct = this.trials.filter(trial => trial.correct).length;
+  }
+
+  if (this.correct > this.total) {
+    this.invalidate('correct', 'Correct trials cannot exceed the total');
+  }
+
+  this.accuracy = this.total > 0 ? Math.round((this.correct / this.total) * 1000) / 10 : undefined;
+  next();
+});
+
+const TrialData = mongoose.model('TrialData', trialDataSchema);
+
+module.exports = TrialData;
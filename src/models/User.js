@@ -79,6 +79,23 @@ const userSchema = new mongoose.Schema({
     default: 'en',
     enum: ['en', 'es', 'fr', 'de', 'zh', 'ja', 'ko', 'ar', 'pt', 'ru', 'it', 'hi', 'nl', 'pl', 'tr', 'vi'],
   },
+  // IANA timezone (e.g. "America/Chicago") used to schedule and display sessions
+  timezone: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(value) {
+        if (!value) return true;
+        try {
+          Intl.DateTimeFormat(undefined, { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Timezone must be a valid IANA timezone name',
+    },
+  },
   calendarIntegration: {
     provider: {
       type: String,
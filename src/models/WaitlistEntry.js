@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+    required: true,
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Days of the week the client can attend (0 = Sunday). Empty means any day.
+  preferredDays: [{
+    type: Number,
+    min: 0,
+    max: 6,
+  }],
+  // Time ranges in the client's timezone, e.g. { start: '3:00 PM', end: '6:00 PM' }. Empty means any time.
+  timeWindows: [{
+    start: {
+      type: String,
+      required: true,
+    },
+    end: {
+      type: String,
+      required: true,
+    },
+  }],
+  timezone: {
+    type: String,
+  },
+  sessionType: {
+    type: String,
+    enum: ['initial', 'follow-up', 'assessment', 'maintenance', 'consultation'],
+    default: 'follow-up',
+  },
+  // Higher priority clients are offered freed slots first; ties go to whoever joined earliest
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  notes: {
+    type: String,
+    maxlength: 500,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'fulfilled', 'removed'],
+    default: 'active',
+  },
+  fulfilledSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  },
+  fulfilledAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+waitlistEntrySchema.index({ therapistId: 1, status: 1, priority: -1, createdAt: 1 });
+waitlistEntrySchema.index({ clientId: 1, status: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const waitlistOfferSchema = new mongoose.Schema({
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Therapist',
+    required: true,
+  },
+  // Session whose cancellation or reschedule freed the slot
+  sourceSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  },
+  sourceClientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  duration: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['open', 'claimed', 'expired', 'cancelled'],
+    default: 'open',
+  },
+  // Waitlisted clients the slot has been offered to, one batch at a time in priority order
+  recipients: [{
+    waitlistEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WaitlistEntry',
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+    },
+    offeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['offered', 'claimed', 'declined', 'expired'],
+      default: 'offered',
+    },
+  }],
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+  },
+  claimedSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+  },
+  claimedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+waitlistOfferSchema.index({ 'recipients.token': 1 });
+waitlistOfferSchema.index({ status: 1, startsAt: 1 });
+waitlistOfferSchema.index({ therapistId: 1, status: 1 });
+
+const WaitlistOffer = mongoose.model('WaitlistOffer', waitlistOfferSchema);
+
+module.exports = WaitlistOffer;
@@ -19,6 +19,7 @@ const {
   getAllTherapistsEarnings,
   updateTherapistStatus,
   updateTherapistSupervising,
+  assignTherapistSupervisor,
   verifyTherapistCompliance,
   getTherapistActivity,
   getIncompleteTherapistProfiles,
@@ -26,6 +27,7 @@ const {
   activateUser,
   bulkUserAction,
   getAdminActionLogs,
+  getAIRedactionLogs,
   getPlatformStats,
   updatePlatformStats,
 } = require('../controllers/adminController');
@@ -39,6 +41,14 @@ const {
   getRateCaps,
   updateRateCaps,
 } = require('../controllers/pricingController');
+const {
+  getIntakeForms,
+  getIntakeForm,
+  createIntakeForm,
+  updateIntakeForm,
+  deleteIntakeForm,
+  publishIntakeForm,
+} = require('../controllers/intakeFormController');
 
 // All admin routes require authentication and admin role
 router.use(protect);
@@ -61,6 +71,7 @@ router.get('/therapists/earnings', getAllTherapistsEarnings);
 router.get('/therapists/:id/earnings', getTherapistEarnings);
 router.put('/therapists/:id/status', updateTherapistStatus);
 router.put('/therapists/:id/supervising', updateTherapistSupervising);
+router.put('/therapists/:id/supervisor', assignTherapistSupervisor);
 router.put('/therapists/:id/verify-compliance', verifyTherapistCompliance);
 router.get('/therapists/:id/activity', getTherapistActivity);
 router.get('/therapists/incomplete', getIncompleteTherapistProfiles);
@@ -100,8 +111,19 @@ router.put('/platform-stats', updatePlatformStats);
 router.get('/rate-caps', getRateCaps);
 router.put('/rate-caps', updateRateCaps);
 
+// Intake forms - versioned; drafts are edited, then published to replace the live version
+router.get('/intake-forms', getIntakeForms);
+router.post('/intake-forms', createIntakeForm);
+router.get('/intake-forms/:formId', getIntakeForm);
+router.put('/intake-forms/:formId', updateIntakeForm);
+router.delete('/intake-forms/:formId', deleteIntakeForm);
+router.post('/intake-forms/:formId/publish', publishIntakeForm);
+
 // Admin action logs
 router.get('/action-logs', getAdminActionLogs);
 
+// PHI redacted from AI requests
+router.get('/ai-redactions', getAIRedactionLogs);
+
 module.exports = router;
 
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const upload = require('../config/multer');
 const { protect } = require('../middlewares/auth');
-const { isTherapist } = require('../middlewares/roleCheck');
+const { isTherapist, isClient } = require('../middlewares/roleCheck');
 const {
   getAssignments,
   getAssignment,
@@ -11,6 +11,12 @@ const {
   addFeedback,
   deleteAssignment,
 } = require('../controllers/assignmentController');
+const {
+  getPracticeLogs,
+  logPractice,
+  updatePracticeLog,
+  deletePracticeLog,
+} = require('../controllers/practiceLogController');
 
 // All assignment routes require authentication
 router.use(protect);
@@ -25,5 +31,11 @@ router.put('/:id', updateAssignment);
 router.post('/:id/feedback', isTherapist, addFeedback);
 router.delete('/:id', isTherapist, deleteAssignment);
 
+// Home practice logs - families log each day's practice; the therapist sees streaks and adherence
+router.get('/:id/practice-logs', getPracticeLogs);
+router.post('/:id/practice-logs', isClient, upload.single('practiceMedia'), logPractice);
+router.put('/:id/practice-logs/:logId', isClient, upload.single('practiceMedia'), updatePracticeLog);
+router.delete('/:id/practice-logs/:logId', isClient, deletePracticeLog);
+
 module.exports = router;
 
@@ -4,6 +4,7 @@ const {
   register,
   login,
   getMe,
+  updateTimezone,
   logout,
   refreshAccessToken,
   forgotPassword,
@@ -21,6 +22,7 @@ router.post('/reset-password', authLimiter, resetPassword);
 
 // Protected routes
 router.get('/me', protect, getMe);
+router.put('/timezone', protect, updateTimezone);
 router.post('/logout', protect, logout);
 
 module.exports = router;
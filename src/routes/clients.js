@@ -6,16 +6,61 @@ const {
   getClient,
   getMyProfile,
   createOrUpdateClient,
+  getIntakeForm,
+  saveIntakeDraft,
   submitIntake,
   getIntakeStatus,
+  getIntakeSubmissions,
   uploadDocument,
+  reprocessDocument,
+  getDocumentJobs,
   getDocuments,
   deleteDocument,
   getTherapyTimeline,
   searchDocuments,
+  searchCaseloadDocuments,
+  getClientAssessments,
 } = require('../controllers/clientController');
+const {
+  getGoals,
+  getGoal,
+  getGoalProgress,
+  createGoal,
+  updateGoal,
+  updateGoalStatus,
+  addMilestone,
+  updateMilestone,
+  deleteGoal,
+} = require('../controllers/goalController');
+const {
+  getProgressReports,
+  getProgressReport,
+  createProgressReport,
+  updateProgressReport,
+  regenerateProgressReport,
+  finalizeProgressReport,
+  reviseProgressReport,
+  exportProgressReport,
+  shareProgressReport,
+} = require('../controllers/progressReportController');
+const {
+  getPlansOfCare,
+  getPlanOfCare,
+  createPlanOfCare,
+  updatePlanOfCare,
+  signPlanOfCare,
+  renewPlanOfCare,
+  discontinuePlanOfCare,
+} = require('../controllers/planOfCareController');
+const {
+  dischargeClient,
+  getDischarges,
+  exportDischargeSummary,
+  readmitClient,
+} = require('../controllers/dischargeController');
+const { getHomePracticeSummary } = require('../controllers/practiceLogController');
 const { protect } = require('../middlewares/auth');
-const { isTherapist, isClient } = require('../middlewares/roleCheck');
+const { authorize, isTherapist, isClient } = require('../middlewares/roleCheck');
 
 // Therapist routes
 router.get('/', protect, isTherapist, getClients);
@@ -24,8 +69,11 @@ router.get('/', protect, isTherapist, getClients);
 router.get('/me', protect, isClient, getMyProfile);
 router.post('/', protect, isClient, createOrUpdateClient);
 router.put('/me', protect, isClient, createOrUpdateClient);
+router.get('/intake/form', protect, isClient, getIntakeForm);
+router.put('/intake/draft', protect, isClient, saveIntakeDraft);
 router.post('/intake', protect, isClient, submitIntake);
 router.get('/intake/status', protect, isClient, getIntakeStatus);
+router.get('/documents/search', protect, authorize('therapist', 'admin'), searchCaseloadDocuments);
 
 // Shared routes - parameterized routes must come last
 router.get('/:id', protect, getClient);
@@ -33,7 +81,49 @@ router.post('/:id/documents', protect, upload.single('document'), uploadDocument
 router.get('/:id/documents', protect, getDocuments);
 router.get('/:id/documents/search', protect, searchDocuments);
 router.delete('/:id/documents/:docId', protect, deleteDocument);
+router.post('/:id/documents/:docId/reprocess', protect, reprocessDocument);
+router.get('/:id/documents/:docId/jobs', protect, getDocumentJobs);
 router.get('/:id/timeline', protect, getTherapyTimeline);
+router.get('/:id/assessments', protect, getClientAssessments);
+router.get('/:id/intake-submissions', protect, getIntakeSubmissions);
+router.get('/:id/home-practice', protect, getHomePracticeSummary);
+
+// Treatment goals - clients read their own, the assigned therapist and admins manage them
+router.get('/:id/goals', protect, getGoals);
+router.post('/:id/goals', protect, createGoal);
+router.get('/:id/goals/:goalId', protect, getGoal);
+router.get('/:id/goals/:goalId/progress', protect, getGoalProgress);
+router.put('/:id/goals/:goalId', protect, updateGoal);
+router.delete('/:id/goals/:goalId', protect, deleteGoal);
+router.post('/:id/goals/:goalId/status', protect, updateGoalStatus);
+router.post('/:id/goals/:goalId/milestones', protect, addMilestone);
+router.put('/:id/goals/:goalId/milestones/:milestoneId', protect, updateMilestone);
+
+// Progress reports - the therapist edits and finalizes a generated draft, then exports or shares it
+router.get('/:id/progress-reports', protect, getProgressReports);
+router.post('/:id/progress-reports', protect, createProgressReport);
+router.get('/:id/progress-reports/:reportId', protect, getProgressReport);
+router.put('/:id/progress-reports/:reportId', protect, updateProgressReport);
+router.post('/:id/progress-reports/:reportId/regenerate', protect, regenerateProgressReport);
+router.post('/:id/progress-reports/:reportId/finalize', protect, finalizeProgressReport);
+router.post('/:id/progress-reports/:reportId/revise', protect, reviseProgressReport);
+router.get('/:id/progress-reports/:reportId/export', protect, exportProgressReport);
+router.post('/:id/progress-reports/:reportId/share', protect, shareProgressReport);
+
+// Plans of care - drafted by the therapist, signed by the therapist and the client or guardian
+router.get('/:id/plans-of-care', protect, getPlansOfCare);
+router.post('/:id/plans-of-care', protect, createPlanOfCare);
+router.get('/:id/plans-of-care/:planId', protect, getPlanOfCare);
+router.put('/:id/plans-of-care/:planId', protect, updatePlanOfCare);
+router.post('/:id/plans-of-care/:planId/sign', protect, signPlanOfCare);
+router.post('/:id/plans-of-care/:planId/renew', protect, renewPlanOfCare);
+router.post('/:id/plans-of-care/:planId/discontinue', protect, discontinuePlanOfCare);
+
+// Discharge and readmission - each discharge ends an episode of care; history stays on the record
+router.post('/:id/discharge', protect, dischargeClient);
+router.get('/:id/discharges', protect, getDischarges);
+router.get('/:id/discharges/:dischargeId/summary', protect, exportDischargeSummary);
+router.post('/:id/readmit', protect, readmitClient);
 
 module.exports = router;
 
@@ -18,6 +18,9 @@ const translationRoutes = require('./translation');
 const calendarRoutes = require('./calendar');
 const familyCoachingRoutes = require('./familyCoaching');
 const pushRoutes = require('./push');
+const waitlistRoutes = require('./waitlist');
+const supervisionRoutes = require('./supervision');
+const jobRoutes = require('./jobs');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -35,6 +38,9 @@ router.use('/translation', translationRoutes);
 router.use('/calendar', calendarRoutes);
 router.use('/family-coaching', familyCoachingRoutes);
 router.use('/push', pushRoutes);
+router.use('/waitlist', waitlistRoutes);
+router.use('/supervision', supervisionRoutes);
+router.use('/jobs', jobRoutes);
 
 // Public routes
 router.get('/public/platform-stats', getPlatformStats);
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  runDocumentJobs,
+  runNoShowJobs,
+  runWaitlistJobs,
+  runSupervisionJobs,
+  runPlanOfCareJobs,
+} = require('../controllers/jobController');
+
+// Scheduled job runs for serverless deployments (authorized by CRON_SECRET, not a user login)
+router.get('/documents', runDocumentJobs);
+router.get('/no-shows', runNoShowJobs);
+router.get('/waitlist-offers', runWaitlistJobs);
+router.get('/supervision-alerts', runSupervisionJobs);
+router.get('/plan-of-care', runPlanOfCareJobs);
+
+module.exports = router;
@@ -5,13 +5,44 @@ const {
   getUpcomingSessions,
   getSession,
   createSession,
+  createGroupSession,
+  addGroupParticipant,
+  updateGroupParticipant,
+  removeGroupParticipant,
   updateSession,
   cancelSession,
+  markNoShow,
   startSession,
   completeSession,
+  getSoapNote,
   saveSoapNote,
+  signSoapNote,
+  addSoapNoteAddendum,
+  getSoapNoteVersions,
+  generateSoapNoteSuggestion,
+  getSoapNoteSuggestion,
+  reviewSoapNoteSuggestion,
+  getSessionTrialData,
+  recordTrialData,
+  addTrial,
+  updateTrialData,
+  deleteTrialData,
+  getAssessmentTests,
+  getSessionAssessments,
+  recordAssessment,
+  updateAssessment,
+  deleteAssessment,
+  exportEvaluationReport,
   saveTranscript,
   getTranscriptTranslation,
+  updateSessionSeries,
+  cancelSessionSeries,
+  getRescheduleProposals,
+  proposeReschedule,
+  acceptRescheduleProposal,
+  declineRescheduleProposal,
+  counterRescheduleProposal,
+  withdrawRescheduleProposal,
 } = require('../controllers/sessionController');
 const { protect } = require('../middlewares/auth');
 const { isTherapist } = require('../middlewares/roleCheck');
@@ -22,17 +53,61 @@ router.use(protect);
 // Routes accessible to both therapist and client
 router.get('/', getSessions);
 router.get('/upcoming', getUpcomingSessions);
+router.get('/assessment-tests', getAssessmentTests);  // Therapist or admin
 router.get('/:id', getSession);
 
 // Session creation - Both therapist and client can create (booking)
 router.post('/', createSession);
-router.put('/:id', updateSession);  // Either role can update (for cancellation)
+router.post('/groups', createGroupSession);  // Therapist or admin
+router.put('/:id', updateSession);  // Fields and status changes are limited by role
 router.delete('/:id', cancelSession);  // Either role can cancel their own sessions
 
+// Recurring series - scope: this | following | all
+router.put('/:id/series', updateSessionSeries);
+router.delete('/:id/series', cancelSessionSeries);
+
+// Group roster - therapist/admin add clients and record attendance, clients can leave
+router.post('/:id/participants', addGroupParticipant);
+router.put('/:id/participants/:clientId', updateGroupParticipant);
+router.delete('/:id/participants/:clientId', removeGroupParticipant);
+
+// Reschedule proposals - either party proposes, the other accepts, declines or counters
+router.get('/:id/reschedule-proposals', getRescheduleProposals);
+router.post('/:id/reschedule-proposals', proposeReschedule);
+router.post('/:id/reschedule-proposals/:proposalId/accept', acceptRescheduleProposal);
+router.post('/:id/reschedule-proposals/:proposalId/decline', declineRescheduleProposal);
+router.post('/:id/reschedule-proposals/:proposalId/counter', counterRescheduleProposal);
+router.post('/:id/reschedule-proposals/:proposalId/withdraw', withdrawRescheduleProposal);
+
 // Session actions
 router.post('/:id/start', startSession);
+router.post('/:id/no-show', markNoShow);
 router.post('/:id/complete', isTherapist, completeSession);
+
+// SOAP notes - drafts are editable until signed; signed notes only take addenda
+router.get('/:id/soap-note', getSoapNote);
 router.post('/:id/soap-note', isTherapist, saveSoapNote);
+router.post('/:id/soap-note/sign', isTherapist, signSoapNote);
+router.post('/:id/soap-note/addenda', isTherapist, addSoapNoteAddendum);
+router.get('/:id/soap-note/versions', getSoapNoteVersions);
+// Evidence-grounded suggestions, reviewed section by section before they reach the draft
+router.post('/:id/soap-note/suggestion', isTherapist, generateSoapNoteSuggestion);
+router.get('/:id/soap-note/suggestion', getSoapNoteSuggestion);
+router.post('/:id/soap-note/suggestion/review', isTherapist, reviewSoapNoteSuggestion);
+
+// Trial-by-trial goal data - recorded by the therapist once the session has started
+router.get('/:id/trial-data', getSessionTrialData);
+router.post('/:id/trial-data', recordTrialData);
+router.post('/:id/trial-data/:dataId/trials', addTrial);
+router.put('/:id/trial-data/:dataId', updateTrialData);
+router.delete('/:id/trial-data/:dataId', deleteTrialData);
+
+// Standardized assessment scores - evaluation sessions only, converted with the local norm tables
+router.get('/:id/assessments', getSessionAssessments);
+router.post('/:id/assessments', recordAssessment);
+router.put('/:id/assessments/:assessmentId', updateAssessment);
+router.delete('/:id/assessments/:assessmentId', deleteAssessment);
+router.get('/:id/evaluation-report', exportEvaluationReport);
 
 // Transcript routes
 router.post('/:id/transcript', protect, saveTranscript);
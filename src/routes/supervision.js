@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSupervisees,
+  getCoSignQueue,
+  coSignSoapNote,
+  returnSoapNote,
+  getSupervisionLogs,
+  createSupervisionLog,
+  deleteSupervisionLog,
+  getSupervisionSummaryForMonth,
+} = require('../controllers/supervisionController');
+const { protect } = require('../middlewares/auth');
+const { authorize, isTherapist } = require('../middlewares/roleCheck');
+
+// All supervision routes require a therapist or admin
+router.use(protect);
+router.use(authorize('therapist', 'admin'));
+
+// Supervising SLPs see their SLPAs and the notes waiting for their co-signature
+router.get('/supervisees', getSupervisees);
+router.get('/queue', getCoSignQueue);
+router.post('/sessions/:sessionId/cosign', isTherapist, coSignSoapNote);
+router.post('/sessions/:sessionId/return', isTherapist, returnSoapNote);
+
+// Supervision hours against the required minimums
+router.get('/logs', getSupervisionLogs);
+router.post('/logs', createSupervisionLog);
+router.delete('/logs/:id', deleteSupervisionLog);
+router.get('/summary', getSupervisionSummaryForMonth);
+
+module.exports = router;
@@ -6,7 +6,12 @@ const {
   getMyProfile,
   createOrUpdateTherapist,
   updateAvailability,
+  getTherapistSlots,
   getTherapistStats,
+  getAvailabilityExceptions,
+  createAvailabilityException,
+  deleteAvailabilityException,
+  getAffectedSessions,
   uploadDocuments,
   getMyPayments,
 } = require('../controllers/therapistController');
@@ -32,6 +37,13 @@ router.post('/upload-documents', protect, isTherapist, upload.fields([
 ]), uploadDocuments);
 router.put('/:id/availability', protect, isTherapist, updateAvailability);
 router.get('/:id/stats', protect, getTherapistStats);
+router.get('/:id/slots', optionalAuth, getTherapistSlots);
+
+// Time off and extra hours - therapist (own profile) or admin
+router.get('/:id/availability-exceptions', protect, getAvailabilityExceptions);
+router.post('/:id/availability-exceptions', protect, createAvailabilityException);
+router.delete('/:id/availability-exceptions/:exceptionId', protect, deleteAvailabilityException);
+router.get('/:id/availability-exceptions/:exceptionId/affected-sessions', protect, getAffectedSessions);
 
 // Public/shared routes (must be after /me to avoid conflicts)
 router.get('/:id', optionalAuth, getTherapist);
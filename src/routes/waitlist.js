@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWaitlist,
+  joinWaitlist,
+  updateWaitlistEntry,
+  leaveWaitlist,
+  getWaitlistOffer,
+  claimWaitlistOffer,
+  declineWaitlistOffer,
+} = require('../controllers/waitlistController');
+const { protect } = require('../middlewares/auth');
+const { isClient } = require('../middlewares/roleCheck');
+
+// All waitlist routes require authentication
+router.use(protect);
+
+// Waitlist entries - clients manage their own, therapists their own list
+router.get('/', getWaitlist);
+router.post('/', joinWaitlist);
+router.put('/:id', updateWaitlistEntry);
+router.delete('/:id', leaveWaitlist);
+
+// Claim links sent when a slot frees up
+router.get('/offers/:token', isClient, getWaitlistOffer);
+router.post('/offers/:token/claim', isClient, claimWaitlistOffer);
+router.post('/offers/:token/decline', isClient, declineWaitlistOffer);
+
+module.exports = router;
@@ -1,5 +1,4 @@
 require('dotenv').config();
-const mongoose = require('mongoose');
 const User = require('../models/User');
 const connectDB = require('../config/database');
 
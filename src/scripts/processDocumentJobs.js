@@ -0,0 +1,30 @@
+require('dotenv').config();
+const connectDB = require('../config/database');
+const { processDocumentJobs } = require('../utils/documentJobService');
+
+// Work off every document job that is due, then exit. For deployments without the
+// long-running server (e.g. Vercel), run this from a scheduler or a separate worker host.
+
+async function run() {
+  try {
+    await connectDB();
+
+    console.log('\n📄 Processing queued documents...\n');
+
+    let total = 0;
+    let processed;
+    do {
+      processed = await processDocumentJobs();
+      total += processed;
+    } while (processed > 0);
+
+    console.log(`✅ Processed ${total} document job(s)\n`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error processing document jobs:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+run();
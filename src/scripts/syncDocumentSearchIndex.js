@@ -0,0 +1,29 @@
+require('dotenv').config();
+const connectDB = require('../config/database');
+const DocumentSearchEntry = require('../models/DocumentSearchEntry');
+const { syncSearchIndex } = require('../utils/documentSearchService');
+
+// One-off backfill of the caseload document search index: indexes every client document not
+// yet in it (e.g. uploaded before search existed) and drops entries for deleted documents.
+// Safe to run again.
+
+async function run() {
+  try {
+    await connectDB();
+
+    console.log('\n🔎 Syncing document search index...\n');
+
+    const before = await DocumentSearchEntry.countDocuments();
+    await syncSearchIndex(null);
+    const after = await DocumentSearchEntry.countDocuments();
+
+    console.log(`✅ Search index holds ${after} document(s) (was ${before})\n`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error syncing document search index:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+run();
@@ -108,7 +108,7 @@ if (process.env.VERCEL !== '1' && !process.env.VERCEL_ENV) {
   });
 
   // Initialize Socket.io (only in non-serverless environment)
-  const io = initSocket(server);
+  initSocket(server);
 
   // Set up session reminder cron job (only in non-serverless environment)
   if (process.env.ENABLE_SESSION_REMINDERS !== 'false') {
@@ -143,8 +143,94 @@ if (process.env.VERCEL !== '1' && !process.env.VERCEL_ENV) {
     console.log('✅ Session reminder service initialized (runs every 15 minutes)');
   }
 
+  // Mark sessions nobody started as no-shows (only in non-serverless environment)
+  if (process.env.ENABLE_NO_SHOW_DETECTION !== 'false') {
+    const cron = require('node-cron');
+    const { detectNoShows } = require('./utils/noShowService');
+
+    // Run every 5 minutes; the grace period is applied per session
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        await detectNoShows();
+      } catch (error) {
+        console.error('Error in scheduled no-show job:', error);
+      }
+    });
+
+    console.log('✅ No-show detection initialized (runs every 5 minutes)');
+  }
+
+  // Move unclaimed waitlist offers on to the next clients (only in non-serverless environment)
+  if (process.env.ENABLE_WAITLIST_BACKFILL !== 'false') {
+    const cron = require('node-cron');
+    const { processExpiredOffers } = require('./utils/waitlistService');
+
+    // Run every 5 minutes so expired claim links are passed on promptly
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        await processExpiredOffers();
+      } catch (error) {
+        console.error('Error in scheduled waitlist job:', error);
+      }
+    });
+
+    console.log('✅ Waitlist backfill service initialized (runs every 5 minutes)');
+  }
+
+  // Alert SLPAs and supervisors when supervision hours fall behind (only in non-serverless environment)
+  if (process.env.ENABLE_SUPERVISION_ALERTS !== 'false') {
+    const cron = require('node-cron');
+    const { checkSupervisionCompliance } = require('./utils/supervisionService');
+
+    // Run daily at 8am; each SLPA is alerted at most once a month
+    cron.schedule('0 8 * * *', async () => {
+      try {
+        await checkSupervisionCompliance();
+      } catch (error) {
+        console.error('Error in scheduled supervision job:', error);
+      }
+    });
+
+    console.log('✅ Supervision compliance alerts initialized (runs daily)');
+  }
+
+  // Expire lapsed plans of care and warn before active ones end (only in non-serverless environment)
+  if (process.env.ENABLE_PLAN_OF_CARE_ALERTS !== 'false') {
+    const cron = require('node-cron');
+    const { processPlanOfCareExpiry } = require('./utils/planOfCareService');
+
+    // Run daily at 7am; each plan is warned about once
+    cron.schedule('0 7 * * *', async () => {
+      try {
+        await processPlanOfCareExpiry();
+      } catch (error) {
+        console.error('Error in scheduled plan of care job:', error);
+      }
+    });
+
+    console.log('✅ Plan of care expiry alerts initialized (runs daily)');
+  }
+
+  // Work off queued document OCR and AI analysis (only in non-serverless environment)
+  if (process.env.ENABLE_DOCUMENT_JOBS !== 'false') {
+    const cron = require('node-cron');
+    const { processDocumentJobs, startDocumentWorker } = require('./utils/documentJobService');
+
+    // New jobs start as soon as they are queued; the schedule picks up retries and leftovers
+    startDocumentWorker();
+    cron.schedule('* * * * *', async () => {
+      try {
+        await processDocumentJobs();
+      } catch (error) {
+        console.error('Error in scheduled document job run:', error);
+      }
+    });
+
+    console.log('✅ Document processing queue initialized (runs every minute)');
+  }
+
   // Handle unhandled promise rejections
-  process.on('unhandledRejection', (err, promise) => {
+  process.on('unhandledRejection', (err) => {
     console.error(`❌ Unhandled Rejection: ${err.message}`);
     // Close server & exit process
     if (server) {
@@ -156,6 +242,11 @@ if (process.env.VERCEL !== '1' && !process.env.VERCEL_ENV) {
 } else {
   // Serverless environment
   console.log('🚀 Running in serverless mode (Vercel)');
+
+  // Scheduled jobs only run through Vercel Cron here, and /api/jobs rejects every call without the secret
+  if (!process.env.CRON_SECRET) {
+    console.warn('⚠️  CRON_SECRET is not set: Vercel Cron calls to /api/jobs will be rejected and no scheduled jobs will run');
+  }
 }
 
 // Always export app (and server if available)
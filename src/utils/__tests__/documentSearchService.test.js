@@ -0,0 +1,210 @@
+jest.mock('../../models/Client', () => ({ find: jest.fn() }));
+jest.mock('../../models/DocumentSearchEntry', () => ({ countDocuments: jest.fn(), find: jest.fn() }));
+
+const Client = require('../../models/Client');
+const DocumentSearchEntry = require('../../models/DocumentSearchEntry');
+const { tokenize, parseSearchQuery, searchDocuments } = require('../documentSearchService');
+
+// Enough of Mongo's matching for the filters the search builds on the terms index
+const matchesFilter = (entry, filter) => {
+  if (filter.$and) return filter.$and.every(child => matchesFilter(entry, child));
+  if (filter.$or) return filter.$or.some(child => matchesFilter(entry, child));
+  if (filter.type?.$in && !filter.type.$in.includes(entry.type)) return false;
+  if (filter.terms === undefined) return true;
+  if (filter.terms instanceof RegExp) return entry.terms.some(term => filter.terms.test(term));
+  if (filter.terms.$all) return filter.terms.$all.every(term => entry.terms.includes(term));
+  return entry.terms.includes(filter.terms);
+};
+
+const makeEntry = (documentId, fields, extra = {}) => ({
+  documentId,
+  clientId: 'client-1',
+  type: 'evaluation',
+  fileName: fields.fileName || `${documentId}.pdf`,
+  uploadedAt: new Date('2031-01-01'),
+  hasAnalysis: false,
+  fields,
+  terms: [...new Set(Object.values(fields).flatMap(text => tokenize(text).map(token => token.term)))],
+  ...extra,
+});
+
+const mockIndex = (entries) => {
+  DocumentSearchEntry.countDocuments.mockImplementation(filter => {
+    return Promise.resolve(entries.filter(entry => matchesFilter(entry, filter)).length);
+  });
+  DocumentSearchEntry.find.mockImplementation(filter => {
+    const found = entries.filter(entry => matchesFilter(entry, filter));
+    const chain = {
+      sort: () => chain,
+      limit: () => chain,
+      lean: () => Promise.resolve(found),
+    };
+    return chain;
+  });
+  Client.find.mockReturnValue({
+    populate: () => ({
+      select: () => Promise.resolve([{ _id: 'client-1', userId: { firstName: 'Maya', lastName: 'Lopez' } }]),
+    }),
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('tokenize', () => {
+  it('lowercases terms and keeps their offsets', () => {
+    expect(tokenize('Motor-planning, Ñandú 2x')).toEqual([
+      { term: 'motor', start: 0, end: 5 },
+      { term: 'planning', start: 6, end: 14 },
+      { term: 'ñandú', start: 16, end: 21 },
+      { term: '2x', start: 22, end: 24 },
+    ]);
+  });
+
+  it('handles empty input', () => {
+    expect(tokenize(undefined)).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('parses boolean queries with phrases, groups, prefixes and exclusions', () => {
+    expect(parseSearchQuery('apraxia AND ("motor planning" OR stutter*) -draft')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'term', value: 'apraxia', prefix: false },
+        {
+          type: 'or',
+          children: [
+            { type: 'phrase', terms: ['motor', 'planning'] },
+            { type: 'term', value: 'stutter', prefix: true },
+          ],
+        },
+        { type: 'not', child: { type: 'term', value: 'draft', prefix: false } },
+      ],
+    });
+  });
+
+  it('binds AND tighter than OR', () => {
+    expect(parseSearchQuery('fluency stutter OR voice')).toEqual({
+      type: 'or',
+      children: [
+        {
+          type: 'and',
+          children: [
+            { type: 'term', value: 'fluency', prefix: false },
+            { type: 'term', value: 'stutter', prefix: false },
+          ],
+        },
+        { type: 'term', value: 'voice', prefix: false },
+      ],
+    });
+  });
+
+  it('treats words that split into several terms as phrases', () => {
+    expect(parseSearchQuery("O'Brien")).toEqual({ type: 'phrase', terms: ['o', 'brien'] });
+  });
+
+  it('tolerates unbalanced parentheses and quotes', () => {
+    expect(parseSearchQuery(') (apraxia')).toEqual({ type: 'term', value: 'apraxia', prefix: false });
+    expect(parseSearchQuery('"motor planning')).toEqual({ type: 'phrase', terms: ['motor', 'planning'] });
+  });
+
+  it('returns null when nothing is searchable', () => {
+    expect(parseSearchQuery('')).toBeNull();
+    expect(parseSearchQuery('AND OR ( )')).toBeNull();
+    expect(parseSearchQuery('NOT')).toBeNull();
+  });
+});
+
+describe('searchDocuments', () => {
+  it('requires a positive term', async () => {
+    expect(await searchDocuments({ clientIds: null, query: '-draft' })).toEqual({
+      error: 'Enter at least one word or phrase to search for. NOT only excludes matches.',
+    });
+    expect(DocumentSearchEntry.find).not.toHaveBeenCalled();
+  });
+
+  it('ranks matches in weightier fields first', async () => {
+    mockIndex([
+      makeEntry('body', { fileName: 'intake.pdf', extractedText: 'Signs of apraxia noted.' }),
+      makeEntry('title', { fileName: 'apraxia-evaluation.pdf', extractedText: 'Speech evaluation.' }),
+      makeEntry('summary', { fileName: 'report.pdf', summary: 'Childhood apraxia of speech.' }),
+      makeEntry('other', { fileName: 'fluency.pdf', extractedText: 'Stuttering evaluation.' }),
+    ]);
+
+    const { results, total } = await searchDocuments({ clientIds: ['client-1'], query: 'apraxia' });
+
+    expect(total).toBe(3);
+    expect(results.map(result => result.documentId)).toEqual(['title', 'summary', 'body']);
+    expect(results[0]).toMatchObject({ clientName: 'Maya Lopez', matchedFields: ['fileName'] });
+  });
+
+  it('weights rarer terms more heavily', async () => {
+    mockIndex([
+      makeEntry('common', { extractedText: 'articulation therapy' }),
+      makeEntry('rare', { extractedText: 'dysarthria therapy' }),
+      makeEntry('filler-1', { extractedText: 'articulation' }),
+      makeEntry('filler-2', { extractedText: 'articulation' }),
+    ]);
+
+    const { results } = await searchDocuments({ clientIds: null, query: 'articulation OR dysarthria' });
+
+    expect(results[0].documentId).toBe('rare');
+  });
+
+  it('requires phrase terms in order and applies exclusions', async () => {
+    mockIndex([
+      makeEntry('phrase', { extractedText: 'Working on motor planning for speech.' }),
+      makeEntry('reversed', { extractedText: 'Planning the motor tasks.' }),
+      makeEntry('draft', { extractedText: 'Draft: motor planning goals.' }),
+    ]);
+
+    const { results } = await searchDocuments({ clientIds: null, query: '"motor planning" -draft' });
+
+    expect(results.map(result => result.documentId)).toEqual(['phrase']);
+  });
+
+  it('highlights matches in escaped snippets', async () => {
+    mockIndex([
+      makeEntry('doc', { summary: 'Goals <b>met</b>: apraxia improving; apraxia drills daily.' }),
+    ]);
+
+    const { results } = await searchDocuments({ clientIds: null, query: 'aprax*' });
+
+    expect(results[0].snippets).toEqual([{
+      field: 'summary',
+      text: 'Goals &lt;b&gt;met&lt;/b&gt;: <mark>apraxia</mark> improving; <mark>apraxia</mark> drills daily.',
+    }]);
+  });
+
+  it('sorts by date and pages the results', async () => {
+    mockIndex([
+      makeEntry('old', { extractedText: 'voice' }, { uploadedAt: new Date('2030-01-01') }),
+      makeEntry('new', { extractedText: 'voice voice voice' }, { uploadedAt: new Date('2031-06-01') }),
+      makeEntry('mid', { extractedText: 'voice' }, { uploadedAt: new Date('2031-01-01') }),
+    ]);
+
+    const firstPage = await searchDocuments({ clientIds: null, query: 'voice', sort: 'date', limit: 2 });
+    const secondPage = await searchDocuments({ clientIds: null, query: 'voice', sort: 'date', limit: 2, page: 2 });
+
+    expect(firstPage).toMatchObject({ total: 3, page: 1, pages: 2, truncated: false });
+    expect(firstPage.results.map(result => result.documentId)).toEqual(['new', 'mid']);
+    expect(secondPage.results.map(result => result.documentId)).toEqual(['old']);
+  });
+
+  it('scopes the search to the given clients and filters', async () => {
+    mockIndex([]);
+    const dateFrom = new Date('2031-01-01');
+
+    await searchDocuments({ clientIds: ['client-1'], query: 'voice', types: ['evaluation'], dateFrom, hasAnalysis: true });
+
+    expect(DocumentSearchEntry.find).toHaveBeenCalledWith({
+      $and: [
+        { clientId: { $in: ['client-1'] }, type: { $in: ['evaluation'] }, uploadedAt: { $gte: dateFrom }, hasAnalysis: true },
+        { terms: 'voice' },
+      ],
+    });
+  });
+});
@@ -0,0 +1,156 @@
+jest.mock('../../models/Session', () => ({ find: jest.fn(), findOneAndUpdate: jest.fn(), countDocuments: jest.fn() }));
+jest.mock('../../models/Therapist', () => ({ findByIdAndUpdate: jest.fn() }));
+jest.mock('../../models/Payment', () => ({ create: jest.fn() }));
+jest.mock('../../controllers/pricingController', () => ({
+  getCancellationFee: (credentialType) => (credentialType === 'SLP' ? 75 : 50),
+}));
+jest.mock('../notificationService', () => ({ notifyUser: jest.fn() }));
+jest.mock('../internalCalendarService', () => ({ updateCalendarEventFromSession: jest.fn() }));
+
+// Sessions without startsAt are read in the server timezone
+process.env.DEFAULT_TIMEZONE = 'UTC';
+
+const Session = require('../../models/Session');
+const Therapist = require('../../models/Therapist');
+const Payment = require('../../models/Payment');
+const { notifyUser } = require('../notificationService');
+const { detectNoShows, markSessionNoShow, refreshNoShowCount } = require('../noShowService');
+
+const NOW = new Date('2031-03-03T12:00:00Z');
+const minutesAgo = minutes => new Date(NOW.getTime() - minutes * 60 * 1000);
+
+// findOneAndUpdate(...).populate(...).populate(...) resolves to the updated session
+const mockUpdatedSession = (updated) => {
+  const query = {
+    populate: jest.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(updated).then(resolve, reject),
+  };
+  Session.findOneAndUpdate.mockReturnValue(query);
+};
+
+const makeUpdatedSession = (overrides = {}) => ({
+  _id: 'session-1',
+  startsAt: minutesAgo(30),
+  therapistTimezone: 'America/New_York',
+  therapistId: { _id: 'therapist-1', credentials: 'SLP', userId: { _id: 'user-t', timezone: 'America/New_York' } },
+  clientId: { _id: 'client-1', userId: { _id: 'user-c', timezone: 'America/Chicago' } },
+  save: jest.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.NO_SHOW_GRACE_MINUTES;
+  delete process.env.NO_SHOW_LOOKBACK_HOURS;
+  jest.useFakeTimers().setSystemTime(NOW);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  console.log.mockRestore();
+});
+
+describe('detectNoShows', () => {
+  it('only looks at sessions between the lookback window and the grace period', async () => {
+    Session.find.mockResolvedValue([]);
+
+    await detectNoShows();
+
+    const filter = Session.find.mock.calls[0][0];
+    expect(filter).toMatchObject({
+      status: { $in: ['scheduled', 'confirmed'] },
+      isGroup: { $ne: true },
+      actualStartTime: { $exists: false },
+    });
+    expect(filter.$or[0]).toEqual({ startsAt: { $gte: minutesAgo(24 * 60), $lte: minutesAgo(15) } });
+    expect(filter.$or[1]).toEqual({
+      startsAt: { $exists: false },
+      scheduledDate: { $gte: new Date('2031-03-01T12:00:00Z'), $lte: new Date('2031-03-04T11:45:00Z') },
+    });
+  });
+
+  it('uses the configured grace period and lookback', async () => {
+    process.env.NO_SHOW_GRACE_MINUTES = '5';
+    process.env.NO_SHOW_LOOKBACK_HOURS = '2';
+    Session.find.mockResolvedValue([]);
+
+    await detectNoShows();
+
+    expect(Session.find.mock.calls[0][0].$or[0]).toEqual({ startsAt: { $gte: minutesAgo(120), $lte: minutesAgo(5) } });
+  });
+
+  it('marks only sessions whose start falls inside the window', async () => {
+    Session.find.mockResolvedValue([
+      { _id: 'due', status: 'scheduled', startsAt: minutesAgo(30) },
+      { _id: 'in-grace', status: 'scheduled', startsAt: minutesAgo(10) },
+      // Legacy sessions are matched by day, so their exact start is checked here
+      { _id: 'legacy-due', status: 'confirmed', scheduledDate: new Date('2031-03-03'), scheduledTime: '10:00 AM' },
+      { _id: 'legacy-old', status: 'confirmed', scheduledDate: new Date('2031-03-01'), scheduledTime: '9:00 AM' },
+      { _id: 'legacy-later', status: 'scheduled', scheduledDate: new Date('2031-03-03'), scheduledTime: '4:00 PM' },
+    ]);
+    mockUpdatedSession(makeUpdatedSession());
+
+    expect(await detectNoShows()).toBe(2);
+    expect(Session.findOneAndUpdate.mock.calls.map(call => call[0]._id)).toEqual(['due', 'legacy-due']);
+  });
+
+  it('does not count sessions another run or a late start already handled', async () => {
+    Session.find.mockResolvedValue([{ _id: 'due', status: 'scheduled', startsAt: minutesAgo(30) }]);
+    mockUpdatedSession(null);
+
+    expect(await detectNoShows()).toBe(0);
+    expect(Payment.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('markSessionNoShow', () => {
+  it('moves the session only if it is still waiting to start', async () => {
+    mockUpdatedSession(makeUpdatedSession());
+
+    await markSessionNoShow({ _id: 'session-1', status: 'confirmed' });
+
+    const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'session-1', status: 'confirmed', actualStartTime: { $exists: false } });
+    expect(update.status).toBe('no-show');
+    expect(update.$push.statusHistory).toMatchObject({
+      from: 'confirmed',
+      to: 'no-show',
+      actorRole: 'system',
+      reason: 'Not started within 15 minutes of the start time',
+    });
+  });
+
+  it('records the credential-based fee and notifies both parties', async () => {
+    const updated = makeUpdatedSession();
+    mockUpdatedSession(updated);
+    Session.countDocuments.mockResolvedValue(3);
+
+    await markSessionNoShow({ _id: 'session-1', status: 'scheduled' });
+
+    expect(updated).toMatchObject({ price: 75, paymentStatus: 'pending' });
+    expect(updated.save).toHaveBeenCalled();
+    expect(Payment.create).toHaveBeenCalledWith(expect.objectContaining({
+      sessionId: 'session-1',
+      clientId: 'client-1',
+      therapistId: 'therapist-1',
+      amount: 7500,
+      status: 'pending',
+      metadata: expect.objectContaining({ type: 'no_show_fee', credentialType: 'SLP' }),
+    }));
+    expect(Therapist.findByIdAndUpdate).toHaveBeenCalledWith('therapist-1', { noShowSessions: 3 }, { new: true });
+    expect(notifyUser.mock.calls.map(call => call[0])).toEqual(['user-t', 'user-c']);
+    expect(notifyUser.mock.calls[1][1].message).toContain('at 5:30 AM CST');
+  });
+});
+
+describe('refreshNoShowCount', () => {
+  it('updates only the no-show count', async () => {
+    Session.countDocuments.mockResolvedValue(4);
+
+    await refreshNoShowCount('therapist-1');
+
+    expect(Session.countDocuments).toHaveBeenCalledWith({ therapistId: 'therapist-1', status: 'no-show' });
+    expect(Therapist.findByIdAndUpdate).toHaveBeenCalledWith('therapist-1', { noShowSessions: 4 }, { new: true });
+  });
+});
@@ -0,0 +1,241 @@
+jest.mock('../../models/Client', () => ({ find: jest.fn() }));
+jest.mock('../../models/PhiRedactionLog', () => ({ create: jest.fn() }));
+
+const Client = require('../../models/Client');
+const PhiRedactionLog = require('../../models/PhiRedactionLog');
+const {
+  PHI_CATEGORIES,
+  getRedactionConfig,
+  getClientIdentifiers,
+  createRedactor,
+  redactPromptVariables,
+  recordRedaction,
+} = require('../phiRedactionService');
+
+const mockClients = (clients) => {
+  Client.find.mockReturnValue({ populate: jest.fn().mockResolvedValue(clients) });
+};
+
+const client = {
+  _id: 'client-1',
+  userId: { firstName: 'Maya', lastName: 'Lopez', email: 'maya.family@example.com', phone: '555-201-7788' },
+  guardianName: 'Rosa Lopez',
+  dateOfBirth: new Date('2019-04-07T00:00:00Z'),
+  address: { street: '12 Birch Lane', city: 'Fairview', zipCode: '97024' },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Object.keys(process.env)
+    .filter(key => key.startsWith('AI_REDACTION'))
+    .forEach(key => delete process.env[key]);
+});
+
+describe('getRedactionConfig', () => {
+  it('redacts every category by default', () => {
+    expect(getRedactionConfig('soap-notes')).toEqual({ enabled: true, categories: PHI_CATEGORIES });
+  });
+
+  it('can be turned off globally or per feature', () => {
+    process.env.AI_REDACTION_TRANSLATION = 'off';
+    expect(getRedactionConfig('translation').enabled).toBe(false);
+    expect(getRedactionConfig('soap-notes').enabled).toBe(true);
+
+    process.env.AI_REDACTION = 'false';
+    expect(getRedactionConfig('soap-notes')).toEqual({ enabled: false, categories: [] });
+  });
+
+  it('limits a feature to the listed categories', () => {
+    process.env.AI_REDACTION_SOAP_NOTES = 'name, dob, unknown';
+    expect(getRedactionConfig('soap-notes')).toEqual({ enabled: true, categories: ['name', 'dob'] });
+
+    process.env.AI_REDACTION_SOAP_NOTES = 'unknown';
+    expect(getRedactionConfig('soap-notes').enabled).toBe(false);
+  });
+});
+
+describe('createRedactor', () => {
+  it('replaces pattern matches and keeps labels readable', () => {
+    const redactor = createRedactor();
+    const text = 'DOB: 03/14/2018. Call 555-123-4567 or email parent@example.com. MRN: AB12345. Seen at 400 Oak Street on 2031-02-10.';
+
+    expect(redactor.redact(text)).toBe(
+      'DOB: [DOB_1]. Call [PHONE_1] or email [EMAIL_1]. MRN: [ID_NUMBER_1]. Seen at [ADDRESS_1] on [DATE_1].'
+    );
+    expect(redactor.counts).toEqual({ dob: 1, phone: 1, email: 1, 'id-number': 1, date: 1, address: 1 });
+  });
+
+  it('redacts names after titles and labels', () => {
+    const redactor = createRedactor();
+
+    expect(redactor.redact('Patient: Sam Carter met Mrs. Jones.')).toBe('Patient: [NAME_2] met Mrs. [NAME_1].');
+  });
+
+  it('gives the same value the same placeholder', () => {
+    const redactor = createRedactor();
+
+    expect(redactor.redact('Call 555-123-4567, then 555-123-4567 again, or 555-987-6543.'))
+      .toBe('Call [PHONE_1], then [PHONE_1] again, or [PHONE_2].');
+    expect(redactor.size).toBe(2);
+  });
+
+  it('matches known client names only when capitalized', () => {
+    const redactor = createRedactor({ identifiers: [{ category: 'name', value: 'will' }] });
+
+    expect(redactor.redact('Will said he will practice. WILL agreed.')).toBe('[NAME_1] said he will practice. [NAME_1] agreed.');
+  });
+
+  it('prefers the longest known value', () => {
+    const redactor = createRedactor({
+      identifiers: [
+        { category: 'name', value: 'Maya' },
+        { category: 'name', value: 'Maya Lopez' },
+      ],
+    });
+
+    expect(redactor.redact('Maya Lopez practised; Maya did well.')).toBe('[NAME_1] practised; [NAME_2] did well.');
+    expect(redactor.redactions).toEqual([
+      { placeholder: '[NAME_1]', category: 'name', source: 'client-record' },
+      { placeholder: '[NAME_2]', category: 'name', source: 'client-record' },
+    ]);
+  });
+
+  it('only applies the configured categories', () => {
+    const redactor = createRedactor({
+      categories: ['email'],
+      identifiers: [{ category: 'name', value: 'Maya' }],
+    });
+
+    expect(redactor.redact('Maya: 555-123-4567, maya@example.com')).toBe('Maya: 555-123-4567, [EMAIL_1]');
+  });
+
+  it('restores placeholders in nested answers, with or without brackets', () => {
+    const redactor = createRedactor({ identifiers: [{ category: 'name', value: 'Maya' }] });
+    redactor.redact('Maya was seen on 2031-02-10.');
+
+    const restored = redactor.restore({
+      subjective: 'Maya reported progress.',
+      plan: ['Review with [NAME_1] after DATE_1', '[PHONE_9] is unknown'],
+      score: 4,
+    });
+
+    expect(restored).toEqual({
+      subjective: 'Maya reported progress.',
+      plan: ['Review with Maya after 2031-02-10', '[PHONE_9] is unknown'],
+      score: 4,
+    });
+    expect(redactor.restoredCount).toBe(2);
+  });
+
+  it('round-trips text through redact and restore', () => {
+    const redactor = createRedactor();
+    const text = 'Client: Sam Carter, DOB: April 7, 2019, phone (555) 201-7788.';
+
+    const redacted = redactor.redact(text);
+    expect(redacted).not.toMatch(/Sam|Carter|2019|7788/);
+    expect(redactor.restore(redacted)).toBe(text);
+  });
+
+  it('redacts strings inside nested prompt variables', () => {
+    const redactor = createRedactor();
+    const when = new Date('2031-02-10T00:00:00Z');
+
+    expect(redactor.redactValue({ notes: ['Call 555-123-4567'], when, count: 3 }))
+      .toEqual({ notes: ['Call [PHONE_1]'], when, count: 3 });
+  });
+});
+
+describe('getClientIdentifiers', () => {
+  it('collects names, date of birth, contact details and address', async () => {
+    mockClients([client]);
+
+    const identifiers = await getClientIdentifiers(['client-1', null]);
+    const values = category => identifiers.filter(entry => entry.category === category).map(entry => entry.value);
+
+    expect(Client.find).toHaveBeenCalledWith({ _id: { $in: ['client-1'] } });
+    expect(values('name')).toEqual(['Maya Lopez', 'Maya', 'Lopez', 'Rosa Lopez', 'Maya', 'Lopez', 'Maya', 'Lopez', 'Rosa', 'Lopez']);
+    expect(values('dob')).toEqual(['2019-04-07', '4/7/2019', '04/07/2019', 'April 7, 2019', '7 April 2019']);
+    expect(values('phone')).toEqual(['555-201-7788']);
+    expect(values('email')).toEqual(['maya.family@example.com']);
+    expect(values('address')).toEqual(['12 Birch Lane', 'Fairview', '97024']);
+  });
+
+  it('skips the lookup without client ids', async () => {
+    expect(await getClientIdentifiers([])).toEqual([]);
+    expect(Client.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('redactPromptVariables', () => {
+  it('redacts only the listed fields using every client in the request', async () => {
+    mockClients([client]);
+
+    const { variables, redactor, clientIds } = await redactPromptVariables({
+      feature: 'soap-notes',
+      fields: ['transcript'],
+      variables: { transcript: 'Maya and Rosa practised /r/ in Fairview.', therapistName: 'Dr. Maya Hart' },
+      phi: { clientId: 'client-2', clientIds: ['client-1'] },
+    });
+
+    expect(Client.find).toHaveBeenCalledWith({ _id: { $in: ['client-1', 'client-2'] } });
+    expect(clientIds).toEqual(['client-1', 'client-2']);
+    expect(variables).toEqual({
+      transcript: '[NAME_1] and [NAME_2] practised /r/ in [ADDRESS_1].',
+      therapistName: 'Dr. Maya Hart',
+    });
+    expect(redactor.restore(variables.transcript)).toBe('Maya and Rosa practised /r/ in Fairview.');
+  });
+
+  it('still applies pattern rules when the client lookup fails', async () => {
+    Client.find.mockReturnValue({ populate: jest.fn().mockRejectedValue(new Error('connection lost')) });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { variables } = await redactPromptVariables({
+      feature: 'translation',
+      fields: ['text'],
+      variables: { text: 'Call 555-123-4567' },
+      phi: { clientId: 'client-1' },
+    });
+
+    expect(variables.text).toBe('Call [PHONE_1]');
+    console.error.mockRestore();
+  });
+
+  it('passes variables through when redaction is off', async () => {
+    process.env.AI_REDACTION = 'false';
+    const variables = { text: 'Call 555-123-4567' };
+
+    expect(await redactPromptVariables({ feature: 'translation', fields: ['text'], variables }))
+      .toEqual({ variables, redactor: null, clientIds: [] });
+  });
+});
+
+describe('recordRedaction', () => {
+  it('logs placeholders and counts without the original values', async () => {
+    const redactor = createRedactor();
+    redactor.redact('Call 555-123-4567');
+    redactor.restore('[PHONE_1]');
+
+    await recordRedaction({ feature: 'translation', template: 'translate', provider: 'gemini', clientIds: ['client-1'], redactor });
+
+    expect(PhiRedactionLog.create).toHaveBeenCalledWith({
+      feature: 'translation',
+      template: 'translate',
+      provider: 'gemini',
+      model: undefined,
+      clientIds: ['client-1'],
+      redactions: [{ placeholder: '[PHONE_1]', category: 'phone', source: 'rule' }],
+      counts: { phone: 1 },
+      total: 1,
+      restored: 1,
+      outcome: 'success',
+    });
+  });
+
+  it('skips requests with nothing redacted', async () => {
+    await recordRedaction({ feature: 'translation', redactor: createRedactor() });
+    await recordRedaction({ feature: 'translation', redactor: null });
+
+    expect(PhiRedactionLog.create).not.toHaveBeenCalled();
+  });
+});
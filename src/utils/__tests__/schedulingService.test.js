@@ -0,0 +1,292 @@
+jest.mock('../../models/Session', () => ({ find: jest.fn() }));
+jest.mock('../../models/FamilyCoachingSession', () => ({ find: jest.fn() }));
+jest.mock('../../models/AvailabilityException', () => ({ find: jest.fn() }));
+jest.mock('../../models/User', () => ({ findById: jest.fn() }));
+
+// Family coaching sessions have no stored timezone and fall back to the server default
+process.env.DEFAULT_TIMEZONE = 'UTC';
+
+const Session = require('../../models/Session');
+const FamilyCoachingSession = require('../../models/FamilyCoachingSession');
+const AvailabilityException = require('../../models/AvailabilityException');
+const {
+  MAX_SERIES_OCCURRENCES,
+  parseTimeToMinutes,
+  formatMinutesAsTime,
+  combineDateAndTime,
+  getSessionStart,
+  toScheduledFields,
+  getAvailabilityWindowsForDay,
+  getBookableSlots,
+  checkBookingAvailability,
+  validateRecurrence,
+  buildOccurrenceDates,
+} = require('../schedulingService');
+
+const TZ = 'America/New_York';
+
+// 2031-03-03 and 2031-03-10 are Mondays either side of the US DST change on 2031-03-09
+const therapist = {
+  _id: 'therapist-1',
+  userId: { _id: 'user-1', timezone: TZ },
+  availability: [
+    { day: 'Monday', startTime: '09:00', endTime: '12:00' },
+  ],
+};
+
+const mockBookings = ({ sessions = [], coaching = [], exceptions = [] } = {}) => {
+  Session.find.mockReturnValue({ select: jest.fn().mockResolvedValue(sessions) });
+  FamilyCoachingSession.find.mockReturnValue({ select: jest.fn().mockResolvedValue(coaching) });
+  AvailabilityException.find.mockResolvedValue(exceptions);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.SESSION_BUFFER_MINUTES;
+  delete process.env.SLOT_INTERVAL_MINUTES;
+  jest.useFakeTimers().setSystemTime(new Date('2031-03-01T00:00:00Z'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('parseTimeToMinutes', () => {
+  it('parses 24-hour and 12-hour times', () => {
+    expect(parseTimeToMinutes('09:05')).toBe(545);
+    expect(parseTimeToMinutes('14:30')).toBe(870);
+    expect(parseTimeToMinutes('2:30 PM')).toBe(870);
+    expect(parseTimeToMinutes('12:00 AM')).toBe(0);
+    expect(parseTimeToMinutes('12:15 pm')).toBe(735);
+  });
+
+  it('rejects malformed times', () => {
+    expect(parseTimeToMinutes('24:00')).toBeNull();
+    expect(parseTimeToMinutes('13:00 PM')).toBeNull();
+    expect(parseTimeToMinutes('9:60')).toBeNull();
+    expect(parseTimeToMinutes('noon')).toBeNull();
+    expect(parseTimeToMinutes(undefined)).toBeNull();
+  });
+});
+
+describe('formatMinutesAsTime', () => {
+  it('formats minutes as a 12-hour time', () => {
+    expect(formatMinutesAsTime(0)).toBe('12:00 AM');
+    expect(formatMinutesAsTime(545)).toBe('9:05 AM');
+    expect(formatMinutesAsTime(720)).toBe('12:00 PM');
+    expect(formatMinutesAsTime(870)).toBe('2:30 PM');
+  });
+});
+
+describe('combineDateAndTime', () => {
+  it('follows the timezone offset across a DST change', () => {
+    expect(combineDateAndTime('2031-03-03', '9:00 AM', TZ).toISOString()).toBe('2031-03-03T14:00:00.000Z');
+    expect(combineDateAndTime('2031-03-10', '9:00 AM', TZ).toISOString()).toBe('2031-03-10T13:00:00.000Z');
+  });
+
+  it('returns null for an invalid time', () => {
+    expect(combineDateAndTime('2031-03-03', 'later', TZ)).toBeNull();
+  });
+});
+
+describe('getSessionStart', () => {
+  it('prefers startsAt and falls back to the date and time in the therapist timezone', () => {
+    expect(getSessionStart({ startsAt: '2031-03-03T15:00:00Z', scheduledTime: '1:00 AM' }))
+      .toEqual(new Date('2031-03-03T15:00:00Z'));
+    expect(getSessionStart({ scheduledDate: new Date('2031-03-03'), scheduledTime: '10:00 AM', therapistTimezone: TZ }))
+      .toEqual(new Date('2031-03-03T15:00:00Z'));
+  });
+});
+
+describe('toScheduledFields', () => {
+  it('stores the wall-clock date and time in the therapist timezone', () => {
+    expect(toScheduledFields(new Date('2031-03-04T02:30:00Z'), TZ)).toEqual({
+      scheduledDate: new Date('2031-03-03'),
+      scheduledTime: '9:30 PM',
+    });
+  });
+});
+
+describe('getAvailabilityWindowsForDay', () => {
+  it('merges overlapping weekly entries and ignores other days', () => {
+    const windows = getAvailabilityWindowsForDay({
+      availability: [
+        { day: 'Monday', startTime: '09:00', endTime: '11:00' },
+        { day: 'Monday', startTime: '10:30', endTime: '12:00' },
+        { day: 'Tuesday', startTime: '09:00', endTime: '17:00' },
+      ],
+    }, '2031-03-03', TZ);
+
+    expect(windows).toEqual([
+      { start: new Date('2031-03-03T14:00:00Z'), end: new Date('2031-03-03T17:00:00Z') },
+    ]);
+  });
+
+  it('adds extra hours and removes time off', () => {
+    const exceptions = [
+      { type: 'extra-hours', startsAt: new Date('2031-03-03T17:00:00Z'), endsAt: new Date('2031-03-03T18:00:00Z') },
+      { type: 'time-off', startsAt: new Date('2031-03-03T15:00:00Z'), endsAt: new Date('2031-03-03T15:30:00Z') },
+    ];
+
+    expect(getAvailabilityWindowsForDay(therapist, '2031-03-03', TZ, exceptions)).toEqual([
+      { start: new Date('2031-03-03T14:00:00Z'), end: new Date('2031-03-03T15:00:00Z') },
+      { start: new Date('2031-03-03T15:30:00Z'), end: new Date('2031-03-03T18:00:00Z') },
+    ]);
+  });
+
+  it('skips entries whose end is not after their start', () => {
+    const windows = getAvailabilityWindowsForDay({
+      availability: [{ day: 'Monday', startTime: '12:00', endTime: '09:00' }],
+    }, '2031-03-03', TZ);
+
+    expect(windows).toEqual([]);
+  });
+});
+
+describe('getBookableSlots', () => {
+  it('steps through availability and skips bookings padded by the buffer', async () => {
+    // 10:00-10:30 local, blocked 9:50-10:40 with the default 10 minute buffer
+    mockBookings({
+      sessions: [{ _id: 'session-1', startsAt: new Date('2031-03-03T15:00:00Z'), duration: 30 }],
+    });
+
+    const slots = await getBookableSlots(therapist, {
+      from: new Date('2031-03-03T00:00:00Z'),
+      to: new Date('2031-03-04T00:00:00Z'),
+      duration: 30,
+    });
+
+    expect(slots.map(slot => slot.scheduledTime)).toEqual([
+      '9:00 AM', '9:15 AM', '10:45 AM', '11:00 AM', '11:15 AM', '11:30 AM',
+    ]);
+    expect(slots[0]).toMatchObject({
+      start: new Date('2031-03-03T14:00:00Z'),
+      end: new Date('2031-03-03T14:30:00Z'),
+      scheduledDate: '2031-03-03',
+      timezone: TZ,
+      duration: 30,
+    });
+  });
+
+  it('uses the configured buffer and slot interval', async () => {
+    process.env.SESSION_BUFFER_MINUTES = '0';
+    process.env.SLOT_INTERVAL_MINUTES = '60';
+    mockBookings({
+      coaching: [{ _id: 'coaching-1', scheduledDate: new Date('2031-03-03'), scheduledTime: '10:00 AM', duration: 60 }],
+    });
+
+    const slots = await getBookableSlots({ ...therapist, userId: { _id: 'user-1', timezone: 'UTC' } }, {
+      from: new Date('2031-03-03T00:00:00Z'),
+      to: new Date('2031-03-04T00:00:00Z'),
+      duration: 60,
+    });
+
+    expect(slots.map(slot => slot.scheduledTime)).toEqual(['9:00 AM', '11:00 AM']);
+  });
+
+  it('does not offer slots in the past', async () => {
+    jest.setSystemTime(new Date('2031-03-03T15:05:00Z'));
+    mockBookings();
+
+    const slots = await getBookableSlots(therapist, {
+      from: new Date('2031-03-03T00:00:00Z'),
+      to: new Date('2031-03-04T00:00:00Z'),
+      duration: 60,
+    });
+
+    expect(slots[0].scheduledTime).toBe('10:15 AM');
+  });
+});
+
+describe('checkBookingAvailability', () => {
+  it('accepts a booking inside availability with no conflicts', async () => {
+    mockBookings();
+    const result = await checkBookingAvailability(therapist, new Date('2031-03-03T14:00:00Z'), 45);
+    expect(result).toEqual({ available: true });
+  });
+
+  it('rejects a booking outside availability', async () => {
+    mockBookings();
+    const result = await checkBookingAvailability(therapist, new Date('2031-03-03T16:30:00Z'), 45);
+    expect(result).toEqual({ available: false, reason: 'outside-availability' });
+  });
+
+  it('reports time off separately', async () => {
+    mockBookings({
+      exceptions: [{ type: 'time-off', startsAt: new Date('2031-03-03T14:00:00Z'), endsAt: new Date('2031-03-03T17:00:00Z') }],
+    });
+    const result = await checkBookingAvailability(therapist, new Date('2031-03-03T14:00:00Z'), 45);
+    expect(result).toEqual({ available: false, reason: 'time-off' });
+  });
+
+  it('returns the conflicting booking', async () => {
+    mockBookings({
+      sessions: [{ _id: 'session-1', startsAt: new Date('2031-03-03T14:30:00Z'), duration: 45 }],
+    });
+    const result = await checkBookingAvailability(therapist, new Date('2031-03-03T14:00:00Z'), 30);
+
+    expect(result).toEqual({
+      available: false,
+      reason: 'conflict',
+      conflict: {
+        bookingId: 'session-1',
+        kind: 'session',
+        start: new Date('2031-03-03T14:30:00Z'),
+        end: new Date('2031-03-03T15:15:00Z'),
+      },
+    });
+  });
+
+  it('ignores excluded sessions when moving them', async () => {
+    mockBookings();
+    await checkBookingAvailability(therapist, new Date('2031-03-03T14:00:00Z'), 30, { excludeSessionIds: ['session-1'] });
+
+    expect(Session.find.mock.calls[0][0]._id).toEqual({ $nin: ['session-1'] });
+    expect(FamilyCoachingSession.find.mock.calls[0][0]._id).toBeUndefined();
+  });
+});
+
+describe('validateRecurrence', () => {
+  const start = new Date('2031-03-03T00:00:00Z');
+
+  it('accepts a count or an until date', () => {
+    expect(validateRecurrence({ frequency: 'weekly', count: 4 }, start)).toBeNull();
+    expect(validateRecurrence({ frequency: 'biweekly', until: '2031-06-01' }, start)).toBeNull();
+  });
+
+  it('rejects invalid rules', () => {
+    expect(validateRecurrence(null, start)).toBe('Recurrence must be an object');
+    expect(validateRecurrence({ frequency: 'daily', count: 2 }, start))
+      .toBe('Recurrence frequency must be one of: weekly, biweekly, every-4-weeks');
+    expect(validateRecurrence({ frequency: 'weekly' }, start)).toBe('Recurrence requires either an until date or a count');
+    expect(validateRecurrence({ frequency: 'weekly', count: MAX_SERIES_OCCURRENCES + 1 }, start))
+      .toBe(`Recurrence count must be between 1 and ${MAX_SERIES_OCCURRENCES}`);
+    expect(validateRecurrence({ frequency: 'weekly', until: 'soon' }, start)).toBe('Invalid recurrence until date');
+    expect(validateRecurrence({ frequency: 'weekly', until: '2031-03-01' }, start))
+      .toBe('Recurrence until date must be on or after the first session');
+  });
+});
+
+describe('buildOccurrenceDates', () => {
+  const start = new Date('2031-03-03T00:00:00Z');
+  const keys = (dates) => dates.map(date => date.toISOString().slice(0, 10));
+
+  it('expands a count', () => {
+    expect(keys(buildOccurrenceDates(start, { frequency: 'biweekly', count: 3 })))
+      .toEqual(['2031-03-03', '2031-03-17', '2031-03-31']);
+  });
+
+  it('includes an occurrence on the until date', () => {
+    expect(keys(buildOccurrenceDates(start, { frequency: 'weekly', until: '2031-03-24' })))
+      .toEqual(['2031-03-03', '2031-03-10', '2031-03-17', '2031-03-24']);
+  });
+
+  it('stops at whichever of count and until comes first', () => {
+    expect(keys(buildOccurrenceDates(start, { frequency: 'every-4-weeks', count: 5, until: '2031-05-01' })))
+      .toEqual(['2031-03-03', '2031-03-31', '2031-04-28']);
+  });
+
+  it('caps an open-ended series', () => {
+    expect(buildOccurrenceDates(start, { frequency: 'weekly', until: '2040-01-01' })).toHaveLength(MAX_SERIES_OCCURRENCES);
+  });
+});
@@ -0,0 +1,106 @@
+const {
+  SESSION_TRANSITIONS,
+  validateTransition,
+  buildStatusEntry,
+  transitionSession,
+} = require('../sessionLifecycle');
+
+describe('validateTransition', () => {
+  it('allows a therapist to complete an in-progress session', () => {
+    expect(validateTransition('in-progress', 'completed', 'therapist')).toBeNull();
+  });
+
+  it('lets the no-show job mark scheduled and confirmed sessions', () => {
+    expect(validateTransition('scheduled', 'no-show', 'system')).toBeNull();
+    expect(validateTransition('confirmed', 'no-show', 'system')).toBeNull();
+  });
+
+  it('rejects a role that is not allowed to make the move', () => {
+    expect(validateTransition('scheduled', 'no-show', 'client'))
+      .toBe('Only therapist or admin can change a scheduled session to no-show');
+    expect(validateTransition('in-progress', 'completed', 'client'))
+      .toBe('Only therapist or admin can change a in-progress session to completed');
+  });
+
+  it('lists the allowed next statuses when the move is not defined', () => {
+    expect(validateTransition('in-progress', 'cancelled', 'admin'))
+      .toBe('Cannot change a in-progress session to cancelled. Allowed: completed');
+  });
+
+  it('rejects any move out of a final status', () => {
+    ['completed', 'cancelled', 'no-show', 'rescheduled'].forEach(status => {
+      expect(Object.keys(SESSION_TRANSITIONS[status])).toHaveLength(0);
+      expect(validateTransition(status, 'scheduled', 'admin')).toBe(`Cannot change a ${status} session`);
+    });
+  });
+
+  it('rejects an unknown current status', () => {
+    expect(validateTransition('archived', 'completed', 'admin')).toBe('Unknown session status: archived');
+  });
+});
+
+describe('buildStatusEntry', () => {
+  it('records the acting user and their role', () => {
+    const user = { _id: 'user-1', role: 'therapist' };
+    const entry = buildStatusEntry('scheduled', 'confirmed', { user, reason: 'Confirmed by phone' });
+
+    expect(entry).toMatchObject({
+      from: 'scheduled',
+      to: 'confirmed',
+      changedBy: 'user-1',
+      actorRole: 'therapist',
+      reason: 'Confirmed by phone',
+    });
+    expect(entry.changedAt).toBeInstanceOf(Date);
+  });
+
+  it('falls back to the system role when there is no user', () => {
+    const entry = buildStatusEntry(null, 'scheduled');
+    expect(entry.changedBy).toBeUndefined();
+    expect(entry.actorRole).toBe('system');
+  });
+});
+
+describe('transitionSession', () => {
+  const makeSession = (status) => ({ status, statusHistory: [] });
+
+  it('changes the status and appends a history entry', () => {
+    const session = makeSession('scheduled');
+    const user = { _id: 'user-2', role: 'client' };
+
+    expect(transitionSession(session, 'cancelled', { user, reason: 'Sick' })).toBeNull();
+    expect(session.status).toBe('cancelled');
+    expect(session.statusHistory).toHaveLength(1);
+    expect(session.statusHistory[0]).toMatchObject({
+      from: 'scheduled',
+      to: 'cancelled',
+      changedBy: 'user-2',
+      actorRole: 'client',
+      reason: 'Sick',
+    });
+  });
+
+  it('prefers an explicit role over the user role', () => {
+    const session = makeSession('confirmed');
+    const user = { _id: 'admin-1', role: 'admin' };
+
+    expect(transitionSession(session, 'no-show', { user, role: 'system' })).toBeNull();
+    expect(session.statusHistory[0].actorRole).toBe('system');
+  });
+
+  it('leaves the session untouched when the move is rejected', () => {
+    const session = makeSession('completed');
+
+    expect(transitionSession(session, 'cancelled', { role: 'admin' })).toBe('Cannot change a completed session');
+    expect(session.status).toBe('completed');
+    expect(session.statusHistory).toHaveLength(0);
+  });
+
+  it('treats a missing actor as the system', () => {
+    const session = makeSession('scheduled');
+
+    expect(transitionSession(session, 'confirmed')).toBe('Only therapist or admin can change a scheduled session to confirmed');
+    expect(transitionSession(session, 'no-show')).toBeNull();
+    expect(session.statusHistory[0].actorRole).toBe('system');
+  });
+});
@@ -0,0 +1,213 @@
+jest.mock('../../models/Session', () => ({ countDocuments: jest.fn() }));
+jest.mock('../../models/Subscription', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/Payment', () => ({ create: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../../controllers/pricingController', () => ({
+  getPricingTiersForSubscription: () => ({ 'pay-as-you-go': { price: 95 } }),
+}));
+
+const Session = require('../../models/Session');
+const Subscription = require('../../models/Subscription');
+const Payment = require('../../models/Payment');
+const {
+  getQuotaPolicy,
+  getBillingPeriod,
+  getSessionQuota,
+  checkBookingQuota,
+  getQuotaFields,
+  releaseOverageCharge,
+} = require('../subscriptionQuotaService');
+
+// Monthly periods follow the server's calendar month, so build dates in local time
+const local = (year, month, day, ...time) => new Date(year, month - 1, day, ...time);
+
+// Count used sessions per period, keyed by the period start
+const mockUsedSessions = (usedByPeriodStart) => {
+  Session.countDocuments.mockImplementation(filter => {
+    return Promise.resolve(usedByPeriodStart[filter.scheduledDate.$gte.getTime()] || 0);
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.SUBSCRIPTION_QUOTA_POLICY;
+  delete process.env.SUBSCRIPTION_ROLLOVER_MAX;
+});
+
+describe('getBillingPeriod', () => {
+  it('uses the calendar month for monthly plans', () => {
+    const subscription = { billingCycle: 'monthly', startDate: local(2031, 1, 20) };
+
+    expect(getBillingPeriod(subscription, local(2031, 2, 14, 9))).toEqual({
+      periodStart: local(2031, 2, 1),
+      periodEnd: local(2031, 2, 28, 23, 59, 59),
+    });
+  });
+
+  it('counts 28-day periods from the start date for every-4-weeks plans', () => {
+    const subscription = { billingCycle: 'every-4-weeks', startDate: local(2031, 1, 1) };
+
+    expect(getBillingPeriod(subscription, local(2031, 1, 28, 23))).toEqual({
+      periodStart: local(2031, 1, 1),
+      periodEnd: local(2031, 1, 29),
+    });
+    expect(getBillingPeriod(subscription, local(2031, 2, 5))).toEqual({
+      periodStart: local(2031, 1, 29),
+      periodEnd: local(2031, 2, 26),
+    });
+  });
+
+  it('runs pay-as-you-go periods from the start date to the next billing date', () => {
+    const subscription = {
+      billingCycle: 'pay-as-you-go',
+      startDate: local(2031, 1, 10),
+      nextBillingDate: local(2031, 2, 10),
+    };
+
+    expect(getBillingPeriod(subscription, local(2031, 1, 25))).toEqual({
+      periodStart: local(2031, 1, 10),
+      periodEnd: local(2031, 2, 10),
+    });
+  });
+
+  it('falls back to the calendar month without a start date', () => {
+    expect(getBillingPeriod({ billingCycle: 'every-4-weeks' }, local(2031, 4, 30, 12))).toEqual({
+      periodStart: local(2031, 4, 1),
+      periodEnd: local(2031, 4, 30, 23, 59, 59),
+    });
+  });
+});
+
+describe('getSessionQuota', () => {
+  const subscription = { billingCycle: 'monthly', startDate: local(2031, 1, 5), sessionsPerMonth: 4 };
+
+  it('subtracts the sessions used in the period', async () => {
+    mockUsedSessions({ [local(2031, 2, 1).getTime()]: 3 });
+
+    const quota = await getSessionQuota(subscription, 'client-1', local(2031, 2, 14));
+
+    expect(quota).toMatchObject({
+      totalSessions: 4,
+      rolloverSessions: 0,
+      usedSessions: 3,
+      remainingSessions: 1,
+      hasUnlimited: false,
+      periodStart: local(2031, 2, 1),
+    });
+  });
+
+  it('rolls over unused sessions from the previous period up to the limit', async () => {
+    process.env.SUBSCRIPTION_ROLLOVER_MAX = '2';
+    mockUsedSessions({
+      [local(2031, 1, 1).getTime()]: 1,
+      [local(2031, 2, 1).getTime()]: 3,
+    });
+
+    const quota = await getSessionQuota(subscription, 'client-1', local(2031, 2, 14));
+
+    expect(quota.rolloverSessions).toBe(2);
+    expect(quota.remainingSessions).toBe(3);
+  });
+
+  it('does not roll over into the first period', async () => {
+    process.env.SUBSCRIPTION_ROLLOVER_MAX = '2';
+    mockUsedSessions({});
+
+    const quota = await getSessionQuota({ ...subscription, startDate: local(2031, 2, 1) }, 'client-1', local(2031, 2, 14));
+
+    expect(quota.rolloverSessions).toBe(0);
+    expect(Session.countDocuments).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports unlimited plans', async () => {
+    mockUsedSessions({ [local(2031, 2, 1).getTime()]: 12 });
+
+    const quota = await getSessionQuota({ ...subscription, sessionsPerMonth: -1 }, 'client-1', local(2031, 2, 14));
+
+    expect(quota).toMatchObject({ hasUnlimited: true, remainingSessions: -1, usedSessions: 12 });
+  });
+});
+
+describe('checkBookingQuota', () => {
+  const client = { _id: 'client-1', userId: { _id: 'user-1' } };
+  const mockSubscription = (subscription) => {
+    Subscription.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(subscription) });
+  };
+
+  it('returns no overage without an active subscription', async () => {
+    mockSubscription(null);
+
+    expect(await checkBookingQuota(client, [local(2031, 2, 10)])).toEqual({ subscription: null, overageIndexes: [] });
+    expect(Subscription.findOne).toHaveBeenCalledWith({ userId: 'user-1', status: 'active' });
+  });
+
+  it('flags bookings beyond each period allowance', async () => {
+    const subscription = { billingCycle: 'monthly', startDate: local(2031, 1, 5), sessionsPerMonth: 2 };
+    mockSubscription(subscription);
+    mockUsedSessions({ [local(2031, 2, 1).getTime()]: 1 });
+
+    const result = await checkBookingQuota(client, [
+      local(2031, 2, 10),
+      local(2031, 2, 17),
+      local(2031, 3, 3),
+      local(2031, 2, 24),
+    ]);
+
+    expect(result).toMatchObject({
+      subscription,
+      policy: 'overage',
+      overageIndexes: [1, 3],
+      overageFee: 95,
+    });
+    expect(result.quota.periodStart).toEqual(local(2031, 2, 1));
+  });
+
+  it('never flags unlimited plans', async () => {
+    mockSubscription({ billingCycle: 'monthly', startDate: local(2031, 1, 5), sessionsPerMonth: 0 });
+    mockUsedSessions({ [local(2031, 2, 1).getTime()]: 30 });
+
+    const result = await checkBookingQuota(client, [local(2031, 2, 10), local(2031, 2, 11)]);
+
+    expect(result.overageIndexes).toEqual([]);
+  });
+});
+
+describe('getQuotaPolicy', () => {
+  it('defaults to overage and accepts block', () => {
+    expect(getQuotaPolicy()).toBe('overage');
+    process.env.SUBSCRIPTION_QUOTA_POLICY = 'block';
+    expect(getQuotaPolicy()).toBe('block');
+    process.env.SUBSCRIPTION_QUOTA_POLICY = 'ignore';
+    expect(getQuotaPolicy()).toBe('overage');
+  });
+});
+
+describe('getQuotaFields', () => {
+  const quotaCheck = { subscription: {}, overageIndexes: [1], overageFee: 95 };
+
+  it('marks each booking as included, overage or override', () => {
+    expect(getQuotaFields(quotaCheck, 0, false)).toEqual({ quotaStatus: 'included' });
+    expect(getQuotaFields(quotaCheck, 1, false)).toEqual({ quotaStatus: 'overage', overageFee: 95 });
+    expect(getQuotaFields(quotaCheck, 1, true)).toEqual({ quotaStatus: 'override' });
+  });
+
+  it('leaves bookings without a subscription untouched', () => {
+    expect(getQuotaFields({ subscription: null, overageIndexes: [] }, 0, false)).toEqual({});
+  });
+});
+
+describe('releaseOverageCharge', () => {
+  it('cancels only the pending overage charge, since nothing was collected', async () => {
+    await releaseOverageCharge({ _id: 'session-1' });
+
+    expect(Payment.updateMany).toHaveBeenCalledWith(
+      { sessionId: 'session-1', status: 'pending', 'metadata.type': 'subscription_overage' },
+      { status: 'cancelled' }
+    );
+  });
+
+  it('limits a group session release to one client', async () => {
+    await releaseOverageCharge({ _id: 'session-1' }, 'client-2');
+
+    expect(Payment.updateMany.mock.calls[0][0]).toMatchObject({ sessionId: 'session-1', clientId: 'client-2' });
+  });
+});
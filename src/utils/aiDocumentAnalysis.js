@@ -1,15 +1,19 @@
-// AI Document Analysis Service using Gemini API
-// Extracts key points, summaries, dates, diagnoses, and recommendations from documents
+// AI Document Analysis Service
+// Extracts key points, summaries, dates, diagnoses, and recommendations from documents,
+// using the configured AI provider with a rule-based fallback
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { isAIAvailable, completeJson } = require('./aiProvider');
 
 /**
- * Analyze document using Gemini API
+ * Analyze document using the configured AI provider
  * @param {string} text - Extracted text from OCR
  * @param {string} documentType - Type of document (IEP, IFSP, medical, etc.)
+ * @param {Object} [options] - { fallback, clientId }: set fallback false to have provider errors
+ *   thrown instead of answered by the rule-based analysis, e.g. so a queued job can retry.
+ *   clientId lets the client's own details be redacted before the text leaves the platform.
  * @returns {Promise<Object>} Analysis results
  */
-const analyzeDocument = async (text, documentType) => {
+const analyzeDocument = async (text, documentType, { fallback = true, clientId } = {}) => {
   if (!text || text.trim().length === 0) {
     return {
       success: false,
@@ -18,83 +22,28 @@ const analyzeDocument = async (text, documentType) => {
   }
 
   try {
-    // Use Gemini API if available, otherwise fallback to rule-based
-    if (process.env.GEMINI_API_KEY) {
-      return await analyzeDocumentWithGemini(text, documentType);
+    // Use the AI provider if one is configured, otherwise fallback to rule-based
+    if (isAIAvailable()) {
+      return await analyzeDocumentWithProvider(text, documentType, { fallback, clientId });
     } else {
       // Fallback to rule-based analysis
-      console.warn('GEMINI_API_KEY not set. Using rule-based analysis.');
+      console.warn('No AI provider configured. Using rule-based analysis.');
       return await analyzeDocumentRuleBased(text, documentType);
     }
   } catch (error) {
+    if (!fallback) throw error;
     console.error('AI Analysis Error:', error);
-    // Fallback to rule-based if Gemini fails
+    // Fallback to rule-based if the provider fails
     return await analyzeDocumentRuleBased(text, documentType);
   }
 };
 
 /**
- * Analyze document using Gemini API
+ * Analyze document using the configured AI provider
  */
-const analyzeDocumentWithGemini = async (text, documentType) => {
+const analyzeDocumentWithProvider = async (text, documentType, { fallback = true, clientId } = {}) => {
   try {
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    // Use gemini-1.5-flash for fast processing, or gemini-1.5-pro for better quality
-    const modelName = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
-    const model = genAI.getGenerativeModel({ model: modelName });
-
-    const documentTypeContext = {
-      IEP: 'Individualized Education Program (IEP)',
-      IFSP: 'Individualized Family Service Plan (IFSP)',
-      medical: 'medical document',
-      evaluation: 'evaluation report',
-      discharge: 'discharge summary',
-      assessment: 'assessment report',
-      other: 'document',
-    };
-
-    const context = documentTypeContext[documentType] || 'document';
-
-    const prompt = `You are analyzing a ${context} for a speech-language therapy platform. Extract and structure the following information from the document text:
-
-Document Type: ${context}
-Document Text (first 8000 characters):
-${text.substring(0, 8000)}
-
-Please provide a JSON response with the following structure:
-{
-  "keyPoints": ["key point 1", "key point 2", ...],
-  "summary": "A concise 2-3 sentence summary of the document",
-  "importantDates": [
-    {"date": "YYYY-MM-DD", "description": "What this date represents"}
-  ],
-  "diagnoses": ["diagnosis 1", "diagnosis 2", ...],
-  "recommendations": ["recommendation 1", "recommendation 2", ...]
-}
-
-Important:
-- Extract only factual information from the document
-- For dates, use YYYY-MM-DD format
-- Limit key points to top 10 most important
-- Limit diagnoses to actual medical/clinical diagnoses mentioned
-- Limit recommendations to actionable items
-- Be concise but accurate
-
-Return ONLY valid JSON, no additional text.`;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const responseText = response.text().trim();
-
-    // Parse JSON response (remove markdown code blocks if present)
-    let jsonText = responseText;
-    if (jsonText.startsWith('```json')) {
-      jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    } else if (jsonText.startsWith('```')) {
-      jsonText = jsonText.replace(/```\n?/g, '');
-    }
-
-    const parsed = JSON.parse(jsonText);
+    const parsed = await completeJson('document-analysis', { text, documentType }, { phi: { clientId } });
 
     // Ensure dates are properly formatted (keep as strings for JSON serialization)
     if (parsed.importantDates && Array.isArray(parsed.importantDates)) {
@@ -128,7 +77,8 @@ Return ONLY valid JSON, no additional text.`;
       },
     };
   } catch (error) {
-    console.error('Gemini API Analysis Error:', error);
+    if (!fallback) throw error;
+    console.error('AI Provider Analysis Error:', error.message || error);
     // Fallback to rule-based
     return await analyzeDocumentRuleBased(text, documentType);
   }
@@ -142,8 +92,8 @@ const analyzeDocumentRuleBased = async (text, documentType) => {
     keyPoints: extractKeyPoints(text, documentType),
     summary: generateSummary(text, documentType),
     importantDates: extractImportantDates(text),
-    diagnoses: extractDiagnoses(text, documentType),
-    recommendations: extractRecommendations(text, documentType),
+    diagnoses: extractDiagnoses(text),
+    recommendations: extractRecommendations(text),
     analyzedAt: new Date(),
   };
 
@@ -163,27 +113,27 @@ const extractKeyPoints = (text, documentType) => {
   // Document-type specific patterns
   const patterns = {
     IEP: [
-      /goals?:?\s*([^\.]+)/gi,
-      /objectives?:?\s*([^\.]+)/gi,
-      /accommodations?:?\s*([^\.]+)/gi,
-      /services?:?\s*([^\.]+)/gi,
+      /goals?:?\s*([^.]+)/gi,
+      /objectives?:?\s*([^.]+)/gi,
+      /accommodations?:?\s*([^.]+)/gi,
+      /services?:?\s*([^.]+)/gi,
     ],
     IFSP: [
-      /outcomes?:?\s*([^\.]+)/gi,
-      /services?:?\s*([^\.]+)/gi,
-      /family\s+priorities?:?\s*([^\.]+)/gi,
+      /outcomes?:?\s*([^.]+)/gi,
+      /services?:?\s*([^.]+)/gi,
+      /family\s+priorities?:?\s*([^.]+)/gi,
     ],
     medical: [
-      /diagnosis:?\s*([^\.]+)/gi,
-      /condition:?\s*([^\.]+)/gi,
-      /treatment:?\s*([^\.]+)/gi,
-      /medication:?\s*([^\.]+)/gi,
+      /diagnosis:?\s*([^.]+)/gi,
+      /condition:?\s*([^.]+)/gi,
+      /treatment:?\s*([^.]+)/gi,
+      /medication:?\s*([^.]+)/gi,
     ],
     evaluation: [
-      /findings?:?\s*([^\.]+)/gi,
-      /assessment:?\s*([^\.]+)/gi,
-      /results?:?\s*([^\.]+)/gi,
-      /recommendations?:?\s*([^\.]+)/gi,
+      /findings?:?\s*([^.]+)/gi,
+      /assessment:?\s*([^.]+)/gi,
+      /results?:?\s*([^.]+)/gi,
+      /recommendations?:?\s*([^.]+)/gi,
     ],
   };
 
@@ -300,16 +250,16 @@ const extractImportantDates = (text) => {
 /**
  * Extract diagnoses from text
  */
-const extractDiagnoses = (text, documentType) => {
+const extractDiagnoses = (text) => {
   const diagnoses = [];
   
   // Common diagnosis patterns
   const diagnosisPatterns = [
-    /diagnosis:?\s*([^\.\n]+)/gi,
-    /diagnosed\s+with\s+([^\.\n]+)/gi,
-    /condition:?\s*([^\.\n]+)/gi,
-    /disorder:?\s*([^\.\n]+)/gi,
-    /(?:ICD-10|ICD10):\s*([^\s]+)\s+([^\.\n]+)/gi,
+    /diagnosis:?\s*([^.\n]+)/gi,
+    /diagnosed\s+with\s+([^.\n]+)/gi,
+    /condition:?\s*([^.\n]+)/gi,
+    /disorder:?\s*([^.\n]+)/gi,
+    /(?:ICD-10|ICD10):\s*([^\s]+)\s+([^.\n]+)/gi,
   ];
 
   diagnosisPatterns.forEach(pattern => {
@@ -350,16 +300,16 @@ const extractDiagnoses = (text, documentType) => {
 /**
  * Extract recommendations from text
  */
-const extractRecommendations = (text, documentType) => {
+const extractRecommendations = (text) => {
   const recommendations = [];
   
   // Recommendation patterns
   const recommendationPatterns = [
-    /recommend(?:ation|ed)?:?\s*([^\.\n]+)/gi,
-    /suggest(?:ion|ed)?:?\s*([^\.\n]+)/gi,
-    /should\s+([^\.\n]+)/gi,
-    /it\s+is\s+recommended\s+that\s+([^\.\n]+)/gi,
-    /next\s+steps?:?\s*([^\.\n]+)/gi,
+    /recommend(?:ation|ed)?:?\s*([^.\n]+)/gi,
+    /suggest(?:ion|ed)?:?\s*([^.\n]+)/gi,
+    /should\s+([^.\n]+)/gi,
+    /it\s+is\s+recommended\s+that\s+([^.\n]+)/gi,
+    /next\s+steps?:?\s*([^.\n]+)/gi,
   ];
 
   recommendationPatterns.forEach(pattern => {
@@ -388,47 +338,8 @@ const extractRecommendations = (text, documentType) => {
   return [...new Set(recommendations)].slice(0, 10);
 };
 
-/**
- * Enhanced AI analysis using external API (placeholder for production)
- */
-const analyzeDocumentWithAI = async (text, documentType) => {
-  // Placeholder for AI API integration
-  // Options:
-  // 1. OpenAI GPT-4 for structured extraction
-  // 2. Google Cloud Natural Language API
-  // 3. AWS Comprehend Medical
-  // 4. Azure Text Analytics
-
-  // Example with OpenAI:
-  /*
-  const OpenAI = require('openai');
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  
-  const prompt = `Analyze this ${documentType} document and extract:
-  1. Key points (bullet list)
-  2. Summary (2-3 sentences)
-  3. Important dates with descriptions
-  4. Diagnoses mentioned
-  5. Recommendations
-  
-  Document text: ${text.substring(0, 4000)}`;
-  
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4',
-    messages: [{ role: 'user', content: prompt }],
-    temperature: 0.3,
-  });
-  
-  return parseAIResponse(response.choices[0].message.content);
-  */
-
-  // For now, use rule-based analysis
-  return analyzeDocument(text, documentType);
-};
-
 module.exports = {
   analyzeDocument,
-  analyzeDocumentWithAI,
   extractKeyPoints,
   generateSummary,
   extractImportantDates,
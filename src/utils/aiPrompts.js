@@ -0,0 +1,227 @@
+// AI Prompt Templates
+// Every prompt the platform sends to an AI provider, by name. Each template renders its
+// variables into a user prompt (and optional system instruction) and says whether the
+// answer must be JSON. feature and redact name the AI feature a template belongs to and the
+// variables holding free text that may contain PHI (see phiRedactionService).
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  zh: 'Chinese (Simplified)',
+  ja: 'Japanese',
+  ko: 'Korean',
+  ar: 'Arabic',
+  pt: 'Portuguese',
+  ru: 'Russian',
+  it: 'Italian',
+  hi: 'Hindi',
+  nl: 'Dutch',
+  pl: 'Polish',
+  tr: 'Turkish',
+  vi: 'Vietnamese',
+  asl: 'American Sign Language',
+};
+
+const languageName = (code) => LANGUAGE_NAMES[code] || code;
+
+const DOCUMENT_TYPE_NAMES = {
+  IEP: 'Individualized Education Program (IEP)',
+  IFSP: 'Individualized Family Service Plan (IFSP)',
+  medical: 'medical document',
+  evaluation: 'evaluation report',
+  discharge: 'discharge summary',
+  assessment: 'assessment report',
+  other: 'document',
+};
+
+const INTERPRETATION_CONTEXTS = {
+  therapy_session: 'This is a speech-language therapy session. Translate medical and therapy terminology accurately.',
+  medical_history: 'This is medical history documentation. Maintain medical accuracy in translation.',
+  assessment: 'This is a clinical assessment. Preserve clinical terminology precisely.',
+  general: 'Translate this text accurately while maintaining context.',
+};
+
+const DOCUMENT_TEXT_LIMIT = 8000;
+const DETECTION_TEXT_LIMIT = 500;
+const SOAP_TEXT_LIMIT = 12000;
+
+const PROMPT_TEMPLATES = {
+  translate: {
+    feature: 'translation',
+    redact: ['text'],
+    temperature: 0.2,
+    render: ({ text, sourceLanguage = 'auto', targetLanguage = 'en' }) => {
+      const sourceName = sourceLanguage === 'auto' ? 'the detected language' : languageName(sourceLanguage);
+      const targetName = languageName(targetLanguage);
+      return {
+        prompt: `Translate the following text from ${sourceName} to ${targetName}.
+Provide only the translation, no explanations or additional text.
+Maintain the original meaning, tone, and context.
+If the text is already in ${targetName}, return it unchanged.
+
+Text to translate: "${text}"`,
+      };
+    },
+  },
+
+  'detect-language': {
+    feature: 'translation',
+    redact: ['text'],
+    temperature: 0,
+    render: ({ text, codes }) => ({
+      prompt: `Detect the language of the following text.
+Respond with only the ISO 639-1 language code (one of: ${codes.join(', ')}).
+If you cannot determine the language, respond with 'en'.
+
+Text: "${text.substring(0, DETECTION_TEXT_LIMIT)}"`,
+    }),
+  },
+
+  interpret: {
+    feature: 'translation',
+    redact: ['text'],
+    temperature: 0.2,
+    render: ({ text, sourceLanguage, targetLanguage, context = 'general' }) => ({
+      system: INTERPRETATION_CONTEXTS[context] || INTERPRETATION_CONTEXTS.general,
+      prompt: `Translate from ${languageName(sourceLanguage)} to ${languageName(targetLanguage)}:
+"${text}"
+
+Put the translation on the first line, then a brief explanation of any important context or terminology.`,
+    }),
+  },
+
+  'document-analysis': {
+    feature: 'document-analysis',
+    redact: ['text'],
+    json: true,
+    temperature: 0.2,
+    render: ({ text, documentType }) => {
+      const context = DOCUMENT_TYPE_NAMES[documentType] || DOCUMENT_TYPE_NAMES.other;
+      return {
+        system: 'You extract structured information from clinical documents for a speech-language therapy platform.',
+        prompt: `You are analyzing a ${context}. Extract and structure the following information from the document text:
+
+Document Type: ${context}
+Document Text (first ${DOCUMENT_TEXT_LIMIT} characters):
+${text.substring(0, DOCUMENT_TEXT_LIMIT)}
+
+Please provide a JSON response with the following structure:
+{
+  "keyPoints": ["key point 1", "key point 2", ...],
+  "summary": "A concise 2-3 sentence summary of the document",
+  "importantDates": [
+    {"date": "YYYY-MM-DD", "description": "What this date represents"}
+  ],
+  "diagnoses": ["diagnosis 1", "diagnosis 2", ...],
+  "recommendations": ["recommendation 1", "recommendation 2", ...]
+}
+
+Important:
+- Extract only factual information from the document
+- For dates, use YYYY-MM-DD format
+- Limit key points to top 10 most important
+- Limit diagnoses to actual medical/clinical diagnoses mentioned
+- Limit recommendations to actionable items
+- Be concise but accurate
+
+Return ONLY valid JSON, no additional text.`,
+      };
+    },
+  },
+
+  'soap-note': {
+    feature: 'soap-notes',
+    redact: ['notes', 'transcript', 'goals'],
+    json: true,
+    temperature: 0.3,
+    render: ({ sessionType, duration, notes, transcript, clientAge, goals = [] }) => ({
+      system: 'You are a licensed speech-language pathologist writing concise, professional SOAP notes. Only document what the session information supports.',
+      prompt: `Write a SOAP note for this speech-language therapy session.
+
+Session Type: ${sessionType}
+Duration: ${duration} minutes
+${clientAge ? `Client Age: ${clientAge}\n` : ''}${goals.length > 0 ? `Treatment Focus: ${goals.join('; ')}\n` : ''}Therapist Notes: ${notes || 'No notes provided'}
+Transcript: ${transcript ? transcript.substring(0, SOAP_TEXT_LIMIT) : 'No transcript available'}
+
+Return JSON with the keys:
+- "subjective": client- or caregiver-reported information
+- "objective": observable, measurable data such as accuracy and cueing
+- "assessment": clinical interpretation of progress
+- "plan": next steps and recommendations`,
+    }),
+  },
+
+  'soap-note-grounded': {
+    feature: 'soap-notes',
+    redact: ['evidence'],
+    json: true,
+    temperature: 0.2,
+    render: ({ sessionType, duration, evidence = [] }) => ({
+      system: 'You are a licensed speech-language pathologist drafting a SOAP note strictly from the evidence provided. Never state anything the evidence does not support.',
+      prompt: `Draft a SOAP note for this speech-language therapy session using only the numbered evidence below.
+Transcript segments are T1, T2, ...; trial data points are D1, D2, ...; the client's active goals are G1, G2, ...
+
+Session Type: ${sessionType}
+Duration: ${duration} minutes
+
+Evidence:
+${evidence.map(item => `[${item.id}] ${item.text}`).join('\n').substring(0, SOAP_TEXT_LIMIT)}
+
+Return JSON with the keys "subjective", "objective", "assessment" and "plan". Each is a list of statements:
+{ "text": "one sentence", "citations": ["T3", "D1"] }
+
+Important:
+- Every statement must cite the evidence IDs it is based on
+- If a statement is clinical judgement the evidence does not directly show, give it an empty citations list
+- Keep statements short and factual; report trial data with its numbers and cue level
+- Use an empty list for a section the evidence says nothing about`,
+    }),
+  },
+
+  'resource-query': {
+    feature: 'resource-search',
+    redact: ['query'],
+    json: true,
+    temperature: 0,
+    render: ({ query, categories, ageGroups, goalTypes }) => ({
+      system: 'You turn natural language searches into filters for a speech-language pathology resource library.',
+      prompt: `Parse this search query: "${query}"
+
+Return JSON with the keys:
+- "search": the keywords to match against resource titles and descriptions
+- "category": one of ${categories.join(', ')}, or null
+- "ageGroup": one of ${ageGroups.join(', ')}, or null
+- "goalType": a list drawn from ${goalTypes.join(', ')}
+- "disorderType": a list of disorders mentioned, lowercase (e.g. "apraxia", "autism")
+
+Use null or an empty list for anything the query does not mention.`,
+    }),
+  },
+};
+
+/**
+ * Render a prompt template
+ * @param {string} name - Template name
+ * @param {Object} [variables] - Template variables
+ * @returns {{ system?: string, prompt: string, json: boolean, temperature?: number }}
+ */
+const renderPrompt = (name, variables = {}) => {
+  const template = PROMPT_TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown AI prompt template: ${name}`);
+  }
+
+  return {
+    ...template.render(variables),
+    json: !!template.json,
+    temperature: template.temperature,
+  };
+};
+
+module.exports = {
+  LANGUAGE_NAMES,
+  PROMPT_TEMPLATES,
+  renderPrompt,
+};
@@ -0,0 +1,287 @@
+// AI Provider Service
+// Single entry point for AI features: picks the configured provider (Gemini, an OpenAI-compatible
+// API or the offline mock) and handles prompt templates, PHI redaction, timeouts, retries and
+// response caching
+
+const crypto = require('crypto');
+const { PROMPT_TEMPLATES, renderPrompt } = require('./aiPrompts');
+const { PLACEHOLDER_INSTRUCTION, redactPromptVariables, recordRedaction } = require('./phiRedactionService');
+const { createGeminiProvider } = require('./aiProviders/gemini');
+const { createOpenAICompatibleProvider } = require('./aiProviders/openaiCompatible');
+const { createMockProvider } = require('./aiProviders/mock');
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const DEFAULT_CACHE_TTL_SECONDS = 3600;
+const DEFAULT_CACHE_MAX_ENTRIES = 500;
+
+const readSetting = (value, fallback) => {
+  const number = parseInt(value);
+  return isNaN(number) || number < 0 ? fallback : number;
+};
+
+// undefined until first use, then the provider or null when none is configured
+let provider;
+const responseCache = new Map();
+
+const resolveProvider = () => {
+  const configured = (process.env.AI_PROVIDER || '').trim().toLowerCase();
+
+  if (configured === 'none') return null;
+
+  if (configured) {
+    const factory = PROVIDER_FACTORIES[configured];
+    if (!factory) {
+      console.warn(`⚠️  Unknown AI_PROVIDER "${configured}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}, none`);
+      return null;
+    }
+    const created = factory();
+    if (!created) {
+      console.warn(`⚠️  AI_PROVIDER is ${configured} but its API key or base URL is not set`);
+    }
+    return created;
+  }
+
+  // Not chosen explicitly: use whichever provider has credentials, Gemini first
+  return createGeminiProvider() || createOpenAICompatibleProvider();
+};
+
+/**
+ * Get the active AI provider
+ * @returns {Object|null} Provider ({ name, model, generate }), or null when AI is not configured
+ */
+const getProvider = () => {
+  if (provider === undefined) {
+    provider = resolveProvider();
+    if (provider) {
+      console.log(`✅ AI provider: ${provider.name} (${provider.model})`);
+    } else {
+      console.warn('⚠️  No AI provider configured. AI features will use fallback methods.');
+    }
+  }
+  return provider;
+};
+
+/**
+ * Swap the active provider, e.g. to the mock in tests. Clears the response cache.
+ * @param {Object|string|null} next - Provider object, provider name, or null to turn AI off
+ * @returns {Object|null} The active provider
+ */
+const setProvider = (next) => {
+  if (typeof next === 'string') {
+    const factory = PROVIDER_FACTORIES[next];
+    if (!factory) {
+      throw new Error(`Unknown AI provider: ${next}`);
+    }
+    provider = factory();
+  } else {
+    provider = next;
+  }
+  responseCache.clear();
+  return provider;
+};
+
+/**
+ * Check whether an AI provider is configured
+ * @returns {boolean}
+ */
+const isAIAvailable = () => !!getProvider();
+
+const clearAICache = () => responseCache.clear();
+
+const readCache = (key) => {
+  const entry = responseCache.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    responseCache.delete(key);
+    return undefined;
+  }
+  return entry.text;
+};
+
+const writeCache = (key, text, ttlMs) => {
+  const maxEntries = readSetting(process.env.AI_CACHE_MAX_ENTRIES, DEFAULT_CACHE_MAX_ENTRIES);
+  // Maps keep insertion order, so the first key is the oldest entry
+  while (responseCache.size >= maxEntries && responseCache.size > 0) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+  responseCache.set(key, { text, expiresAt: Date.now() + ttlMs });
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run one provider call, aborting it if it takes longer than timeoutMs
+const callWithTimeout = async (active, request, timeoutMs) => {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`AI request timed out after ${timeoutMs}ms`);
+      error.code = 'AI_TIMEOUT';
+      error.retryable = true;
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([
+      active.generate({ ...request, signal: controller.signal, timeoutMs }),
+      timeout,
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Parse a JSON answer, tolerating markdown code fences and text around the object
+ * @param {string} text - Provider response
+ * @returns {Object}
+ */
+const parseJsonResponse = (text) => {
+  const trimmed = String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(trimmed.slice(start, end + 1));
+      } catch (innerError) {
+        // Fall through to the error below
+      }
+    }
+    const parseError = new Error('AI provider returned invalid JSON');
+    parseError.code = 'AI_INVALID_JSON';
+    parseError.retryable = true;
+    throw parseError;
+  }
+};
+
+// Redact PHI from the template's free-text variables, render it, then call the provider with
+// caching, timeouts and retries. The provider (and the cache) only ever see placeholders; the
+// original values are restored in the parsed answer. parse runs inside the retry loop, so an
+// unparseable answer is retried like a failed call.
+const run = async (template, variables, options, parse) => {
+  const active = getProvider();
+  if (!active) {
+    const error = new Error('No AI provider is configured');
+    error.code = 'AI_UNAVAILABLE';
+    throw error;
+  }
+
+  const { feature, redact: redactFields } = PROMPT_TEMPLATES[template] || {};
+  const redaction = await redactPromptVariables({
+    feature,
+    fields: redactFields,
+    variables,
+    phi: options.phi,
+  });
+  const { redactor } = redaction;
+  const hasRedactions = !!redactor && redactor.size > 0;
+
+  const rendered = renderPrompt(template, redaction.variables);
+  const request = {
+    template,
+    variables: redaction.variables,
+    system: hasRedactions
+      ? [rendered.system, PLACEHOLDER_INSTRUCTION].filter(Boolean).join('\n\n')
+      : rendered.system,
+    prompt: rendered.prompt,
+    json: rendered.json,
+    temperature: options.temperature ?? rendered.temperature,
+    maxTokens: options.maxTokens,
+  };
+
+  const ttlMs = readSetting(process.env.AI_CACHE_TTL_SECONDS, DEFAULT_CACHE_TTL_SECONDS) * 1000;
+  const useCache = options.cache !== false && ttlMs > 0;
+  const cacheKey = useCache && crypto.createHash('sha256')
+    .update(JSON.stringify([active.name, active.model, template, request.system, request.prompt, request.json, request.temperature]))
+    .digest('hex');
+
+  const restore = (result) => (hasRedactions ? redactor.restore(result) : result);
+
+  if (useCache) {
+    const cached = readCache(cacheKey);
+    if (cached !== undefined) return restore(parse(cached));
+  }
+
+  const timeoutMs = options.timeoutMs || readSetting(process.env.AI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const maxRetries = options.maxRetries ?? readSetting(process.env.AI_MAX_RETRIES, DEFAULT_MAX_RETRIES);
+
+  // Audit what left the platform, once per request that reached the provider
+  const audit = (outcome) => recordRedaction({
+    feature,
+    template,
+    provider: active.name,
+    model: active.model,
+    clientIds: redaction.clientIds,
+    redactor,
+    outcome,
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const text = await callWithTimeout(active, request, timeoutMs);
+      const result = restore(parse(text));
+      if (useCache) writeCache(cacheKey, text, ttlMs);
+      await audit('success');
+      return result;
+    } catch (error) {
+      if (!error.retryable || attempt >= maxRetries) {
+        await audit('error');
+        error.provider = active.name;
+        error.template = template;
+        throw error;
+      }
+      const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      console.warn(`⚠️  AI ${template} request failed (${error.message}). Retrying in ${delay}ms...`);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Get a text completion for a prompt template
+ * @param {string} template - Prompt template name (see aiPrompts)
+ * @param {Object} [variables] - Template variables
+ * @param {Object} [options] - { cache, timeoutMs, maxRetries, temperature, maxTokens, phi }
+ *   phi: { clientId, clientIds, identifiers } so the client's own details are redacted too
+ * @returns {Promise<string>} Trimmed response text
+ * @throws {Error} code AI_UNAVAILABLE when no provider is configured, or the provider's last error
+ */
+const complete = (template, variables = {}, options = {}) => {
+  return run(template, variables, options, text => String(text).trim());
+};
+
+/**
+ * Get a JSON-structured answer for a prompt template
+ * @param {string} template - Prompt template name (see aiPrompts)
+ * @param {Object} [variables] - Template variables
+ * @param {Object} [options] - { cache, timeoutMs, maxRetries, temperature, maxTokens, phi }
+ *   phi: { clientId, clientIds, identifiers } so the client's own details are redacted too
+ * @returns {Promise<Object>} Parsed response
+ * @throws {Error} code AI_UNAVAILABLE, AI_INVALID_JSON or the provider's last error
+ */
+const completeJson = (template, variables = {}, options = {}) => {
+  return run(template, variables, options, parseJsonResponse);
+};
+
+module.exports = {
+  getProvider,
+  setProvider,
+  isAIAvailable,
+  complete,
+  completeJson,
+  clearAICache,
+};
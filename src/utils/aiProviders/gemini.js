@@ -0,0 +1,57 @@
+// Gemini Provider
+// AI provider adapter for the Google Gemini API
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+// Rate limits and server errors are worth retrying; bad requests and auth failures are not
+const isRetryableStatus = (status) => !status || status === 429 || status >= 500;
+
+/**
+ * Create the Gemini adapter
+ * @param {Object} [config]
+ * @param {string} [config.apiKey] - Defaults to GEMINI_API_KEY
+ * @param {string} [config.model] - Defaults to GEMINI_MODEL
+ * @returns {Object|null} Provider, or null when no API key is configured
+ */
+const createGeminiProvider = ({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = process.env.GEMINI_MODEL || DEFAULT_MODEL,
+} = {}) => {
+  if (!apiKey) return null;
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+    /**
+     * @param {Object} request - { system, prompt, json, temperature, maxTokens, signal, timeoutMs }
+     * @returns {Promise<string>} Response text
+     */
+    generate: async ({ system, prompt, json, temperature, maxTokens, signal, timeoutMs }) => {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        ...(system && { systemInstruction: system }),
+        generationConfig: {
+          ...(temperature !== undefined && { temperature }),
+          ...(maxTokens && { maxOutputTokens: maxTokens }),
+          ...(json && { responseMimeType: 'application/json' }),
+        },
+      });
+
+      try {
+        const result = await generativeModel.generateContent(prompt, { signal, timeout: timeoutMs });
+        return result.response.text();
+      } catch (error) {
+        error.retryable = isRetryableStatus(error.status);
+        throw error;
+      }
+    },
+  };
+};
+
+module.exports = {
+  createGeminiProvider,
+};
@@ -0,0 +1,103 @@
+// Mock Provider
+// Deterministic AI provider for tests and offline development. Responses are built from the
+// prompt variables alone, so the same request always gets the same answer and nothing leaves
+// the machine.
+
+const crypto = require('crypto');
+
+const splitSentences = (text = '') => text
+  .split(/(?<=[.!?])\s+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => sentence.length > 0);
+
+// Canned responses per prompt template
+const DEFAULT_RESPONDERS = {
+  translate: ({ text, targetLanguage }) => `[${targetLanguage}] ${text}`,
+
+  'detect-language': () => 'en',
+
+  interpret: ({ text, targetLanguage }) => `[${targetLanguage}] ${text}\nMock interpretation; no terminology notes.`,
+
+  'document-analysis': ({ text = '' }) => {
+    const sentences = splitSentences(text);
+    return JSON.stringify({
+      keyPoints: sentences.slice(0, 5),
+      summary: sentences.slice(0, 2).join(' ') || 'No summary available.',
+      importantDates: [...new Set(text.match(/\b\d{4}-\d{2}-\d{2}\b/g) || [])]
+        .map(date => ({ date, description: 'Date mentioned in document' })),
+      diagnoses: [],
+      recommendations: sentences.filter(sentence => /recommend/i.test(sentence)).slice(0, 5),
+    });
+  },
+
+  'soap-note': ({ sessionType, duration, notes }) => JSON.stringify({
+    subjective: `Mock ${sessionType} session.`,
+    objective: `Session duration: ${duration} minutes.${notes ? ` Notes: ${notes}` : ''}`,
+    assessment: 'Mock assessment.',
+    plan: 'Mock plan: continue current goals.',
+  }),
+
+  // Cites the first transcript segment, every trial data point and goal, and leaves the
+  // assessment uncited so flagging can be exercised offline
+  'soap-note-grounded': ({ evidence = [] }) => {
+    const byKind = kind => evidence.filter(item => item.kind === kind);
+    const transcript = byKind('transcript');
+    return JSON.stringify({
+      subjective: transcript.slice(0, 1).map(item => ({ text: item.text, citations: [item.id] })),
+      objective: byKind('trial-data').map(item => ({ text: item.text, citations: [item.id] })),
+      assessment: [{ text: 'Mock assessment.', citations: [] }],
+      plan: byKind('goal').map(item => ({ text: `Continue targeting ${item.text}.`, citations: [item.id] })),
+    });
+  },
+
+  'resource-query': ({ query }) => JSON.stringify({
+    search: query,
+    category: null,
+    ageGroup: null,
+    goalType: [],
+    disorderType: [],
+  }),
+};
+
+/**
+ * Create the mock adapter
+ * @param {Object} [config]
+ * @param {Object} [config.responders] - Responses by template name, (variables, request) => string,
+ *   overriding the defaults
+ * @returns {Object} Provider
+ */
+const createMockProvider = ({ responders = {} } = {}) => {
+  const active = { ...DEFAULT_RESPONDERS, ...responders };
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    /**
+     * @param {Object} request - { template, variables, system, prompt, json }
+     * @returns {Promise<string>} Response text
+     */
+    generate: async (request) => {
+      const responder = request.template && active[request.template];
+      if (responder) {
+        return responder(request.variables || {}, request);
+      }
+
+      const digest = crypto.createHash('sha256').update(`${request.system || ''}\n${request.prompt}`).digest('hex');
+      return request.json
+        ? JSON.stringify({ mock: true, digest: digest.slice(0, 12) })
+        : `Mock response ${digest.slice(0, 12)}`;
+    },
+    /**
+     * Replace the response for a template, e.g. to test how callers handle a given answer
+     * @param {string} template - Template name
+     * @param {Function} responder - (variables, request) => string
+     */
+    setResponder: (template, responder) => {
+      active[template] = responder;
+    },
+  };
+};
+
+module.exports = {
+  createMockProvider,
+};
@@ -0,0 +1,77 @@
+// OpenAI-Compatible Provider
+// AI provider adapter for any chat completions API that follows the OpenAI format
+// (OpenAI, Azure OpenAI proxies, vLLM, Ollama, LM Studio and the like)
+
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const isRetryableStatus = (status) => !status || status === 429 || status >= 500;
+
+/**
+ * Create the OpenAI-compatible adapter
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl] - Defaults to AI_BASE_URL
+ * @param {string} [config.apiKey] - Defaults to AI_API_KEY, then OPENAI_API_KEY
+ * @param {string} [config.model] - Defaults to AI_MODEL
+ * @returns {Object|null} Provider, or null when neither a key nor a custom base URL is configured
+ */
+const createOpenAICompatibleProvider = ({
+  baseUrl = process.env.AI_BASE_URL,
+  apiKey = process.env.AI_API_KEY || process.env.OPENAI_API_KEY,
+  model = process.env.AI_MODEL || DEFAULT_MODEL,
+} = {}) => {
+  // Self-hosted servers often need no key, but the hosted API does
+  if (!apiKey && !baseUrl) return null;
+
+  const endpoint = `${(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai-compatible',
+    model,
+    /**
+     * @param {Object} request - { system, prompt, json, temperature, maxTokens, signal, timeoutMs }
+     * @returns {Promise<string>} Response text
+     */
+    generate: async ({ system, prompt, json, temperature, maxTokens, signal, timeoutMs }) => {
+      const messages = [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: prompt },
+      ];
+
+      try {
+        const response = await axios.post(endpoint, {
+          model,
+          messages,
+          ...(temperature !== undefined && { temperature }),
+          ...(maxTokens && { max_tokens: maxTokens }),
+          ...(json && { response_format: { type: 'json_object' } }),
+        }, {
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+          },
+          timeout: timeoutMs,
+          signal,
+        });
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+          throw new Error('AI provider returned no message content');
+        }
+        return content;
+      } catch (error) {
+        const status = error.response?.status;
+        const wrapped = new Error(error.response?.data?.error?.message || error.message);
+        wrapped.status = status;
+        wrapped.retryable = isRetryableStatus(status);
+        throw wrapped;
+      }
+    },
+  };
+};
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
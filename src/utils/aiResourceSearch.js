@@ -1,6 +1,12 @@
 // AI Resource Search Service
 // Understands natural language queries and converts them to database filters
 
+const { isAIAvailable, completeJson } = require('./aiProvider');
+
+const RESOURCE_CATEGORIES = ['worksheet', 'assessment', 'video', 'audio', 'exercise', 'template', 'guide'];
+const AGE_GROUPS = ['0-3', '3-12', '13-18', '18-65', '65+'];
+const GOAL_TYPES = ['articulation', 'language', 'fluency', 'voice', 'swallowing', 'cognitive', 'social'];
+
 /**
  * Parse natural language query and extract search parameters
  * @param {string} query - Natural language search query
@@ -126,6 +132,39 @@ const parseNaturalLanguageQuery = (query) => {
   return parsed;
 };
 
+/**
+ * Parse a query with the configured AI provider, keeping only values the library knows.
+ * Falls back to the rule-based parser when no provider is configured or the call fails.
+ * @param {string} query - Natural language search query
+ * @returns {Promise<Object>} Parsed search parameters
+ */
+const parseQueryWithAI = async (query) => {
+  if (!isAIAvailable() || !query || query.trim().length === 0) {
+    return parseNaturalLanguageQuery(query);
+  }
+
+  try {
+    const parsed = await completeJson('resource-query', {
+      query,
+      categories: RESOURCE_CATEGORIES,
+      ageGroups: AGE_GROUPS,
+      goalTypes: GOAL_TYPES,
+    });
+    const asList = (value) => (Array.isArray(value) ? value : []).filter(item => typeof item === 'string');
+
+    return {
+      search: typeof parsed.search === 'string' && parsed.search.trim() ? parsed.search.trim() : query,
+      category: RESOURCE_CATEGORIES.includes(parsed.category) ? parsed.category : null,
+      ageGroup: AGE_GROUPS.includes(parsed.ageGroup) ? parsed.ageGroup : null,
+      goalType: asList(parsed.goalType).filter(goal => GOAL_TYPES.includes(goal)),
+      disorderType: asList(parsed.disorderType).map(disorder => disorder.toLowerCase()),
+    };
+  } catch (error) {
+    console.error('AI query parsing error, using rule-based parser:', error.message || error);
+    return parseNaturalLanguageQuery(query);
+  }
+};
+
 /**
  * Search resources using natural language query with multilingual support
  * @param {string} query - Natural language search query
@@ -152,7 +191,7 @@ const searchResourcesWithAI = async (query, baseFilter, Resource) => {
     }
 
     // Parse natural language query
-    const parsed = parseNaturalLanguageQuery(processedQuery);
+    const parsed = await parseQueryWithAI(processedQuery);
 
     // Build MongoDB filter
     const filter = { ...baseFilter };
@@ -207,51 +246,9 @@ const searchResourcesWithAI = async (query, baseFilter, Resource) => {
   }
 };
 
-/**
- * Enhanced AI search using external API (placeholder for production)
- */
-const searchResourcesWithAIAPI = async (query, baseFilter, Resource) => {
-  // Placeholder for AI API integration
-  // Options:
-  // 1. OpenAI GPT-4 for query understanding
-  // 2. Google Cloud Natural Language API
-  // 3. AWS Comprehend
-  // 4. Azure Cognitive Search
-
-  // Example with OpenAI:
-  /*
-  const OpenAI = require('openai');
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  
-  const prompt = `Parse this natural language query for a speech-language pathology resource search:
-  "${query}"
-  
-  Extract:
-  - Age group (0-3, 3-12, 13-18, 18-65, 65+)
-  - Category (worksheet, assessment, video, audio, exercise, template, guide)
-  - Goal type (articulation, language, fluency, voice, swallowing, cognitive, social)
-  - Disorder type (apraxia, autism, down syndrome, etc.)
-  - Search keywords
-  
-  Return JSON with keys: ageGroup, category, goalType (array), disorderType (array), search`;
-  
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4',
-    messages: [{ role: 'user', content: prompt }],
-    temperature: 0.1,
-  });
-  
-  const parsed = JSON.parse(response.choices[0].message.content);
-  // Then use parsed to build filter and search
-  */
-
-  // For now, use rule-based parsing
-  return searchResourcesWithAI(query, baseFilter, Resource);
-};
-
 module.exports = {
   parseNaturalLanguageQuery,
+  parseQueryWithAI,
   searchResourcesWithAI,
-  searchResourcesWithAIAPI,
 };
 
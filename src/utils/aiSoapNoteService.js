@@ -1,6 +1,10 @@
 // AI SOAP Note Generation Service
 // Automatically generates SOAP notes from session data
 
+const { getProvider, isAIAvailable, completeJson } = require('./aiProvider');
+
+const SOAP_SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+
 /**
  * Generate SOAP note from session information
  * @param {Object} sessionData - Session data including notes, transcript, client info
@@ -14,7 +18,6 @@ const generateSoapNote = async (sessionData) => {
       sessionType = 'follow-up',
       duration = 45,
       clientInfo = {},
-      therapistInfo = {},
     } = sessionData;
 
     // Combine available information
@@ -54,8 +57,8 @@ const generateSubjective = (sessionText, sessionType, clientInfo) => {
   const subjectivePatterns = [
     /(?:client|patient|parent)\s+(?:reported|stated|mentioned|said|indicated)/gi,
     /(?:client|patient|parent)\s+(?:complains?|concerns?)/gi,
-    /(?:feels?|feeling)\s+[^\.]+/gi,
-    /(?:noticed|observing|seeing)\s+[^\.]+/gi,
+    /(?:feels?|feeling)\s+[^.]+/gi,
+    /(?:noticed|observing|seeing)\s+[^.]+/gi,
   ];
 
   let subjective = '';
@@ -209,52 +212,241 @@ const generatePlan = (sessionType, clientInfo) => {
 };
 
 /**
- * Enhanced AI generation using external API (placeholder for production)
+ * Generate a SOAP note with the configured AI provider, falling back to the rule-based
+ * generator when no provider is configured or the response is unusable
+ * @param {Object} sessionData - Same shape as generateSoapNote, plus clientIds so the clients'
+ *   details are redacted before the notes are sent
+ * @returns {Promise<Object>} Generated SOAP note
  */
 const generateSoapNoteWithAI = async (sessionData) => {
-  // Placeholder for AI API integration
-  // Options:
-  // 1. OpenAI GPT-4 for structured SOAP note generation
-  // 2. Google Cloud Healthcare API
-  // 3. AWS Comprehend Medical
-  // 4. Azure Health Bot
-
-  // Example with OpenAI:
-  /*
-  const OpenAI = require('openai');
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  
-  const prompt = `Generate a professional SOAP note for a speech-language pathology session.
-  
-  Session Type: ${sessionData.sessionType}
-  Duration: ${sessionData.duration} minutes
-  Session Notes: ${sessionData.notes || 'No notes provided'}
-  Transcript: ${sessionData.transcript?.text || 'No transcript available'}
-  
-  Generate a SOAP note with:
-  - Subjective: Client-reported information
-  - Objective: Observable, measurable data
-  - Assessment: Clinical interpretation
-  - Plan: Treatment recommendations
-  
-  Format as JSON with keys: subjective, objective, assessment, plan`;
-  
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4',
-    messages: [{ role: 'user', content: prompt }],
-    temperature: 0.3,
+  if (!isAIAvailable()) {
+    return generateSoapNote(sessionData);
+  }
+
+  const {
+    notes = '',
+    transcript = null,
+    sessionType = 'follow-up',
+    duration = 45,
+    clientIds = [],
+    clientInfo = {},
+  } = sessionData;
+
+  try {
+    const generated = await completeJson('soap-note', {
+      sessionType,
+      duration,
+      notes,
+      transcript: transcript?.text || '',
+      clientAge: clientInfo.age,
+      goals: (clientInfo.goals || []).slice(0, 5),
+    }, { phi: { clientIds } });
+
+    const missing = SOAP_SECTIONS.filter(section => typeof generated[section] !== 'string' || !generated[section].trim());
+    if (missing.length > 0) {
+      throw new Error(`AI SOAP note is missing: ${missing.join(', ')}`);
+    }
+
+    return {
+      success: true,
+      soapNote: {
+        ...Object.fromEntries(SOAP_SECTIONS.map(section => [section, generated[section].trim()])),
+        generatedAt: new Date(),
+        aiGenerated: true,
+      },
+    };
+  } catch (error) {
+    console.error('AI SOAP Note Generation Error, using rule-based note:', error.message || error);
+    return generateSoapNote(sessionData);
+  }
+};
+
+const MAX_TRANSCRIPT_SEGMENTS = 150;
+
+// Transcript cues for the rule-based grounded note
+const GROUNDED_PATTERNS = {
+  subjective: /\b(?:report(?:ed|s)?|stat(?:ed|es)|said|says|mention(?:ed|s)?|feel(?:s|ing)?|felt|notic(?:ed|es|ing)|concern(?:ed|s)?|worried|complain(?:ed|s)?)\b/i,
+  objective: /\b\d+\s*(?:%|percent|out of|\/\s*\d+)|\b(?:observed|demonstrated|produced|imitated)\b/i,
+  plan: /\b(?:homework|home practice|practi[cs]e at home|next (?:session|week|time))\b/i,
+};
+
+const describeCues = (cueLevels) => {
+  if (cueLevels.length === 0) return '';
+  if (cueLevels.length > 1) return ` (cues: ${cueLevels.join(', ')})`;
+  return cueLevels[0] === 'independent' ? ' independently' : ` with ${cueLevels[0]} cues`;
+};
+
+// "Goal - target: 7/10 correct (70%) with moderate cues"
+const describeTrialData = (data) => {
+  const cueLevels = data.cueLevel
+    ? [data.cueLevel]
+    : [...new Set((data.trials || []).map(trial => trial.cueLevel).filter(Boolean))];
+  const goalTitle = data.goalId?.title;
+  return `${goalTitle ? `${goalTitle} - ` : ''}${data.target}: ${data.correct}/${data.total} correct (${data.accuracy}%)${describeCues(cueLevels)}`;
+};
+
+const describeGoal = (goal) => {
+  const { accuracy = 80, consecutiveSessions = 3 } = goal.masteryCriteria || {};
+  return `${goal.title} (mastery: ${accuracy}% accuracy over ${consecutiveSessions} consecutive sessions)`;
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Number the evidence a grounded SOAP note can cite: transcript segments (T1...),
+ * trial data points (D1...) and active goals (G1...)
+ * @param {Object} sources - { transcript: string, trialData: TrialData[] (goalId populated with title), goals: Goal[] }
+ * @returns {Array} Evidence items { id, kind, text, goalId?, trialDataId? }
+ */
+const buildSoapNoteEvidence = ({ transcript = '', trialData = [], goals = [] }) => {
+  const segments = String(transcript || '')
+    .split(/\n+|(?<=[.!?])\s+/)
+    .map(segment => segment.trim())
+    .filter(segment => segment.length > 0)
+    .slice(0, MAX_TRANSCRIPT_SEGMENTS);
+
+  return [
+    ...segments.map((text, index) => ({ id: `T${index + 1}`, kind: 'transcript', text })),
+    ...trialData.filter(data => data.total > 0).map((data, index) => ({
+      id: `D${index + 1}`,
+      kind: 'trial-data',
+      text: describeTrialData(data),
+      goalId: idOf(data.goalId),
+      trialDataId: idOf(data),
+    })),
+    ...goals.map((goal, index) => ({
+      id: `G${index + 1}`,
+      kind: 'goal',
+      text: describeGoal(goal),
+      goalId: idOf(goal),
+    })),
+  ];
+};
+
+// Keep well-formed statements, drop citations to evidence that does not exist and flag
+// statements left with nothing to back them
+const toGroundedStatements = (raw, evidenceIds) => (Array.isArray(raw) ? raw : [])
+  .map(item => (typeof item === 'string' ? { text: item } : item))
+  .filter(item => item && typeof item.text === 'string' && item.text.trim())
+  .map(item => {
+    const citations = [...new Set((Array.isArray(item.citations) ? item.citations : [])
+      .map(citation => String(citation).trim().toUpperCase())
+      .filter(citation => evidenceIds.has(citation)))];
+    return { text: item.text.trim(), citations, unsupported: citations.length === 0 };
   });
-  
-  return parseAIResponse(response.choices[0].message.content);
-  */
 
-  // For now, use rule-based generation
-  return generateSoapNote(sessionData);
+// Rule-based grounded note: transcript segments matching section cues, plus statements built
+// from the trial data and goals. Every statement cites what it was taken from.
+const buildRuleBasedGroundedNote = (evidence, { trialData, goals }) => {
+  const transcript = evidence.filter(item => item.kind === 'transcript');
+  const dataPoints = evidence.filter(item => item.kind === 'trial-data');
+  const goalEvidence = evidence.filter(item => item.kind === 'goal');
+
+  const fromTranscript = (pattern, limit) => transcript
+    .filter(item => pattern.test(item.text))
+    .slice(0, limit)
+    .map(item => ({ text: item.text, citations: [item.id] }));
+
+  // Session accuracy per active goal against its mastery criterion
+  const assessment = goalEvidence.map(goalItem => {
+    const points = dataPoints.filter(item => item.goalId === goalItem.goalId);
+    if (points.length === 0) return null;
+
+    const goal = goals.find(entry => idOf(entry) === goalItem.goalId);
+    const criterion = goal.masteryCriteria?.accuracy ?? 80;
+    const totals = trialData
+      .filter(data => points.some(item => item.trialDataId === idOf(data)))
+      .reduce((sum, data) => ({ correct: sum.correct + data.correct, total: sum.total + data.total }), { correct: 0, total: 0 });
+    const accuracy = Math.round((totals.correct / totals.total) * 1000) / 10;
+
+    return {
+      text: `${goal.title}: ${accuracy}% accuracy this session, ${accuracy >= criterion ? 'at or above' : 'below'} the ${criterion}% mastery criterion.`,
+      citations: [...points.map(item => item.id), goalItem.id],
+    };
+  }).filter(Boolean);
+
+  return {
+    subjective: fromTranscript(GROUNDED_PATTERNS.subjective, 5),
+    objective: [
+      ...dataPoints.map(item => ({ text: `${item.text}.`, citations: [item.id] })),
+      ...fromTranscript(GROUNDED_PATTERNS.objective, 5),
+    ],
+    assessment,
+    plan: [
+      ...goals.map((goal, index) => ({ text: `Continue targeting ${goal.title}.`, citations: [goalEvidence[index].id] })),
+      ...fromTranscript(GROUNDED_PATTERNS.plan, 3),
+    ],
+  };
+};
+
+/**
+ * Suggest a SOAP note grounded in the session transcript, trial data and active goals. Each
+ * statement cites the evidence it came from; statements without valid citations are flagged
+ * unsupported. Uses the AI provider when configured, otherwise (or if it fails) the rule-based
+ * builder.
+ * @param {Object} sessionData - { transcript, trialData, goals, sessionType, duration, clientIds }
+ * @returns {Promise<Object>} { success, suggestion } or { success: false, error } when there is no evidence
+ */
+const generateGroundedSoapNote = async ({
+  transcript = '',
+  trialData = [],
+  goals = [],
+  sessionType = 'follow-up',
+  duration = 45,
+  clientIds = [],
+}) => {
+  const evidence = buildSoapNoteEvidence({ transcript, trialData, goals });
+  if (!evidence.some(item => item.kind !== 'goal')) {
+    return { success: false, error: 'Nothing to ground a note in. Save a transcript or record trial data first.' };
+  }
+
+  let generated;
+  let source = 'rule-based';
+  let provider;
+
+  if (isAIAvailable()) {
+    try {
+      generated = await completeJson('soap-note-grounded', {
+        sessionType,
+        duration,
+        evidence: evidence.map(({ id, kind, text }) => ({ id, kind, text })),
+      }, { phi: { clientIds } });
+      source = 'ai';
+      provider = getProvider().name;
+    } catch (error) {
+      console.error('AI grounded SOAP note error, using rule-based note:', error.message || error);
+    }
+  }
+
+  if (!generated) {
+    generated = buildRuleBasedGroundedNote(evidence, { trialData, goals });
+  }
+
+  const evidenceIds = new Set(evidence.map(item => item.id));
+  const sections = SOAP_SECTIONS.map(section => ({
+    section,
+    statements: toGroundedStatements(generated[section], evidenceIds),
+    status: 'pending',
+  }));
+
+  return {
+    success: true,
+    suggestion: {
+      source,
+      provider,
+      evidence,
+      sections,
+      unsupportedCount: sections.reduce((count, entry) => count + entry.statements.filter(statement => statement.unsupported).length, 0),
+      generatedAt: new Date(),
+    },
+  };
 };
 
 module.exports = {
   generateSoapNote,
   generateSoapNoteWithAI,
+  generateGroundedSoapNote,
+  buildSoapNoteEvidence,
   generateSubjective,
   generateObjective,
   generateAssessment,
@@ -0,0 +1,225 @@
+// Assessment Scoring Service
+// Loads standardized test norm tables from local JSON files and converts raw scores
+// to standard scores, percentiles and age equivalents
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_NORM_TABLES_DIR = path.join(__dirname, '../data/norms');
+
+// Mean and standard deviation of each score scale
+const SCORE_SCALES = {
+  standard: { mean: 100, sd: 15 },
+  scaled: { mean: 10, sd: 3 },
+};
+
+// Descriptive ranges by distance from the mean (standard scores 116+, 85-115, 78-84, 71-77, 70 and
+// below), used unless a table defines its own
+const DEFAULT_CLASSIFICATIONS = [
+  { minZ: 1.06, label: 'Above average' },
+  { minZ: -1, label: 'Average' },
+  { minZ: -1.47, label: 'Marginal' },
+  { minZ: -1.94, label: 'Below average' },
+  { minZ: -Infinity, label: 'Well below average' },
+];
+
+let normTables = null;
+
+const getNormTablesDir = () => process.env.NORM_TABLES_DIR || DEFAULT_NORM_TABLES_DIR;
+
+// Check the parts of a table the scorer relies on
+const isValidNormTable = (table) => {
+  return !!table?.id && !!table.name && Array.isArray(table.subtests) && table.subtests.length > 0
+    && table.subtests.every(subtest => subtest.id && Array.isArray(table.norms?.[subtest.id]));
+};
+
+/**
+ * Load every norm table (*.json) from NORM_TABLES_DIR, once per process
+ * @param {Object} [options] - { reload } to re-read the files
+ * @returns {Map<string, Object>} Tables keyed by test id
+ */
+const loadNormTables = ({ reload = false } = {}) => {
+  if (normTables && !reload) return normTables;
+
+  normTables = new Map();
+  const dir = getNormTablesDir();
+  if (!fs.existsSync(dir)) {
+    console.warn(`⚠️  Norm table directory not found: ${dir}`);
+    return normTables;
+  }
+
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    try {
+      const table = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      if (!isValidNormTable(table)) {
+        console.warn(`⚠️  Skipping norm table ${file}: needs id, name, subtests and norms for each subtest`);
+        continue;
+      }
+      normTables.set(table.id, table);
+    } catch (error) {
+      console.error(`Error loading norm table ${file}:`, error.message);
+    }
+  }
+
+  return normTables;
+};
+
+/**
+ * Get a test's norm table
+ * @param {string} testId - Test id from the table file
+ * @returns {Object|null}
+ */
+const getNormTable = (testId) => loadNormTables().get(testId) || null;
+
+/**
+ * Summarize the available tests for score entry
+ * @returns {Array} Tests with their subtests and normed age range
+ */
+const listAssessmentTests = () => {
+  return [...loadNormTables().values()].map(table => ({
+    id: table.id,
+    name: table.name,
+    edition: table.edition,
+    description: table.description,
+    sample: !!table.sample,
+    ageRangeMonths: table.ageRangeMonths,
+    subtests: table.subtests.map(({ id, name, rawMax, scale }) => ({ id, name, rawMax, scale: scale || 'standard' })),
+  }));
+};
+
+/**
+ * Chronological age at a date
+ * @param {Date} dateOfBirth - Date of birth
+ * @param {Date} at - Date of testing
+ * @returns {{ years: number, months: number, totalMonths: number }}
+ */
+const getAgeAtTesting = (dateOfBirth, at) => {
+  const birth = new Date(dateOfBirth);
+  const date = new Date(at);
+  let totalMonths = (date.getFullYear() - birth.getFullYear()) * 12 + (date.getMonth() - birth.getMonth());
+  if (date.getDate() < birth.getDate()) totalMonths--;
+  totalMonths = Math.max(0, totalMonths);
+  return { years: Math.floor(totalMonths / 12), months: totalMonths % 12, totalMonths };
+};
+
+/**
+ * Format an age in months the way SLP reports do, e.g. 45 -> "3;9" (years;months)
+ * @param {number} totalMonths
+ * @returns {string}
+ */
+const formatAgeMonths = (totalMonths) => `${Math.floor(totalMonths / 12)};${totalMonths % 12}`;
+
+// Standard normal cumulative distribution (Abramowitz and Stegun 26.2.17)
+const normalCdf = (z) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+  const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z >= 0 ? 1 - tail : tail;
+};
+
+// Percentile rank for a score, kept within 0.1-99.9 (reported as <1 and >99) like published tables
+const percentileFromScore = (score, scale) => {
+  const { mean, sd } = SCORE_SCALES[scale];
+  const percentile = Math.round(normalCdf((score - mean) / sd) * 100);
+  if (percentile < 1) return 0.1;
+  if (percentile > 99) return 99.9;
+  return percentile;
+};
+
+const classifyScore = (table, score, scale) => {
+  const { mean, sd } = SCORE_SCALES[scale];
+  const z = (score - mean) / sd;
+  const classifications = table.classifications || DEFAULT_CLASSIFICATIONS;
+  return classifications.find(band => z >= (band.minZ ?? -Infinity))?.label || null;
+};
+
+// Rows are [rawMin, rawMax, value, optional extra], where the extra is a percentile
+// for standard score rows and a display label (e.g. "<2;6") for age equivalent rows
+const findRow = (rows, raw) => rows.find(([min, max]) => raw >= min && raw <= max);
+
+const lookupAgeEquivalent = (table, subtestId, raw) => {
+  const row = findRow(table.ageEquivalents?.[subtestId] || [], raw);
+  if (!row) return null;
+  return { months: row[2], label: row[3] || formatAgeMonths(row[2]) };
+};
+
+/**
+ * Convert one subtest's raw score using the norms for the examinee's age
+ * @param {Object} table - Norm table
+ * @param {string} subtestId - Subtest id
+ * @param {number} raw - Raw score
+ * @param {number} ageMonths - Chronological age in months at testing
+ * @returns {Object} Scored subtest, or { error }
+ */
+const scoreSubtest = (table, subtestId, raw, ageMonths) => {
+  const subtest = table.subtests.find(entry => entry.id === subtestId);
+  if (!subtest) {
+    return { error: `${table.name} has no subtest "${subtestId}"` };
+  }
+
+  if (!Number.isInteger(raw) || raw < 0 || (subtest.rawMax !== undefined && raw > subtest.rawMax)) {
+    return { error: `${subtest.name} raw score must be a whole number from 0 to ${subtest.rawMax ?? 'the test maximum'}` };
+  }
+
+  const band = table.norms[subtestId].find(({ ageMonths: [min, max] }) => ageMonths >= min && ageMonths <= max);
+  if (!band) {
+    return { error: `${table.name} is not normed for age ${formatAgeMonths(ageMonths)}` };
+  }
+
+  const row = findRow(band.standardScores, raw);
+  if (!row) {
+    return { error: `No norm for a raw score of ${raw} on ${subtest.name}` };
+  }
+
+  const scale = subtest.scale || 'standard';
+  const standardScore = row[2];
+  const ageEquivalent = lookupAgeEquivalent(table, subtestId, raw);
+
+  return {
+    subtestId,
+    subtestName: subtest.name,
+    rawScore: raw,
+    scale,
+    standardScore,
+    percentile: row[3] ?? percentileFromScore(standardScore, scale),
+    ageEquivalentMonths: ageEquivalent?.months,
+    ageEquivalent: ageEquivalent?.label,
+    classification: classifyScore(table, standardScore, scale),
+  };
+};
+
+/**
+ * Score a test administration
+ * @param {Object} table - Norm table
+ * @param {Array} rawScores - [{ subtestId, raw }]
+ * @param {number} ageMonths - Chronological age in months at testing
+ * @returns {Object} { scores } or { error }
+ */
+const scoreAssessment = (table, rawScores, ageMonths) => {
+  if (!Array.isArray(rawScores) || rawScores.length === 0) {
+    return { error: 'Provide scores as [{ subtestId, raw }]' };
+  }
+
+  const subtestIds = rawScores.map(entry => entry?.subtestId);
+  if (new Set(subtestIds).size !== subtestIds.length) {
+    return { error: 'Each subtest can only be scored once' };
+  }
+
+  const scores = [];
+  for (const entry of rawScores) {
+    const scored = scoreSubtest(table, entry.subtestId, Number(entry.raw), ageMonths);
+    if (scored.error) return { error: scored.error };
+    scores.push(scored);
+  }
+
+  return { scores };
+};
+
+module.exports = {
+  loadNormTables,
+  getNormTable,
+  listAssessmentTests,
+  getAgeAtTesting,
+  formatAgeMonths,
+  scoreAssessment,
+};
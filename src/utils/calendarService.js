@@ -2,6 +2,7 @@
 // Supports Google Calendar, Outlook, and Apple Calendar
 
 const axios = require('axios');
+const { DEFAULT_TIMEZONE } = require('./timezoneService');
 
 /**
  * Generate Google Calendar event URL
@@ -132,6 +133,7 @@ const createGoogleCalendarEvent = async (sessionData, accessToken) => {
     endDate,
     location = '',
     meetingLink = '',
+    timezone = DEFAULT_TIMEZONE,
   } = sessionData;
 
   try {
@@ -140,11 +142,11 @@ const createGoogleCalendarEvent = async (sessionData, accessToken) => {
       description: `${description}\n\nMeeting Link: ${meetingLink}`,
       start: {
         dateTime: startDate.toISOString(),
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        timeZone: timezone,
       },
       end: {
         dateTime: endDate.toISOString(),
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        timeZone: timezone,
       },
       location: location || 'Online',
       reminders: {
@@ -213,11 +215,11 @@ const createOutlookCalendarEvent = async (sessionData, accessToken) => {
       },
       start: {
         dateTime: startDate.toISOString(),
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        timeZone: 'UTC',
       },
       end: {
         dateTime: endDate.toISOString(),
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        timeZone: 'UTC',
       },
       location: {
         displayName: location || 'Online',
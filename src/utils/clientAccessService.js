@@ -0,0 +1,62 @@
+// Client Access Service
+// Shared access check for a client's clinical records (goals, reports and the like)
+
+const Client = require('../models/Client');
+const Therapist = require('../models/Therapist');
+const Discharge = require('../models/Discharge');
+
+/**
+ * Load the client from req.params.id and check the user may read (or, with write, change) their records.
+ * Clients read their own records; the assigned therapist and admins manage them. Once a client is
+ * discharged (and unassigned), the therapist they were discharged from keeps read-only access.
+ * @param {Object} req - Express request (needs params.id and user)
+ * @param {Object} [options] - { write }
+ * @returns {Promise<Object>} { client, therapist } on success, { status, message } otherwise
+ */
+const loadClientRecord = async (req, { write = false } = {}) => {
+  const client = await Client.findById(req.params.id);
+  if (!client) {
+    return { status: 404, message: 'Client not found' };
+  }
+
+  if (req.user.role === 'admin') {
+    return { client };
+  }
+
+  if (req.user.role === 'client') {
+    if (write || client.userId.toString() !== req.user._id.toString()) {
+      return { status: 403, message: 'Not authorized' };
+    }
+    return { client };
+  }
+
+  if (req.user.role === 'therapist') {
+    const therapist = await Therapist.findOne({ userId: req.user._id });
+    if (!therapist) {
+      return { status: 403, message: 'Client is not assigned to you' };
+    }
+
+    if (client.assignedTherapist) {
+      if (client.assignedTherapist.toString() !== therapist._id.toString()) {
+        return { status: 403, message: 'Client is not assigned to you' };
+      }
+      return { client, therapist };
+    }
+
+    const dischargedFrom = !write && client.status === 'discharged' && await Discharge.exists({
+      clientId: client._id,
+      therapistId: therapist._id,
+      status: { $ne: 'pending' },
+    });
+    if (!dischargedFrom) {
+      return { status: 403, message: 'Client is not assigned to you' };
+    }
+    return { client, therapist };
+  }
+
+  return { status: 403, message: 'Not authorized' };
+};
+
+module.exports = {
+  loadClientRecord,
+};
@@ -0,0 +1,363 @@
+// Discharge Service
+// Ends a client's episode of care: closes open goals, cancels upcoming sessions,
+// compiles the discharge summary and files it as a discharge document
+
+const fs = require('fs');
+const path = require('path');
+const dayjs = require('dayjs');
+const { v4: uuidv4 } = require('uuid');
+const Session = require('../models/Session');
+const SessionSeries = require('../models/SessionSeries');
+const Goal = require('../models/Goal');
+const Discharge = require('../models/Discharge');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const RescheduleProposal = require('../models/RescheduleProposal');
+const { transitionSession } = require('./sessionLifecycle');
+const { getSessionStart } = require('./schedulingService');
+const { findParticipant } = require('./groupSessionService');
+const { releaseOverageCharge } = require('./subscriptionQuotaService');
+const { compileReportContent, escapeHtml, formatDate } = require('./progressReportService');
+const { createTextPdf } = require('./pdfService');
+
+const OPEN_GOAL_STATUSES = ['active', 'on-hold'];
+const UPCOMING_SESSION_STATUSES = ['scheduled', 'confirmed'];
+
+const REASON_LABELS = {
+  'goals-met': 'Goals met',
+  plateau: 'Progress plateaued',
+  'family-request': 'Client or family request',
+  transferred: 'Transferred to another provider',
+  moved: 'Moved out of service area',
+  financial: 'Financial or coverage reasons',
+  'non-attendance': 'Non-attendance',
+  medical: 'Medical reasons',
+  other: 'Other',
+};
+
+/**
+ * Start of the client's current episode of care: their last readmission, or when they joined
+ * @param {Object} client - Client document
+ * @returns {Promise<Date>}
+ */
+const getEpisodeStart = async (client) => {
+  const lastDischarge = await Discharge.findOne({ clientId: client._id, status: { $ne: 'pending' } })
+    .sort({ dischargedAt: -1 });
+  return lastDischarge?.readmittedAt || client.createdAt;
+};
+
+/**
+ * Close the client's open goals. Goals default to completed once mastered, otherwise discontinued.
+ * @param {string} clientId - Client ID
+ * @param {Object} outcomes - Goal ID -> 'completed' | 'discontinued' overrides
+ * @param {Object} user - User discharging the client
+ * @param {string} reason - Reason recorded in each goal's status history
+ * @returns {Promise<Array>} Goals that were closed
+ */
+const closeOpenGoals = async (clientId, outcomes, user, reason) => {
+  const goals = await Goal.find({ clientId, status: { $in: OPEN_GOAL_STATUSES } });
+
+  for (const goal of goals) {
+    const status = outcomes[goal._id.toString()] || (goal.masteredAt ? 'completed' : 'discontinued');
+    goal.statusHistory.push({
+      from: goal.status,
+      to: status,
+      reason,
+      changedBy: user._id,
+    });
+    goal.status = status;
+    if (status === 'completed') {
+      goal.completedAt = new Date();
+      goal.progress = 100;
+    }
+    await goal.save();
+  }
+
+  return goals;
+};
+
+/**
+ * Cancel the client's upcoming one-to-one sessions and release their places in upcoming
+ * groups. Series left with nothing booked are ended.
+ * @param {string} clientId - Client ID
+ * @param {Object} actor - { user, role, reason }
+ * @returns {Promise<Array>} Sessions cancelled or left
+ */
+const cancelUpcomingSessions = async (clientId, { user, role, reason }) => {
+  const now = new Date();
+  const candidates = await Session.find({
+    $or: [
+      { clientId, isGroup: { $ne: true } },
+      { participants: { $elemMatch: { clientId, status: 'enrolled' } } },
+    ],
+    status: { $in: UPCOMING_SESSION_STATUSES },
+    scheduledDate: { $gte: dayjs(now).subtract(1, 'day').toDate() },
+  });
+  const upcoming = candidates.filter(session => getSessionStart(session) >= now);
+
+  const affected = [];
+  for (const session of upcoming) {
+    if (session.isGroup) {
+      const participant = findParticipant(session, clientId);
+      participant.status = 'removed';
+      participant.removedAt = now;
+      await session.save();
+      if (participant.quotaStatus === 'overage') {
+        await releaseOverageCharge(session, clientId);
+      }
+    } else {
+      transitionSession(session, 'cancelled', { user, role, reason });
+      session.cancellationReason = reason;
+      session.cancelledAt = now;
+      session.cancelledBy = user._id;
+      await session.save();
+      await releaseOverageCharge(session);
+    }
+    affected.push(session);
+  }
+
+  const seriesIds = [...new Set(affected.filter(session => session.seriesId).map(session => session.seriesId.toString()))];
+  for (const seriesId of seriesIds) {
+    const remaining = await Session.countDocuments({ seriesId, status: { $in: UPCOMING_SESSION_STATUSES } });
+    if (remaining === 0) {
+      await SessionSeries.updateOne({ _id: seriesId }, {
+        status: 'ended',
+        cancelledAt: now,
+        cancelledBy: user._id,
+        cancellationReason: reason,
+      });
+    }
+  }
+
+  // Keep both sides' calendars in step (don't await)
+  const updateCalendarEventsAsync = async () => {
+    try {
+      const { updateCalendarEventFromSession } = require('./internalCalendarService');
+      const CalendarEvent = require('../models/CalendarEvent');
+      const Client = require('../models/Client');
+      const client = await Client.findById(clientId).select('userId');
+
+      for (const session of affected) {
+        if (session.isGroup) {
+          await CalendarEvent.updateMany({ sessionId: session._id, userId: client.userId }, { status: 'cancelled' });
+        } else {
+          await updateCalendarEventFromSession(session);
+        }
+      }
+    } catch (error) {
+      console.error('Error updating calendar events after discharge:', error);
+    }
+  };
+  updateCalendarEventsAsync();
+
+  return affected;
+};
+
+/**
+ * Take the client off every waitlist and withdraw open slot offers and pending reschedule
+ * proposals, so a discharged client cannot be offered or claim a slot
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Object>} { waitlistEntries, offers, proposals } counts
+ */
+const closeSchedulingRequests = async (clientId) => {
+  const entries = await WaitlistEntry.updateMany(
+    { clientId, status: 'active' },
+    { status: 'removed' }
+  );
+
+  const offers = await WaitlistOffer.updateMany(
+    { status: 'open', recipients: { $elemMatch: { clientId, status: 'offered' } } },
+    { $set: { 'recipients.$[recipient].status': 'declined' } },
+    { arrayFilters: [{ 'recipient.clientId': clientId, 'recipient.status': 'offered' }] }
+  );
+
+  const sessionIds = await Session.find({ clientId }).distinct('_id');
+  const proposals = await RescheduleProposal.updateMany(
+    { sessionId: { $in: sessionIds }, status: 'pending' },
+    { status: 'cancelled' }
+  );
+
+  return {
+    waitlistEntries: entries.modifiedCount,
+    offers: offers.modifiedCount,
+    proposals: proposals.modifiedCount,
+  };
+};
+
+/**
+ * Compile the data sections of a discharge summary for the episode
+ * @param {Object} client - Client document
+ * @param {Date} episodeStart - Start of the episode
+ * @param {Date} dischargedAt - Discharge date
+ * @returns {Promise<Object>} diagnoses, attendance, goals and assignments
+ */
+const compileDischargeSummary = async (client, episodeStart, dischargedAt) => {
+  const { attendance, goals, assignments } = await compileReportContent(client._id, episodeStart, dischargedAt);
+
+  return {
+    diagnoses: client.currentDiagnoses,
+    attendance,
+    goals: goals.map(goal => ({
+      goalId: goal.goalId,
+      title: goal.title,
+      category: goal.category,
+      outcome: goal.status,
+      baselineAccuracy: goal.baselineAccuracy,
+      latestAccuracy: goal.latestAccuracy,
+      changeFromBaseline: goal.changeFromBaseline,
+      masteredAt: goal.masteredAt,
+    })),
+    assignments,
+  };
+};
+
+const formatAccuracy = (value) => (value === null || value === undefined ? 'n/a' : `${value}%`);
+
+const describeGoalOutcome = (goal) => {
+  const parts = [
+    `Outcome: ${goal.outcome}`,
+    `Baseline: ${formatAccuracy(goal.baselineAccuracy)}`,
+    `Final: ${formatAccuracy(goal.latestAccuracy)}`,
+  ];
+  if (goal.masteredAt) parts.push(`Mastered ${formatDate(goal.masteredAt)}`);
+  return parts.join(' | ');
+};
+
+// Heading details shared by the HTML and PDF renderings
+const getSummaryHeader = (discharge, client, therapist) => ({
+  clientName: client.userId ? `${client.userId.firstName} ${client.userId.lastName}` : 'Client',
+  therapistName: therapist?.userId
+    ? `${therapist.userId.firstName} ${therapist.userId.lastName}${therapist.credentials ? `, ${therapist.credentials}` : ''}`
+    : '',
+  episode: `${formatDate(discharge.episodeStart)} - ${formatDate(discharge.dischargedAt)}`,
+  reason: `${REASON_LABELS[discharge.reason] || discharge.reason}${discharge.reasonNotes ? `: ${discharge.reasonNotes}` : ''}`,
+});
+
+/**
+ * Render a discharge summary as a standalone HTML document
+ * @param {Object} discharge - Discharge document
+ * @param {Object} client - Client with userId populated
+ * @param {Object} [therapist] - Therapist with userId populated
+ * @returns {string} HTML
+ */
+const renderDischargeSummaryHtml = (discharge, client, therapist) => {
+  const header = getSummaryHeader(discharge, client, therapist);
+  const { diagnoses, attendance, goals, assignments, clinicalSummary, recommendations } = discharge.summary;
+  const paragraphs = (text) => escapeHtml(text).split('\n').filter(Boolean).map(line => `<p>${line}</p>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Discharge Summary - ${escapeHtml(header.clientName)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 32px auto; line-height: 1.5; }
+    h1 { margin-bottom: 4px; }
+    h2 { border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 28px; }
+    .meta { color: #666; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>Discharge Summary</h1>
+  <p class="meta">
+    ${escapeHtml(header.clientName)}<br>
+    Episode of care: ${escapeHtml(header.episode)}<br>
+    ${header.therapistName ? `Therapist: ${escapeHtml(header.therapistName)}<br>` : ''}
+    Reason for discharge: ${escapeHtml(header.reason)}
+  </p>
+
+  ${diagnoses.length > 0 ? `<h2>Diagnoses</h2>
+  <ul>${diagnoses.map(diagnosis => `<li>${escapeHtml(diagnosis)}</li>`).join('')}</ul>` : ''}
+
+  <h2>Summary of Services</h2>
+  <p>${attendance.attended} of ${attendance.scheduled} scheduled sessions attended (${attendance.cancelled} cancelled, ${attendance.noShow} no-shows). ${assignments.completed} of ${assignments.assigned} home practice assignments completed.</p>
+  ${paragraphs(clinicalSummary)}
+
+  <h2>Goal Outcomes</h2>
+  ${goals.length === 0 ? '<p>No goals were addressed in this episode.</p>' : goals.map(goal => `
+  <h3>${escapeHtml(goal.title)}</h3>
+  <p class="meta">${escapeHtml(describeGoalOutcome(goal))}</p>`).join('')}
+
+  <h2>Recommendations</h2>
+  ${paragraphs(recommendations) || '<p>No recommendations provided.</p>'}
+</body>
+</html>`;
+};
+
+/**
+ * Render a discharge summary as a PDF
+ * @param {Object} discharge - Discharge document
+ * @param {Object} client - Client with userId populated
+ * @param {Object} [therapist] - Therapist with userId populated
+ * @returns {Buffer} PDF file contents
+ */
+const renderDischargeSummaryPdf = (discharge, client, therapist) => {
+  const header = getSummaryHeader(discharge, client, therapist);
+  const { diagnoses, attendance, goals, assignments, clinicalSummary, recommendations } = discharge.summary;
+
+  const blocks = [
+    { text: 'Discharge Summary', style: 'title' },
+    { text: header.clientName, style: 'muted' },
+    { text: `Episode of care: ${header.episode}`, style: 'muted' },
+    ...(header.therapistName ? [{ text: `Therapist: ${header.therapistName}`, style: 'muted' }] : []),
+    { text: `Reason for discharge: ${header.reason}`, style: 'muted' },
+
+    ...(diagnoses.length > 0 ? [
+      { text: 'Diagnoses', style: 'heading' },
+      ...diagnoses.map(diagnosis => ({ text: diagnosis })),
+    ] : []),
+
+    { text: 'Summary of Services', style: 'heading' },
+    { text: `${attendance.attended} of ${attendance.scheduled} scheduled sessions attended (${attendance.cancelled} cancelled, ${attendance.noShow} no-shows). ${assignments.completed} of ${assignments.assigned} home practice assignments completed.` },
+    ...(clinicalSummary ? [{ text: clinicalSummary }] : []),
+
+    { text: 'Goal Outcomes', style: 'heading' },
+    ...(goals.length === 0 ? [{ text: 'No goals were addressed in this episode.' }] : goals.flatMap(goal => [
+      { text: goal.title, style: 'subheading' },
+      { text: describeGoalOutcome(goal), style: 'muted' },
+    ])),
+
+    { text: 'Recommendations', style: 'heading' },
+    { text: recommendations || 'No recommendations provided.' },
+  ];
+
+  return createTextPdf(blocks, { title: `Discharge Summary - ${header.clientName}` });
+};
+
+/**
+ * Save the summary PDF to uploads and file it in the client's documents as a discharge document
+ * @param {Object} client - Client document (saved by the caller)
+ * @param {Buffer} pdf - Summary PDF
+ * @param {string} baseUrl - Public base URL the uploads are served from
+ * @param {Date} dischargedAt - Discharge date, for the file name
+ * @returns {Object} The new document entry
+ */
+const fileDischargeDocument = (client, pdf, baseUrl, dischargedAt) => {
+  const fileName = `${uuidv4()}.pdf`;
+  const dir = path.join(__dirname, '../../uploads/documents');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, fileName), pdf);
+
+  client.documents.push({
+    type: 'discharge',
+    fileName: `discharge-summary-${dayjs(dischargedAt).format('YYYY-MM-DD')}.pdf`,
+    fileUrl: `${baseUrl}/uploads/documents/${fileName}`,
+    notes: 'Generated at discharge',
+    uploadedAt: new Date(),
+    fileSize: pdf.length,
+    mimeType: 'application/pdf',
+  });
+
+  return client.documents[client.documents.length - 1];
+};
+
+module.exports = {
+  getEpisodeStart,
+  closeOpenGoals,
+  cancelUpcomingSessions,
+  closeSchedulingRequests,
+  compileDischargeSummary,
+  renderDischargeSummaryHtml,
+  renderDischargeSummaryPdf,
+  fileDischargeDocument,
+};
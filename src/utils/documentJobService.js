@@ -0,0 +1,354 @@
+// Document Job Service
+// Persistent queue for document OCR and AI analysis, worked off outside the upload request
+// with retries and Socket.io progress events
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const Client = require('../models/Client');
+const Therapist = require('../models/Therapist');
+const DocumentJob = require('../models/DocumentJob');
+const { emitToUser } = require('../config/socket');
+const { processDocumentOCR } = require('./ocrService');
+const { analyzeDocument } = require('./aiDocumentAnalysis');
+const { indexClientDocument } = require('./documentSearchService');
+
+const ACTIVE_STATUSES = ['queued', 'processing'];
+const DEFAULT_BATCH_SIZE = 25;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+// A job still processing after this long belongs to a worker that stopped
+const STALE_LOCK_MS = 15 * 60 * 1000;
+
+const getRetryBaseDelay = () => {
+  return parseInt(process.env.DOCUMENT_JOB_RETRY_DELAY_MS) || RETRY_BASE_DELAY_MS;
+};
+
+// Set when this process runs the worker, so new jobs start straight away
+let workerEnabled = false;
+let draining = false;
+
+// Errors that retrying cannot fix, e.g. the document was deleted
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+};
+
+// Tell everyone watching the job where it has got to
+const emitJobProgress = (job, extra = {}) => {
+  const payload = {
+    jobId: job._id,
+    clientId: job.clientId,
+    documentId: job.documentId,
+    mode: job.mode,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.status === 'done' ? undefined : job.lastError,
+    ...extra,
+  };
+  (job.notifyUserIds || []).forEach(userId => emitToUser(userId.toString(), 'document-processing', payload));
+};
+
+// Update fields on the client's document in place, leaving the rest of the client untouched
+const updateDocument = (job, set = {}, unset = []) => {
+  const update = {};
+  if (Object.keys(set).length > 0) {
+    update.$set = Object.fromEntries(Object.entries(set).map(([field, value]) => [`documents.$.${field}`, value]));
+  }
+  if (unset.length > 0) {
+    update.$unset = Object.fromEntries(unset.map(field => [`documents.$.${field}`, '']));
+  }
+  return Client.updateOne({ _id: job.clientId, 'documents._id': job.documentId }, update);
+};
+
+const setJobStage = async (job, stage, progress) => {
+  job.stage = stage;
+  job.progress = progress;
+  await job.save();
+  emitJobProgress(job);
+};
+
+/**
+ * Users who should see progress for a client's document: whoever asked, the client and
+ * the assigned therapist
+ * @param {Object} client - Client document
+ * @param {string} [requestedBy] - User ID
+ * @returns {Promise<Array>} Unique user IDs
+ */
+const getDocumentWatchers = async (client, requestedBy) => {
+  const therapist = client.assignedTherapist
+    ? await Therapist.findById(client.assignedTherapist).select('userId')
+    : null;
+
+  const ids = [requestedBy, client.userId?._id || client.userId, therapist?.userId]
+    .filter(Boolean)
+    .map(id => id.toString());
+  return [...new Set(ids)];
+};
+
+/**
+ * Queue OCR and/or AI analysis for a client document. A document has at most one active job;
+ * asking again while one is queued or processing returns that job.
+ * @param {Object} params
+ * @param {Object} params.client - Client document holding the document
+ * @param {Object} params.document - Entry in client.documents
+ * @param {string} [params.mode] - full (OCR then analysis) or analysis (re-analyze extracted text)
+ * @param {string} [params.pdfType] - text or image, for PDFs
+ * @param {string} [params.requestedBy] - User ID
+ * @returns {Promise<Object>} { job, existing }
+ */
+const enqueueDocumentJob = async ({ client, document, mode = 'full', pdfType, requestedBy }) => {
+  const active = await DocumentJob.findOne({ documentId: document._id, status: { $in: ACTIVE_STATUSES } });
+  if (active) {
+    return { job: active, existing: true };
+  }
+
+  const job = await DocumentJob.create({
+    clientId: client._id,
+    documentId: document._id,
+    mode,
+    fileUrl: document.fileUrl,
+    pdfType: ['text', 'image'].includes(pdfType) ? pdfType : undefined,
+    maxAttempts: parseInt(process.env.DOCUMENT_JOB_MAX_ATTEMPTS) || undefined,
+    requestedBy,
+    notifyUserIds: await getDocumentWatchers(client, requestedBy),
+  });
+
+  await updateDocument(job, { processingStatus: 'queued' });
+  emitJobProgress(job);
+
+  if (workerEnabled) {
+    setImmediate(() => processDocumentJobs().catch(error => console.error('Error processing document jobs:', error)));
+  }
+
+  return { job, existing: false };
+};
+
+/**
+ * Get a local copy of the document's file: the upload on this instance's disk when it is here,
+ * otherwise a download of its URL into a temporary file (e.g. on another worker or serverless)
+ * @param {string} fileUrl - Document URL
+ * @returns {Promise<Object>} { filePath, cleanup }
+ */
+const resolveDocumentFile = async (fileUrl) => {
+  if (!fileUrl) {
+    throw permanentError('Document has no file to process');
+  }
+
+  const fileName = path.basename(new URL(fileUrl, 'http://localhost').pathname);
+  const uploadedPath = path.join(__dirname, '../../uploads/documents', fileName);
+  if (fs.existsSync(uploadedPath)) {
+    return { filePath: uploadedPath, cleanup: () => {} };
+  }
+
+  if (!/^https?:\/\//.test(fileUrl)) {
+    throw permanentError(`File not found: ${fileName}`);
+  }
+
+  let response;
+  try {
+    response = await axios.get(fileUrl, { responseType: 'arraybuffer', timeout: 60000 });
+  } catch (error) {
+    const status = error.response?.status;
+    const message = `Could not download document file (${status || error.message})`;
+    throw status === 404 || status === 410 ? permanentError(message) : new Error(message);
+  }
+
+  const tempPath = path.join(os.tmpdir(), `document-job-${Date.now()}-${fileName}`);
+  fs.writeFileSync(tempPath, Buffer.from(response.data));
+  return { filePath: tempPath, cleanup: () => fs.rmSync(tempPath, { force: true }) };
+};
+
+// Do the work for one claimed job. Throws to fail the attempt.
+const runDocumentJob = async (job) => {
+  const client = await Client.findById(job.clientId);
+  const document = client?.documents.id(job.documentId);
+  if (!document) {
+    throw permanentError('Document no longer exists');
+  }
+
+  let text = document.extractedText || '';
+
+  // A retry after the OCR stage finished goes straight back to analysis
+  if (job.mode === 'full' && job.stage !== 'analysis') {
+    await setJobStage(job, 'ocr', 10);
+
+    // Jobs queued before fileUrl was stored fall back to the document's own URL
+    const file = await resolveDocumentFile(job.fileUrl || document.fileUrl);
+    let ocrResult;
+    try {
+      ocrResult = await processDocumentOCR({
+        filePath: file.filePath,
+        mimeType: document.mimeType || 'application/octet-stream',
+        pdfType: job.pdfType,
+      });
+    } finally {
+      file.cleanup();
+    }
+    if (!ocrResult.success) {
+      const message = ocrResult.error || 'OCR processing failed';
+      throw /not found|required/i.test(message) ? permanentError(message) : new Error(message);
+    }
+
+    text = ocrResult.extractedText || '';
+    await updateDocument(job, { extractedText: text, ocrConfidence: ocrResult.confidence }, ['ocrError']);
+    console.log(`OCR results saved for document: ${job.documentId} (${text.length} characters)`);
+  }
+
+  if (!text.trim()) {
+    if (job.mode === 'analysis') {
+      throw permanentError('Document has no extracted text to analyze. Re-run OCR instead.');
+    }
+    console.warn(`No text extracted from document ${job.documentId}, skipping AI analysis`);
+    return;
+  }
+
+  await setJobStage(job, 'analysis', 60);
+
+  // Provider errors are retried; the last attempt settles for the rule-based analysis
+  const analysisResult = await analyzeDocument(text, document.type, {
+    fallback: job.attempts >= job.maxAttempts,
+    clientId: job.clientId,
+  });
+  if (!analysisResult.success || !analysisResult.analysis) {
+    throw new Error(analysisResult.error || 'AI analysis failed');
+  }
+
+  await updateDocument(job, {
+    aiAnalysis: {
+      ...analysisResult.analysis,
+      importantDates: (analysisResult.analysis.importantDates || []).map(item => ({
+        date: item.date instanceof Date ? item.date.toISOString() : item.date,
+        description: item.description,
+      })),
+      analyzedAt: new Date(),
+    },
+  });
+  console.log(`✅ AI analysis results saved for document: ${job.documentId}`);
+};
+
+// Re-index the document with whatever text and analysis the job left on it
+const refreshSearchEntry = async (job) => {
+  const client = await Client.findById(job.clientId).select('documents');
+  const document = client?.documents.id(job.documentId);
+  if (document) {
+    await indexClientDocument(client._id, document);
+  }
+};
+
+const completeJob = async (job) => {
+  job.status = 'done';
+  job.progress = 100;
+  job.completedAt = new Date();
+  job.lockedAt = undefined;
+  job.lastError = undefined;
+  await job.save();
+
+  await updateDocument(job, { processingStatus: 'done', ocrProcessed: true });
+  await refreshSearchEntry(job);
+  emitJobProgress(job);
+};
+
+// Put the job back in the queue with a growing delay, or fail it for good
+const failJobAttempt = async (job, error) => {
+  job.lastError = error.message || 'Processing failed';
+  job.lockedAt = undefined;
+
+  if (!error.permanent && job.attempts < job.maxAttempts) {
+    const delay = getRetryBaseDelay() * 2 ** (job.attempts - 1);
+    job.status = 'queued';
+    job.runAt = new Date(Date.now() + delay);
+    await job.save();
+
+    await updateDocument(job, { processingStatus: 'queued' });
+    console.warn(`⚠️  Document job ${job._id} failed (${job.lastError}). Retrying in ${Math.round(delay / 1000)}s`);
+    emitJobProgress(job, { retryAt: job.runAt });
+    return;
+  }
+
+  job.status = 'failed';
+  job.completedAt = new Date();
+  await job.save();
+
+  // Processed, so clients stop showing a spinner, with the error to explain why nothing came back
+  await updateDocument(job, { processingStatus: 'failed', ocrProcessed: true, ocrError: job.lastError });
+  await refreshSearchEntry(job);
+  console.error(`❌ Document job ${job._id} failed after ${job.attempts} attempt(s): ${job.lastError}`);
+  emitJobProgress(job);
+};
+
+// Jobs left processing by a worker that stopped count as a failed attempt
+const releaseStaleJobs = async () => {
+  const staleJobs = await DocumentJob.find({
+    status: 'processing',
+    lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+  });
+
+  for (const job of staleJobs) {
+    await failJobAttempt(job, new Error('Worker stopped before the job finished'));
+  }
+  return staleJobs.length;
+};
+
+// Atomically take the next due job so two workers never run the same one
+const claimNextJob = () => {
+  const now = new Date();
+  return DocumentJob.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: now } },
+    { $set: { status: 'processing', lockedAt: now, startedAt: now }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Work off due document jobs one at a time (OCR is CPU heavy)
+ * @param {Object} [options] - { limit }: most jobs to run in this pass
+ * @returns {Promise<number>} Jobs run
+ */
+const processDocumentJobs = async ({ limit = DEFAULT_BATCH_SIZE } = {}) => {
+  // One pass at a time per process; the next tick picks up anything this one misses
+  if (draining) return 0;
+  draining = true;
+
+  try {
+    await releaseStaleJobs();
+
+    let processed = 0;
+    while (processed < limit) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      await updateDocument(job, { processingStatus: 'processing' });
+      emitJobProgress(job);
+
+      try {
+        await runDocumentJob(job);
+        await completeJob(job);
+      } catch (error) {
+        await failJobAttempt(job, error);
+      }
+      processed++;
+    }
+
+    return processed;
+  } finally {
+    draining = false;
+  }
+};
+
+/**
+ * Run queued jobs in this process as soon as they are added, not only on the scheduled pass
+ */
+const startDocumentWorker = () => {
+  workerEnabled = true;
+};
+
+module.exports = {
+  enqueueDocumentJob,
+  processDocumentJobs,
+  startDocumentWorker,
+};
@@ -0,0 +1,469 @@
+// Document Search Service
+// Ranked full-text search over client documents' extracted text and AI analysis, with phrase
+// and boolean queries and highlighted snippets
+
+const Client = require('../models/Client');
+const DocumentSearchEntry = require('../models/DocumentSearchEntry');
+const { escapeHtml } = require('./progressReportService');
+
+// How much a match counts for in each field
+const FIELD_WEIGHTS = {
+  fileName: 3,
+  summary: 2,
+  diagnoses: 2,
+  keyPoints: 1.5,
+  recommendations: 1.5,
+  notes: 1,
+  extractedText: 1,
+};
+
+// Fields snippets are taken from, best first
+const SNIPPET_FIELDS = ['summary', 'extractedText', 'keyPoints', 'diagnoses', 'recommendations', 'notes', 'fileName'];
+const MAX_SNIPPETS = 3;
+const SNIPPET_RADIUS = 80;
+
+// Matches scored past this point add little (BM25-style term frequency saturation)
+const TF_SATURATION = 1.2;
+// Most entries ranked per search; narrower queries or filters get past it
+const MAX_CANDIDATES = 500;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const TERM_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split text into lowercase terms with their character offsets
+ * @param {string} text
+ * @returns {Array} [{ term, start, end }]
+ */
+const tokenize = (text = '') => [...String(text || '').matchAll(TERM_PATTERN)].map(match => ({
+  term: match[0].toLowerCase(),
+  start: match.index,
+  end: match.index + match[0].length,
+}));
+
+/**
+ * Build the index entry for a client document
+ * @param {string} clientId - Client ID
+ * @param {Object} document - Entry in client.documents
+ * @returns {Object} DocumentSearchEntry fields
+ */
+const buildSearchEntry = (clientId, document) => {
+  const analysis = document.aiAnalysis || {};
+  const fields = {
+    fileName: document.fileName || '',
+    notes: document.notes || '',
+    summary: analysis.summary || '',
+    keyPoints: (analysis.keyPoints || []).join('\n'),
+    diagnoses: (analysis.diagnoses || []).join('\n'),
+    recommendations: (analysis.recommendations || []).join('\n'),
+    extractedText: document.extractedText || '',
+  };
+
+  return {
+    clientId,
+    documentId: document._id,
+    type: document.type,
+    fileName: document.fileName,
+    fileUrl: document.fileUrl,
+    uploadedAt: document.uploadedAt,
+    hasAnalysis: !!analysis.analyzedAt,
+    fields,
+    terms: [...new Set(Object.values(fields).flatMap(text => tokenize(text).map(token => token.term)))],
+    indexedAt: new Date(),
+  };
+};
+
+/**
+ * Add or refresh a document's index entry
+ * @param {string} clientId - Client ID
+ * @param {Object} document - Entry in client.documents
+ * @returns {Promise<Object>} Index entry
+ */
+const indexClientDocument = (clientId, document) => {
+  return DocumentSearchEntry.findOneAndUpdate(
+    { documentId: document._id },
+    buildSearchEntry(clientId, document),
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Drop a deleted document from the index
+ * @param {string} documentId - Document ID
+ */
+const removeDocumentFromIndex = (documentId) => {
+  return DocumentSearchEntry.deleteOne({ documentId });
+};
+
+/**
+ * Bring the index in line with the clients' documents: index documents from before the index
+ * existed and drop deleted ones. A one-off backfill (npm run sync-search-index); documents are
+ * indexed as they are written and processed.
+ * @param {Array|null} clientIds - Clients to check, or null for every client
+ */
+const syncSearchIndex = async (clientIds) => {
+  const clientFilter = clientIds ? { _id: { $in: clientIds } } : {};
+  const entryFilter = clientIds ? { clientId: { $in: clientIds } } : {};
+
+  const [clients, entries] = await Promise.all([
+    Client.find(clientFilter).select('documents._id'),
+    DocumentSearchEntry.find(entryFilter).select('documentId'),
+  ]);
+
+  const documentClients = new Map();
+  clients.forEach(client => (client.documents || []).forEach(document => {
+    documentClients.set(document._id.toString(), client._id);
+  }));
+  const indexed = new Set(entries.map(entry => entry.documentId.toString()));
+
+  const orphaned = [...indexed].filter(documentId => !documentClients.has(documentId));
+  if (orphaned.length > 0) {
+    await DocumentSearchEntry.deleteMany({ documentId: { $in: orphaned } });
+  }
+
+  const missingClientIds = [...new Set([...documentClients.entries()]
+    .filter(([documentId]) => !indexed.has(documentId))
+    .map(([, clientId]) => clientId.toString()))];
+
+  for (const clientId of missingClientIds) {
+    const client = await Client.findById(clientId).select('documents');
+    for (const document of client?.documents || []) {
+      if (!indexed.has(document._id.toString())) {
+        await indexClientDocument(client._id, document);
+      }
+    }
+  }
+};
+
+// Split a query into words, quoted phrases, parentheses and operators
+const lexQuery = (query) => {
+  const tokens = [];
+  const pattern = /"([^"]*)"?|(\()|(\))|([^\s()"]+)/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    if (match[1] !== undefined) {
+      tokens.push({ kind: 'phrase', value: match[1] });
+    } else if (match[2]) {
+      tokens.push({ kind: 'open' });
+    } else if (match[3]) {
+      tokens.push({ kind: 'close' });
+    } else {
+      const word = match[4];
+      if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ kind: word.toLowerCase() });
+      } else if (word.startsWith('-') && word.length > 1) {
+        tokens.push({ kind: 'not' });
+        tokens.push({ kind: 'word', value: word.slice(1) });
+      } else {
+        tokens.push({ kind: 'word', value: word });
+      }
+    }
+  }
+  return tokens;
+};
+
+// A word or phrase as a leaf node; words that split into several terms (e.g. "o'brien") are phrases
+const toLeaf = (text, prefixAllowed) => {
+  const prefix = prefixAllowed && text.endsWith('*');
+  const terms = tokenize(prefix ? text.slice(0, -1) : text).map(token => token.term);
+  if (terms.length === 0) return null;
+  if (terms.length === 1) return { type: 'term', value: terms[0], prefix };
+  return { type: 'phrase', terms };
+};
+
+/**
+ * Parse a search query. Words must all match unless joined by OR; "quoted phrases" match
+ * in order; NOT or a leading - excludes; parentheses group; a trailing * matches prefixes.
+ * @param {string} query - e.g. "apraxia AND (\"motor planning\" OR stutter*) -draft"
+ * @returns {Object|null} Query tree, or null when the query has no searchable terms
+ */
+const parseSearchQuery = (query = '') => {
+  const tokens = lexQuery(String(query));
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.kind === 'or') {
+      position++;
+      children.push(parseAnd());
+    }
+    const present = children.filter(Boolean);
+    if (present.length === 0) return null;
+    return present.length === 1 ? present[0] : { type: 'or', children: present };
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (position < tokens.length && !['or', 'close'].includes(peek().kind)) {
+      if (peek().kind === 'and') {
+        position++;
+        continue;
+      }
+      children.push(parseUnary());
+    }
+    const present = children.filter(Boolean);
+    if (present.length === 0) return null;
+    return present.length === 1 ? present[0] : { type: 'and', children: present };
+  };
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+    if (token.kind === 'not') {
+      if (position >= tokens.length || ['and', 'or', 'close'].includes(peek().kind)) return null;
+      const child = parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+    if (token.kind === 'open') {
+      const inner = parseOr();
+      if (peek()?.kind === 'close') position++;
+      return inner;
+    }
+    if (token.kind === 'phrase') return toLeaf(token.value, false);
+    return toLeaf(token.value, true);
+  };
+
+  const parsed = [];
+  while (position < tokens.length) {
+    // A ")" with nothing open is skipped
+    if (peek().kind === 'close') {
+      position++;
+      continue;
+    }
+    parsed.push(parseOr());
+  }
+
+  const present = parsed.filter(Boolean);
+  if (present.length === 0) return null;
+  return present.length === 1 ? present[0] : { type: 'and', children: present };
+};
+
+// Leaves that count towards a match, i.e. not under a NOT
+const getPositiveLeaves = (node) => {
+  if (!node || node.type === 'not') return [];
+  if (node.type === 'term' || node.type === 'phrase') return [node];
+  return node.children.flatMap(getPositiveLeaves);
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Mongo condition for entries containing a leaf's terms
+const leafFilter = (leaf) => {
+  if (leaf.type === 'phrase') return { terms: { $all: leaf.terms } };
+  return { terms: leaf.prefix ? new RegExp(`^${escapeRegex(leaf.value)}`) : leaf.value };
+};
+
+// Narrow candidates on the terms index; null when the node can't narrow them (e.g. NOT)
+const candidateFilter = (node) => {
+  if (node.type === 'term' || node.type === 'phrase') return leafFilter(node);
+  if (node.type === 'not') return null;
+
+  const filters = node.children.map(candidateFilter);
+  if (node.type === 'or') {
+    return filters.every(Boolean) ? { $or: filters } : null;
+  }
+  const present = filters.filter(Boolean);
+  if (present.length === 0) return null;
+  return present.length === 1 ? present[0] : { $and: present };
+};
+
+const termMatches = (leaf, term) => (leaf.prefix ? term.startsWith(leaf.value) : term === leaf.value);
+
+// Character ranges in a field where a leaf matches
+const findOccurrences = (tokens, leaf) => {
+  const ranges = [];
+  if (leaf.type === 'term') {
+    tokens.forEach(token => {
+      if (termMatches(leaf, token.term)) ranges.push({ start: token.start, end: token.end });
+    });
+    return ranges;
+  }
+
+  for (let index = 0; index + leaf.terms.length <= tokens.length; index++) {
+    if (leaf.terms.every((term, offset) => tokens[index + offset].term === term)) {
+      ranges.push({ start: tokens[index].start, end: tokens[index + leaf.terms.length - 1].end });
+    }
+  }
+  return ranges;
+};
+
+const matchesQuery = (node, fieldTokens) => {
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return Object.values(fieldTokens).some(tokens => findOccurrences(tokens, node).length > 0);
+    case 'not':
+      return !matchesQuery(node.child, fieldTokens);
+    case 'and':
+      return node.children.every(child => matchesQuery(child, fieldTokens));
+    case 'or':
+      return node.children.some(child => matchesQuery(child, fieldTokens));
+    default:
+      return false;
+  }
+};
+
+// Text around the first match in a field, escaped, with every match in it wrapped in <mark>
+const buildSnippet = (text, ranges) => {
+  const first = ranges[0];
+  let start = Math.max(0, first.start - SNIPPET_RADIUS);
+  let end = Math.min(text.length, first.end + SNIPPET_RADIUS);
+  // Don't cut words in half
+  const wordStart = text.indexOf(' ', start);
+  if (start > 0 && wordStart !== -1 && wordStart < first.start) start = wordStart + 1;
+  const wordEnd = text.lastIndexOf(' ', end);
+  if (end < text.length && wordEnd > first.end) end = wordEnd;
+
+  let snippet = '';
+  let cursor = start;
+  ranges
+    .filter(range => range.start >= start && range.end <= end)
+    .forEach(range => {
+      if (range.start < cursor) return;
+      snippet += `${escapeHtml(text.slice(cursor, range.start))}<mark>${escapeHtml(text.slice(range.start, range.end))}</mark>`;
+      cursor = range.end;
+    });
+  snippet += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet.replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Search indexed documents, most relevant first
+ * @param {Object} params
+ * @param {Array|null} params.clientIds - Clients to search (e.g. a therapist's caseload), null for all
+ * @param {string} params.query - Search query, see parseSearchQuery
+ * @param {Array} [params.types] - Document types to include
+ * @param {Date} [params.dateFrom] - Uploaded on or after
+ * @param {Date} [params.dateTo] - Uploaded on or before
+ * @param {boolean} [params.hasAnalysis] - Only documents with AI analysis
+ * @param {string} [params.sort] - relevance (default) or date
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @returns {Promise<Object>} { results, total, page, pages, truncated } or { error }
+ */
+const searchDocuments = async ({
+  clientIds,
+  query,
+  types = [],
+  dateFrom,
+  dateTo,
+  hasAnalysis = false,
+  sort = 'relevance',
+  page = 1,
+  limit = DEFAULT_PAGE_SIZE,
+}) => {
+  const tree = parseSearchQuery(query);
+  const leaves = getPositiveLeaves(tree);
+  if (!tree || leaves.length === 0) {
+    return { error: 'Enter at least one word or phrase to search for. NOT only excludes matches.' };
+  }
+
+  const scope = {};
+  if (clientIds) scope.clientId = { $in: clientIds };
+  if (types.length > 0) scope.type = { $in: types };
+  if (dateFrom || dateTo) {
+    scope.uploadedAt = {};
+    if (dateFrom) scope.uploadedAt.$gte = dateFrom;
+    if (dateTo) scope.uploadedAt.$lte = dateTo;
+  }
+  if (hasAnalysis) scope.hasAnalysis = true;
+
+  const narrowed = candidateFilter(tree);
+  const candidateQuery = narrowed ? { $and: [scope, narrowed] } : scope;
+
+  const [scopeSize, candidateCount, candidates, ...documentFrequencies] = await Promise.all([
+    DocumentSearchEntry.countDocuments(scope),
+    DocumentSearchEntry.countDocuments(candidateQuery),
+    DocumentSearchEntry.find(candidateQuery).sort({ uploadedAt: -1 }).limit(MAX_CANDIDATES).lean(),
+    ...leaves.map(leaf => DocumentSearchEntry.countDocuments({ $and: [scope, leafFilter(leaf)] })),
+  ]);
+
+  // Rarer words and phrases count for more
+  const weights = documentFrequencies.map(frequency =>
+    Math.log(1 + (scopeSize - frequency + 0.5) / (frequency + 0.5))
+  );
+
+  const matches = [];
+  for (const entry of candidates) {
+    const fieldTokens = Object.fromEntries(
+      Object.keys(FIELD_WEIGHTS).map(field => [field, tokenize(entry.fields?.[field])])
+    );
+    if (!matchesQuery(tree, fieldTokens)) continue;
+
+    let score = 0;
+    const occurrences = {};
+    leaves.forEach((leaf, index) => {
+      for (const [field, tokens] of Object.entries(fieldTokens)) {
+        const ranges = findOccurrences(tokens, leaf);
+        if (ranges.length === 0) continue;
+        score += weights[index] * FIELD_WEIGHTS[field] * (ranges.length * (TF_SATURATION + 1)) / (ranges.length + TF_SATURATION);
+        occurrences[field] = [...(occurrences[field] || []), ...ranges];
+      }
+    });
+
+    matches.push({ entry, score, occurrences });
+  }
+
+  if (sort === 'date') {
+    matches.sort((a, b) => new Date(b.entry.uploadedAt) - new Date(a.entry.uploadedAt));
+  } else {
+    matches.sort((a, b) => b.score - a.score || new Date(b.entry.uploadedAt) - new Date(a.entry.uploadedAt));
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageMatches = matches.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+
+  const clients = await Client.find({ _id: { $in: pageMatches.map(match => match.entry.clientId) } })
+    .populate('userId', 'firstName lastName')
+    .select('userId');
+  const clientNames = new Map(clients.map(client => [
+    client._id.toString(),
+    client.userId ? `${client.userId.firstName} ${client.userId.lastName}` : null,
+  ]));
+
+  const results = pageMatches.map(({ entry, score, occurrences }) => {
+    const snippets = SNIPPET_FIELDS
+      .filter(field => occurrences[field])
+      .slice(0, MAX_SNIPPETS)
+      .map(field => ({
+        field,
+        text: buildSnippet(entry.fields[field], occurrences[field].sort((a, b) => a.start - b.start)),
+      }));
+
+    return {
+      documentId: entry.documentId,
+      clientId: entry.clientId,
+      clientName: clientNames.get(entry.clientId.toString()) || null,
+      type: entry.type,
+      fileName: entry.fileName,
+      fileUrl: entry.fileUrl,
+      uploadedAt: entry.uploadedAt,
+      hasAnalysis: entry.hasAnalysis,
+      score: Math.round(score * 1000) / 1000,
+      matchedFields: Object.keys(occurrences),
+      snippets,
+    };
+  });
+
+  return {
+    results,
+    total: matches.length,
+    page: pageNumber,
+    pages: Math.ceil(matches.length / pageSize),
+    // Only the newest MAX_CANDIDATES candidates were ranked; narrow the query or filters to see the rest
+    truncated: candidateCount > MAX_CANDIDATES,
+  };
+};
+
+module.exports = {
+  tokenize,
+  parseSearchQuery,
+  indexClientDocument,
+  removeDocumentFromIndex,
+  syncSearchIndex,
+  searchDocuments,
+};
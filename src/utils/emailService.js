@@ -14,7 +14,7 @@ const createTransporter = () => {
 };
 
 // Send email
-const sendEmail = async ({ to, subject, text, html }) => {
+const sendEmail = async ({ to, subject, text, html, attachments }) => {
   try {
     if (!process.env.SMTP_USER || !process.env.SMTP_PASS) {
       console.log('Email service not configured. Skipping email send.');
@@ -29,6 +29,7 @@ const sendEmail = async ({ to, subject, text, html }) => {
       subject,
       text,
       html: html || text,
+      attachments,
     };
 
     const info = await transporter.sendMail(mailOptions);
@@ -0,0 +1,185 @@
+// Evaluation Report Service
+// Builds the report for an evaluation session from its standardized test scores and SOAP note,
+// rendered as HTML and PDF
+
+const AssessmentResult = require('../models/AssessmentResult');
+const Subscription = require('../models/Subscription');
+const { formatAgeMonths } = require('./assessmentScoringService');
+const { escapeHtml, formatDate } = require('./progressReportService');
+const { createTextPdf } = require('./pdfService');
+
+/**
+ * Check whether a session is an evaluation: an assessment session, or a session for a
+ * client on the one-time evaluation tier
+ * @param {Object} session - Session document with clientId populated (needs userId)
+ * @returns {Promise<boolean>}
+ */
+const isEvaluationSession = async (session) => {
+  if (session.isGroup) return false;
+  if (session.sessionType === 'assessment') return true;
+
+  const clientUserId = session.clientId?.userId?._id || session.clientId?.userId;
+  if (!clientUserId) return false;
+  return !!(await Subscription.exists({ userId: clientUserId, tier: 'evaluation' }));
+};
+
+const formatPercentile = (percentile) => {
+  if (percentile === null || percentile === undefined) return 'n/a';
+  if (percentile < 1) return '<1';
+  if (percentile > 99) return '>99';
+  return String(percentile);
+};
+
+const describeScore = (score) => {
+  const parts = [
+    `raw ${score.rawScore}`,
+    `${score.scale === 'scaled' ? 'scaled' : 'standard'} score ${score.standardScore}`,
+    `percentile ${formatPercentile(score.percentile)}`,
+  ];
+  if (score.ageEquivalent) parts.push(`age equivalent ${score.ageEquivalent}`);
+  return `${score.subtestName}: ${parts.join(', ')}${score.classification ? ` (${score.classification})` : ''}`;
+};
+
+/**
+ * Gather what goes into an evaluation report
+ * @param {Object} session - Session with clientId.userId and therapistId.userId populated
+ * @returns {Promise<Object>} Header details, diagnoses, SOAP note sections and assessment results
+ */
+const compileEvaluationReport = async (session) => {
+  const client = session.clientId;
+  const therapist = session.therapistId;
+  const assessments = await AssessmentResult.find({ sessionId: session._id }).sort({ administeredAt: 1, createdAt: 1 });
+  const ageAtTesting = assessments[0]?.ageAtTesting;
+
+  return {
+    sessionId: session._id,
+    clientName: client?.userId ? `${client.userId.firstName} ${client.userId.lastName}` : 'Client',
+    dateOfBirth: client?.dateOfBirth,
+    guardianName: client?.guardianName,
+    evaluationDate: session.startsAt || session.scheduledDate,
+    ageAtEvaluation: ageAtTesting ? formatAgeMonths(ageAtTesting.totalMonths) : null,
+    examiner: therapist?.userId
+      ? `${therapist.userId.firstName} ${therapist.userId.lastName}${therapist.credentials ? `, ${therapist.credentials}` : ''}`
+      : '',
+    diagnoses: client?.currentDiagnoses || [],
+    soapNote: {
+      subjective: session.soapNote?.subjective,
+      objective: session.soapNote?.objective,
+      assessment: session.soapNote?.assessment,
+      plan: session.soapNote?.plan,
+      signed: session.soapNote?.status === 'signed',
+    },
+    assessments,
+  };
+};
+
+/**
+ * Render an evaluation report as a standalone HTML document
+ * @param {Object} report - Output of compileEvaluationReport
+ * @returns {string} HTML
+ */
+const renderEvaluationReportHtml = (report) => {
+  const paragraphs = (text) => escapeHtml(text).split('\n').filter(Boolean).map(line => `<p>${line}</p>`).join('');
+  const { soapNote } = report;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Speech-Language Evaluation - ${escapeHtml(report.clientName)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 32px auto; line-height: 1.5; }
+    h1 { margin-bottom: 4px; }
+    h2 { border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 28px; }
+    .meta { color: #666; font-size: 14px; }
+    table { border-collapse: collapse; width: 100%; }
+    td, th { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+  </style>
+</head>
+<body>
+  <h1>Speech-Language Evaluation</h1>
+  <p class="meta">
+    ${escapeHtml(report.clientName)}${report.guardianName ? ` (guardian: ${escapeHtml(report.guardianName)})` : ''}<br>
+    ${report.dateOfBirth ? `Date of birth: ${escapeHtml(formatDate(report.dateOfBirth))}<br>` : ''}
+    Evaluation date: ${escapeHtml(formatDate(report.evaluationDate))}${report.ageAtEvaluation ? ` (age ${escapeHtml(report.ageAtEvaluation)})` : ''}<br>
+    ${report.examiner ? `Examiner: ${escapeHtml(report.examiner)}` : ''}
+    ${soapNote.signed ? '' : '<br>Draft - the session note is not signed'}
+  </p>
+
+  ${report.diagnoses.length > 0 ? `<h2>Diagnoses</h2>
+  <ul>${report.diagnoses.map(diagnosis => `<li>${escapeHtml(diagnosis)}</li>`).join('')}</ul>` : ''}
+
+  <h2>Background</h2>
+  ${paragraphs(soapNote.subjective) || '<p>No background recorded.</p>'}
+
+  <h2>Observations</h2>
+  ${paragraphs(soapNote.objective) || '<p>No observations recorded.</p>'}
+
+  <h2>Standardized Assessment Results</h2>
+  ${report.assessments.length === 0 ? '<p>No standardized tests were scored.</p>' : report.assessments.map(assessment => `
+  <h3>${escapeHtml(assessment.testName)}</h3>
+  <table>
+    <tr><th>Subtest</th><th>Raw</th><th>Standard</th><th>Percentile</th><th>Age equivalent</th><th>Classification</th></tr>
+    ${assessment.scores.map(score => `<tr><td>${escapeHtml(score.subtestName)}</td><td>${score.rawScore}</td><td>${score.standardScore}${score.scale === 'scaled' ? ' (scaled)' : ''}</td><td>${formatPercentile(score.percentile)}</td><td>${escapeHtml(score.ageEquivalent || 'n/a')}</td><td>${escapeHtml(score.classification || '')}</td></tr>`).join('\n    ')}
+  </table>
+  ${paragraphs(assessment.interpretation)}`).join('')}
+
+  <h2>Clinical Impressions</h2>
+  ${paragraphs(soapNote.assessment) || '<p>No impressions recorded.</p>'}
+
+  <h2>Recommendations</h2>
+  ${paragraphs(soapNote.plan) || '<p>No recommendations recorded.</p>'}
+</body>
+</html>`;
+};
+
+/**
+ * Render an evaluation report as a PDF
+ * @param {Object} report - Output of compileEvaluationReport
+ * @returns {Buffer} PDF file contents
+ */
+const renderEvaluationReportPdf = (report) => {
+  const { soapNote } = report;
+
+  const blocks = [
+    { text: 'Speech-Language Evaluation', style: 'title' },
+    { text: `${report.clientName}${report.guardianName ? ` (guardian: ${report.guardianName})` : ''}`, style: 'muted' },
+    ...(report.dateOfBirth ? [{ text: `Date of birth: ${formatDate(report.dateOfBirth)}`, style: 'muted' }] : []),
+    { text: `Evaluation date: ${formatDate(report.evaluationDate)}${report.ageAtEvaluation ? ` (age ${report.ageAtEvaluation})` : ''}`, style: 'muted' },
+    ...(report.examiner ? [{ text: `Examiner: ${report.examiner}`, style: 'muted' }] : []),
+    ...(soapNote.signed ? [] : [{ text: 'Draft - the session note is not signed', style: 'muted' }]),
+
+    ...(report.diagnoses.length > 0 ? [
+      { text: 'Diagnoses', style: 'heading' },
+      ...report.diagnoses.map(diagnosis => ({ text: diagnosis })),
+    ] : []),
+
+    { text: 'Background', style: 'heading' },
+    { text: soapNote.subjective || 'No background recorded.' },
+
+    { text: 'Observations', style: 'heading' },
+    { text: soapNote.objective || 'No observations recorded.' },
+
+    { text: 'Standardized Assessment Results', style: 'heading' },
+    ...(report.assessments.length === 0 ? [{ text: 'No standardized tests were scored.' }] : report.assessments.flatMap(assessment => [
+      { text: assessment.testName, style: 'subheading' },
+      ...assessment.scores.map(score => ({ text: describeScore(score) })),
+      ...(assessment.interpretation ? [{ text: assessment.interpretation }] : []),
+    ])),
+
+    { text: 'Clinical Impressions', style: 'heading' },
+    { text: soapNote.assessment || 'No impressions recorded.' },
+
+    { text: 'Recommendations', style: 'heading' },
+    { text: soapNote.plan || 'No recommendations recorded.' },
+  ];
+
+  return createTextPdf(blocks, { title: `Speech-Language Evaluation - ${report.clientName}` });
+};
+
+module.exports = {
+  isEvaluationSession,
+  compileEvaluationReport,
+  renderEvaluationReportHtml,
+  renderEvaluationReportPdf,
+};
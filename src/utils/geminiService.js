@@ -1,82 +1,20 @@
 // Gemini AI Service for Translation, Language Detection, and AI Features
-// Uses Google Gemini API for multilingual support
+// Requests go through the shared AI provider layer (aiProvider), so Gemini is the default
+// but any configured provider works; without one, simple fallbacks are used
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { isAIAvailable, complete } = require('./aiProvider');
 
-// Initialize Gemini API
-let genAI = null;
-let translationModel = null;
-let languageDetectionModel = null;
-
-const initializeGemini = () => {
-  if (!process.env.GEMINI_API_KEY) {
-    console.warn('⚠️  GEMINI_API_KEY not set. Translation features will use fallback methods.');
-    return false;
-  }
-
-  try {
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    
-    // Default model - try latest versions first
-    const defaultModel = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
-    
-    // Try different model name formats in order of preference
-    const modelNamesToTry = [
-      defaultModel,
-      'gemini-1.5-flash-latest',
-      'gemini-1.5-flash-002',
-      'gemini-1.5-flash-001',
-      'gemini-1.5-flash',
-      'gemini-1.5-pro-latest',
-      'gemini-1.5-pro-002',
-      'gemini-1.5-pro-001',
-      'gemini-1.5-pro',
-      'gemini-pro',
-      'gemini-2.5-flash'
-    ];
-    
-    let modelInitialized = false;
-    let workingModel = null;
-    
-    for (const name of modelNamesToTry) {
-      try {
-        const testModel = genAI.getGenerativeModel({ model: name });
-        translationModel = testModel;
-        languageDetectionModel = testModel;
-        workingModel = name;
-        modelInitialized = true;
-        console.log(`✅ Gemini API initialized with model: ${name}`);
-        break;
-      } catch (err) {
-        // Try next model name - don't log here to avoid spam
-        continue;
-      }
-    }
-    
-    if (!modelInitialized) {
-      console.error('❌ Failed to initialize any Gemini model. Please check your API key and model availability.');
-      console.error('💡 Tip: Set GEMINI_MODEL in your .env file to specify a model name');
-      return false;
-    }
-    
-    return true;
-  } catch (error) {
-    console.error('❌ Failed to initialize Gemini API:', error);
-    return false;
-  }
-};
-
-// Initialize on module load
-const isInitialized = initializeGemini();
+const VALID_LANGUAGE_CODES = ['en', 'es', 'fr', 'de', 'zh', 'ja', 'ko', 'ar', 'pt', 'ru', 'it', 'hi', 'nl', 'pl', 'tr', 'vi', 'asl'];
 
 /**
- * Translate text using Gemini API
+ * Translate text using the configured AI provider
  * @param {string} text - Text to translate
  * @param {string} sourceLanguage - Source language code (e.g., 'en', 'es')
  * @param {string} targetLanguage - Target language code
+ * @param {Object} [options] - { clientId, clientIds }: clients whose details to redact
  * @returns {Promise<string>} Translated text
  */
-const translateTextWithGemini = async (text, sourceLanguage = 'auto', targetLanguage = 'en') => {
+const translateTextWithGemini = async (text, sourceLanguage = 'auto', targetLanguage = 'en', { clientId, clientIds } = {}) => {
   if (!text || text.trim().length === 0) {
     return text;
   }
@@ -85,92 +23,25 @@ const translateTextWithGemini = async (text, sourceLanguage = 'auto', targetLang
     return text;
   }
 
-  if (!isInitialized || !translationModel) {
-    console.warn('Gemini not initialized, using fallback');
+  if (!isAIAvailable()) {
+    console.warn('AI provider not configured, using fallback');
     return `[Translated: ${text}]`;
   }
 
   try {
-    const languageNames = {
-      en: 'English',
-      es: 'Spanish',
-      fr: 'French',
-      de: 'German',
-      zh: 'Chinese (Simplified)',
-      ja: 'Japanese',
-      ko: 'Korean',
-      ar: 'Arabic',
-      pt: 'Portuguese',
-      ru: 'Russian',
-      it: 'Italian',
-      hi: 'Hindi',
-      nl: 'Dutch',
-      pl: 'Polish',
-      tr: 'Turkish',
-      vi: 'Vietnamese',
-      asl: 'American Sign Language',
-    };
-
-    const sourceLangName = sourceLanguage === 'auto' ? 'the detected language' : languageNames[sourceLanguage] || sourceLanguage;
-    const targetLangName = languageNames[targetLanguage] || targetLanguage;
-
-    const prompt = `Translate the following text from ${sourceLangName} to ${targetLangName}. 
-    Provide only the translation, no explanations or additional text.
-    Maintain the original meaning, tone, and context.
-    If the text is already in ${targetLangName}, return it unchanged.
-    
-    Text to translate: "${text}"`;
-
-    // Try with current model, if it fails try other models
-    let result;
-    try {
-      result = await translationModel.generateContent(prompt);
-    } catch (modelError) {
-      // If model fails, try to reinitialize with a different model
-      console.warn(`Model ${process.env.GEMINI_MODEL || 'default'} failed, trying alternative models...`);
-      const alternativeModels = [
-        'gemini-1.5-flash-latest',
-        'gemini-1.5-flash-001',
-        'gemini-1.5-pro-latest',
-        'gemini-1.5-pro-001',
-        'gemini-pro',
-      ];
-      
-      let success = false;
-      for (const modelName of alternativeModels) {
-        try {
-          const altModel = genAI.getGenerativeModel({ model: modelName });
-          result = await altModel.generateContent(prompt);
-          // Update the global model if this one works
-          translationModel = altModel;
-          languageDetectionModel = altModel;
-          console.log(`✅ Switched to model: ${modelName}`);
-          success = true;
-          break;
-        } catch (err) {
-          continue;
-        }
-      }
-      
-      if (!success) {
-        throw modelError; // Re-throw original error if all models fail
-      }
-    }
-    
-    const response = await result.response;
-    const translatedText = response.text().trim();
+    const translatedText = await complete('translate', { text, sourceLanguage, targetLanguage }, { phi: { clientId, clientIds } });
 
     // Clean up the response (remove quotes if present)
     return translatedText.replace(/^["']|["']$/g, '');
   } catch (error) {
-    console.error('Gemini translation error:', error.message || error);
+    console.error('AI translation error:', error.message || error);
     // Fallback to simple return
     return `[Translation Error: ${text}]`;
   }
 };
 
 /**
- * Detect language from text using Gemini API
+ * Detect language from text using the configured AI provider
  * @param {string} text - Text to analyze
  * @returns {Promise<{language: string, confidence: number}>}
  */
@@ -179,32 +50,24 @@ const detectLanguageWithGemini = async (text) => {
     return { language: 'en', confidence: 0 };
   }
 
-  if (!isInitialized || !languageDetectionModel) {
+  if (!isAIAvailable()) {
     // Fallback to regex-based detection
     return detectLanguageFallback(text);
   }
 
   try {
-    const prompt = `Detect the language of the following text. 
-    Respond with only the ISO 639-1 language code (e.g., 'en', 'es', 'fr', 'de', 'zh', 'ja', 'ko', 'ar', 'pt', 'ru', 'it', 'hi', 'nl', 'pl', 'tr', 'vi').
-    If you cannot determine the language, respond with 'en'.
-    
-    Text: "${text.substring(0, 500)}"`;
-
-    const result = await languageDetectionModel.generateContent(prompt);
-    const response = await result.response;
-    const detectedCode = response.text().trim().toLowerCase().replace(/[^a-z]/g, '');
+    const response = await complete('detect-language', { text, codes: VALID_LANGUAGE_CODES });
+    const detectedCode = response.toLowerCase().replace(/[^a-z]/g, '');
 
     // Validate language code
-    const validCodes = ['en', 'es', 'fr', 'de', 'zh', 'ja', 'ko', 'ar', 'pt', 'ru', 'it', 'hi', 'nl', 'pl', 'tr', 'vi', 'asl'];
-    const language = validCodes.includes(detectedCode) ? detectedCode : 'en';
+    const language = VALID_LANGUAGE_CODES.includes(detectedCode) ? detectedCode : 'en';
 
     return {
       language,
-      confidence: 0.9, // Gemini is generally very accurate
+      confidence: 0.9, // Models are generally very accurate at this
     };
   } catch (error) {
-    console.error('Gemini language detection error:', error);
+    console.error('AI language detection error:', error.message || error);
     return detectLanguageFallback(text);
   }
 };
@@ -244,7 +107,7 @@ const detectLanguageFallback = (text) => {
  * @returns {Promise<Array<string>>}
  */
 const translateBatch = async (translations) => {
-  if (!isInitialized) {
+  if (!isAIAvailable()) {
     return translations.map(t => `[Translated: ${t.text}]`);
   }
 
@@ -265,14 +128,15 @@ const translateBatch = async (translations) => {
  * @param {string} transcript - Speech transcript
  * @param {string} sourceLanguage - Source language
  * @param {string} targetLanguage - Target language
+ * @param {Object} [options] - { clientId, clientIds }: clients whose details to redact
  * @returns {Promise<{original: string, translated: string, timestamp: Date}>}
  */
-const translateRealTime = async (transcript, sourceLanguage, targetLanguage) => {
+const translateRealTime = async (transcript, sourceLanguage, targetLanguage, options = {}) => {
   if (!transcript || transcript.trim().length === 0) {
     return { original: transcript, translated: transcript, timestamp: new Date() };
   }
 
-  const translated = await translateTextWithGemini(transcript, sourceLanguage, targetLanguage);
+  const translated = await translateTextWithGemini(transcript, sourceLanguage, targetLanguage, options);
 
   return {
     original: transcript,
@@ -290,32 +154,19 @@ const translateRealTime = async (transcript, sourceLanguage, targetLanguage) =>
  * @param {string} sourceLanguage - Source language
  * @param {string} targetLanguage - Target language
  * @param {string} context - Context (e.g., 'therapy_session', 'medical_history')
+ * @param {Object} [options] - { clientId, clientIds }: clients whose details to redact
  * @returns {Promise<{translated: string, explanation: string}>}
  */
-const interpretWithContext = async (text, sourceLanguage, targetLanguage, context = 'general') => {
-  if (!isInitialized || !translationModel) {
-    const translated = await translateTextWithGemini(text, sourceLanguage, targetLanguage);
+const interpretWithContext = async (text, sourceLanguage, targetLanguage, context = 'general', options = {}) => {
+  if (!isAIAvailable()) {
+    const translated = await translateTextWithGemini(text, sourceLanguage, targetLanguage, options);
     return { translated, explanation: '' };
   }
 
   try {
-    const contextPrompts = {
-      therapy_session: 'This is a speech-language therapy session. Translate medical and therapy terminology accurately.',
-      medical_history: 'This is medical history documentation. Maintain medical accuracy in translation.',
-      assessment: 'This is a clinical assessment. Preserve clinical terminology precisely.',
-      general: 'Translate this text accurately while maintaining context.',
-    };
-
-    const prompt = `${contextPrompts[context] || contextPrompts.general}
-    
-    Translate from ${sourceLanguage} to ${targetLanguage}:
-    "${text}"
-    
-    Provide the translation and a brief explanation of any important context or terminology.`;
-
-    const result = await translationModel.generateContent(prompt);
-    const response = await result.response;
-    const fullResponse = response.text().trim();
+    const fullResponse = await complete('interpret', { text, sourceLanguage, targetLanguage, context }, {
+      phi: { clientId: options.clientId, clientIds: options.clientIds },
+    });
 
     // Try to extract translation and explanation
     const lines = fullResponse.split('\n');
@@ -327,8 +178,8 @@ const interpretWithContext = async (text, sourceLanguage, targetLanguage, contex
       explanation: explanation || '',
     };
   } catch (error) {
-    console.error('Context interpretation error:', error);
-    const translated = await translateTextWithGemini(text, sourceLanguage, targetLanguage);
+    console.error('Context interpretation error:', error.message || error);
+    const translated = await translateTextWithGemini(text, sourceLanguage, targetLanguage, options);
     return { translated, explanation: '' };
   }
 };
@@ -338,14 +189,15 @@ const interpretWithContext = async (text, sourceLanguage, targetLanguage, contex
  * @param {string} transcript - Original transcript
  * @param {string} originalLanguage - Original language
  * @param {string} targetLanguage - Client's preferred language
+ * @param {Object} [options] - { clientId, clientIds }: clients whose details to redact
  * @returns {Promise<string>}
  */
-const generateTranslatedTranscript = async (transcript, originalLanguage, targetLanguage) => {
+const generateTranslatedTranscript = async (transcript, originalLanguage, targetLanguage, options = {}) => {
   if (originalLanguage === targetLanguage) {
     return transcript;
   }
 
-  return await translateTextWithGemini(transcript, originalLanguage, targetLanguage);
+  return await translateTextWithGemini(transcript, originalLanguage, targetLanguage, options);
 };
 
 /**
@@ -367,7 +219,7 @@ const filterBilingualTherapists = async (therapists, requiredLanguage) => {
 };
 
 /**
- * Translate interface text using Gemini
+ * Translate interface text using the configured AI provider
  * @param {string} text - Interface text to translate
  * @param {string} targetLanguage - Target language
  * @returns {Promise<string>}
@@ -389,6 +241,6 @@ module.exports = {
   generateTranslatedTranscript,
   filterBilingualTherapists,
   translateInterface,
-  isInitialized: () => isInitialized,
+  isInitialized: isAIAvailable,
 };
 
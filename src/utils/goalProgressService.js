@@ -0,0 +1,142 @@
+// Goal Progress Service
+// Rolls trial data up into a per-session series, compares it with the baseline and detects mastery
+
+const TrialData = require('../models/TrialData');
+const { getSessionStart } = require('./schedulingService');
+
+const DEFAULT_MASTERY_ACCURACY = 80;
+const DEFAULT_MASTERY_SESSIONS = 3;
+
+const toPercent = (correct, total) => (total > 0 ? Math.round((correct / total) * 1000) / 10 : null);
+
+/**
+ * Build the per-session accuracy series for a goal, oldest session first
+ * @param {string} goalId - Goal ID
+ * @returns {Promise<Array>} One point per session: { sessionId, date, correct, total, accuracy, targets, cueLevels }
+ */
+const buildGoalTimeSeries = async (goalId) => {
+  const records = await TrialData.find({ goalId })
+    .populate('sessionId', 'scheduledDate scheduledTime startsAt therapistTimezone status');
+
+  const points = new Map();
+  for (const record of records) {
+    const session = record.sessionId;
+    if (!session || record.total === 0) continue;
+
+    const key = session._id.toString();
+    if (!points.has(key)) {
+      points.set(key, {
+        sessionId: session._id,
+        date: getSessionStart(session),
+        correct: 0,
+        total: 0,
+        targets: [],
+        cueLevels: {},
+      });
+    }
+
+    const point = points.get(key);
+    point.correct += record.correct;
+    point.total += record.total;
+    point.targets.push({
+      target: record.target,
+      correct: record.correct,
+      total: record.total,
+      accuracy: record.accuracy,
+    });
+
+    // Count trials by the support they needed
+    if (record.trials.length > 0) {
+      for (const trial of record.trials) {
+        const cueLevel = trial.cueLevel || record.cueLevel || 'unspecified';
+        point.cueLevels[cueLevel] = (point.cueLevels[cueLevel] || 0) + 1;
+      }
+    } else {
+      const cueLevel = record.cueLevel || 'unspecified';
+      point.cueLevels[cueLevel] = (point.cueLevels[cueLevel] || 0) + record.total;
+    }
+  }
+
+  return [...points.values()]
+    .map(point => ({ ...point, accuracy: toPercent(point.correct, point.total) }))
+    .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Find the first session where accuracy stayed at or above the target for enough consecutive sessions
+ * @param {Array} series - Output of buildGoalTimeSeries
+ * @param {Object} [criteria] - { accuracy, consecutiveSessions }
+ * @returns {Object} { mastered, masteredAt, currentStreak, criteria }
+ */
+const detectMastery = (series, criteria = {}) => {
+  const accuracy = criteria.accuracy || DEFAULT_MASTERY_ACCURACY;
+  const consecutiveSessions = criteria.consecutiveSessions || DEFAULT_MASTERY_SESSIONS;
+
+  let streak = 0;
+  let masteredAt = null;
+  for (const point of series) {
+    streak = point.accuracy >= accuracy ? streak + 1 : 0;
+    if (!masteredAt && streak >= consecutiveSessions) {
+      masteredAt = point.date;
+    }
+  }
+
+  return {
+    mastered: masteredAt !== null,
+    masteredAt,
+    currentStreak: streak,
+    criteria: { accuracy, consecutiveSessions },
+  };
+};
+
+/**
+ * Summarise a goal's trial data: series, baseline comparison and mastery
+ * @param {Object} goal - Goal document
+ * @returns {Promise<Object>}
+ */
+const buildGoalProgress = async (goal) => {
+  const series = await buildGoalTimeSeries(goal._id);
+  const latest = series[series.length - 1];
+
+  // Without a recorded baseline, the first session with data stands in for it
+  const hasRecordedBaseline = typeof goal.baselineAccuracy === 'number';
+  const baselineAccuracy = hasRecordedBaseline ? goal.baselineAccuracy : series[0]?.accuracy ?? null;
+
+  return {
+    series,
+    baseline: {
+      accuracy: baselineAccuracy,
+      source: hasRecordedBaseline ? 'goal' : (series.length > 0 ? 'first-session' : null),
+    },
+    latestAccuracy: latest?.accuracy ?? null,
+    changeFromBaseline: latest && baselineAccuracy !== null
+      ? Math.round((latest.accuracy - baselineAccuracy) * 10) / 10
+      : null,
+    mastery: detectMastery(series, goal.masteryCriteria),
+  };
+};
+
+/**
+ * Recheck mastery after trial data changes and store when it was first met
+ * @param {Object} goal - Goal document
+ * @returns {Promise<boolean>} True when the goal has just reached mastery
+ */
+const refreshGoalMastery = async (goal) => {
+  const series = await buildGoalTimeSeries(goal._id);
+  const { masteredAt } = detectMastery(series, goal.masteryCriteria);
+  const newlyMastered = !!masteredAt && !goal.masteredAt;
+
+  if (String(masteredAt) !== String(goal.masteredAt || null)) {
+    goal.masteredAt = masteredAt || undefined;
+    await goal.save();
+  }
+
+  return newlyMastered;
+};
+
+module.exports = {
+  buildGoalTimeSeries,
+  detectMastery,
+  buildGoalProgress,
+  refreshGoalMastery,
+};
@@ -0,0 +1,103 @@
+// Group Session Service
+// Roster helpers shared by one-to-one and group sessions
+
+/**
+ * Build a Session filter that matches sessions a client takes part in,
+ * either as the one-to-one client or as an enrolled group participant
+ * @param {string} clientId - Client ID
+ * @returns {Object} Mongo filter
+ */
+const clientSessionFilter = (clientId) => ({
+  $or: [
+    { clientId },
+    { participants: { $elemMatch: { clientId, status: 'enrolled' } } },
+  ],
+});
+
+/**
+ * Get the group participants still on the roster
+ * @param {Object} session - Session document
+ * @returns {Array} Enrolled participants (empty for one-to-one sessions)
+ */
+const getEnrolledParticipants = (session) => {
+  if (!session.isGroup) return [];
+  return (session.participants || []).filter(participant => participant.status === 'enrolled');
+};
+
+/**
+ * Find a client's roster entry on a group session
+ * @param {Object} session - Session document
+ * @param {string} clientId - Client ID
+ * @returns {Object|undefined} Participant entry (enrolled or removed)
+ */
+const findParticipant = (session, clientId) => {
+  return (session.participants || []).find(participant =>
+    (participant.clientId._id || participant.clientId).toString() === clientId.toString()
+  );
+};
+
+/**
+ * List every client taking part in a session, with the timezone to show times in
+ * @param {Object} session - Session document (clientId and participants.clientId may be populated)
+ * @returns {Array<{ client: Object, timezone: string }>}
+ */
+const getSessionClients = (session) => {
+  if (!session.isGroup) {
+    return session.clientId ? [{ client: session.clientId, timezone: session.clientTimezone }] : [];
+  }
+  return getEnrolledParticipants(session)
+    .filter(participant => participant.clientId)
+    .map(participant => ({
+      client: participant.clientId,
+      timezone: participant.clientTimezone,
+    }));
+};
+
+/**
+ * Check whether a client takes part in a session
+ * @param {Object} session - Session document
+ * @param {string} clientId - Client ID
+ * @returns {boolean}
+ */
+const isSessionClient = (session, clientId) => {
+  return getSessionClients(session).some(({ client }) =>
+    (client._id || client).toString() === clientId.toString()
+  );
+};
+
+/**
+ * IDs of every client a session's notes and transcript may name, including clients removed
+ * from a group, e.g. for PHI redaction before AI calls
+ * @param {Object} session - Session document
+ * @returns {Array} Client IDs
+ */
+const getSessionClientIds = (session) => {
+  const ids = session.isGroup
+    ? (session.participants || []).map(participant => participant.clientId)
+    : [session.clientId];
+  return ids.filter(Boolean).map(id => id._id || id);
+};
+
+/**
+ * Label a session by its group name or client name (needs clientId.userId populated)
+ * @param {Object} session - Session document
+ * @returns {string}
+ */
+const getSessionClientLabel = (session) => {
+  if (session.isGroup) {
+    return session.groupName || `Group session (${getEnrolledParticipants(session).length} clients)`;
+  }
+  return session.clientId?.userId
+    ? `${session.clientId.userId.firstName} ${session.clientId.userId.lastName}`
+    : 'Client';
+};
+
+module.exports = {
+  clientSessionFilter,
+  getEnrolledParticipants,
+  findParticipant,
+  getSessionClients,
+  isSessionClient,
+  getSessionClientIds,
+  getSessionClientLabel,
+};
@@ -0,0 +1,270 @@
+// Home Practice Service
+// Streaks and adherence for assignment practice logs, and carryover of home practice between sessions
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const Session = require('../models/Session');
+const Assignment = require('../models/Assignment');
+const PracticeLog = require('../models/PracticeLog');
+const { clientSessionFilter } = require('./groupSessionService');
+const { getSessionStart } = require('./schedulingService');
+const { resolveTimezone, toDateKey, getZonedParts } = require('./timezoneService');
+const { buildGoalTimeSeries } = require('./goalProgressService');
+const { getClientOutcome } = require('./progressReportService');
+
+dayjs.extend(utc);
+
+const DEFAULT_CARRYOVER_SESSIONS = 6;
+const DEFAULT_LOOKBACK_DAYS = 30;
+
+const toPercent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+const addDays = (dateKey, days) => dayjs.utc(dateKey).add(days, 'day').format('YYYY-MM-DD');
+
+const daysBetween = (fromKey, toKey) => dayjs.utc(toKey).diff(dayjs.utc(fromKey), 'day');
+
+/**
+ * Turn a calendar day into the stored practice date (UTC midnight)
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {Date}
+ */
+const toPracticeDate = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+
+/**
+ * Get today's calendar day in a timezone
+ * @param {string} [tz] - IANA timezone
+ * @returns {string} "YYYY-MM-DD"
+ */
+const getTodayKey = (tz) => getZonedParts(new Date(), resolveTimezone(tz)).dateKey;
+
+/**
+ * Days an assignment can be practised on: from the day it was set until the due date or today
+ * @param {Object} assignment - Assignment
+ * @param {string} tz - Client's IANA timezone
+ * @param {string} [todayKey] - Today in the client's timezone
+ * @returns {{ startKey: string, endKey: string }}
+ */
+const getPracticeWindow = (assignment, tz, todayKey = getTodayKey(tz)) => {
+  const startKey = getZonedParts(assignment.createdAt || new Date(), resolveTimezone(tz)).dateKey;
+  const dueKey = toDateKey(assignment.dueDate);
+  return { startKey, endKey: dueKey < todayKey ? dueKey : todayKey };
+};
+
+/**
+ * Total up a set of practice logs. Accuracy is weighted by the number of trials, so a
+ * ten-trial day counts more than a two-trial day.
+ * @param {Array} logs - PracticeLog documents
+ * @returns {{ practiceDays: number, totalMinutes: number, totalTrials: number, averageAccuracy: number|null }}
+ */
+const summarizeLogs = (logs) => {
+  let weightedAccuracy = 0;
+  let accuracyWeight = 0;
+
+  for (const log of logs) {
+    if (log.caregiverAccuracy === undefined || log.caregiverAccuracy === null) continue;
+    const weight = log.trials || 1;
+    weightedAccuracy += log.caregiverAccuracy * weight;
+    accuracyWeight += weight;
+  }
+
+  return {
+    practiceDays: new Set(logs.map(log => toDateKey(log.practiceDate))).size,
+    totalMinutes: logs.reduce((sum, log) => sum + (log.durationMinutes || 0), 0),
+    totalTrials: logs.reduce((sum, log) => sum + (log.trials || 0), 0),
+    averageAccuracy: accuracyWeight > 0 ? Math.round((weightedAccuracy / accuracyWeight) * 10) / 10 : null,
+  };
+};
+
+/**
+ * Work out practice streaks from the days logged
+ * @param {string[]} dateKeys - Days with practice
+ * @param {string} todayKey - Today in the client's timezone
+ * @returns {{ currentStreak: number, longestStreak: number }}
+ */
+const computeStreaks = (dateKeys, todayKey) => {
+  const days = [...new Set(dateKeys)].sort();
+  const logged = new Set(days);
+
+  let longestStreak = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of days) {
+    run = previous && daysBetween(previous, day) === 1 ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+    previous = day;
+  }
+
+  // Today's practice may not be logged yet, so a streak ending yesterday is still current
+  let currentStreak = 0;
+  let day = logged.has(todayKey) ? todayKey : addDays(todayKey, -1);
+  while (logged.has(day)) {
+    currentStreak++;
+    day = addDays(day, -1);
+  }
+
+  return { currentStreak, longestStreak };
+};
+
+/**
+ * Practice statistics for one assignment
+ * @param {Object} assignment - Assignment
+ * @param {Array} logs - The assignment's practice logs
+ * @param {Object} [options]
+ * @param {string} [options.tz] - Client's IANA timezone
+ * @param {string} [options.todayKey] - Today in the client's timezone
+ * @returns {Object} Totals, expected and logged days, adherence percentage and streaks
+ */
+const computePracticeStats = (assignment, logs, { tz, todayKey = getTodayKey(tz) } = {}) => {
+  const { startKey, endKey } = getPracticeWindow(assignment, tz, todayKey);
+  const windowLogs = logs.filter(log => {
+    const key = toDateKey(log.practiceDate);
+    return key >= startKey && key <= endKey;
+  });
+
+  const windowDays = endKey >= startKey ? daysBetween(startKey, endKey) + 1 : 0;
+  const expectedDays = assignment.practiceDaysPerWeek
+    ? Math.ceil((windowDays * assignment.practiceDaysPerWeek) / 7)
+    : null;
+  const summary = summarizeLogs(windowLogs);
+  const lastLog = logs.reduce((latest, log) => (!latest || log.practiceDate > latest.practiceDate ? log : latest), null);
+
+  return {
+    ...summary,
+    ...computeStreaks(logs.map(log => toDateKey(log.practiceDate)), todayKey),
+    windowStart: startKey,
+    windowEnd: endKey,
+    practiceDaysPerWeek: assignment.practiceDaysPerWeek || null,
+    expectedDays,
+    adherence: expectedDays ? Math.min(100, toPercent(summary.practiceDays, expectedDays)) : null,
+    lastPracticedOn: lastLog ? toDateKey(lastLog.practiceDate) : null,
+  };
+};
+
+/**
+ * Summarize home practice between a client's recent sessions, and whether it carried over:
+ * caregiver-rated accuracy at home next to the goal's measured accuracy at the sessions on
+ * either side. Practice on a session day counts toward the interval that session starts.
+ * @param {Object} client - Client document
+ * @param {Object} [options]
+ * @param {string} [options.tz] - Timezone to read calendar days in
+ * @param {number} [options.sessions] - How many recent attended sessions to cover
+ * @returns {Promise<Object>} { since, intervals, assignments }
+ */
+const buildCarryoverSummary = async (client, { tz, sessions: sessionLimit = DEFAULT_CARRYOVER_SESSIONS } = {}) => {
+  const timezone = resolveTimezone(tz);
+  const todayKey = getTodayKey(timezone);
+
+  const completedSessions = await Session.find({
+    ...clientSessionFilter(client._id),
+    status: 'completed',
+  }).select('clientId isGroup participants status scheduledDate scheduledTime startsAt therapistTimezone duration');
+
+  const attended = completedSessions
+    .filter(session => getClientOutcome(session, client._id) === 'attended')
+    .map(session => {
+      const start = getSessionStart(session);
+      return { sessionId: session._id, date: start, dateKey: getZonedParts(start, timezone).dateKey };
+    })
+    .sort((a, b) => a.date - b.date)
+    .slice(-sessionLimit);
+
+  const sinceKey = attended.length > 0 ? attended[0].dateKey : addDays(todayKey, -DEFAULT_LOOKBACK_DAYS);
+
+  const [logs, assignments] = await Promise.all([
+    PracticeLog.find({ clientId: client._id, practiceDate: { $gte: toPracticeDate(sinceKey) } })
+      .populate('assignmentId', 'title')
+      .populate('goalId', 'title')
+      .sort({ practiceDate: 1 }),
+    Assignment.find({ clientId: client._id, dueDate: { $gte: toPracticeDate(sinceKey) } })
+      .populate('goalId', 'title')
+      .sort({ dueDate: 1 }),
+  ]);
+
+  // Session accuracy per goal, looked up by session
+  const goalSeries = new Map();
+  for (const goalId of new Set(logs.filter(log => log.goalId).map(log => log.goalId._id.toString()))) {
+    const series = await buildGoalTimeSeries(goalId);
+    goalSeries.set(goalId, new Map(series.map(point => [point.sessionId.toString(), point.accuracy])));
+  }
+
+  const boundaries = attended.length > 0 ? attended : [{ sessionId: null, date: null, dateKey: sinceKey }];
+  const intervals = boundaries.map((from, index) => {
+    const to = attended[index + 1] || null;
+    const endKey = to ? to.dateKey : addDays(todayKey, 1);
+    const intervalLogs = logs.filter(log => {
+      const key = toDateKey(log.practiceDate);
+      return key >= from.dateKey && key < endKey;
+    });
+
+    const byAssignment = new Map();
+    const byGoal = new Map();
+    for (const log of intervalLogs) {
+      const assignmentKey = log.assignmentId?._id?.toString() || log.assignmentId?.toString();
+      if (!byAssignment.has(assignmentKey)) byAssignment.set(assignmentKey, { assignment: log.assignmentId, logs: [] });
+      byAssignment.get(assignmentKey).logs.push(log);
+
+      if (log.goalId) {
+        const goalKey = log.goalId._id.toString();
+        if (!byGoal.has(goalKey)) byGoal.set(goalKey, { goal: log.goalId, logs: [] });
+        byGoal.get(goalKey).logs.push(log);
+      }
+    }
+
+    return {
+      from: from.sessionId ? { sessionId: from.sessionId, date: from.date } : { date: toPracticeDate(from.dateKey) },
+      to: to ? { sessionId: to.sessionId, date: to.date } : null,
+      days: daysBetween(from.dateKey, endKey),
+      ...summarizeLogs(intervalLogs),
+      assignments: [...byAssignment.values()].map(({ assignment, logs: assignmentLogs }) => ({
+        assignmentId: assignment?._id || assignment,
+        title: assignment?.title,
+        ...summarizeLogs(assignmentLogs),
+      })),
+      goals: [...byGoal.values()].map(({ goal, logs: goalLogs }) => {
+        const accuracyBySession = goalSeries.get(goal._id.toString());
+        const before = from.sessionId ? accuracyBySession.get(from.sessionId.toString()) ?? null : null;
+        const after = to ? accuracyBySession.get(to.sessionId.toString()) ?? null : null;
+        return {
+          goalId: goal._id,
+          title: goal.title,
+          homeAccuracy: summarizeLogs(goalLogs).averageAccuracy,
+          sessionAccuracyBefore: before,
+          sessionAccuracyAfter: after,
+          sessionChange: before !== null && after !== null ? Math.round((after - before) * 10) / 10 : null,
+        };
+      }),
+    };
+  });
+
+  // Assignment stats cover all of their practice, including days before the summary starts
+  const assignmentLogs = await PracticeLog.find({ assignmentId: { $in: assignments.map(assignment => assignment._id) } })
+    .select('assignmentId practiceDate durationMinutes trials caregiverAccuracy');
+  const logsByAssignment = new Map();
+  for (const log of assignmentLogs) {
+    const key = log.assignmentId.toString();
+    if (!logsByAssignment.has(key)) logsByAssignment.set(key, []);
+    logsByAssignment.get(key).push(log);
+  }
+
+  return {
+    since: toPracticeDate(sinceKey),
+    intervals: intervals.reverse(),
+    assignments: assignments.map(assignment => ({
+      assignmentId: assignment._id,
+      title: assignment.title,
+      type: assignment.type,
+      goal: assignment.goalId ? { goalId: assignment.goalId._id, title: assignment.goalId.title } : null,
+      dueDate: assignment.dueDate,
+      completed: assignment.completed,
+      ...computePracticeStats(assignment, logsByAssignment.get(assignment._id.toString()) || [], { tz: timezone, todayKey }),
+    })),
+  };
+};
+
+module.exports = {
+  toPracticeDate,
+  getTodayKey,
+  getPracticeWindow,
+  computePracticeStats,
+  buildCarryoverSummary,
+};
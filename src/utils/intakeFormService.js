@@ -0,0 +1,472 @@
+// Intake Form Service
+// Branching, answer validation and client profile mapping for versioned intake forms
+
+const dayjs = require('dayjs');
+const IntakeForm = require('../models/IntakeForm');
+
+const CLIENT_INTAKE_FORM_KEY = 'client-intake';
+
+const CHOICE_TYPES = ['select', 'multiselect'];
+const DEFAULT_TEXT_LENGTH = 500;
+const DEFAULT_TEXTAREA_LENGTH = 2000;
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+const PHONE_PATTERN = /^[0-9+()\-.\s]{7,20}$/;
+
+// Client profile fields a question may fill in on submission
+const MAPPABLE_FIELDS = [
+  'dateOfBirth',
+  'guardianName',
+  'guardianRelation',
+  'guardianEmail',
+  'emergencyContact.name',
+  'emergencyContact.phone',
+  'emergencyContact.relation',
+  'medicalHistory',
+  'intake.clientType',
+  'intake.primaryConcerns',
+  'intake.communicationConcerns',
+  'intake.stateOfResidence',
+  'intake.additionalNotes',
+  'intake.telehealthConsent.consented',
+  'intake.telehealthConsent.understandsTechnology',
+  'intake.telehealthConsent.understandsPrivacy',
+  'intake.telehealthConsent.understandsLimitations',
+  'intake.telehealthConsent.emergencyContactProvided',
+  'intake.telehealthConsent.consentSignature',
+  'intake.telehealthConsent.relationshipToClient',
+];
+
+// Version 1 of the client intake, matching the fields the fixed intake used to collect.
+// Seeded the first time a client opens the intake if admins have not published a form yet.
+const DEFAULT_INTAKE_FORM = {
+  key: CLIENT_INTAKE_FORM_KEY,
+  title: 'Client Intake',
+  description: 'Tell us about the person receiving therapy so we can match you with the right therapist.',
+  sections: [
+    {
+      id: 'about',
+      title: 'About the Client',
+      questions: [
+        {
+          id: 'clientType',
+          type: 'select',
+          label: 'Who is receiving therapy?',
+          required: true,
+          options: [
+            { value: 'child', label: 'A child' },
+            { value: 'adult', label: 'An adult' },
+          ],
+          mapsTo: 'intake.clientType',
+        },
+        {
+          id: 'stateOfResidence',
+          type: 'text',
+          label: 'State of residence',
+          helpText: 'Therapists can only treat clients in states where they are licensed.',
+          required: true,
+          mapsTo: 'intake.stateOfResidence',
+        },
+      ],
+    },
+    {
+      id: 'guardian',
+      title: 'Parent or Guardian',
+      showIf: [{ questionId: 'clientType', equals: 'child' }],
+      questions: [
+        { id: 'guardianName', type: 'text', label: 'Parent or guardian name', required: true, mapsTo: 'guardianName' },
+        {
+          id: 'guardianRelation',
+          type: 'select',
+          label: 'Relationship to the child',
+          required: true,
+          options: [
+            { value: 'parent', label: 'Parent' },
+            { value: 'guardian', label: 'Legal guardian' },
+            { value: 'other', label: 'Other caregiver' },
+          ],
+          mapsTo: 'guardianRelation',
+        },
+        { id: 'guardianEmail', type: 'email', label: 'Parent or guardian email', mapsTo: 'guardianEmail' },
+        { id: 'schoolGrade', type: 'text', label: 'School grade or childcare setting' },
+        { id: 'hasIep', type: 'boolean', label: 'Does the child have an IEP or 504 plan?' },
+      ],
+    },
+    {
+      id: 'concerns',
+      title: 'Concerns',
+      questions: [
+        {
+          id: 'concernAreas',
+          type: 'multiselect',
+          label: 'Which areas are you concerned about?',
+          required: true,
+          options: [
+            { value: 'articulation', label: 'Speech sounds' },
+            { value: 'language', label: 'Understanding or using language' },
+            { value: 'fluency', label: 'Stuttering' },
+            { value: 'voice', label: 'Voice' },
+            { value: 'swallowing', label: 'Feeding or swallowing' },
+            { value: 'social', label: 'Social communication' },
+            { value: 'other', label: 'Something else' },
+          ],
+        },
+        {
+          id: 'primaryConcerns',
+          type: 'textarea',
+          label: 'What are your main concerns and reasons for seeking services?',
+          required: true,
+          mapsTo: 'intake.primaryConcerns',
+        },
+        {
+          id: 'stutteringOnset',
+          type: 'text',
+          label: 'When did you first notice stuttering?',
+          showIf: [{ questionId: 'concernAreas', includes: 'fluency' }],
+        },
+        {
+          id: 'swallowingDetails',
+          type: 'textarea',
+          label: 'Describe any coughing, choking or diet changes during meals',
+          showIf: [{ questionId: 'concernAreas', includes: 'swallowing' }],
+        },
+        {
+          id: 'communicationConcerns',
+          type: 'textarea',
+          label: 'Anything else about how communication is going day to day?',
+          mapsTo: 'intake.communicationConcerns',
+        },
+      ],
+    },
+    {
+      id: 'consent',
+      title: 'Telehealth Consent',
+      questions: [
+        {
+          id: 'telehealthConsent',
+          type: 'consent',
+          label: 'I consent to receive speech therapy services through telehealth.',
+          required: true,
+          mapsTo: 'intake.telehealthConsent.consented',
+        },
+        {
+          id: 'understandsTechnology',
+          type: 'boolean',
+          label: 'I have a device with a camera, microphone and reliable internet.',
+          mapsTo: 'intake.telehealthConsent.understandsTechnology',
+        },
+        {
+          id: 'understandsPrivacy',
+          type: 'boolean',
+          label: 'I understand how my health information is kept private.',
+          mapsTo: 'intake.telehealthConsent.understandsPrivacy',
+        },
+        {
+          id: 'understandsLimitations',
+          type: 'boolean',
+          label: 'I understand the limitations of telehealth compared to in-person care.',
+          mapsTo: 'intake.telehealthConsent.understandsLimitations',
+        },
+        {
+          id: 'consentSignature',
+          type: 'text',
+          label: 'Full name of the person giving consent',
+          required: true,
+          mapsTo: 'intake.telehealthConsent.consentSignature',
+        },
+        {
+          id: 'additionalNotes',
+          type: 'textarea',
+          label: 'Anything else we should know?',
+          mapsTo: 'intake.additionalNotes',
+        },
+      ],
+    },
+  ],
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Check a showIf condition against the answers given so far
+ * @param {Object} condition - { questionId, equals | notEquals | in | includes }
+ * @param {Object} answers - Answers keyed by question id
+ * @returns {boolean}
+ */
+const isConditionMet = (condition, answers) => {
+  const value = answers[condition.questionId];
+
+  if (condition.equals !== undefined) return value === condition.equals;
+  if (condition.notEquals !== undefined) return value !== condition.notEquals;
+  if (condition.in?.length) return condition.in.includes(value);
+  if (condition.includes !== undefined) return Array.isArray(value) && value.includes(condition.includes);
+
+  // A bare condition only asks that the question was answered
+  return !isEmpty(value);
+};
+
+const isShown = (item, answers) => (item.showIf || []).every(condition => isConditionMet(condition, answers));
+
+/**
+ * Walk the form in order, yielding each question with whether the client is asked it.
+ * Conditions only reference earlier questions, so answers to hidden questions never
+ * affect what is shown after them.
+ * @param {Object} form - IntakeForm
+ * @param {Object} answers - Answers keyed by question id
+ * @returns {Array<{ section: Object, question: Object, visible: boolean }>}
+ */
+const walkForm = (form, answers) => {
+  const shownAnswers = {};
+  const entries = [];
+
+  for (const section of form.sections) {
+    const sectionVisible = isShown(section, shownAnswers);
+    for (const question of section.questions) {
+      const visible = sectionVisible && isShown(question, shownAnswers);
+      if (visible && answers[question.id] !== undefined) {
+        shownAnswers[question.id] = answers[question.id];
+      }
+      entries.push({ section, question, visible });
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Get the ids of the questions the client is currently asked
+ * @param {Object} form - IntakeForm
+ * @param {Object} answers - Answers keyed by question id
+ * @returns {string[]}
+ */
+const getVisibleQuestionIds = (form, answers = {}) => {
+  return walkForm(form, answers).filter(entry => entry.visible).map(entry => entry.question.id);
+};
+
+/**
+ * Normalize one answer to its question's type
+ * @param {Object} question - Question definition
+ * @param {*} value - Raw answer
+ * @returns {{ value: * } | { error: string }}
+ */
+const normalizeAnswer = (question, value) => {
+  const optionValues = (question.options || []).map(option => option.value);
+
+  switch (question.type) {
+    case 'text':
+    case 'textarea': {
+      if (typeof value !== 'string') return { error: 'must be text' };
+      const maxLength = question.maxLength
+        || (question.type === 'text' ? DEFAULT_TEXT_LENGTH : DEFAULT_TEXTAREA_LENGTH);
+      if (value.trim().length > maxLength) return { error: `must be at most ${maxLength} characters` };
+      return { value: value.trim() };
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (!Number.isFinite(number)) return { error: 'must be a number' };
+      if (question.min != null && number < question.min) return { error: `must be at least ${question.min}` };
+      if (question.max != null && number > question.max) return { error: `must be at most ${question.max}` };
+      return { value: number };
+    }
+    case 'date': {
+      const date = dayjs(value);
+      if (typeof value !== 'string' || !date.isValid()) return { error: 'must be a date (YYYY-MM-DD)' };
+      return { value: date.format('YYYY-MM-DD') };
+    }
+    case 'email':
+      if (typeof value !== 'string' || !EMAIL_PATTERN.test(value.trim())) return { error: 'must be an email address' };
+      return { value: value.trim().toLowerCase() };
+    case 'phone':
+      if (typeof value !== 'string' || !PHONE_PATTERN.test(value.trim())) return { error: 'must be a phone number' };
+      return { value: value.trim() };
+    case 'select':
+      if (!optionValues.includes(value)) return { error: `must be one of: ${optionValues.join(', ')}` };
+      return { value };
+    case 'multiselect': {
+      if (!Array.isArray(value) || value.some(entry => !optionValues.includes(entry))) {
+        return { error: `must be a list of: ${optionValues.join(', ')}` };
+      }
+      const selected = [...new Set(value)];
+      if (question.min != null && selected.length < question.min) return { error: `choose at least ${question.min}` };
+      if (question.max != null && selected.length > question.max) return { error: `choose at most ${question.max}` };
+      return { value: selected };
+    }
+    case 'boolean':
+    case 'consent':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: 'must be true or false' };
+    default:
+      return { error: `has an unsupported type "${question.type}"` };
+  }
+};
+
+/**
+ * Validate answers against a form version.
+ * Drafts (partial) only check the answers given and keep answers to hidden questions, so
+ * switching a branch back and forth does not lose work. Final submissions check required
+ * questions and drop answers to questions the client was not asked.
+ * @param {Object} form - IntakeForm
+ * @param {Object} answers - Answers keyed by question id
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Validate a saved draft rather than a submission
+ * @returns {{ answers: Object, errors: Array<{ questionId: string, message: string }> }}
+ */
+const validateAnswers = (form, answers, { partial = false } = {}) => {
+  const errors = [];
+  const cleaned = {};
+  const raw = answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : {};
+
+  const known = new Set(form.sections.flatMap(section => section.questions.map(question => question.id)));
+  for (const questionId of Object.keys(raw)) {
+    if (!known.has(questionId)) {
+      errors.push({ questionId, message: 'is not a question on this form' });
+    }
+  }
+
+  for (const { question, visible } of walkForm(form, raw)) {
+    const value = raw[question.id];
+
+    if (!visible && !partial) continue;
+
+    if (isEmpty(value)) {
+      if (visible && question.required && !partial) {
+        errors.push({ questionId: question.id, message: `"${question.label}" is required` });
+      }
+      continue;
+    }
+
+    const result = normalizeAnswer(question, value);
+    if (result.error) {
+      errors.push({ questionId: question.id, message: `"${question.label}" ${result.error}` });
+      continue;
+    }
+
+    if (question.type === 'consent' && question.required && result.value !== true && visible && !partial) {
+      errors.push({ questionId: question.id, message: `"${question.label}" must be accepted` });
+      continue;
+    }
+
+    cleaned[question.id] = result.value;
+  }
+
+  return { answers: cleaned, errors };
+};
+
+/**
+ * Check a form definition before it is published
+ * @param {Object} form - IntakeForm
+ * @returns {string[]} Problems found, empty when the form can be published
+ */
+const validateFormDefinition = (form) => {
+  const errors = [];
+  const sectionIds = new Set();
+  const questionsSoFar = new Map();
+
+  const checkConditions = (conditions, owner) => {
+    for (const condition of conditions || []) {
+      if (!questionsSoFar.has(condition.questionId)) {
+        errors.push(`${owner} depends on "${condition.questionId}", which must be an earlier question`);
+      }
+    }
+  };
+
+  if (!form.sections?.some(section => section.questions?.length)) {
+    errors.push('Form must have at least one question');
+  }
+
+  for (const section of form.sections || []) {
+    if (sectionIds.has(section.id)) errors.push(`Section id "${section.id}" is used more than once`);
+    sectionIds.add(section.id);
+    checkConditions(section.showIf, `Section "${section.id}"`);
+
+    for (const question of section.questions || []) {
+      if (questionsSoFar.has(question.id)) errors.push(`Question id "${question.id}" is used more than once`);
+      checkConditions(question.showIf, `Question "${question.id}"`);
+
+      if (CHOICE_TYPES.includes(question.type)) {
+        const values = (question.options || []).map(option => option.value);
+        if (values.length === 0) errors.push(`Question "${question.id}" needs at least one option`);
+        if (new Set(values).size !== values.length) errors.push(`Question "${question.id}" has duplicate options`);
+      }
+
+      if (question.mapsTo && !MAPPABLE_FIELDS.includes(question.mapsTo)) {
+        errors.push(`Question "${question.id}" maps to "${question.mapsTo}", which is not a client profile field intake can fill in`);
+      }
+
+      questionsSoFar.set(question.id, question);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Copy mapped answers onto the client profile and mark intake complete
+ * @param {Object} client - Client document (saved by the caller)
+ * @param {Object} form - IntakeForm the answers were given against
+ * @param {Object} answers - Validated answers keyed by question id
+ * @param {Date} [submittedAt]
+ */
+const applyAnswersToClient = (client, form, answers, submittedAt = new Date()) => {
+  for (const section of form.sections) {
+    for (const question of section.questions) {
+      if (!question.mapsTo || answers[question.id] === undefined) continue;
+      const value = answers[question.id];
+      // Legacy profile fields hold text, so lists of choices are stored comma-separated
+      client.set(question.mapsTo, Array.isArray(value) ? value.join(', ') : value);
+    }
+  }
+
+  if (client.intake?.telehealthConsent?.consented) {
+    client.set('intake.telehealthConsent.consentDate', submittedAt);
+  }
+  client.set('intake.intakeCompleted', true);
+  client.set('intake.completedAt', submittedAt);
+
+  // Also fill in the address state if the client has not given one
+  const state = client.intake?.stateOfResidence;
+  if (state && !client.address?.state) {
+    client.set('address.state', state);
+  }
+};
+
+/**
+ * Get the published version of a form, publishing the built-in client intake the first
+ * time it is needed
+ * @param {string} [key] - Form key
+ * @returns {Promise<Object|null>}
+ */
+const getPublishedForm = async (key = CLIENT_INTAKE_FORM_KEY) => {
+  const form = await IntakeForm.findOne({ key, status: 'published' });
+  if (form || key !== CLIENT_INTAKE_FORM_KEY) return form;
+
+  const hasVersions = await IntakeForm.exists({ key });
+  if (hasVersions) return null;
+
+  try {
+    const seeded = await IntakeForm.create({
+      ...DEFAULT_INTAKE_FORM,
+      version: 1,
+      status: 'published',
+      changeNotes: 'Built-in intake form',
+      publishedAt: new Date(),
+    });
+    console.log('📋 Published built-in client intake form');
+    return seeded;
+  } catch (error) {
+    // Another request seeded it first
+    if (error.code === 11000) return IntakeForm.findOne({ key, status: 'published' });
+    throw error;
+  }
+};
+
+module.exports = {
+  CLIENT_INTAKE_FORM_KEY,
+  DEFAULT_INTAKE_FORM,
+  getVisibleQuestionIds,
+  validateAnswers,
+  validateFormDefinition,
+  applyAnswersToClient,
+  getPublishedForm,
+};
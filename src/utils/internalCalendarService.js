@@ -4,6 +4,9 @@
 const CalendarEvent = require('../models/CalendarEvent');
 const Session = require('../models/Session');
 const User = require('../models/User');
+const { getSessionStart } = require('./schedulingService');
+const { resolveTimezone } = require('./timezoneService');
+const { getSessionClientLabel } = require('./groupSessionService');
 
 /**
  * Create calendar event from session
@@ -14,15 +17,7 @@ const User = require('../models/User');
 const createCalendarEventFromSession = async (session, userId) => {
   try {
     // Calculate session times
-    const sessionStart = new Date(session.scheduledDate);
-    const [hours, minutes] = session.scheduledTime.replace(/[APM]/gi, '').split(':').map(Number);
-    const isPM = session.scheduledTime.toUpperCase().includes('PM');
-    sessionStart.setHours(
-      isPM && hours !== 12 ? hours + 12 : hours === 12 && !isPM ? 0 : hours,
-      minutes || 0,
-      0,
-      0
-    );
+    const sessionStart = getSessionStart(session);
 
     const sessionEnd = new Date(sessionStart);
     sessionEnd.setMinutes(sessionEnd.getMinutes() + (session.duration || 45));
@@ -44,9 +39,7 @@ const createCalendarEventFromSession = async (session, userId) => {
     // Determine title and description based on user role
     let title, description;
     if (user.role === 'therapist') {
-      const clientName = populatedSession.clientId?.userId
-        ? `${populatedSession.clientId.userId.firstName} ${populatedSession.clientId.userId.lastName}`
-        : 'Client';
+      const clientName = getSessionClientLabel(populatedSession);
       title = `${session.sessionType || 'Therapy'} Session - ${clientName}`;
       description = `Therapy session with ${clientName}`;
     } else {
@@ -73,6 +66,7 @@ const createCalendarEventFromSession = async (session, userId) => {
       existingEvent.jitsiRoomName = session.jitsiRoomName;
       existingEvent.status = session.status;
       existingEvent.location = 'Online';
+      existingEvent.timezone = resolveTimezone(user.timezone);
       await existingEvent.save();
       return existingEvent;
     }
@@ -89,7 +83,7 @@ const createCalendarEventFromSession = async (session, userId) => {
       meetingLink: session.meetingLink || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/video-call?sessionId=${session._id}`,
       jitsiRoomName: session.jitsiRoomName,
       status: session.status,
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      timezone: resolveTimezone(user.timezone),
       reminders: [
         {
           type: 'email',
@@ -121,15 +115,7 @@ const updateCalendarEventFromSession = async (session) => {
     const events = await CalendarEvent.find({ sessionId: session._id });
 
     // Calculate new session times
-    const sessionStart = new Date(session.scheduledDate);
-    const [hours, minutes] = session.scheduledTime.replace(/[APM]/gi, '').split(':').map(Number);
-    const isPM = session.scheduledTime.toUpperCase().includes('PM');
-    sessionStart.setHours(
-      isPM && hours !== 12 ? hours + 12 : hours === 12 && !isPM ? 0 : hours,
-      minutes || 0,
-      0,
-      0
-    );
+    const sessionStart = getSessionStart(session);
 
     const sessionEnd = new Date(sessionStart);
     sessionEnd.setMinutes(sessionEnd.getMinutes() + (session.duration || 45));
@@ -158,9 +144,7 @@ const updateCalendarEventFromSession = async (session) => {
 
         const user = await User.findById(event.userId);
         if (user.role === 'therapist') {
-          const clientName = populatedSession.clientId?.userId
-            ? `${populatedSession.clientId.userId.firstName} ${populatedSession.clientId.userId.lastName}`
-            : 'Client';
+          const clientName = getSessionClientLabel(populatedSession);
           event.title = `${session.sessionType} Session - ${clientName}`;
         } else {
           const therapistName = populatedSession.therapistId?.userId
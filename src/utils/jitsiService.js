@@ -110,7 +110,7 @@ const generateSessionMeetingLink = (session, user) => {
   const roomName = generateJitsiRoomName(
     session._id.toString(),
     session.therapistId._id?.toString() || session.therapistId.toString(),
-    session.clientId._id?.toString() || session.clientId.toString()
+    session.isGroup ? 'group' : session.clientId._id?.toString() || session.clientId.toString()
   );
 
   const displayName = user
@@ -148,15 +148,13 @@ const generateJitsiExternalApiConfig = (session, user) => {
   const roomName = generateJitsiRoomName(
     session._id.toString(),
     session.therapistId._id?.toString() || session.therapistId.toString(),
-    session.clientId._id?.toString() || session.clientId.toString()
+    session.isGroup ? 'group' : session.clientId._id?.toString() || session.clientId.toString()
   );
 
   const displayName = user
     ? `${user.firstName} ${user.lastName}`
     : 'Guest';
 
-  const isModerator = user?.role === 'therapist';
-
   return {
     roomName,
     width: '100%',
@@ -193,7 +191,6 @@ const generateJitsiExternalApiConfig = (session, user) => {
       analytics: {
         disabled: true,
       },
-      disableDeepLinking: true,
       disableInviteFunctions: false,
       disableRemoteMute: true,
       disableThirdPartyRequests: true,
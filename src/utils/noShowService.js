@@ -0,0 +1,181 @@
+// No-Show Service
+// Marks sessions nobody started as no-shows and applies the credential-based fee
+
+const Session = require('../models/Session');
+const Therapist = require('../models/Therapist');
+const Payment = require('../models/Payment');
+const { getCancellationFee } = require('../controllers/pricingController');
+const { notifyUser } = require('./notificationService');
+const { getSessionStart } = require('./schedulingService');
+const { resolveTimezone, formatInTimezone } = require('./timezoneService');
+const { buildStatusEntry } = require('./sessionLifecycle');
+
+const DEFAULT_GRACE_MINUTES = 15;
+const DEFAULT_LOOKBACK_HOURS = 24;
+
+const getGraceMinutes = () => {
+  const grace = parseInt(process.env.NO_SHOW_GRACE_MINUTES);
+  return isNaN(grace) || grace < 0 ? DEFAULT_GRACE_MINUTES : grace;
+};
+
+// Sessions that started longer ago than this are left alone, so old sessions nobody closed
+// are never billed as no-shows in bulk (e.g. on the first run after deploying)
+const getLookbackHours = () => {
+  const hours = parseInt(process.env.NO_SHOW_LOOKBACK_HOURS);
+  return isNaN(hours) || hours <= 0 ? DEFAULT_LOOKBACK_HOURS : hours;
+};
+
+/**
+ * Recalculate the no-show count stored on a therapist profile. totalSessions is left to
+ * the session completion flow.
+ * @param {string} therapistId - Therapist ID
+ * @returns {Promise<Object|null>} Updated therapist
+ */
+const refreshNoShowCount = async (therapistId) => {
+  const noShowSessions = await Session.countDocuments({ therapistId, status: 'no-show' });
+
+  return Therapist.findByIdAndUpdate(
+    therapistId,
+    { noShowSessions },
+    { new: true }
+  );
+};
+
+/**
+ * Mark one session as a no-show, record the fee and notify both parties
+ * @param {Object} session - Session that was never started
+ * @param {Object} [actor] - Who marked it ({ user, role, reason }); defaults to the scheduled job
+ * @returns {Promise<Object|null>} Updated session, or null if it was already handled
+ */
+const markSessionNoShow = async (session, actor = {}) => {
+  const statusEntry = buildStatusEntry(session.status, 'no-show', {
+    ...actor,
+    reason: actor.reason || `Not started within ${getGraceMinutes()} minutes of the start time`,
+  });
+
+  // Only move sessions still waiting to start, so a late start or a parallel run is never overwritten
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, status: session.status, actualStartTime: { $exists: false } },
+    { status: 'no-show', $push: { statusHistory: statusEntry } },
+    { new: true }
+  )
+    .populate({
+      path: 'therapistId',
+      populate: { path: 'userId', select: 'firstName lastName timezone' }
+    })
+    .populate({
+      path: 'clientId',
+      populate: { path: 'userId', select: 'firstName lastName timezone' }
+    });
+
+  if (!updated) return null;
+
+  const therapist = updated.therapistId;
+  const credentialType = therapist.credentials || 'SLPA';
+  const noShowFee = getCancellationFee(credentialType);
+
+  updated.price = noShowFee;
+  updated.paymentStatus = 'pending'; // Will be processed separately
+  await updated.save();
+
+  await Payment.create({
+    sessionId: updated._id,
+    clientId: updated.clientId._id,
+    therapistId: therapist._id,
+    amount: noShowFee * 100, // Convert to cents
+    currency: 'USD',
+    paymentMethod: 'other',
+    status: 'pending',
+    metadata: {
+      type: 'no_show_fee',
+      credentialType,
+      reason: statusEntry.reason,
+    },
+  });
+
+  await refreshNoShowCount(therapist._id);
+
+  try {
+    const { updateCalendarEventFromSession } = require('./internalCalendarService');
+    await updateCalendarEventFromSession(updated);
+  } catch (error) {
+    console.error('Error updating calendar events:', error);
+  }
+
+  const start = getSessionStart(updated);
+  const participants = [
+    { user: therapist.userId, timezone: updated.therapistTimezone, isTherapist: true },
+    { user: updated.clientId.userId, timezone: updated.clientTimezone, isTherapist: false },
+  ];
+  for (const { user, timezone, isTherapist } of participants) {
+    if (!user) continue;
+    const local = formatInTimezone(start, resolveTimezone(timezone, user.timezone));
+    await notifyUser(user._id, {
+      type: 'session-no-show',
+      title: 'Session Marked as No-Show',
+      message: isTherapist
+        ? `Your session on ${local.displayDate} at ${local.time} ${local.abbreviation} has been marked as a no-show. A $${noShowFee} no-show fee has been recorded.`
+        : `Your session on ${local.displayDate} at ${local.time} ${local.abbreviation} has been marked as a no-show. A $${noShowFee} no-show fee applies. Contact your therapist if this is a mistake.`,
+      link: `/sessions/${updated._id}`,
+      metadata: { sessionId: updated._id, fee: noShowFee },
+    }, { email: true });
+  }
+
+  return updated;
+};
+
+/**
+ * Find sessions that nobody started within the grace period and mark them as no-shows.
+ * Only sessions that started within the last NO_SHOW_LOOKBACK_HOURS are considered.
+ * Group sessions are never marked: the no-show fee is per client, so the therapist records
+ * each client's attendance with PUT /api/sessions/:id/participants/:clientId instead.
+ * @returns {Promise<number>} Number of sessions marked
+ */
+const detectNoShows = async () => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - getGraceMinutes() * 60 * 1000);
+  const earliest = new Date(now.getTime() - getLookbackHours() * 60 * 60 * 1000);
+
+  // scheduledDate is the therapist's local date, so widen by a day either side for sessions
+  // without startsAt; the exact start is checked below
+  const legacyCutoff = new Date(cutoff);
+  legacyCutoff.setUTCDate(legacyCutoff.getUTCDate() + 1);
+  const legacyEarliest = new Date(earliest);
+  legacyEarliest.setUTCDate(legacyEarliest.getUTCDate() - 1);
+
+  // Group sessions record attendance per client instead (see above)
+  const candidates = await Session.find({
+    status: { $in: ['scheduled', 'confirmed'] },
+    isGroup: { $ne: true },
+    actualStartTime: { $exists: false },
+    $or: [
+      { startsAt: { $gte: earliest, $lte: cutoff } },
+      { startsAt: { $exists: false }, scheduledDate: { $gte: legacyEarliest, $lte: legacyCutoff } },
+    ],
+  });
+
+  let marked = 0;
+  for (const session of candidates) {
+    const start = getSessionStart(session);
+    if (!start || start > cutoff || start < earliest) continue;
+
+    try {
+      if (await markSessionNoShow(session)) {
+        marked++;
+      }
+    } catch (error) {
+      console.error(`Error marking session ${session._id} as no-show:`, error);
+    }
+  }
+
+  if (marked > 0) {
+    console.log(`🚫 Marked ${marked} session(s) as no-show`);
+  }
+  return marked;
+};
+
+module.exports = {
+  refreshNoShowCount,
+  markSessionNoShow,
+  detectNoShows,
+};
@@ -0,0 +1,62 @@
+// Notification Service
+// Stores in-app notifications and delivers them over Socket.io and email
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendEmail } = require('./emailService');
+
+/**
+ * Create an in-app notification for a user and push it to their open sockets
+ * @param {string} userId - User ID to notify
+ * @param {Object} notification - Notification content
+ * @param {string} notification.type - Notification type (see Notification model)
+ * @param {string} notification.title - Short title
+ * @param {string} notification.message - Notification body
+ * @param {string} [notification.link] - Frontend path to open
+ * @param {Object} [notification.metadata] - Extra data for the client
+ * @param {Object} [options] - Delivery options
+ * @param {boolean} [options.email=false] - Also send the notification by email
+ * @returns {Promise<Object|null>} Created notification, or null if delivery failed
+ */
+const notifyUser = async (userId, { type = 'general', title, message, link, metadata }, { email = false } = {}) => {
+  try {
+    const notification = await Notification.create({
+      userId,
+      type,
+      title,
+      message,
+      link,
+      metadata,
+    });
+
+    const { emitToUser } = require('../config/socket');
+    emitToUser(userId.toString(), 'notification', notification);
+
+    if (email) {
+      const user = await User.findById(userId).select('email firstName');
+      if (user?.email) {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        await sendEmail({
+          to: user.email,
+          subject: `${title} - Rooted Voices`,
+          html: `
+            <h2>${title}</h2>
+            <p>Hi ${user.firstName},</p>
+            <p>${message}</p>
+            ${link ? `<p><a href="${frontendUrl}${link}">View details</a></p>` : ''}
+          `,
+        });
+      }
+    }
+
+    return notification;
+  } catch (error) {
+    // Notifications should never break the request that triggered them
+    console.error('Error sending notification:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  notifyUser,
+};
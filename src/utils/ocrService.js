@@ -2,7 +2,6 @@
 // Uses Tesseract.js for client-side OCR or can integrate with cloud OCR APIs
 
 const Tesseract = require('tesseract.js');
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 
@@ -100,7 +99,6 @@ const extractTextWithOCR = async (filePath, mimeType, pdfType = null) => {
     ];
 
     let imagesToProcess = [filePath];
-    let extractedText = '';
 
     // Handle PDF files
     if (mimeType === 'application/pdf') {
@@ -0,0 +1,133 @@
+// PDF Service
+// Minimal text-only PDF writer for exported documents, using the PDF standard Helvetica fonts
+
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+
+const STYLES = {
+  title: { font: 'F2', size: 18, leading: 26, spaceAfter: 6 },
+  heading: { font: 'F2', size: 13, leading: 18, spaceBefore: 10, spaceAfter: 2 },
+  subheading: { font: 'F2', size: 10.5, leading: 14, spaceBefore: 4 },
+  body: { font: 'F1', size: 10.5, leading: 14 },
+  muted: { font: 'F1', size: 9, leading: 12 },
+};
+
+// Characters outside WinAnsi that commonly come from pasted text
+const CHARACTER_REPLACEMENTS = {
+  '\u2018': '\'', '\u2019': '\'', '\u201C': '"', '\u201D': '"',
+  '\u2013': '-', '\u2014': '-', '\u2026': '...', '\u2022': '-', '\u00A0': ' ',
+};
+
+const toPdfText = (text) => {
+  return String(text)
+    .replace(/[\u2018\u2019\u201C\u201D\u2013\u2014\u2026\u2022\u00A0]/g, char => CHARACTER_REPLACEMENTS[char])
+    .replace(/[^\x20-\xFF]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+};
+
+// Helvetica averages about half an em per character, which is close enough to wrap on
+const wrapLine = (line, size) => {
+  const maxChars = Math.floor((PAGE_WIDTH - MARGIN * 2) / (size * 0.5));
+  const lines = [];
+  let current = '';
+
+  for (const word of line.split(/\s+/).filter(Boolean)) {
+    if (current && current.length + word.length + 1 > maxChars) {
+      lines.push(current);
+      current = '';
+    }
+    // Break words that are longer than a whole line
+    let remaining = word;
+    while (remaining.length > maxChars) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(remaining.slice(0, maxChars));
+      remaining = remaining.slice(maxChars);
+    }
+    current = current ? `${current} ${remaining}` : remaining;
+  }
+
+  lines.push(current);
+  return lines;
+};
+
+// Lay the blocks out into pages of positioned lines
+const layoutPages = (blocks) => {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const block of blocks) {
+    const style = STYLES[block.style] || STYLES.body;
+    y -= style.spaceBefore || 0;
+
+    const lines = String(block.text ?? '').split('\n').flatMap(line => wrapLine(line, style.size));
+    for (const line of lines) {
+      if (y - style.leading < MARGIN + 20) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= style.leading;
+      pages[pages.length - 1].push({ text: line, style, y });
+    }
+
+    y -= style.spaceAfter ?? 4;
+  }
+
+  return pages;
+};
+
+/**
+ * Build a PDF document from blocks of text
+ * @param {Array<{ text: string, style?: string }>} blocks - Paragraphs in order; style is title, heading, subheading, body or muted
+ * @param {Object} [options] - { title } stored in the document info
+ * @returns {Buffer} PDF file contents
+ */
+const createTextPdf = (blocks, { title } = {}) => {
+  const pages = layoutPages(blocks);
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title (${toPdfText(title || 'Document')}) /Producer (Rooted Voices) >>`);
+
+  const pageIds = pages.map((lines, index) => {
+    const commands = lines.map(({ text, style, y }) =>
+      `BT /${style.font} ${style.size} Tf ${MARGIN} ${y.toFixed(2)} Td (${toPdfText(text)}) Tj ET`
+    );
+    commands.push(`BT /F1 8 Tf ${PAGE_WIDTH - MARGIN - 60} ${MARGIN - 10} Td (Page ${index + 1} of ${pages.length}) Tj ET`);
+    const stream = commands.join('\n');
+
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+  createTextPdf,
+};
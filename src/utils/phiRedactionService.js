@@ -0,0 +1,322 @@
+// PHI Redaction Service
+// Replaces protected health information with placeholders before text goes to an external AI
+// provider, and puts the original values back into the answer
+
+const Client = require('../models/Client');
+const PhiRedactionLog = require('../models/PhiRedactionLog');
+
+const PHI_CATEGORIES = ['name', 'dob', 'date', 'phone', 'email', 'address', 'ssn', 'id-number'];
+
+// AI features that can be configured separately (see AI_REDACTION_<FEATURE>)
+const AI_FEATURES = ['translation', 'document-analysis', 'soap-notes', 'resource-search'];
+
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+const DATE = `(?:\\d{4}-\\d{2}-\\d{2}|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}\\s+(?:${MONTHS})\\.?,?\\s+\\d{4})`;
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Highway|Hwy|Parkway|Pkwy';
+const NAME = "[A-Z][a-z'’-]+";
+
+// Pattern rules, most specific first. With group set, only that capture group is replaced
+// (e.g. the date after "DOB:"), so the label stays readable to the model.
+const REDACTION_RULES = [
+  { category: 'email', pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi },
+  { category: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  {
+    category: 'id-number',
+    pattern: /\b(?:MRN|medical record(?: number| no\.?)?|medicaid(?: id| number)?|member id|policy(?: number| no\.?)?|patient id|insurance id)\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,})/gi,
+    group: 1,
+  },
+  { category: 'dob', pattern: new RegExp(`\\b(?:DOB|D\\.O\\.B\\.?|date of birth|birth ?date|born(?: on)?)\\s*[:-]?\\s*(${DATE})`, 'gi'), group: 1 },
+  { category: 'phone', pattern: /(?:\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g },
+  { category: 'date', pattern: new RegExp(`\\b${DATE}\\b`, 'gi') },
+  {
+    category: 'address',
+    pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Z][A-Za-z0-9]*\\.?\\s+){1,4}(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s+(?:Apt|Unit|Suite|#)\\.?\\s*[A-Za-z0-9-]+)?`, 'g'),
+  },
+  { category: 'name', pattern: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Mx)\\.?\\s+(${NAME}(?:\\s+${NAME})?)`, 'g'), group: 1 },
+  {
+    category: 'name',
+    pattern: new RegExp(`\\b(?:[Pp]atient|[Cc]lient|[Ss]tudent|[Cc]hild|[Gg]uardian|[Pp]arent|[Mm]other|[Ff]ather|[Nn]ame)(?: [Nn]ame)?\\s*:\\s*(${NAME}(?:\\s+${NAME}){0,2})`, 'g'),
+    group: 1,
+  },
+];
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[?\\b((?:${PHI_CATEGORIES.map(category => category.toUpperCase().replace('-', '_')).join('|')})_\\d+)\\b\\]?`, 'g');
+
+// Told to the model whenever a prompt contains placeholders
+const PLACEHOLDER_INSTRUCTION = 'Some personal details have been replaced with placeholders such as [NAME_1] or [DATE_2]. Keep every placeholder exactly as written and do not guess what it stands for.';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Only walk into plain objects; ObjectIds, Dates and documents are left as they are
+const isPlainObject = (value) => !!value && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Redaction settings for an AI feature. AI_REDACTION=false turns redaction off everywhere;
+ * AI_REDACTION_<FEATURE> (e.g. AI_REDACTION_SOAP_NOTES) is true, false, or a comma-separated
+ * list of the categories to redact for that feature.
+ * @param {string} feature - One of AI_FEATURES
+ * @returns {{ enabled: boolean, categories: string[] }}
+ */
+const getRedactionConfig = (feature) => {
+  if ((process.env.AI_REDACTION || '').trim().toLowerCase() === 'false') {
+    return { enabled: false, categories: [] };
+  }
+
+  const setting = (process.env[`AI_REDACTION_${String(feature).toUpperCase().replace(/-/g, '_')}`] || '').trim().toLowerCase();
+  if (setting === 'false' || setting === 'off') {
+    return { enabled: false, categories: [] };
+  }
+  if (!setting || setting === 'true' || setting === 'on') {
+    return { enabled: true, categories: PHI_CATEGORIES };
+  }
+
+  const categories = setting.split(',').map(category => category.trim()).filter(category => PHI_CATEGORIES.includes(category));
+  return { enabled: categories.length > 0, categories };
+};
+
+// Forms a date of birth may be written in
+const formatDateVariants = (date) => {
+  const value = new Date(date);
+  if (isNaN(value.getTime())) return [];
+
+  const year = value.getUTCFullYear();
+  const month = value.getUTCMonth() + 1;
+  const day = value.getUTCDate();
+  const monthName = value.toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
+  const pad = number => String(number).padStart(2, '0');
+
+  return [
+    `${year}-${pad(month)}-${pad(day)}`,
+    `${month}/${day}/${year}`,
+    `${pad(month)}/${pad(day)}/${year}`,
+    `${monthName} ${day}, ${year}`,
+    `${day} ${monthName} ${year}`,
+  ];
+};
+
+// Full names first, then each part of them
+const nameVariants = (...names) => {
+  const full = names.filter(Boolean).map(name => String(name).trim()).filter(Boolean);
+  const parts = full.flatMap(name => name.split(/\s+/)).filter(part => part.length >= 2);
+  return [...full, ...parts];
+};
+
+/**
+ * Known identifying values for clients: their names, guardian and emergency contact names,
+ * address, phone numbers, emails and date of birth
+ * @param {Array} clientIds - Client IDs
+ * @returns {Promise<Array>} [{ category, value }]
+ */
+const getClientIdentifiers = async (clientIds) => {
+  const ids = (clientIds || []).filter(Boolean);
+  if (ids.length === 0) return [];
+
+  const clients = await Client.find({ _id: { $in: ids } })
+    .populate('userId', 'firstName lastName email phone');
+
+  return clients.flatMap(client => {
+    const user = client.userId || {};
+    return [
+      ...nameVariants(
+        user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : null,
+        user.firstName,
+        user.lastName,
+        client.guardianName,
+        client.emergencyContact?.name
+      ).map(value => ({ category: 'name', value })),
+      ...formatDateVariants(client.dateOfBirth).map(value => ({ category: 'dob', value })),
+      ...[user.phone, client.emergencyContact?.phone].filter(Boolean).map(value => ({ category: 'phone', value })),
+      ...[user.email, client.guardianEmail].filter(Boolean).map(value => ({ category: 'email', value })),
+      ...[client.address?.street, client.address?.city, client.address?.zipCode].filter(Boolean).map(value => ({ category: 'address', value })),
+    ];
+  });
+};
+
+/**
+ * Create a redactor for one AI request. The same value always gets the same placeholder, so
+ * the model can still tell people apart.
+ * @param {Object} [options]
+ * @param {string[]} [options.categories] - Categories to redact (default all)
+ * @param {Array} [options.identifiers] - Known values [{ category, value }], e.g. from getClientIdentifiers
+ * @returns {Object} { redact, restore, redactions, counts }
+ */
+const createRedactor = ({ categories = PHI_CATEGORIES, identifiers = [] } = {}) => {
+  const placeholders = new Map(); // placeholder -> { category, source, value }
+  const byValue = new Map(); // category + value -> placeholder
+  const counters = {};
+
+  const placeholderFor = (category, value, source) => {
+    const key = `${category}:${value.toLowerCase()}`;
+    if (byValue.has(key)) return byValue.get(key);
+
+    counters[category] = (counters[category] || 0) + 1;
+    const placeholder = `[${category.toUpperCase().replace('-', '_')}_${counters[category]}]`;
+    byValue.set(key, placeholder);
+    placeholders.set(placeholder, { category, source, value });
+    return placeholder;
+  };
+
+  // Names only match when capitalized (or all caps), so a client called Will or May
+  // doesn't blank out every "will" and "may"
+  const knownPatterns = identifiers
+    .filter(({ category, value }) => categories.includes(category) && String(value).trim().length >= 2)
+    .sort((a, b) => String(b.value).length - String(a.value).length)
+    .map(({ category, value }) => {
+      const text = String(value).trim();
+      const forms = category === 'name'
+        ? [...new Set([text.charAt(0).toUpperCase() + text.slice(1), text.toUpperCase()])]
+        : [text];
+      const source = forms.map(form => escapeRegex(form).replace(/\s+/g, '\\s+')).join('|');
+      return {
+        category,
+        pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${source})(?![\\p{L}\\p{N}])`, category === 'name' ? 'gu' : 'giu'),
+      };
+    });
+
+  const rules = REDACTION_RULES.filter(rule => categories.includes(rule.category));
+
+  /**
+   * @param {string} text
+   * @returns {string} Text with PHI replaced by placeholders
+   */
+  const redact = (text) => {
+    if (typeof text !== 'string' || !text) return text;
+
+    let result = text;
+    for (const { category, pattern } of knownPatterns) {
+      result = result.replace(pattern, match => placeholderFor(category, match, 'client-record'));
+    }
+    for (const { category, pattern, group } of rules) {
+      result = result.replace(pattern, (match, ...captures) => {
+        const value = group ? captures[group - 1] : match;
+        if (!value) return match;
+        const placeholder = placeholderFor(category, value, 'rule');
+        return group ? match.replace(value, placeholder) : placeholder;
+      });
+    }
+    return result;
+  };
+
+  let restoredCount = 0;
+
+  /**
+   * Put the original values back in an answer (strings, arrays and objects)
+   * @param {*} value
+   * @returns {*}
+   */
+  const restore = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER_PATTERN, (match, key) => {
+        const entry = placeholders.get(`[${key}]`);
+        if (!entry) return match;
+        restoredCount++;
+        return entry.value;
+      });
+    }
+    if (Array.isArray(value)) return value.map(restore);
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, restore(entry)]));
+    }
+    return value;
+  };
+
+  // Redact strings anywhere inside a prompt variable
+  const redactValue = (value) => {
+    if (typeof value === 'string') return redact(value);
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redactValue(entry)]));
+    }
+    return value;
+  };
+
+  return {
+    redact,
+    redactValue,
+    restore,
+    get size() {
+      return placeholders.size;
+    },
+    get restoredCount() {
+      return restoredCount;
+    },
+    // What was redacted, without the original values
+    get redactions() {
+      return [...placeholders.entries()].map(([placeholder, { category, source }]) => ({ placeholder, category, source }));
+    },
+    get counts() {
+      return [...placeholders.values()].reduce((counts, { category }) => ({ ...counts, [category]: (counts[category] || 0) + 1 }), {});
+    },
+  };
+};
+
+/**
+ * Redact the free-text variables of a prompt for a feature
+ * @param {Object} params
+ * @param {string} params.feature - AI feature, see getRedactionConfig
+ * @param {string[]} params.fields - Variables holding free text
+ * @param {Object} params.variables - Prompt variables
+ * @param {Object} [params.phi] - { clientId, clientIds, identifiers } to also catch known client values
+ * @returns {Promise<Object>} { variables, redactor, clientIds }; redactor is null when redaction is off
+ */
+const redactPromptVariables = async ({ feature, fields = [], variables, phi = {} }) => {
+  const config = getRedactionConfig(feature);
+  if (!config.enabled || fields.length === 0) {
+    return { variables, redactor: null, clientIds: [] };
+  }
+
+  const clientIds = [...(phi.clientIds || []), phi.clientId].filter(Boolean);
+  let identifiers = phi.identifiers || [];
+  try {
+    identifiers = [...identifiers, ...(await getClientIdentifiers(clientIds))];
+  } catch (error) {
+    // The pattern rules still apply without the client's own details
+    console.error('Failed to load client identifiers for PHI redaction:', error.message || error);
+  }
+  const redactor = createRedactor({ categories: config.categories, identifiers });
+
+  const redacted = { ...variables };
+  fields.forEach(field => {
+    if (redacted[field] !== undefined) {
+      redacted[field] = redactor.redactValue(redacted[field]);
+    }
+  });
+
+  return { variables: redacted, redactor, clientIds };
+};
+
+/**
+ * Keep an audit record of a redacted request. Never throws; a failed write is only logged.
+ * @param {Object} params - { feature, template, provider, model, clientIds, redactor, outcome }
+ */
+const recordRedaction = async ({ feature, template, provider, model, clientIds = [], redactor, outcome = 'success' }) => {
+  if (!redactor || redactor.size === 0) return;
+
+  try {
+    await PhiRedactionLog.create({
+      feature,
+      template,
+      provider,
+      model,
+      clientIds,
+      redactions: redactor.redactions,
+      counts: redactor.counts,
+      total: redactor.size,
+      restored: redactor.restoredCount,
+      outcome,
+    });
+  } catch (error) {
+    console.error('Failed to record PHI redaction:', error.message || error);
+  }
+};
+
+module.exports = {
+  PHI_CATEGORIES,
+  AI_FEATURES,
+  PLACEHOLDER_INSTRUCTION,
+  getRedactionConfig,
+  getClientIdentifiers,
+  createRedactor,
+  redactPromptVariables,
+  recordRedaction,
+};
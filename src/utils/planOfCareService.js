@@ -0,0 +1,190 @@
+// Plan of Care Service
+// Active plan lookup, booking checks against the plan's dates and frequency, and expiry warnings
+
+const dayjs = require('dayjs');
+const PlanOfCare = require('../models/PlanOfCare');
+const Session = require('../models/Session');
+const Client = require('../models/Client');
+const Therapist = require('../models/Therapist');
+const { notifyUser } = require('./notificationService');
+const { clientSessionFilter } = require('./groupSessionService');
+const { QUOTA_SESSION_STATUSES } = require('./subscriptionQuotaService');
+
+const PLAN_OF_CARE_POLICIES = ['warn', 'block'];
+const DEFAULT_PLAN_OF_CARE_POLICY = 'warn';
+const DEFAULT_WARNING_DAYS = 14;
+
+const getPlanOfCarePolicy = () => {
+  const policy = process.env.PLAN_OF_CARE_POLICY;
+  return PLAN_OF_CARE_POLICIES.includes(policy) ? policy : DEFAULT_PLAN_OF_CARE_POLICY;
+};
+
+const getWarningDays = () => {
+  const days = parseInt(process.env.PLAN_OF_CARE_WARNING_DAYS);
+  return isNaN(days) || days < 1 ? DEFAULT_WARNING_DAYS : days;
+};
+
+/**
+ * Get the client's signed plan of care covering a date
+ * @param {string} clientId - Client ID
+ * @param {Date} [at] - Date the plan must cover (defaults to now)
+ * @returns {Promise<Object|null>}
+ */
+const getActivePlan = (clientId, at = new Date()) => {
+  return PlanOfCare.findOne({
+    clientId,
+    status: 'active',
+    startDate: { $lte: at },
+    endDate: { $gte: at },
+  }).sort({ startDate: -1 });
+};
+
+/**
+ * Check proposed session dates against the client's plan of care: each must fall inside an
+ * active plan, and the booked sessions in its week (or month) must stay within the plan's frequency
+ * @param {string} clientId - Client ID
+ * @param {Date[]} dates - Proposed session dates
+ * @returns {Promise<Object>} { policy, plan, issues } where issues lists { index, date, reason, message }
+ */
+const checkSessionsAgainstPlan = async (clientId, dates) => {
+  const policy = getPlanOfCarePolicy();
+  const plans = await PlanOfCare.find({ clientId, status: 'active' }).sort({ startDate: -1 });
+  const issues = [];
+  // Sessions already counted against each week/month, including earlier dates in this booking
+  const booked = new Map();
+
+  for (const [index, value] of dates.entries()) {
+    const date = new Date(value);
+    const plan = plans.find(candidate => candidate.startDate <= date && candidate.endDate >= date);
+
+    if (!plan) {
+      const reason = plans.length > 0 ? 'outside-plan-dates' : 'no-active-plan';
+      issues.push({
+        index,
+        date,
+        reason,
+        message: reason === 'no-active-plan'
+          ? 'Client has no active plan of care'
+          : 'Session falls outside the dates of the client\'s plan of care',
+      });
+      continue;
+    }
+
+    const unit = plan.frequency.per;
+    const periodStart = dayjs(date).startOf(unit).toDate();
+    const key = `${plan._id}:${periodStart.getTime()}`;
+
+    if (!booked.has(key)) {
+      booked.set(key, await Session.countDocuments({
+        ...clientSessionFilter(clientId),
+        scheduledDate: { $gte: periodStart, $lte: dayjs(date).endOf(unit).toDate() },
+        status: { $in: QUOTA_SESSION_STATUSES },
+      }));
+    }
+
+    const count = booked.get(key) + 1;
+    booked.set(key, count);
+
+    if (count > plan.frequency.sessions) {
+      issues.push({
+        index,
+        date,
+        reason: 'frequency-exceeded',
+        planId: plan._id,
+        message: `Plan of care allows ${plan.frequency.sessions} session(s) per ${unit}; this would be session ${count}`,
+      });
+    }
+  }
+
+  const plan = plans.find(candidate => candidate.startDate <= new Date(dates[0]) && candidate.endDate >= new Date(dates[0]));
+  return { policy, plan: plan || null, issues };
+};
+
+/**
+ * Diagnosis and procedure codes to bill a session under
+ * @param {Object} plan - PlanOfCare document
+ * @returns {{ diagnosisCodes: string[], procedureCodes: string[] }} Primary diagnosis first
+ */
+const getPlanBillingCodes = (plan) => {
+  const diagnoses = [...plan.diagnoses].sort((a, b) => Number(b.primary) - Number(a.primary));
+  return {
+    diagnosisCodes: diagnoses.map(diagnosis => diagnosis.code),
+    procedureCodes: plan.procedures.map(procedure => procedure.code),
+  };
+};
+
+/**
+ * Expire plans past their end date and warn the therapist and client when an active
+ * plan ends within PLAN_OF_CARE_WARNING_DAYS. Each plan is warned about once.
+ * @returns {Promise<Object>} { expired, warned }
+ */
+const processPlanOfCareExpiry = async () => {
+  try {
+    const now = new Date();
+
+    const { modifiedCount: expired } = await PlanOfCare.updateMany(
+      { status: 'active', endDate: { $lt: now } },
+      { $set: { status: 'expired' } }
+    );
+
+    const expiring = await PlanOfCare.find({
+      status: 'active',
+      endDate: { $gte: now, $lte: dayjs(now).add(getWarningDays(), 'day').toDate() },
+      expiryWarningSentAt: { $exists: false },
+    });
+
+    let warned = 0;
+    for (const plan of expiring) {
+      // A renewal already in the works doesn't need a warning
+      const renewal = await PlanOfCare.exists({ previousPlanId: plan._id, status: { $in: ['draft', 'active'] } });
+      if (!renewal) {
+        const [client, therapist] = await Promise.all([
+          Client.findById(plan.clientId).populate('userId', 'firstName lastName'),
+          Therapist.findById(plan.therapistId).select('userId'),
+        ]);
+        const endDate = dayjs(plan.endDate).format('MMM D, YYYY');
+        const metadata = { alert: 'plan-of-care-expiring', planOfCareId: plan._id, endDate: plan.endDate };
+
+        if (therapist) {
+          await notifyUser(therapist.userId, {
+            type: 'general',
+            title: 'Plan of Care Expiring',
+            message: `The plan of care for ${client?.userId ? `${client.userId.firstName} ${client.userId.lastName}` : 'your client'} ends on ${endDate}. Renew it to keep booking sessions under the plan.`,
+            link: `/clients/${plan.clientId}/plans-of-care/${plan._id}`,
+            metadata,
+          }, { email: true });
+        }
+
+        if (client?.userId) {
+          await notifyUser(client.userId._id, {
+            type: 'general',
+            title: 'Plan of Care Ending Soon',
+            message: `Your current plan of care ends on ${endDate}. Your therapist will review it with you for renewal.`,
+            link: `/plans-of-care/${plan._id}`,
+            metadata,
+          });
+        }
+        warned++;
+      }
+
+      plan.expiryWarningSentAt = now;
+      await plan.save();
+    }
+
+    if (expired > 0 || warned > 0) {
+      console.log(`📋 Plans of care: ${expired} expired, ${warned} expiry warning(s) sent`);
+    }
+    return { expired, warned };
+  } catch (error) {
+    console.error('Error processing plan of care expiry:', error);
+    return { expired: 0, warned: 0 };
+  }
+};
+
+module.exports = {
+  getPlanOfCarePolicy,
+  getActivePlan,
+  checkSessionsAgainstPlan,
+  getPlanBillingCodes,
+  processPlanOfCareExpiry,
+};
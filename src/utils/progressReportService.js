@@ -0,0 +1,315 @@
+// Progress Report Service
+// Compiles a client's sessions, SOAP notes, goal data and home practice for a period
+// and renders finished reports as HTML and PDF
+
+const dayjs = require('dayjs');
+const Session = require('../models/Session');
+const Goal = require('../models/Goal');
+const Assignment = require('../models/Assignment');
+const { clientSessionFilter, findParticipant } = require('./groupSessionService');
+const { buildGoalTimeSeries } = require('./goalProgressService');
+const { createTextPdf } = require('./pdfService');
+
+const SOAP_SUMMARY_LENGTH = 400;
+
+// Group attendance values that mean the client was in the room
+const ATTENDED_MARKS = ['present', 'late'];
+const MISSED_MARKS = ['absent', 'no-show'];
+
+const toPercent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+const formatDate = (date) => (date ? dayjs(date).format('MMM D, YYYY') : '');
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Default report period: the previous calendar month
+ * @param {Date} [at] - Reference date (defaults to now)
+ * @returns {{ periodStart: Date, periodEnd: Date }}
+ */
+const getDefaultReportPeriod = (at = new Date()) => {
+  const previousMonth = dayjs(at).subtract(1, 'month');
+  return {
+    periodStart: previousMonth.startOf('month').toDate(),
+    periodEnd: previousMonth.endOf('month').toDate(),
+  };
+};
+
+// Condense a SOAP note to its assessment and plan
+const summarizeSoapNote = (soapNote) => {
+  const text = [soapNote?.assessment, soapNote?.plan].filter(Boolean).join(' ').trim();
+  return text.length > SOAP_SUMMARY_LENGTH ? `${text.slice(0, SOAP_SUMMARY_LENGTH - 3)}...` : text;
+};
+
+// Work out how a session counted for this client: attended, missed, cancelled or still upcoming
+const getClientOutcome = (session, clientId) => {
+  if (session.status === 'cancelled') return 'cancelled';
+
+  if (session.isGroup) {
+    const participant = findParticipant(session, clientId);
+    if (ATTENDED_MARKS.includes(participant.attendance)) return 'attended';
+    if (MISSED_MARKS.includes(participant.attendance)) return 'no-show';
+    if (participant.attendance === 'excused') return 'cancelled';
+  } else if (session.status === 'no-show') {
+    return 'no-show';
+  }
+
+  return session.status === 'completed' ? 'attended' : 'upcoming';
+};
+
+const compileAttendance = async (clientId, periodStart, periodEnd) => {
+  const sessions = await Session.find({
+    ...clientSessionFilter(clientId),
+    scheduledDate: { $gte: periodStart, $lte: periodEnd },
+    status: { $ne: 'rescheduled' },
+  }).sort({ scheduledDate: 1 });
+
+  const attendance = { scheduled: sessions.length, attended: 0, cancelled: 0, noShow: 0 };
+  const attendedSessions = [];
+
+  for (const session of sessions) {
+    const outcome = getClientOutcome(session, clientId);
+    if (outcome === 'cancelled') attendance.cancelled++;
+    if (outcome === 'no-show') attendance.noShow++;
+    if (outcome !== 'attended') continue;
+
+    attendance.attended++;
+    const soapNote = session.isGroup ? findParticipant(session, clientId).soapNote : session.soapNote;
+    attendedSessions.push({
+      sessionId: session._id,
+      date: session.startsAt || session.scheduledDate,
+      isGroup: !!session.isGroup,
+      status: session.status,
+      soapSummary: summarizeSoapNote(soapNote),
+    });
+  }
+
+  attendance.attendanceRate = toPercent(attendance.attended, attendance.attended + attendance.noShow);
+  return { attendance, sessions: attendedSessions };
+};
+
+const compileGoals = async (clientId, periodStart, periodEnd) => {
+  const goals = await Goal.find({ clientId, createdAt: { $lte: periodEnd } }).sort({ createdAt: 1 });
+
+  // Leave out goals that were already closed before the period began
+  const relevantGoals = goals.filter(goal => {
+    if (!['completed', 'discontinued'].includes(goal.status)) return true;
+    const closedAt = goal.completedAt || goal.statusHistory[goal.statusHistory.length - 1]?.changedAt;
+    return !closedAt || closedAt >= periodStart;
+  });
+
+  return Promise.all(relevantGoals.map(async (goal) => {
+    const series = await buildGoalTimeSeries(goal._id);
+    const periodSeries = series.filter(point => point.date >= periodStart && point.date <= periodEnd);
+    const latest = periodSeries[periodSeries.length - 1];
+
+    const baselineAccuracy = typeof goal.baselineAccuracy === 'number'
+      ? goal.baselineAccuracy
+      : series[0]?.accuracy ?? null;
+    const correct = periodSeries.reduce((sum, point) => sum + point.correct, 0);
+    const total = periodSeries.reduce((sum, point) => sum + point.total, 0);
+
+    return {
+      goalId: goal._id,
+      title: goal.title,
+      category: goal.category,
+      status: goal.status,
+      progress: goal.progress,
+      baselineAccuracy,
+      periodAccuracy: toPercent(correct, total),
+      latestAccuracy: latest?.accuracy ?? null,
+      changeFromBaseline: latest && baselineAccuracy !== null
+        ? Math.round((latest.accuracy - baselineAccuracy) * 10) / 10
+        : null,
+      sessionsWithData: periodSeries.length,
+      masteredAt: goal.masteredAt,
+    };
+  }));
+};
+
+const compileAssignments = async (clientId, periodStart, periodEnd) => {
+  const assignments = await Assignment.find({
+    clientId,
+    dueDate: { $gte: periodStart, $lte: periodEnd },
+  }).select('completed');
+
+  const completed = assignments.filter(assignment => assignment.completed).length;
+  return {
+    assigned: assignments.length,
+    completed,
+    completionRate: toPercent(completed, assignments.length),
+  };
+};
+
+/**
+ * Compile the data sections of a progress report
+ * @param {string} clientId - Client ID
+ * @param {Date} periodStart - First day of the period
+ * @param {Date} periodEnd - Last moment of the period
+ * @returns {Promise<Object>} attendance, sessions, goals and assignments sections
+ */
+const compileReportContent = async (clientId, periodStart, periodEnd) => {
+  const [{ attendance, sessions }, goals, assignments] = await Promise.all([
+    compileAttendance(clientId, periodStart, periodEnd),
+    compileGoals(clientId, periodStart, periodEnd),
+    compileAssignments(clientId, periodStart, periodEnd),
+  ]);
+
+  return { attendance, sessions, goals, assignments };
+};
+
+const formatAccuracy = (value) => (value === null || value === undefined ? 'n/a' : `${value}%`);
+
+const describeGoal = (goal) => {
+  const parts = [
+    `Status: ${goal.status}`,
+    `Baseline: ${formatAccuracy(goal.baselineAccuracy)}`,
+    `This period: ${formatAccuracy(goal.periodAccuracy)} over ${goal.sessionsWithData || 0} session(s)`,
+    `Latest: ${formatAccuracy(goal.latestAccuracy)}`,
+  ];
+  if (goal.changeFromBaseline !== null && goal.changeFromBaseline !== undefined) {
+    parts.push(`Change from baseline: ${goal.changeFromBaseline > 0 ? '+' : ''}${goal.changeFromBaseline} points`);
+  }
+  if (goal.masteredAt) {
+    parts.push(`Mastered ${formatDate(goal.masteredAt)}`);
+  }
+  return parts.join(' | ');
+};
+
+// Heading details shared by the HTML and PDF renderings (needs clientId.userId and therapistId.userId populated)
+const getReportHeader = (report) => {
+  const clientUser = report.clientId?.userId;
+  const therapistUser = report.therapistId?.userId;
+  return {
+    clientName: clientUser ? `${clientUser.firstName} ${clientUser.lastName}` : 'Client',
+    guardianName: report.clientId?.guardianName,
+    therapistName: therapistUser
+      ? `${therapistUser.firstName} ${therapistUser.lastName}${report.therapistId.credentials ? `, ${report.therapistId.credentials}` : ''}`
+      : '',
+    period: `${formatDate(report.periodStart)} - ${formatDate(report.periodEnd)}`,
+    versionLabel: `Version ${report.version}${report.status === 'draft' ? ' (draft)' : ''}`,
+  };
+};
+
+/**
+ * Render a progress report as a standalone HTML document
+ * @param {Object} report - ProgressReport with clientId.userId and therapistId.userId populated
+ * @returns {string} HTML
+ */
+const renderReportHtml = (report) => {
+  const header = getReportHeader(report);
+  const { attendance, sessions, goals, assignments, summary, recommendations } = report.content;
+
+  const paragraphs = (text) => escapeHtml(text).split('\n').filter(Boolean).map(line => `<p>${line}</p>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Progress Report - ${escapeHtml(header.clientName)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 32px auto; line-height: 1.5; }
+    h1 { margin-bottom: 4px; }
+    h2 { border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 28px; }
+    .meta { color: #666; font-size: 14px; }
+    table { border-collapse: collapse; width: 100%; }
+    td, th { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+  </style>
+</head>
+<body>
+  <h1>Progress Report</h1>
+  <p class="meta">
+    ${escapeHtml(header.clientName)}${header.guardianName ? ` (guardian: ${escapeHtml(header.guardianName)})` : ''}<br>
+    ${escapeHtml(header.period)}<br>
+    ${header.therapistName ? `Therapist: ${escapeHtml(header.therapistName)}<br>` : ''}
+    ${escapeHtml(header.versionLabel)}
+  </p>
+
+  <h2>Summary</h2>
+  ${paragraphs(summary) || '<p>No summary provided.</p>'}
+
+  <h2>Attendance</h2>
+  <table>
+    <tr><th>Scheduled</th><th>Attended</th><th>Cancelled</th><th>No-shows</th><th>Attendance rate</th></tr>
+    <tr><td>${attendance.scheduled}</td><td>${attendance.attended}</td><td>${attendance.cancelled}</td><td>${attendance.noShow}</td><td>${formatAccuracy(attendance.attendanceRate)}</td></tr>
+  </table>
+
+  <h2>Goal Progress</h2>
+  ${goals.length === 0 ? '<p>No goals were active in this period.</p>' : goals.map(goal => `
+  <h3>${escapeHtml(goal.title)}</h3>
+  <p class="meta">${escapeHtml(describeGoal(goal))}</p>
+  ${paragraphs(goal.commentary)}`).join('')}
+
+  <h2>Session Notes</h2>
+  ${sessions.length === 0 ? '<p>No sessions were attended in this period.</p>' : sessions.map(session => `
+  <h3>${escapeHtml(formatDate(session.date))}${session.isGroup ? ' (group)' : ''}</h3>
+  ${paragraphs(session.soapSummary) || '<p class="meta">No note summary.</p>'}`).join('')}
+
+  <h2>Home Practice</h2>
+  <p>${assignments.completed} of ${assignments.assigned} assignments completed (${formatAccuracy(assignments.completionRate)}).</p>
+
+  <h2>Recommendations</h2>
+  ${paragraphs(recommendations) || '<p>No recommendations provided.</p>'}
+</body>
+</html>`;
+};
+
+/**
+ * Render a progress report as a PDF
+ * @param {Object} report - ProgressReport with clientId.userId and therapistId.userId populated
+ * @returns {Buffer} PDF file contents
+ */
+const renderReportPdf = (report) => {
+  const header = getReportHeader(report);
+  const { attendance, sessions, goals, assignments, summary, recommendations } = report.content;
+
+  const blocks = [
+    { text: 'Progress Report', style: 'title' },
+    { text: `${header.clientName}${header.guardianName ? ` (guardian: ${header.guardianName})` : ''}`, style: 'muted' },
+    { text: header.period, style: 'muted' },
+    ...(header.therapistName ? [{ text: `Therapist: ${header.therapistName}`, style: 'muted' }] : []),
+    { text: header.versionLabel, style: 'muted' },
+
+    { text: 'Summary', style: 'heading' },
+    { text: summary || 'No summary provided.' },
+
+    { text: 'Attendance', style: 'heading' },
+    { text: `Scheduled: ${attendance.scheduled}   Attended: ${attendance.attended}   Cancelled: ${attendance.cancelled}   No-shows: ${attendance.noShow}   Attendance rate: ${formatAccuracy(attendance.attendanceRate)}` },
+
+    { text: 'Goal Progress', style: 'heading' },
+    ...(goals.length === 0 ? [{ text: 'No goals were active in this period.' }] : goals.flatMap(goal => [
+      { text: goal.title, style: 'subheading' },
+      { text: describeGoal(goal), style: 'muted' },
+      ...(goal.commentary ? [{ text: goal.commentary }] : []),
+    ])),
+
+    { text: 'Session Notes', style: 'heading' },
+    ...(sessions.length === 0 ? [{ text: 'No sessions were attended in this period.' }] : sessions.flatMap(session => [
+      { text: `${formatDate(session.date)}${session.isGroup ? ' (group)' : ''}`, style: 'subheading' },
+      { text: session.soapSummary || 'No note summary.' },
+    ])),
+
+    { text: 'Home Practice', style: 'heading' },
+    { text: `${assignments.completed} of ${assignments.assigned} assignments completed (${formatAccuracy(assignments.completionRate)}).` },
+
+    { text: 'Recommendations', style: 'heading' },
+    { text: recommendations || 'No recommendations provided.' },
+  ];
+
+  return createTextPdf(blocks, { title: `Progress Report - ${header.clientName}` });
+};
+
+module.exports = {
+  escapeHtml,
+  formatDate,
+  getClientOutcome,
+  getDefaultReportPeriod,
+  compileReportContent,
+  renderReportHtml,
+  renderReportPdf,
+};
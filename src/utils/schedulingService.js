@@ -0,0 +1,487 @@
+// Scheduling Service
+// Works out bookable slots from therapist availability and existing bookings.
+// Availability and scheduledDate/scheduledTime are wall-clock times in the
+// therapist's timezone; startsAt is the UTC instant everything else uses.
+
+const Session = require('../models/Session');
+const FamilyCoachingSession = require('../models/FamilyCoachingSession');
+const AvailabilityException = require('../models/AvailabilityException');
+const User = require('../models/User');
+const {
+  resolveTimezone,
+  toDateKey,
+  zonedTimeToUtc,
+  getZonedParts,
+  formatInTimezone,
+} = require('./timezoneService');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Statuses that still occupy the therapist's time
+const ACTIVE_BOOKING_STATUSES = ['scheduled', 'confirmed', 'in-progress'];
+
+const DEFAULT_BUFFER_MINUTES = 10;
+const DEFAULT_SLOT_INTERVAL_MINUTES = 15;
+
+const getBufferMinutes = () => {
+  const buffer = parseInt(process.env.SESSION_BUFFER_MINUTES);
+  return isNaN(buffer) || buffer < 0 ? DEFAULT_BUFFER_MINUTES : buffer;
+};
+
+const getSlotIntervalMinutes = () => {
+  return parseInt(process.env.SLOT_INTERVAL_MINUTES) || DEFAULT_SLOT_INTERVAL_MINUTES;
+};
+
+/**
+ * Parse a time string ("14:30", "2:30 PM") into minutes after midnight
+ * @param {string} timeStr - Time string
+ * @returns {number|null} Minutes after midnight, or null if invalid
+ */
+const parseTimeToMinutes = (timeStr) => {
+  if (!timeStr || typeof timeStr !== 'string') return null;
+
+  const match = timeStr.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const meridiem = match[3] ? match[3].toUpperCase() : null;
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'PM' && hours !== 12) hours += 12;
+    if (meridiem === 'AM' && hours === 12) hours = 0;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes after midnight as a 12-hour time string ("2:30 PM")
+ * @param {number} totalMinutes - Minutes after midnight
+ * @returns {string} Time string
+ */
+const formatMinutesAsTime = (totalMinutes) => {
+  const hours24 = Math.floor(totalMinutes / 60) % 24;
+  const minutes = totalMinutes % 60;
+  const meridiem = hours24 >= 12 ? 'PM' : 'AM';
+  const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+  return `${hours12}:${String(minutes).padStart(2, '0')} ${meridiem}`;
+};
+
+/**
+ * Combine a scheduled date and time string in a timezone into a UTC instant
+ * @param {Date|string} scheduledDate - Session date
+ * @param {string} scheduledTime - Session time string
+ * @param {string} tz - IANA timezone the date and time are expressed in
+ * @returns {Date|null} Start instant, or null if the date or time is invalid
+ */
+const combineDateAndTime = (scheduledDate, scheduledTime, tz) => {
+  const minutes = parseTimeToMinutes(scheduledTime);
+  const dateKey = toDateKey(scheduledDate);
+  if (minutes === null || !dateKey) return null;
+
+  return zonedTimeToUtc(dateKey, minutes, resolveTimezone(tz));
+};
+
+/**
+ * Get the UTC start of a session. Sessions booked before startsAt existed
+ * fall back to their date and time in the therapist's (or server) timezone.
+ * @param {Object} session - Session or family coaching session
+ * @returns {Date|null} Start instant
+ */
+const getSessionStart = (session) => {
+  if (session.startsAt) return new Date(session.startsAt);
+  return combineDateAndTime(session.scheduledDate, session.scheduledTime, session.therapistTimezone);
+};
+
+/**
+ * Express a UTC instant as the scheduledDate/scheduledTime pair stored on sessions
+ * @param {Date} start - UTC instant
+ * @param {string} tz - Therapist's IANA timezone
+ * @returns {{scheduledDate: Date, scheduledTime: string}}
+ */
+const toScheduledFields = (start, tz) => {
+  const { dateKey, minutes } = getZonedParts(start, resolveTimezone(tz));
+  return {
+    scheduledDate: new Date(dateKey),
+    scheduledTime: formatMinutesAsTime(minutes),
+  };
+};
+
+/**
+ * Look up the timezone a therapist's availability is expressed in
+ * @param {Object} therapist - Therapist document (userId may be populated)
+ * @returns {Promise<string>} IANA timezone
+ */
+const getTherapistTimezone = async (therapist) => {
+  if (therapist.userId && therapist.userId.timezone) {
+    return resolveTimezone(therapist.userId.timezone);
+  }
+  const user = await User.findById(therapist.userId._id || therapist.userId).select('timezone');
+  return resolveTimezone(user?.timezone);
+};
+
+const addDaysToKey = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Merge overlapping or touching windows so a booking can span two of them
+const mergeWindows = (windows) => {
+  const merged = [];
+  for (const window of [...windows].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = new Date(Math.max(last.end, window.end));
+    } else {
+      merged.push({ ...window });
+    }
+  }
+  return merged;
+};
+
+// Remove blocked intervals from a list of windows
+const subtractIntervals = (windows, blocks) => {
+  return blocks.reduce((remaining, block) => remaining.flatMap(window => {
+    if (block.end <= window.start || block.start >= window.end) return [window];
+    const pieces = [];
+    if (block.start > window.start) pieces.push({ start: window.start, end: block.start });
+    if (block.end < window.end) pieces.push({ start: block.end, end: window.end });
+    return pieces;
+  }), windows);
+};
+
+/**
+ * Get the dated availability exceptions (time off and extra hours) touching a range
+ * @param {string} therapistId - Therapist ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array>} Availability exceptions
+ */
+const getAvailabilityExceptions = (therapistId, from, to) => {
+  return AvailabilityException.find({
+    therapistId,
+    startsAt: { $lt: to },
+    endsAt: { $gt: from },
+  });
+};
+
+/**
+ * Get the therapist's availability windows for a calendar day in their timezone.
+ * Starts from the weekly template, adds extra hours and removes time off.
+ * @param {Object} therapist - Therapist document
+ * @param {string} dateKey - Calendar date ("YYYY-MM-DD") in the therapist's timezone
+ * @param {string} tz - Therapist's IANA timezone
+ * @param {Array} exceptions - Availability exceptions loaded for the day
+ * @returns {Array<{start: Date, end: Date}>} Availability windows as UTC instants
+ */
+const getAvailabilityWindowsForDay = (therapist, dateKey, tz, exceptions = []) => {
+  const dayName = DAY_NAMES[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+  const dayStart = zonedTimeToUtc(dateKey, 0, tz);
+  const dayEnd = zonedTimeToUtc(addDaysToKey(dateKey, 1), 0, tz);
+
+  const weekly = (therapist.availability || [])
+    .filter(entry => entry.day === dayName)
+    .map(entry => {
+      const startMinutes = parseTimeToMinutes(entry.startTime);
+      const endMinutes = parseTimeToMinutes(entry.endTime);
+      if (startMinutes === null || endMinutes === null || endMinutes <= startMinutes) {
+        return null;
+      }
+
+      return {
+        start: zonedTimeToUtc(dateKey, startMinutes, tz),
+        end: zonedTimeToUtc(dateKey, endMinutes, tz),
+      };
+    })
+    .filter(Boolean);
+
+  const clipToDay = (exception) => ({
+    start: new Date(Math.max(exception.startsAt, dayStart)),
+    end: new Date(Math.min(exception.endsAt, dayEnd)),
+  });
+  const onThisDay = exceptions.filter(exception => exception.startsAt < dayEnd && exception.endsAt > dayStart);
+
+  const extraHours = onThisDay.filter(exception => exception.type === 'extra-hours').map(clipToDay);
+  const timeOff = onThisDay.filter(exception => exception.type === 'time-off').map(clipToDay);
+
+  return subtractIntervals(mergeWindows([...weekly, ...extraHours]), timeOff);
+};
+
+/**
+ * Get the intervals already booked for a therapist, padded by the buffer
+ * @param {string} therapistId - Therapist ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Object} options - Options
+ * @param {Array<string>} options.excludeSessionIds - Sessions to ignore (e.g. when moving them)
+ * @returns {Promise<Array>} Busy intervals sorted by start
+ */
+const getBusyIntervals = async (therapistId, from, to, { excludeSessionIds = [] } = {}) => {
+  const bufferMs = getBufferMinutes() * 60 * 1000;
+
+  // scheduledDate only holds the day, so widen the query by a day on each side
+  const rangeStart = new Date(from);
+  rangeStart.setDate(rangeStart.getDate() - 1);
+  const rangeEnd = new Date(to);
+  rangeEnd.setDate(rangeEnd.getDate() + 1);
+
+  const filter = {
+    therapistId,
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    scheduledDate: { $gte: rangeStart, $lte: rangeEnd },
+  };
+
+  const sessionFilter = excludeSessionIds.length > 0
+    ? { ...filter, _id: { $nin: excludeSessionIds } }
+    : filter;
+
+  const [sessions, coachingSessions] = await Promise.all([
+    Session.find(sessionFilter).select('scheduledDate scheduledTime duration startsAt therapistTimezone'),
+    FamilyCoachingSession.find(filter).select('scheduledDate scheduledTime duration'),
+  ]);
+
+  const toInterval = (booking, kind) => {
+    const start = getSessionStart(booking);
+    if (!start) return null;
+    const end = new Date(start.getTime() + (booking.duration || 45) * 60 * 1000);
+    return {
+      bookingId: booking._id,
+      kind,
+      start,
+      end,
+      blockedFrom: new Date(start.getTime() - bufferMs),
+      blockedUntil: new Date(end.getTime() + bufferMs),
+    };
+  };
+
+  return [
+    ...sessions.map(s => toInterval(s, 'session')),
+    ...coachingSessions.map(s => toInterval(s, 'family-coaching')),
+  ]
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Find a therapist's upcoming sessions that overlap a time range
+ * @param {string} therapistId - Therapist ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array>} Scheduled or confirmed sessions, sorted by start
+ */
+const findSessionsInRange = async (therapistId, from, to) => {
+  const rangeStart = new Date(from);
+  rangeStart.setUTCDate(rangeStart.getUTCDate() - 1);
+  const rangeEnd = new Date(to);
+  rangeEnd.setUTCDate(rangeEnd.getUTCDate() + 1);
+
+  const sessions = await Session.find({
+    therapistId,
+    status: { $in: ['scheduled', 'confirmed'] },
+    scheduledDate: { $gte: rangeStart, $lte: rangeEnd },
+  });
+
+  return sessions
+    .filter(session => {
+      const start = getSessionStart(session);
+      if (!start) return false;
+      const end = new Date(start.getTime() + (session.duration || 45) * 60 * 1000);
+      return start < to && end > from;
+    })
+    .sort((a, b) => getSessionStart(a) - getSessionStart(b));
+};
+
+const overlaps = (start, end, interval) => start < interval.blockedUntil && end > interval.blockedFrom;
+
+/**
+ * Compute bookable start times for a therapist
+ * @param {Object} therapist - Therapist document
+ * @param {Object} options - Options
+ * @param {Date} options.from - Range start
+ * @param {Date} options.to - Range end
+ * @param {number} options.duration - Requested duration in minutes
+ * @param {string} options.viewerTimezone - Timezone to render each slot in
+ * @returns {Promise<Array>} Bookable slots
+ */
+const getBookableSlots = async (therapist, { from, to, duration, viewerTimezone }) => {
+  const durationMs = duration * 60 * 1000;
+  const stepMs = getSlotIntervalMinutes() * 60 * 1000;
+  const now = new Date();
+  const tz = await getTherapistTimezone(therapist);
+  const busy = await getBusyIntervals(therapist._id, from, to);
+  const exceptions = await getAvailabilityExceptions(therapist._id, from, to);
+
+  const slots = [];
+  const lastKey = getZonedParts(to, tz).dateKey;
+
+  for (let dateKey = getZonedParts(from, tz).dateKey; dateKey <= lastKey; dateKey = addDaysToKey(dateKey, 1)) {
+    for (const window of getAvailabilityWindowsForDay(therapist, dateKey, tz, exceptions)) {
+      for (let t = window.start.getTime(); t + durationMs <= window.end.getTime(); t += stepMs) {
+        const start = new Date(t);
+        const end = new Date(t + durationMs);
+
+        if (start < from || start < now || end > to) continue;
+        if (busy.some(interval => overlaps(start, end, interval))) continue;
+
+        slots.push({
+          start,
+          end,
+          scheduledDate: dateKey,
+          scheduledTime: formatMinutesAsTime(getZonedParts(start, tz).minutes),
+          timezone: tz,
+          duration,
+          local: formatInTimezone(start, viewerTimezone || tz),
+        });
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Check whether a booking fits the therapist's availability and calendar
+ * @param {Object} therapist - Therapist document
+ * @param {Date} start - Proposed start
+ * @param {number} duration - Duration in minutes
+ * @param {Object} options - Options
+ * @param {Array<string>} options.excludeSessionIds - Sessions to ignore (e.g. when moving them)
+ * @returns {Promise<{available: boolean, reason?: string, conflict?: Object}>}
+ */
+const checkBookingAvailability = async (therapist, start, duration, { excludeSessionIds = [] } = {}) => {
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+  const tz = await getTherapistTimezone(therapist);
+
+  const exceptions = await getAvailabilityExceptions(therapist._id, start, end);
+
+  const withinAvailability = getAvailabilityWindowsForDay(therapist, getZonedParts(start, tz).dateKey, tz, exceptions)
+    .some(window => start >= window.start && end <= window.end);
+
+  if (!withinAvailability) {
+    const timeOff = exceptions.find(exception => exception.type === 'time-off');
+    return {
+      available: false,
+      reason: timeOff ? 'time-off' : 'outside-availability',
+    };
+  }
+
+  const busy = await getBusyIntervals(therapist._id, start, end, { excludeSessionIds });
+  const conflict = busy.find(interval => overlaps(start, end, interval));
+
+  if (conflict) {
+    return {
+      available: false,
+      reason: 'conflict',
+      conflict: {
+        bookingId: conflict.bookingId,
+        kind: conflict.kind,
+        start: conflict.start,
+        end: conflict.end,
+      },
+    };
+  }
+
+  return { available: true };
+};
+
+// Days between occurrences for each recurrence frequency
+const RECURRENCE_INTERVAL_DAYS = {
+  weekly: 7,
+  biweekly: 14,
+  'every-4-weeks': 28,
+};
+
+const MAX_SERIES_OCCURRENCES = 52;
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} recurrence - Recurrence rule ({ frequency, until, count })
+ * @param {Date} startDate - First occurrence date
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRecurrence = (recurrence, startDate) => {
+  if (!recurrence || typeof recurrence !== 'object') {
+    return 'Recurrence must be an object';
+  }
+
+  if (!RECURRENCE_INTERVAL_DAYS[recurrence.frequency]) {
+    return `Recurrence frequency must be one of: ${Object.keys(RECURRENCE_INTERVAL_DAYS).join(', ')}`;
+  }
+
+  if (!recurrence.until && !recurrence.count) {
+    return 'Recurrence requires either an until date or a count';
+  }
+
+  if (recurrence.count !== undefined) {
+    const count = parseInt(recurrence.count);
+    if (isNaN(count) || count < 1 || count > MAX_SERIES_OCCURRENCES) {
+      return `Recurrence count must be between 1 and ${MAX_SERIES_OCCURRENCES}`;
+    }
+  }
+
+  if (recurrence.until) {
+    const until = new Date(recurrence.until);
+    if (isNaN(until.getTime())) {
+      return 'Invalid recurrence until date';
+    }
+    if (until < startDate) {
+      return 'Recurrence until date must be on or after the first session';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Expand a recurrence rule into occurrence start times
+ * @param {Date} start - First occurrence date
+ * @param {Object} recurrence - Recurrence rule ({ frequency, until, count })
+ * @returns {Array<Date>} Occurrence dates (capped at MAX_SERIES_OCCURRENCES)
+ */
+const buildOccurrenceDates = (start, recurrence) => {
+  const intervalDays = RECURRENCE_INTERVAL_DAYS[recurrence.frequency];
+  const count = recurrence.count ? parseInt(recurrence.count) : MAX_SERIES_OCCURRENCES;
+  let until = null;
+  if (recurrence.until) {
+    until = new Date(recurrence.until);
+    until.setUTCHours(23, 59, 59, 999);
+  }
+
+  // Scheduled dates are stored as UTC midnight, so step in UTC days
+  const occurrences = [];
+  const current = new Date(start);
+  while (occurrences.length < Math.min(count, MAX_SERIES_OCCURRENCES)) {
+    if (until && current > until) break;
+    occurrences.push(new Date(current));
+    current.setUTCDate(current.getUTCDate() + intervalDays);
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  RECURRENCE_INTERVAL_DAYS,
+  MAX_SERIES_OCCURRENCES,
+  parseTimeToMinutes,
+  formatMinutesAsTime,
+  combineDateAndTime,
+  getSessionStart,
+  toScheduledFields,
+  getTherapistTimezone,
+  addDaysToKey,
+  getAvailabilityExceptions,
+  getAvailabilityWindowsForDay,
+  getBusyIntervals,
+  findSessionsInRange,
+  getBookableSlots,
+  checkBookingAvailability,
+  validateRecurrence,
+  buildOccurrenceDates,
+};
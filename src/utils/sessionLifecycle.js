@@ -0,0 +1,97 @@
+// Session Lifecycle
+// Allowed session status transitions, who may make them, and the status history they leave
+
+// For each status, the statuses it can move to and the roles allowed to make that move.
+// 'system' is used by scheduled jobs such as no-show detection.
+const SESSION_TRANSITIONS = {
+  scheduled: {
+    confirmed: ['therapist', 'admin'],
+    'in-progress': ['therapist', 'client', 'admin'],
+    cancelled: ['therapist', 'client', 'admin'],
+    rescheduled: ['therapist', 'client', 'admin'],
+    'no-show': ['therapist', 'admin', 'system'],
+  },
+  confirmed: {
+    'in-progress': ['therapist', 'client', 'admin'],
+    cancelled: ['therapist', 'client', 'admin'],
+    rescheduled: ['therapist', 'client', 'admin'],
+    'no-show': ['therapist', 'admin', 'system'],
+  },
+  'in-progress': {
+    completed: ['therapist', 'admin'],
+  },
+  completed: {},
+  cancelled: {},
+  'no-show': {},
+  rescheduled: {},
+};
+
+/**
+ * Check whether a role may move a session from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - Actor role ('therapist', 'client', 'admin' or 'system')
+ * @returns {string|null} Error message, or null if the transition is allowed
+ */
+const validateTransition = (from, to, role) => {
+  const allowed = SESSION_TRANSITIONS[from];
+  if (!allowed) {
+    return `Unknown session status: ${from}`;
+  }
+
+  if (!allowed[to]) {
+    const next = Object.keys(allowed);
+    return next.length > 0
+      ? `Cannot change a ${from} session to ${to}. Allowed: ${next.join(', ')}`
+      : `Cannot change a ${from} session`;
+  }
+
+  if (!allowed[to].includes(role)) {
+    return `Only ${allowed[to].filter(r => r !== 'system').join(' or ')} can change a ${from} session to ${to}`;
+  }
+
+  return null;
+};
+
+/**
+ * Build a status history entry
+ * @param {string|null} from - Previous status (null when the session is created)
+ * @param {string} to - New status
+ * @param {Object} actor - Who made the change
+ * @param {Object} [actor.user] - Acting user (omitted for system jobs)
+ * @param {string} [actor.role] - Actor role; defaults to the user's role or 'system'
+ * @param {string} [actor.reason] - Why the status changed
+ * @returns {Object} Status history entry
+ */
+const buildStatusEntry = (from, to, { user, role, reason } = {}) => ({
+  from,
+  to,
+  changedBy: user?._id,
+  actorRole: role || user?.role || 'system',
+  reason,
+  changedAt: new Date(),
+});
+
+/**
+ * Validate and apply a status change to a session document (caller saves it)
+ * @param {Object} session - Session document
+ * @param {string} to - New status
+ * @param {Object} actor - Who is making the change (see buildStatusEntry)
+ * @returns {string|null} Error message, or null if the status was changed
+ */
+const transitionSession = (session, to, actor = {}) => {
+  const role = actor.role || actor.user?.role || 'system';
+  const error = validateTransition(session.status, to, role);
+  if (error) return error;
+
+  session.statusHistory.push(buildStatusEntry(session.status, to, { ...actor, role }));
+  session.status = to;
+  return null;
+};
+
+module.exports = {
+  SESSION_TRANSITIONS,
+  validateTransition,
+  buildStatusEntry,
+  transitionSession,
+};
@@ -1,27 +1,20 @@
 const Session = require('../models/Session');
 const Client = require('../models/Client');
-const Therapist = require('../models/Therapist');
 const User = require('../models/User');
 const { sendEmail, emailTemplates } = require('./emailService');
 const { sendSMS, sendSessionReminderSMS } = require('./smsService');
 const { sendPushNotification, createSessionReminderPayload } = require('./pushNotificationService');
+const { getSessionStart } = require('./schedulingService');
+const { formatInTimezone } = require('./timezoneService');
+const { getSessionClients, getSessionClientLabel } = require('./groupSessionService');
 
-// Helper function to parse scheduledTime string and combine with scheduledDate
-const getSessionDateTime = (scheduledDate, scheduledTime) => {
-  const sessionDate = new Date(scheduledDate);
-  const timeStr = scheduledTime.replace(/[APM]/gi, '').trim();
-  const [hours, minutes] = timeStr.split(':').map(Number);
-  const isPM = scheduledTime.toUpperCase().includes('PM');
-  
-  const sessionDateTime = new Date(sessionDate);
-  sessionDateTime.setHours(
-    isPM && hours !== 12 ? hours + 12 : hours === 12 && !isPM ? 0 : hours,
-    minutes || 0,
-    0,
-    0
-  );
-  
-  return sessionDateTime;
+// Render the session start for one participant in their own timezone
+const getLocalSessionTime = (sessionDateTime, timezone) => {
+  const local = formatInTimezone(sessionDateTime, timezone);
+  return {
+    sessionDate: local.displayDate,
+    sessionTime: `${local.time} ${local.abbreviation}`,
+  };
 };
 
 // Send session reminders
@@ -58,74 +51,82 @@ const sendSessionReminders = async () => {
     })
       .populate({
         path: 'clientId',
-        populate: { path: 'userId', select: 'email firstName lastName phone' }
+        populate: { path: 'userId', select: 'email firstName lastName phone timezone' }
+      })
+      .populate({
+        path: 'participants.clientId',
+        populate: { path: 'userId', select: 'email firstName lastName phone timezone' }
       })
       .populate({
         path: 'therapistId',
-        populate: { path: 'userId', select: 'email firstName lastName phone' }
+        populate: { path: 'userId', select: 'email firstName lastName phone timezone' }
       });
 
     // Filter sessions for 24-hour reminder
     const sessions24h = allSessions.filter(session => {
       if (session.reminder24hSent) return false;
-      const sessionDateTime = getSessionDateTime(session.scheduledDate, session.scheduledTime);
-      return sessionDateTime >= tomorrowStart && sessionDateTime < tomorrowEnd;
+      const sessionDateTime = getSessionStart(session);
+      return sessionDateTime && sessionDateTime >= tomorrowStart && sessionDateTime < tomorrowEnd;
     });
 
     // Filter sessions for 45-minute reminder
     const sessions45m = allSessions.filter(session => {
       if (session.reminder45mSent) return false;
-      const sessionDateTime = getSessionDateTime(session.scheduledDate, session.scheduledTime);
-      return sessionDateTime >= soonStart && sessionDateTime < soonEnd;
+      const sessionDateTime = getSessionStart(session);
+      return sessionDateTime && sessionDateTime >= soonStart && sessionDateTime < soonEnd;
     });
 
     // Send 24-hour reminders
     for (const session of sessions24h) {
-      const sessionDateTime = getSessionDateTime(session.scheduledDate, session.scheduledTime);
-      const sessionDate = sessionDateTime.toLocaleDateString();
-      const sessionTime = session.scheduledTime;
+      const sessionDateTime = getSessionStart(session);
 
-      // Get client preferences
-      const client = await Client.findById(session.clientId._id || session.clientId);
-      const clientPreferences = client?.preferences?.sessionReminders || { enabled: true, email24h: true, sms24h: false, push24h: true };
+      // Send to each client (every enrolled client of a group session)
+      for (const { client: sessionClient, timezone } of getSessionClients(session)) {
+        // Get client preferences
+        const client = await Client.findById(sessionClient._id || sessionClient);
+        const clientPreferences = client?.preferences?.sessionReminders || { enabled: true, email24h: true, sms24h: false, push24h: true };
 
-      // Send to client
-      if (session.clientId && session.clientId.userId && clientPreferences.enabled) {
-        const clientUser = await User.findById(session.clientId.userId._id || session.clientId.userId);
-        
-        // Email reminder
-        if (clientPreferences.email24h !== false) {
-          try {
-            await sendEmail({
-              to: clientUser.email,
-              ...emailTemplates.sessionReminder(
-                clientUser.firstName,
-                sessionDate,
-                sessionTime
-              ),
-            });
-          } catch (error) {
-            console.error('Failed to send email reminder:', error);
+        if (sessionClient.userId && clientPreferences.enabled) {
+          const clientUser = await User.findById(sessionClient.userId._id || sessionClient.userId);
+          const { sessionDate, sessionTime } = getLocalSessionTime(
+            sessionDateTime,
+            timezone || clientUser.timezone
+          );
+
+          // Email reminder
+          if (clientPreferences.email24h !== false) {
+            try {
+              await sendEmail({
+                to: clientUser.email,
+                ...emailTemplates.sessionReminder(
+                  clientUser.firstName,
+                  sessionDate,
+                  sessionTime
+                ),
+              });
+            } catch (error) {
+              console.error('Failed to send email reminder:', error);
+            }
           }
-        }
 
-        // SMS reminder
-        if (clientPreferences.sms24h && clientUser.phone) {
-          try {
-            const smsMessage = sendSessionReminderSMS(clientUser.firstName, sessionDate, sessionTime, 24 * 60);
-            await sendSMS(clientUser.phone, smsMessage);
-          } catch (error) {
-            console.error('Failed to send SMS reminder:', error);
+          // SMS reminder
+          if (clientPreferences.sms24h && clientUser.phone) {
+            try {
+              const smsMessage = sendSessionReminderSMS(clientUser.firstName, sessionDate, sessionTime, 24 * 60);
+              await sendSMS(clientUser.phone, smsMessage);
+            } catch (error) {
+              console.error('Failed to send SMS reminder:', error);
+            }
           }
-        }
 
-        // Push notification
-        if (clientPreferences.push24h !== false && clientUser.pushSubscription) {
-          try {
-            const payload = createSessionReminderPayload(clientUser.firstName, sessionDate, sessionTime, 24 * 60);
-            await sendPushNotification(clientUser.pushSubscription, payload);
-          } catch (error) {
-            console.error('Failed to send push notification:', error);
+          // Push notification
+          if (clientPreferences.push24h !== false && clientUser.pushSubscription) {
+            try {
+              const payload = createSessionReminderPayload(clientUser.firstName, sessionDate, sessionTime, 24 * 60);
+              await sendPushNotification(clientUser.pushSubscription, payload);
+            } catch (error) {
+              console.error('Failed to send push notification:', error);
+            }
           }
         }
       }
@@ -133,7 +134,11 @@ const sendSessionReminders = async () => {
       // Send to therapist
       if (session.therapistId && session.therapistId.userId) {
         const therapistUser = await User.findById(session.therapistId.userId._id || session.therapistId.userId);
-        
+        const { sessionDate, sessionTime } = getLocalSessionTime(
+          sessionDateTime,
+          session.therapistTimezone || therapistUser.timezone
+        );
+
         // Email reminder (therapists always get email)
         try {
           await sendEmail({
@@ -145,7 +150,7 @@ const sendSessionReminders = async () => {
               <p>This is a reminder that you have a therapy session scheduled for:</p>
               <p><strong>Date:</strong> ${sessionDate}</p>
               <p><strong>Time:</strong> ${sessionTime}</p>
-              <p><strong>Client:</strong> ${session.clientId.userId.firstName} ${session.clientId.userId.lastName}</p>
+              <p><strong>Client:</strong> ${getSessionClientLabel(session)}</p>
               <p>Please log in 5 minutes before your session starts.</p>
             `,
           });
@@ -176,55 +181,59 @@ const sendSessionReminders = async () => {
 
     // Send 45-minute reminders
     for (const session of sessions45m) {
-      const sessionDateTime = getSessionDateTime(session.scheduledDate, session.scheduledTime);
-      const sessionDate = sessionDateTime.toLocaleDateString();
-      const sessionTime = session.scheduledTime;
+      const sessionDateTime = getSessionStart(session);
 
-      // Get client preferences
-      const client = await Client.findById(session.clientId._id || session.clientId);
-      const clientPreferences = client?.preferences?.sessionReminders || { enabled: true, email45m: true, sms45m: true, push45m: true };
+      // Send to each client (every enrolled client of a group session)
+      for (const { client: sessionClient, timezone } of getSessionClients(session)) {
+        // Get client preferences
+        const client = await Client.findById(sessionClient._id || sessionClient);
+        const clientPreferences = client?.preferences?.sessionReminders || { enabled: true, email45m: true, sms45m: true, push45m: true };
 
-      // Send to client
-      if (session.clientId && session.clientId.userId && clientPreferences.enabled) {
-        const clientUser = await User.findById(session.clientId.userId._id || session.clientId.userId);
-        
-        // Email reminder
-        if (clientPreferences.email45m !== false) {
-          try {
-            await sendEmail({
-              to: clientUser.email,
-              subject: 'Session Starting Soon - 45 Minutes',
-              html: `
-                <h2>Session Starting Soon</h2>
-                <p>Hi ${clientUser.firstName},</p>
-                <p>Your therapy session is starting in 45 minutes:</p>
-                <p><strong>Date:</strong> ${sessionDate}</p>
-                <p><strong>Time:</strong> ${sessionTime}</p>
-                <p>Please prepare and log in 5 minutes before your session starts.</p>
-              `,
-            });
-          } catch (error) {
-            console.error('Failed to send email reminder:', error);
+        if (sessionClient.userId && clientPreferences.enabled) {
+          const clientUser = await User.findById(sessionClient.userId._id || sessionClient.userId);
+          const { sessionDate, sessionTime } = getLocalSessionTime(
+            sessionDateTime,
+            timezone || clientUser.timezone
+          );
+
+          // Email reminder
+          if (clientPreferences.email45m !== false) {
+            try {
+              await sendEmail({
+                to: clientUser.email,
+                subject: 'Session Starting Soon - 45 Minutes',
+                html: `
+                  <h2>Session Starting Soon</h2>
+                  <p>Hi ${clientUser.firstName},</p>
+                  <p>Your therapy session is starting in 45 minutes:</p>
+                  <p><strong>Date:</strong> ${sessionDate}</p>
+                  <p><strong>Time:</strong> ${sessionTime}</p>
+                  <p>Please prepare and log in 5 minutes before your session starts.</p>
+                `,
+              });
+            } catch (error) {
+              console.error('Failed to send email reminder:', error);
+            }
           }
-        }
 
-        // SMS reminder
-        if (clientPreferences.sms45m && clientUser.phone) {
-          try {
-            const smsMessage = sendSessionReminderSMS(clientUser.firstName, sessionDate, sessionTime, 45);
-            await sendSMS(clientUser.phone, smsMessage);
-          } catch (error) {
-            console.error('Failed to send SMS reminder:', error);
+          // SMS reminder
+          if (clientPreferences.sms45m && clientUser.phone) {
+            try {
+              const smsMessage = sendSessionReminderSMS(clientUser.firstName, sessionDate, sessionTime, 45);
+              await sendSMS(clientUser.phone, smsMessage);
+            } catch (error) {
+              console.error('Failed to send SMS reminder:', error);
+            }
           }
-        }
 
-        // Push notification
-        if (clientPreferences.push45m !== false && clientUser.pushSubscription) {
-          try {
-            const payload = createSessionReminderPayload(clientUser.firstName, sessionDate, sessionTime, 45);
-            await sendPushNotification(clientUser.pushSubscription, payload);
-          } catch (error) {
-            console.error('Failed to send push notification:', error);
+          // Push notification
+          if (clientPreferences.push45m !== false && clientUser.pushSubscription) {
+            try {
+              const payload = createSessionReminderPayload(clientUser.firstName, sessionDate, sessionTime, 45);
+              await sendPushNotification(clientUser.pushSubscription, payload);
+            } catch (error) {
+              console.error('Failed to send push notification:', error);
+            }
           }
         }
       }
@@ -232,7 +241,11 @@ const sendSessionReminders = async () => {
       // Send to therapist
       if (session.therapistId && session.therapistId.userId) {
         const therapistUser = await User.findById(session.therapistId.userId._id || session.therapistId.userId);
-        
+        const { sessionDate, sessionTime } = getLocalSessionTime(
+          sessionDateTime,
+          session.therapistTimezone || therapistUser.timezone
+        );
+
         // Email reminder (therapists always get email)
         try {
           await sendEmail({
@@ -244,7 +257,7 @@ const sendSessionReminders = async () => {
               <p>Your therapy session is starting in 45 minutes:</p>
               <p><strong>Date:</strong> ${sessionDate}</p>
               <p><strong>Time:</strong> ${sessionTime}</p>
-              <p><strong>Client:</strong> ${session.clientId.userId.firstName} ${session.clientId.userId.lastName}</p>
+              <p><strong>Client:</strong> ${getSessionClientLabel(session)}</p>
               <p>Please prepare and log in 5 minutes before your session starts.</p>
             `,
           });
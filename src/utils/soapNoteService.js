@@ -0,0 +1,206 @@
+// SOAP Note Service
+// Draft, sign and amend SOAP notes, keeping every saved state for audits
+
+const SOAP_SECTIONS = ['subjective', 'objective', 'assessment', 'plan'];
+
+/**
+ * Find the object holding a client's SOAP note: the session itself, or the group participant
+ * @param {Object} session - Session document
+ * @param {string} [clientId] - Client ID, required for group sessions
+ * @returns {Object} { holder } or { error, status }
+ */
+const getSoapNoteHolder = (session, clientId) => {
+  if (!session.isGroup) {
+    return { holder: session };
+  }
+
+  if (!clientId) {
+    return { status: 400, error: 'Group session notes are per client. Provide clientId.' };
+  }
+
+  const participant = session.participants.find(entry =>
+    (entry.clientId._id || entry.clientId).toString() === clientId.toString()
+  );
+  if (!participant) {
+    return { status: 404, error: 'Client is not on this group session' };
+  }
+
+  return { holder: participant };
+};
+
+/**
+ * Check whether a SOAP note has been signed and can no longer be edited
+ * @param {Object} [soapNote] - SOAP note subdocument
+ * @returns {boolean}
+ */
+const isSoapNoteLocked = (soapNote) => soapNote?.status === 'signed';
+
+// Snapshot the note's current state as its next version
+const recordVersion = (soapNote, event, userId) => {
+  soapNote.version = (soapNote.version || 0) + 1;
+  soapNote.versions.push({
+    version: soapNote.version,
+    event,
+    ...Object.fromEntries(SOAP_SECTIONS.map(section => [section, soapNote[section]])),
+    aiGenerated: soapNote.aiGenerated,
+    addendumCount: soapNote.addenda.length,
+    savedBy: userId,
+    savedAt: new Date(),
+  });
+};
+
+// Signature block for a user, with the credentials they hold at signing time
+const buildSignature = (user, therapist) => ({
+  signedBy: user._id,
+  name: `${user.firstName} ${user.lastName}`,
+  credentials: therapist?.credentials,
+  licenseNumber: therapist?.licenseNumber,
+  signedAt: new Date(),
+});
+
+/**
+ * Save draft SOAP note sections. Sections left out keep their current text.
+ * @param {Object} holder - Session or group participant holding the note
+ * @param {Object} sections - subjective / objective / assessment / plan
+ * @param {Object} [options] - { userId, aiGenerated }
+ * @returns {Object} { soapNote } or { error } when the note is signed
+ */
+const saveSoapNoteDraft = (holder, sections, { userId, aiGenerated = false } = {}) => {
+  if (isSoapNoteLocked(holder.soapNote)) {
+    return { error: 'This SOAP note is signed and locked. Add an addendum instead.' };
+  }
+
+  if (!holder.soapNote) {
+    holder.soapNote = { status: 'draft' };
+  }
+
+  const soapNote = holder.soapNote;
+  for (const section of SOAP_SECTIONS) {
+    if (sections[section] !== undefined) {
+      soapNote[section] = sections[section];
+    }
+  }
+
+  soapNote.aiGenerated = aiGenerated;
+  if (aiGenerated) soapNote.generatedAt = new Date();
+  soapNote.updatedAt = new Date();
+  soapNote.updatedBy = userId;
+  recordVersion(soapNote, 'draft-saved', userId);
+
+  return { soapNote };
+};
+
+/**
+ * Sign a draft SOAP note, locking it against further edits
+ * @param {Object} holder - Session or group participant holding the note
+ * @param {Object} user - Signing user (needs _id, firstName, lastName)
+ * @param {Object} [therapist] - Signing user's therapist profile, for credentials
+ * @returns {Object} { soapNote } or { error }
+ */
+const applySoapNoteSignature = (holder, user, therapist) => {
+  const soapNote = holder.soapNote;
+  if (!soapNote || !SOAP_SECTIONS.some(section => soapNote[section]?.trim())) {
+    return { error: 'Write the SOAP note before signing it' };
+  }
+
+  if (isSoapNoteLocked(soapNote)) {
+    return { error: 'This SOAP note is already signed' };
+  }
+
+  soapNote.status = 'signed';
+  soapNote.signature = buildSignature(user, therapist);
+  soapNote.lockedAt = soapNote.signature.signedAt;
+  // SLPA notes need their supervising SLP's co-signature
+  soapNote.coSignStatus = therapist?.credentials === 'SLPA' ? 'pending' : undefined;
+  soapNote.reviewFeedback = undefined;
+  recordVersion(soapNote, 'signed', user._id);
+
+  return { soapNote };
+};
+
+/**
+ * Co-sign an SLPA's signed note as their supervising SLP
+ * @param {Object} holder - Session or group participant holding the note
+ * @param {Object} user - Supervisor's user (needs _id, firstName, lastName)
+ * @param {Object} supervisor - Supervisor's therapist profile
+ * @returns {Object} { soapNote } or { error }
+ */
+const applySoapNoteCoSignature = (holder, user, supervisor) => {
+  const soapNote = holder.soapNote;
+  if (soapNote?.coSignStatus !== 'pending') {
+    return { error: 'This SOAP note is not waiting for a co-signature' };
+  }
+
+  soapNote.coSignStatus = 'co-signed';
+  soapNote.coSignature = buildSignature(user, supervisor);
+  recordVersion(soapNote, 'co-signed', user._id);
+
+  return { soapNote };
+};
+
+/**
+ * Send an SLPA's signed note back to draft with the supervisor's feedback
+ * @param {Object} holder - Session or group participant holding the note
+ * @param {string} feedback - What needs changing
+ * @param {Object} user - Supervisor's user
+ * @returns {Object} { soapNote } or { error }
+ */
+const returnSoapNoteForRevision = (holder, feedback, user) => {
+  const soapNote = holder.soapNote;
+  if (soapNote?.coSignStatus !== 'pending') {
+    return { error: 'This SOAP note is not waiting for a co-signature' };
+  }
+
+  if (!feedback?.trim()) {
+    return { error: 'Feedback is required when returning a note' };
+  }
+
+  // The signed version stays in versions; the SLPA edits and signs again
+  soapNote.status = 'draft';
+  soapNote.signature = undefined;
+  soapNote.lockedAt = undefined;
+  soapNote.coSignStatus = 'returned';
+  soapNote.reviewFeedback = feedback;
+  recordVersion(soapNote, 'returned', user._id);
+
+  return { soapNote };
+};
+
+/**
+ * Append a signed addendum to a locked SOAP note, leaving the original untouched
+ * @param {Object} holder - Session or group participant holding the note
+ * @param {Object} addendum - { text, reason }
+ * @param {Object} user - Author (needs _id, firstName, lastName)
+ * @param {Object} [therapist] - Author's therapist profile, for credentials
+ * @returns {Object} { soapNote } or { error }
+ */
+const appendSoapNoteAddendum = (holder, { text, reason }, user, therapist) => {
+  const soapNote = holder.soapNote;
+  if (!isSoapNoteLocked(soapNote)) {
+    return { error: 'Addenda are for signed notes. Edit the draft instead.' };
+  }
+
+  if (!text?.trim()) {
+    return { error: 'Addendum text is required' };
+  }
+
+  soapNote.addenda.push({
+    text,
+    reason,
+    signature: buildSignature(user, therapist),
+  });
+  recordVersion(soapNote, 'addendum', user._id);
+
+  return { soapNote };
+};
+
+module.exports = {
+  SOAP_SECTIONS,
+  getSoapNoteHolder,
+  isSoapNoteLocked,
+  saveSoapNoteDraft,
+  applySoapNoteSignature,
+  applySoapNoteCoSignature,
+  returnSoapNoteForRevision,
+  appendSoapNoteAddendum,
+};
@@ -0,0 +1,250 @@
+// Subscription Quota Service
+// Billing periods, per-period session allowances and the quota policy applied at booking
+
+const Session = require('../models/Session');
+const Subscription = require('../models/Subscription');
+const Payment = require('../models/Payment');
+const { getPricingTiersForSubscription } = require('../controllers/pricingController');
+const { clientSessionFilter } = require('./groupSessionService');
+
+const QUOTA_POLICIES = ['block', 'overage'];
+const DEFAULT_QUOTA_POLICY = 'overage';
+
+// Statuses that use up one of the period's sessions
+const QUOTA_SESSION_STATUSES = ['scheduled', 'confirmed', 'in-progress', 'completed'];
+
+// Billing cycles with a repeating allowance that unused sessions can roll over from
+const ROLLOVER_BILLING_CYCLES = ['monthly', 'every-4-weeks'];
+
+const getQuotaPolicy = () => {
+  const policy = process.env.SUBSCRIPTION_QUOTA_POLICY;
+  return QUOTA_POLICIES.includes(policy) ? policy : DEFAULT_QUOTA_POLICY;
+};
+
+const getRolloverLimit = () => {
+  const limit = parseInt(process.env.SUBSCRIPTION_ROLLOVER_MAX);
+  return isNaN(limit) || limit < 0 ? 0 : limit;
+};
+
+/**
+ * Price charged for a session booked beyond the plan's allowance (the pay-as-you-go price)
+ * @returns {number} Fee in dollars
+ */
+const getOverageFee = () => {
+  return getPricingTiersForSubscription()['pay-as-you-go']?.price || 0;
+};
+
+/**
+ * Work out the billing period that contains a given date
+ * @param {Object} subscription - Subscription document
+ * @param {Date} [at] - Date to find the period for (defaults to now)
+ * @returns {{ periodStart: Date, periodEnd: Date }}
+ */
+const getBillingPeriod = (subscription, at = new Date()) => {
+  let periodStart, periodEnd;
+
+  if (subscription.startDate) {
+    if (subscription.billingCycle === 'every-4-weeks') {
+      // Find which 4-week period the date falls in
+      const weeksSinceStart = Math.floor((at - subscription.startDate) / (7 * 24 * 60 * 60 * 1000));
+      const periodNumber = Math.floor(weeksSinceStart / 4);
+      periodStart = new Date(subscription.startDate);
+      periodStart.setDate(periodStart.getDate() + (periodNumber * 28));
+      periodEnd = new Date(periodStart);
+      periodEnd.setDate(periodEnd.getDate() + 28);
+    } else if (subscription.billingCycle === 'monthly') {
+      // Monthly billing - use calendar month
+      periodStart = new Date(at.getFullYear(), at.getMonth(), 1);
+      periodEnd = new Date(at.getFullYear(), at.getMonth() + 1, 0, 23, 59, 59);
+    } else {
+      // Pay-as-you-go or other - use subscription start date
+      periodStart = subscription.startDate;
+      periodEnd = subscription.nextBillingDate || new Date(at.getFullYear(), at.getMonth() + 1, 0, 23, 59, 59);
+    }
+  } else {
+    // Fallback to the calendar month
+    periodStart = new Date(at.getFullYear(), at.getMonth(), 1);
+    periodEnd = new Date(at.getFullYear(), at.getMonth() + 1, 0, 23, 59, 59);
+  }
+
+  return { periodStart, periodEnd };
+};
+
+/**
+ * Get a user's current active subscription
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>}
+ */
+const getActiveSubscription = (userId) => {
+  return Subscription.findOne({
+    userId,
+    status: 'active',
+  }).sort({ createdAt: -1 });
+};
+
+const countUsedSessions = (clientId, { periodStart, periodEnd }) => {
+  return Session.countDocuments({
+    ...clientSessionFilter(clientId),
+    scheduledDate: {
+      $gte: periodStart,
+      $lte: periodEnd,
+    },
+    status: {
+      $in: QUOTA_SESSION_STATUSES,
+    },
+  });
+};
+
+/**
+ * Sessions carried over from the previous period, up to SUBSCRIPTION_ROLLOVER_MAX.
+ * Only the immediately preceding period rolls over, so unused sessions never pile up.
+ * @param {Object} subscription - Subscription document
+ * @param {string} clientId - Client ID
+ * @param {Date} periodStart - Start of the current period
+ * @returns {Promise<number>}
+ */
+const getRolloverSessions = async (subscription, clientId, periodStart) => {
+  const limit = getRolloverLimit();
+  if (limit === 0 || !ROLLOVER_BILLING_CYCLES.includes(subscription.billingCycle)) return 0;
+  if (!subscription.startDate || subscription.startDate >= periodStart) return 0;
+
+  const previousPeriod = getBillingPeriod(subscription, new Date(periodStart.getTime() - 1));
+  const usedPreviously = await countUsedSessions(clientId, previousPeriod);
+  return Math.min(limit, Math.max(0, subscription.sessionsPerMonth - usedPreviously));
+};
+
+/**
+ * Work out a client's session allowance and usage for the billing period containing a date
+ * @param {Object} subscription - Subscription document
+ * @param {string} clientId - Client ID
+ * @param {Date} [at] - Date inside the period (defaults to now)
+ * @returns {Promise<Object>} totalSessions, rolloverSessions, usedSessions, remainingSessions (-1 when unlimited), hasUnlimited, periodStart, periodEnd
+ */
+const getSessionQuota = async (subscription, clientId, at = new Date()) => {
+  const period = getBillingPeriod(subscription, at);
+  const totalSessions = subscription.sessionsPerMonth || 0;
+  const hasUnlimited = totalSessions === 0 || totalSessions === -1;
+
+  const [usedSessions, rolloverSessions] = await Promise.all([
+    countUsedSessions(clientId, period),
+    hasUnlimited ? 0 : getRolloverSessions(subscription, clientId, period.periodStart),
+  ]);
+
+  return {
+    totalSessions,
+    rolloverSessions,
+    usedSessions,
+    remainingSessions: hasUnlimited ? -1 : Math.max(0, totalSessions + rolloverSessions - usedSessions),
+    hasUnlimited,
+    ...period,
+  };
+};
+
+/**
+ * Check new bookings for a client against their plan, one billing period at a time
+ * @param {Object} client - Client document (needs userId)
+ * @param {Date[]} dates - scheduledDate of each session about to be booked
+ * @returns {Promise<Object>} { subscription, policy, overageIndexes, overageFee, quota } -
+ *   overageIndexes are the positions in dates that go beyond the allowance
+ */
+const checkBookingQuota = async (client, dates) => {
+  const subscription = await getActiveSubscription(client.userId._id || client.userId);
+  if (!subscription) {
+    return { subscription: null, overageIndexes: [] };
+  }
+
+  const periods = new Map();
+  const overageIndexes = [];
+  for (const [index, date] of dates.entries()) {
+    const { periodStart } = getBillingPeriod(subscription, date);
+    const key = periodStart.toISOString();
+    if (!periods.has(key)) {
+      periods.set(key, { quota: await getSessionQuota(subscription, client._id, date), booked: 0 });
+    }
+
+    const period = periods.get(key);
+    if (period.quota.hasUnlimited) continue;
+    period.booked++;
+    if (period.booked > period.quota.remainingSessions) {
+      overageIndexes.push(index);
+    }
+  }
+
+  return {
+    subscription,
+    policy: getQuotaPolicy(),
+    overageIndexes,
+    overageFee: getOverageFee(),
+    quota: periods.values().next().value?.quota,
+  };
+};
+
+/**
+ * Fields recording how one booking counts against the client's plan
+ * @param {Object} quotaCheck - Result of checkBookingQuota
+ * @param {number} index - Position of the booking in the dates that were checked
+ * @param {boolean} override - An admin waived the allowance for this booking
+ * @returns {Object} quotaStatus (and overageFee) to store on the session or group place
+ */
+const getQuotaFields = (quotaCheck, index, override) => {
+  if (!quotaCheck.subscription) return {};
+  if (!quotaCheck.overageIndexes.includes(index)) return { quotaStatus: 'included' };
+  return override
+    ? { quotaStatus: 'override' }
+    : { quotaStatus: 'overage', overageFee: quotaCheck.overageFee };
+};
+
+/**
+ * Record the pending overage charge for a session booked beyond the plan's allowance
+ * @param {Object} session - Session document
+ * @param {string} clientId - Client being charged
+ * @param {number} fee - Overage fee in dollars
+ * @returns {Promise<Object>} Created payment
+ */
+const recordOverageCharge = (session, clientId, fee) => {
+  return Payment.create({
+    sessionId: session._id,
+    clientId,
+    therapistId: session.therapistId._id || session.therapistId,
+    amount: fee * 100, // Convert to cents
+    currency: 'USD',
+    paymentMethod: 'other',
+    status: 'pending',
+    metadata: {
+      type: 'subscription_overage',
+      reason: 'Booked beyond the sessions included in the billing period',
+    },
+  });
+};
+
+/**
+ * Cancel the pending overage charge of a session that will no longer take place.
+ * Nothing was collected, so the charge is cancelled rather than refunded.
+ * @param {Object} session - Session document
+ * @param {string} [clientId] - Limit to one client's charge (group sessions)
+ * @returns {Promise<void>}
+ */
+const releaseOverageCharge = async (session, clientId) => {
+  await Payment.updateMany(
+    {
+      sessionId: session._id,
+      ...(clientId && { clientId }),
+      status: 'pending',
+      'metadata.type': 'subscription_overage',
+    },
+    { status: 'cancelled' }
+  );
+};
+
+module.exports = {
+  QUOTA_SESSION_STATUSES,
+  getQuotaPolicy,
+  getOverageFee,
+  getBillingPeriod,
+  getActiveSubscription,
+  getSessionQuota,
+  checkBookingQuota,
+  getQuotaFields,
+  recordOverageCharge,
+  releaseOverageCharge,
+};
@@ -0,0 +1,167 @@
+// Supervision Service
+// Measures SLPA supervision hours against the required minimums and alerts when an SLPA falls behind
+
+const dayjs = require('dayjs');
+const Session = require('../models/Session');
+const Therapist = require('../models/Therapist');
+const SupervisionLog = require('../models/SupervisionLog');
+const Notification = require('../models/Notification');
+const { notifyUser } = require('./notificationService');
+
+// ASHA's guideline, as a share of the SLPA's client contact time: more supervision
+// during the first 90 days with a supervisor, less once the SLPA is established
+const DEFAULT_SUPERVISION_REQUIREMENT = {
+  initialPeriodDays: 90,
+  initial: { totalPercent: 30, directPercent: 20 },
+  ongoing: { totalPercent: 20, directPercent: 10 },
+};
+
+// States whose rules differ from the guideline, keyed by state code (same shape as the default)
+const STATE_SUPERVISION_REQUIREMENTS = {};
+
+/**
+ * Get the supervision minimums for the state an SLPA is supervised in
+ * @param {string} [state] - State code
+ * @returns {Object} Requirement with initialPeriodDays, initial and ongoing percentages
+ */
+const getSupervisionRequirement = (state) => {
+  return STATE_SUPERVISION_REQUIREMENTS[state?.toUpperCase()] || DEFAULT_SUPERVISION_REQUIREMENT;
+};
+
+const getSupervisionState = (supervisee) => {
+  return supervisee.complianceDocuments?.supervision?.supervisingState || supervisee.licensedStates?.[0];
+};
+
+/**
+ * Compare an SLPA's logged supervision with what their contact time requires for a calendar month
+ * @param {Object} supervisee - SLPA's Therapist document
+ * @param {Date} [at] - Date inside the month (defaults to now)
+ * @returns {Promise<Object>} Period, phase, contact minutes, required, logged and shortfall minutes, onTrack
+ */
+const getSupervisionSummary = async (supervisee, at = new Date()) => {
+  const periodStart = dayjs(at).startOf('month').toDate();
+  const periodEnd = dayjs(at).endOf('month').toDate();
+  const state = getSupervisionState(supervisee);
+  const requirement = getSupervisionRequirement(state);
+
+  // The initial phase runs from when the current supervisor was assigned
+  const startedAt = supervisee.supervisionStartedAt;
+  const phase = startedAt && dayjs(periodStart).diff(startedAt, 'day') < requirement.initialPeriodDays
+    ? 'initial'
+    : 'ongoing';
+  const { totalPercent, directPercent } = requirement[phase];
+
+  const [sessions, logs] = await Promise.all([
+    Session.find({
+      therapistId: supervisee._id,
+      status: 'completed',
+      scheduledDate: { $gte: periodStart, $lte: periodEnd },
+    }).select('duration'),
+    SupervisionLog.find({
+      superviseeId: supervisee._id,
+      date: { $gte: periodStart, $lte: periodEnd },
+    }).select('type minutes'),
+  ]);
+
+  const contactMinutes = sessions.reduce((sum, session) => sum + (session.duration || 0), 0);
+  const directMinutes = logs.filter(log => log.type === 'direct').reduce((sum, log) => sum + log.minutes, 0);
+  const indirectMinutes = logs.filter(log => log.type === 'indirect').reduce((sum, log) => sum + log.minutes, 0);
+
+  const required = {
+    totalMinutes: Math.ceil(contactMinutes * totalPercent / 100),
+    directMinutes: Math.ceil(contactMinutes * directPercent / 100),
+  };
+  const logged = {
+    directMinutes,
+    indirectMinutes,
+    totalMinutes: directMinutes + indirectMinutes,
+  };
+  const shortfall = {
+    totalMinutes: Math.max(0, required.totalMinutes - logged.totalMinutes),
+    directMinutes: Math.max(0, required.directMinutes - logged.directMinutes),
+  };
+
+  return {
+    superviseeId: supervisee._id,
+    supervisorId: supervisee.supervisingTherapistId,
+    state: state || null,
+    periodStart,
+    periodEnd,
+    phase,
+    requirement: { totalPercent, directPercent },
+    contactMinutes,
+    required,
+    logged,
+    shortfall,
+    onTrack: shortfall.totalMinutes === 0 && shortfall.directMinutes === 0,
+  };
+};
+
+/**
+ * Alert SLPAs and their supervisors when logged supervision is behind this month's minimums.
+ * Each pair is alerted at most once per month.
+ * @returns {Promise<number>} Number of SLPAs alerted
+ */
+const checkSupervisionCompliance = async () => {
+  try {
+    const supervisees = await Therapist.find({
+      credentials: 'SLPA',
+      status: 'active',
+      supervisingTherapistId: { $exists: true, $ne: null },
+    }).populate('userId', 'firstName lastName')
+      .populate('supervisingTherapistId', 'userId');
+
+    let alerted = 0;
+    for (const supervisee of supervisees) {
+      const summary = await getSupervisionSummary(supervisee);
+      if (summary.onTrack || !supervisee.supervisingTherapistId) continue;
+
+      const alreadyAlerted = await Notification.exists({
+        userId: supervisee.userId._id,
+        'metadata.alert': 'supervision-behind',
+        'metadata.periodStart': summary.periodStart,
+      });
+      if (alreadyAlerted) continue;
+
+      const behind = `${summary.shortfall.totalMinutes} min total / ${summary.shortfall.directMinutes} min direct`;
+      const metadata = {
+        alert: 'supervision-behind',
+        superviseeId: supervisee._id,
+        periodStart: summary.periodStart,
+        shortfall: summary.shortfall,
+      };
+
+      await notifyUser(supervisee.userId._id, {
+        type: 'general',
+        title: 'Supervision Hours Behind',
+        message: `Your supervision this month is behind the required minimum (${behind}). Please arrange time with your supervising SLP.`,
+        link: '/supervision',
+        metadata,
+      }, { email: true });
+
+      await notifyUser(supervisee.supervisingTherapistId.userId, {
+        type: 'general',
+        title: 'SLPA Supervision Behind',
+        message: `Supervision logged for ${supervisee.userId.firstName} ${supervisee.userId.lastName} this month is behind the required minimum (${behind}).`,
+        link: '/supervision',
+        metadata,
+      }, { email: true });
+
+      alerted++;
+    }
+
+    if (alerted > 0) {
+      console.log(`⚠️  Sent supervision alerts for ${alerted} SLPA(s)`);
+    }
+    return alerted;
+  } catch (error) {
+    console.error('Error checking supervision compliance:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  getSupervisionRequirement,
+  getSupervisionSummary,
+  checkSupervisionCompliance,
+};
@@ -0,0 +1,108 @@
+// Timezone Service
+// Converts between UTC instants and wall-clock times in IANA timezones
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Used for users and sessions that were stored before timezones were tracked
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {string} tz - Timezone name (e.g. "America/Chicago")
+ * @returns {boolean}
+ */
+const isValidTimezone = (tz) => {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Resolve the first valid timezone from a list of candidates
+ * @param {...string} candidates - Timezone names, in order of preference
+ * @returns {string} Timezone name
+ */
+const resolveTimezone = (...candidates) => {
+  return candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
+};
+
+/**
+ * Get the calendar date ("YYYY-MM-DD") a scheduled date refers to.
+ * Dates are stored as UTC midnight, so the UTC calendar date is used.
+ * @param {Date|string} date - Date or date string
+ * @returns {string|null} Date key, or null if invalid
+ */
+const toDateKey = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  const parsed = dayjs.utc(date);
+  return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+};
+
+/**
+ * Convert a wall-clock date and time in a timezone to a UTC instant
+ * @param {string} dateKey - Calendar date ("YYYY-MM-DD")
+ * @param {number} minutes - Minutes after midnight
+ * @param {string} tz - IANA timezone
+ * @returns {Date} UTC instant
+ */
+const zonedTimeToUtc = (dateKey, minutes, tz) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return dayjs.tz(`${dateKey}T${hours}:${mins}:00`, tz).toDate();
+};
+
+/**
+ * Get the wall-clock parts of a UTC instant in a timezone
+ * @param {Date} date - UTC instant
+ * @param {string} tz - IANA timezone
+ * @returns {{dateKey: string, minutes: number, weekday: number}}
+ */
+const getZonedParts = (date, tz) => {
+  const zoned = dayjs(date).tz(tz);
+  return {
+    dateKey: zoned.format('YYYY-MM-DD'),
+    minutes: zoned.hour() * 60 + zoned.minute(),
+    weekday: zoned.day(),
+  };
+};
+
+/**
+ * Format a UTC instant for a viewer in their timezone
+ * @param {Date} date - UTC instant
+ * @param {string} tz - Viewer's IANA timezone
+ * @returns {{date: string, time: string, displayDate: string, timezone: string, abbreviation: string}}
+ */
+const formatInTimezone = (date, tz) => {
+  const resolved = resolveTimezone(tz);
+  const zoned = dayjs(date).tz(resolved);
+  const abbreviation = new Intl.DateTimeFormat('en-US', { timeZone: resolved, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName')?.value || resolved;
+
+  return {
+    date: zoned.format('YYYY-MM-DD'),
+    time: zoned.format('h:mm A'),
+    displayDate: zoned.format('dddd, MMMM D, YYYY'),
+    timezone: resolved,
+    abbreviation,
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  toDateKey,
+  zonedTimeToUtc,
+  getZonedParts,
+  formatInTimezone,
+};
@@ -1,5 +1,5 @@
 // Translation service for multilingual support
-// Uses Google Gemini API for AI-powered translation
+// Uses the configured AI provider (Gemini by default) for AI-powered translation
 
 const {
   translateTextWithGemini,
@@ -67,14 +67,15 @@ const translate = (key, targetLanguage = 'en') => {
   return translations[key] || key;
 };
 
-// Translate text using Gemini API
-const translateText = async (text, sourceLanguage, targetLanguage) => {
+// Translate text using Gemini API. options.clientId (or clientIds) has those clients' details
+// redacted before the text is sent.
+const translateText = async (text, sourceLanguage, targetLanguage, options = {}) => {
   if (sourceLanguage === targetLanguage) {
     return text;
   }
 
   try {
-    return await translateTextWithGemini(text, sourceLanguage, targetLanguage);
+    return await translateTextWithGemini(text, sourceLanguage, targetLanguage, options);
   } catch (error) {
     console.error('Translation error:', error);
     return text; // Return original on error
@@ -124,9 +125,9 @@ const getSupportedLanguages = () => {
 };
 
 // Real-time translation for video sessions
-const translateRealTimeText = async (text, sourceLanguage, targetLanguage) => {
+const translateRealTimeText = async (text, sourceLanguage, targetLanguage, options = {}) => {
   try {
-    const result = await translateRealTime(text, sourceLanguage, targetLanguage);
+    const result = await translateRealTime(text, sourceLanguage, targetLanguage, options);
     return result.translated;
   } catch (error) {
     console.error('Real-time translation error:', error);
@@ -135,20 +136,20 @@ const translateRealTimeText = async (text, sourceLanguage, targetLanguage) => {
 };
 
 // AI-assisted interpretation with context
-const interpretText = async (text, sourceLanguage, targetLanguage, context) => {
+const interpretText = async (text, sourceLanguage, targetLanguage, context, options = {}) => {
   try {
-    return await interpretWithContext(text, sourceLanguage, targetLanguage, context);
+    return await interpretWithContext(text, sourceLanguage, targetLanguage, context, options);
   } catch (error) {
     console.error('Interpretation error:', error);
-    const translated = await translateText(text, sourceLanguage, targetLanguage);
+    const translated = await translateText(text, sourceLanguage, targetLanguage, options);
     return { translated, explanation: '' };
   }
 };
 
 // Generate translated transcript
-const translateTranscript = async (transcript, originalLanguage, targetLanguage) => {
+const translateTranscript = async (transcript, originalLanguage, targetLanguage, options = {}) => {
   try {
-    return await generateTranslatedTranscript(transcript, originalLanguage, targetLanguage);
+    return await generateTranslatedTranscript(transcript, originalLanguage, targetLanguage, options);
   } catch (error) {
     console.error('Transcript translation error:', error);
     return transcript;
@@ -0,0 +1,209 @@
+// Waitlist Service
+// Offers slots freed by cancellations and reschedules to waitlisted clients
+
+const crypto = require('crypto');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const WaitlistOffer = require('../models/WaitlistOffer');
+const Therapist = require('../models/Therapist');
+const Client = require('../models/Client');
+const { notifyUser } = require('./notificationService');
+const {
+  parseTimeToMinutes,
+  getSessionStart,
+  checkBookingAvailability,
+} = require('./schedulingService');
+const { resolveTimezone, getZonedParts, formatInTimezone } = require('./timezoneService');
+
+const DEFAULT_CLAIM_MINUTES = 60;
+const DEFAULT_OFFER_BATCH_SIZE = 3;
+
+const getClaimWindowMinutes = () => {
+  return parseInt(process.env.WAITLIST_CLAIM_MINUTES) || DEFAULT_CLAIM_MINUTES;
+};
+
+const getOfferBatchSize = () => {
+  return parseInt(process.env.WAITLIST_OFFER_BATCH_SIZE) || DEFAULT_OFFER_BATCH_SIZE;
+};
+
+/**
+ * Check whether a slot fits a waitlist entry's preferred days and time windows
+ * @param {Object} entry - Waitlist entry
+ * @param {Date} startsAt - Slot start (UTC)
+ * @param {number} duration - Slot length in minutes
+ * @returns {boolean}
+ */
+const matchesWaitlistPreferences = (entry, startsAt, duration) => {
+  const { weekday, minutes } = getZonedParts(startsAt, resolveTimezone(entry.timezone));
+
+  if (entry.preferredDays?.length > 0 && !entry.preferredDays.includes(weekday)) {
+    return false;
+  }
+
+  if (entry.timeWindows?.length > 0) {
+    return entry.timeWindows.some(window => {
+      const windowStart = parseTimeToMinutes(window.start);
+      const windowEnd = parseTimeToMinutes(window.end);
+      return windowStart !== null && windowEnd !== null
+        && minutes >= windowStart && minutes + duration <= windowEnd;
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Send the slot to the next batch of matching waitlisted clients, in priority order.
+ * Marks the offer expired when nobody is left to offer it to.
+ * @param {Object} offer - Waitlist offer document
+ * @returns {Promise<number>} Number of clients the slot was offered to
+ */
+const sendOffersToNextBatch = async (offer) => {
+  // Skip clients already offered this slot and the client who gave it up
+  const alreadyOffered = offer.recipients.map(recipient => recipient.clientId);
+  if (offer.sourceClientId) alreadyOffered.push(offer.sourceClientId);
+  const entries = await WaitlistEntry.find({
+    therapistId: offer.therapistId,
+    status: 'active',
+    clientId: { $nin: alreadyOffered },
+  }).sort({ priority: -1, createdAt: 1 });
+
+  const batch = entries
+    .filter(entry => matchesWaitlistPreferences(entry, offer.startsAt, offer.duration))
+    .slice(0, getOfferBatchSize());
+
+  if (batch.length === 0) {
+    offer.status = 'expired';
+    await offer.save();
+    return 0;
+  }
+
+  // Claim links never outlive the slot itself
+  const expiresAt = new Date(Math.min(
+    Date.now() + getClaimWindowMinutes() * 60 * 1000,
+    offer.startsAt.getTime()
+  ));
+
+  const newRecipients = batch.map(entry => ({
+    waitlistEntryId: entry._id,
+    clientId: entry.clientId,
+    token: crypto.randomBytes(32).toString('hex'),
+    expiresAt,
+  }));
+  offer.recipients.push(...newRecipients);
+  await offer.save();
+
+  const therapist = await Therapist.findById(offer.therapistId).populate('userId', 'firstName lastName');
+  const therapistName = therapist?.userId ? `${therapist.userId.firstName} ${therapist.userId.lastName}` : 'your therapist';
+
+  for (const recipient of newRecipients) {
+    const client = await Client.findById(recipient.clientId).populate('userId', 'timezone');
+    if (!client?.userId) continue;
+
+    const entry = batch.find(e => e._id.toString() === recipient.waitlistEntryId.toString());
+    const local = formatInTimezone(offer.startsAt, resolveTimezone(entry.timezone, client.userId.timezone));
+    const expiry = formatInTimezone(expiresAt, resolveTimezone(entry.timezone, client.userId.timezone));
+
+    await notifyUser(client.userId._id, {
+      type: 'waitlist-offer',
+      title: 'A Session Slot Opened Up',
+      message: `A ${offer.duration}-minute session with ${therapistName} is available on ${local.displayDate} at ${local.time} ${local.abbreviation}. Claim it before ${expiry.time} ${expiry.abbreviation} - the first client to claim it gets the booking.`,
+      link: `/waitlist/claim/${recipient.token}`,
+      metadata: {
+        offerId: offer._id,
+        startsAt: offer.startsAt,
+        expiresAt,
+      },
+    }, { email: true });
+  }
+
+  console.log(`📋 Waitlist slot ${offer._id} offered to ${newRecipients.length} client(s)`);
+  return newRecipients.length;
+};
+
+/**
+ * Offer the slot left by a cancelled or rescheduled session to the waitlist
+ * @param {Object} session - Session that no longer occupies its slot
+ * @returns {Promise<Object|null>} Created offer, or null if the slot was not offered
+ */
+const offerFreedSlot = async (session) => {
+  try {
+    const startsAt = getSessionStart(session);
+    if (!startsAt || startsAt <= new Date()) return null;
+
+    const therapist = await Therapist.findById(session.therapistId._id || session.therapistId);
+    if (!therapist || therapist.status !== 'active') return null;
+
+    // Skip slots already taken again (e.g. a reschedule to an overlapping time)
+    const bookingCheck = await checkBookingAvailability(therapist, startsAt, session.duration);
+    if (!bookingCheck.available) return null;
+
+    const hasWaitlist = await WaitlistEntry.exists({ therapistId: therapist._id, status: 'active' });
+    if (!hasWaitlist) return null;
+
+    const offer = await WaitlistOffer.create({
+      therapistId: therapist._id,
+      sourceSessionId: session._id,
+      sourceClientId: session.clientId?._id || session.clientId,
+      startsAt,
+      duration: session.duration,
+    });
+
+    await sendOffersToNextBatch(offer);
+    return offer;
+  } catch (error) {
+    console.error('Error offering freed slot to waitlist:', error);
+    return null;
+  }
+};
+
+/**
+ * Expire claim links that ran out and move each open slot on to the next batch
+ * @returns {Promise<void>}
+ */
+const processExpiredOffers = async () => {
+  const now = new Date();
+  const openOffers = await WaitlistOffer.find({ status: 'open' });
+
+  for (const offer of openOffers) {
+    try {
+      for (const recipient of offer.recipients) {
+        if (recipient.status === 'offered' && recipient.expiresAt <= now) {
+          recipient.status = 'expired';
+        }
+      }
+
+      if (offer.startsAt <= now) {
+        offer.status = 'expired';
+        await offer.save();
+        continue;
+      }
+
+      // Wait while any claim link in the current batch is still live
+      if (offer.recipients.some(recipient => recipient.status === 'offered')) {
+        await offer.save();
+        continue;
+      }
+
+      const therapist = await Therapist.findById(offer.therapistId);
+      const bookingCheck = therapist
+        ? await checkBookingAvailability(therapist, offer.startsAt, offer.duration)
+        : { available: false };
+      if (!bookingCheck.available) {
+        offer.status = 'cancelled';
+        await offer.save();
+        continue;
+      }
+
+      await sendOffersToNextBatch(offer);
+    } catch (error) {
+      console.error(`Error processing waitlist offer ${offer._id}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  matchesWaitlistPreferences,
+  sendOffersToNextBatch,
+  offerFreedSlot,
+  processExpiredOffers,
+};